@@ -0,0 +1,45 @@
+// Cloudflare Images API settings. CLOUDFLARE_API_URL can point at a local
+// stand-in for the API when testing.
+const count = (name, fallback) => {
+  const value = parseInt(process.env[name], 10);
+  return Number.isNaN(value) ? fallback : value;
+};
+
+const CLOUDFLARE_ACCOUNT_ID = process.env.CLOUDFLARE_ACCOUNT_ID;
+const CLOUDFLARE_API_KEY = process.env.CLOUDFLARE_IMAGES_API_KEY;
+const CLOUDFLARE_ACCOUNT_HASH = process.env.CLOUDFLARE_ACCOUNT_HASH;
+
+// Images > Keys > URL signing key. Without it every image is uploaded public,
+// since Cloudflare would refuse unsigned requests for private ones.
+const CLOUDFLARE_IMAGES_SIGNING_KEY = process.env.CLOUDFLARE_IMAGES_SIGNING_KEY;
+
+// Written to the `app` metadata field of every image this service uploads.
+// The reconciliation script only deletes images carrying it, so an account
+// shared with other apps is safe.
+const CLOUDFLARE_IMAGE_TAG = process.env.CLOUDFLARE_IMAGE_TAG || 'santacruzservice';
+
+// API root, without the /accounts/... part
+const CLOUDFLARE_API_URL = (process.env.CLOUDFLARE_API_URL || 'https://api.cloudflare.com/client/v4').replace(/\/$/, '');
+
+// Per attempt
+const CLOUDFLARE_TIMEOUT = count('CLOUDFLARE_TIMEOUT_MS', 30000);
+
+// Retries after the first attempt, for network errors, 429s and 5xx responses.
+// The delay doubles each time (with jitter) up to CLOUDFLARE_RETRY_MAX_DELAY;
+// a Retry-After header from Cloudflare takes precedence.
+const CLOUDFLARE_MAX_RETRIES = count('CLOUDFLARE_MAX_RETRIES', 3);
+const CLOUDFLARE_RETRY_DELAY = count('CLOUDFLARE_RETRY_DELAY_MS', 500);
+const CLOUDFLARE_RETRY_MAX_DELAY = count('CLOUDFLARE_RETRY_MAX_DELAY_MS', 10000);
+
+module.exports = {
+  CLOUDFLARE_ACCOUNT_ID,
+  CLOUDFLARE_API_KEY,
+  CLOUDFLARE_ACCOUNT_HASH,
+  CLOUDFLARE_IMAGE_TAG,
+  CLOUDFLARE_IMAGES_SIGNING_KEY,
+  CLOUDFLARE_API_URL,
+  CLOUDFLARE_TIMEOUT,
+  CLOUDFLARE_MAX_RETRIES,
+  CLOUDFLARE_RETRY_DELAY,
+  CLOUDFLARE_RETRY_MAX_DELAY
+};
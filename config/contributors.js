@@ -0,0 +1,24 @@
+// Contributor sign-in by emailed magic link
+const minutes = (name, fallback) => (parseFloat(process.env[name]) || fallback) * 60 * 1000;
+
+// How long a sign-in link works (it can be used once)
+const MAGIC_LINK_TTL = minutes('MAGIC_LINK_TTL_MINUTES', 15);
+
+// Page of the frontend that receives ?token= and exchanges it for a session
+const MAGIC_LINK_URL = process.env.MAGIC_LINK_URL ||
+  `${(process.env.FRONTEND_URL || 'http://localhost:5173').replace(/\/$/, '')}/contributor/sign-in`;
+
+// Sign-in links each email address, and each client, may request per window
+const MAGIC_LINK_RATE_LIMIT = parseInt(process.env.MAGIC_LINK_RATE_LIMIT, 10) || 5;
+const MAGIC_LINK_RATE_WINDOW = minutes('MAGIC_LINK_RATE_WINDOW_MINUTES', 60);
+
+// How long a contributor stays signed in (default 30 days)
+const CONTRIBUTOR_SESSION_TTL = (parseFloat(process.env.CONTRIBUTOR_SESSION_TTL_DAYS) || 30) * 24 * 60 * 60;
+
+module.exports = {
+  MAGIC_LINK_TTL,
+  MAGIC_LINK_URL,
+  MAGIC_LINK_RATE_LIMIT,
+  MAGIC_LINK_RATE_WINDOW,
+  CONTRIBUTOR_SESSION_TTL
+};
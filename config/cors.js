@@ -0,0 +1,56 @@
+// Cross-origin policy. Origins come from CORS_ALLOWED_ORIGINS (comma-separated)
+// when set, otherwise from the defaults for the current environment plus FRONTEND_URL.
+const splitList = value => (value || '')
+  .split(',')
+  .map(origin => origin.trim().replace(/\/+$/, ''))
+  .filter(Boolean);
+
+const DEFAULT_ORIGINS = process.env.NODE_ENV === 'production'
+  ? ['https://santacruzarchive.netlify.app', 'https://santacruzarchive.com', 'https://santacruz.onrender.com', 'https://www.santacruzarchive.net', 'https://santacruzarchive.net']
+  : ['http://localhost:3000', 'http://localhost:5173'];
+
+const ALLOWED_ORIGINS = process.env.CORS_ALLOWED_ORIGINS
+  ? splitList(process.env.CORS_ALLOWED_ORIGINS)
+  : [...new Set([...DEFAULT_ORIGINS, ...splitList(process.env.FRONTEND_URL)])];
+
+// Request headers browsers may send, and response headers scripts may read
+const ALLOWED_HEADERS = ['Content-Type', 'Authorization', 'Idempotency-Key', 'X-Upload-Challenge', 'X-Upload-Solution'];
+const EXPOSED_HEADERS = ['Retry-After', 'X-RateLimit-Limit', 'X-RateLimit-Remaining', 'X-RateLimit-Reset'];
+
+// How long browsers may cache a preflight answer, in seconds
+const CORS_MAX_AGE = parseInt(process.env.CORS_MAX_AGE_SECONDS, 10) || 86400;
+
+// Named policies:
+// - restricted: only ALLOWED_ORIGINS, with cookies/credentials
+// - public: any origin, read-only, never with credentials
+const CORS_POLICIES = {
+  restricted: {
+    origins: ALLOWED_ORIGINS,
+    credentials: true,
+    methods: ['GET', 'HEAD', 'POST', 'PUT', 'PATCH', 'DELETE']
+  },
+  public: {
+    origins: '*',
+    credentials: false,
+    methods: ['GET', 'HEAD']
+  }
+};
+
+// Path prefixes served with the public policy; everything else is restricted
+const CORS_PUBLIC_PATHS = process.env.CORS_PUBLIC_PATHS !== undefined
+  ? splitList(process.env.CORS_PUBLIC_PATHS)
+  : ['/uploads', '/api/photos/cors-check'];
+
+const CORS_ROUTE_POLICIES = CORS_PUBLIC_PATHS.map(path => ({ path, policy: 'public' }));
+
+const CORS_DEFAULT_POLICY = 'restricted';
+
+module.exports = {
+  ALLOWED_ORIGINS,
+  ALLOWED_HEADERS,
+  EXPOSED_HEADERS,
+  CORS_MAX_AGE,
+  CORS_POLICIES,
+  CORS_ROUTE_POLICIES,
+  CORS_DEFAULT_POLICY
+};
@@ -0,0 +1,37 @@
+// Image variants offered in API responses, and signed URL settings for
+// images that aren't public yet.
+const { deriveKey } = require('../utils/auth');
+
+/**
+ * Read "name:providerVariant,..." into { name: providerVariant }
+ * @param {string} value - Setting value
+ * @returns {object}
+ */
+function parseVariants(value) {
+  return Object.fromEntries(String(value)
+    .split(',')
+    .map(entry => entry.split(':').map(part => part.trim()))
+    .filter(([name, variant]) => name && variant));
+}
+
+// Variant names in responses, mapped to the storage provider's variant names.
+// Cloudflare needs each provider variant defined on the account; the local
+// provider has 'thumbnail', 'medium' and 'public'.
+const IMAGE_VARIANTS = parseVariants(process.env.IMAGE_VARIANTS || 'thumb:thumbnail,medium:medium,full:public');
+
+// Variant used for the single imageUrl field
+const DEFAULT_IMAGE_VARIANT = IMAGE_VARIANTS.full ? 'full' : Object.keys(IMAGE_VARIANTS)[0];
+
+// How long a signed URL for a non-approved image works
+const SIGNED_URL_TTL = (parseFloat(process.env.SIGNED_IMAGE_URL_TTL_MINUTES) || 60) * 60 * 1000;
+
+// Key signing URLs of locally stored images; by default derived from
+// AUTH_TOKEN_SECRET. A random key (no secret at all) invalidates URLs on restart.
+const IMAGE_URL_SIGNING_KEY = process.env.IMAGE_URL_SIGNING_KEY || deriveKey('image-url-signing');
+
+module.exports = {
+  IMAGE_VARIANTS,
+  DEFAULT_IMAGE_VARIANT,
+  SIGNED_URL_TTL,
+  IMAGE_URL_SIGNING_KEY
+};
@@ -0,0 +1,26 @@
+const { deriveKey } = require('../utils/auth');
+
+// How long rejected photos keep their stored image, and how often expired ones are purged
+// A retention of 0 is allowed: rejected images are then purged on the next run
+const retentionDays = parseFloat(process.env.REJECTED_RETENTION_DAYS);
+const REJECTED_RETENTION_DAYS = Number.isNaN(retentionDays) || retentionDays < 0 ? 30 : retentionDays;
+const REJECTED_PURGE_INTERVAL = (parseFloat(process.env.REJECTED_PURGE_INTERVAL_HOURS) || 6) * 60 * 60 * 1000;
+
+// Maximum number of photos a single bulk moderation request may touch
+const BULK_MAX_ITEMS = parseInt(process.env.BULK_MODERATION_MAX_ITEMS, 10) || 500;
+
+// Public metadata suggestions each client may submit per window
+const SUGGESTION_RATE_LIMIT = parseInt(process.env.SUGGESTION_RATE_LIMIT, 10) || 5;
+const SUGGESTION_RATE_WINDOW = (parseFloat(process.env.SUGGESTION_RATE_WINDOW_MINUTES) || 60) * 60 * 1000;
+
+// Keys the HMAC of suggesters' IPs; by default derived from AUTH_TOKEN_SECRET
+const SUGGESTION_CLIENT_KEY = process.env.SUGGESTION_CLIENT_KEY || deriveKey('suggestion-client');
+
+module.exports = {
+  REJECTED_RETENTION_DAYS,
+  REJECTED_PURGE_INTERVAL,
+  BULK_MAX_ITEMS,
+  SUGGESTION_RATE_LIMIT,
+  SUGGESTION_RATE_WINDOW,
+  SUGGESTION_CLIENT_KEY
+};
@@ -0,0 +1,62 @@
+// Notifications: SMTP and webhook channels, who hears about what, and how
+// the outbox retries failed deliveries
+const minutes = (name, fallback) => (parseFloat(process.env[name]) || fallback) * 60 * 1000;
+const list = name => (process.env[name] || '').split(',').map(item => item.trim()).filter(Boolean);
+
+// SMTP server; email is off while SMTP_HOST is unset
+const SMTP_HOST = process.env.SMTP_HOST || '';
+const SMTP_PORT = parseInt(process.env.SMTP_PORT, 10) || 587;
+// TLS from the start (port 465); otherwise STARTTLS is used when offered
+const SMTP_SECURE = process.env.SMTP_SECURE ? process.env.SMTP_SECURE === 'true' : SMTP_PORT === 465;
+const SMTP_USER = process.env.SMTP_USER || '';
+const SMTP_PASS = process.env.SMTP_PASS || '';
+const MAIL_FROM = process.env.MAIL_FROM || 'Santa Cruz Archive <no-reply@localhost>';
+
+// Moderator addresses and chat webhooks (Slack-compatible { text } body)
+const MODERATOR_EMAILS = list('NOTIFY_MODERATOR_EMAILS');
+const NOTIFY_WEBHOOK_URLS = list('NOTIFY_WEBHOOK_URLS');
+
+// How moderators hear about new uploads: 'immediate', 'digest' or 'off'
+const MODERATOR_NOTIFY_MODES = ['immediate', 'digest', 'off'];
+const MODERATOR_NOTIFY_MODE = MODERATOR_NOTIFY_MODES.includes(process.env.NOTIFY_MODERATORS)
+  ? process.env.NOTIFY_MODERATORS
+  : 'digest';
+// Time between digests (default daily); checked every DIGEST_CHECK_INTERVAL
+const DIGEST_INTERVAL = (parseFloat(process.env.NOTIFY_DIGEST_INTERVAL_HOURS) || 24) * 60 * 60 * 1000;
+const DIGEST_CHECK_INTERVAL = minutes('NOTIFY_DIGEST_CHECK_MINUTES', 15);
+
+// Email signed-in contributors when their photo is approved or rejected
+const NOTIFY_CONTRIBUTORS = process.env.NOTIFY_CONTRIBUTORS !== 'false';
+
+// Outbox: how often it is drained, and how failed deliveries are retried
+const OUTBOX_INTERVAL = (parseFloat(process.env.NOTIFY_OUTBOX_INTERVAL_SECONDS) || 30) * 1000;
+const OUTBOX_BATCH_SIZE = parseInt(process.env.NOTIFY_OUTBOX_BATCH_SIZE, 10) || 20;
+const NOTIFY_MAX_ATTEMPTS = parseInt(process.env.NOTIFY_MAX_ATTEMPTS, 10) || 8;
+const NOTIFY_RETRY_DELAY = minutes('NOTIFY_RETRY_DELAY_MINUTES', 1);
+const NOTIFY_RETRY_MAX_DELAY = minutes('NOTIFY_RETRY_MAX_DELAY_MINUTES', 6 * 60);
+// A delivery stuck in 'sending' this long (crashed worker) is tried again
+const NOTIFY_SENDING_TIMEOUT = minutes('NOTIFY_SENDING_TIMEOUT_MINUTES', 10);
+const NOTIFY_WEBHOOK_TIMEOUT = parseInt(process.env.NOTIFY_WEBHOOK_TIMEOUT_MS, 10) || 10000;
+
+module.exports = {
+  SMTP_HOST,
+  SMTP_PORT,
+  SMTP_SECURE,
+  SMTP_USER,
+  SMTP_PASS,
+  MAIL_FROM,
+  MODERATOR_EMAILS,
+  NOTIFY_WEBHOOK_URLS,
+  MODERATOR_NOTIFY_MODES,
+  MODERATOR_NOTIFY_MODE,
+  DIGEST_INTERVAL,
+  DIGEST_CHECK_INTERVAL,
+  NOTIFY_CONTRIBUTORS,
+  OUTBOX_INTERVAL,
+  OUTBOX_BATCH_SIZE,
+  NOTIFY_MAX_ATTEMPTS,
+  NOTIFY_RETRY_DELAY,
+  NOTIFY_RETRY_MAX_DELAY,
+  NOTIFY_SENDING_TIMEOUT,
+  NOTIFY_WEBHOOK_TIMEOUT
+};
@@ -0,0 +1,47 @@
+// Request limits for uploads and the public API. A limit of 0 turns that check off.
+const { MAX_RESUMABLE_FILE_SIZE, MIN_CHUNK_SIZE } = require('./uploads');
+const minutes = (name, fallback) => (parseFloat(process.env[name]) || fallback) * 60 * 1000;
+const count = (name, fallback) => {
+  const value = parseInt(process.env[name], 10);
+  return Number.isNaN(value) ? fallback : value;
+};
+
+// Where counters are kept: 'memory' (per process) or 'mongo' (shared by all instances)
+const RATE_LIMIT_STORE = process.env.RATE_LIMIT_STORE === 'mongo' ? 'mongo' : 'memory';
+
+// Any /api request, per IP
+const API_RATE_LIMIT = count('API_RATE_LIMIT', 600);
+const API_RATE_WINDOW = minutes('API_RATE_WINDOW_MINUTES', 15);
+
+// Chunk PUTs per resumable upload session, per API_RATE_WINDOW. Chunks don't
+// count against API_RATE_LIMIT; the default allows the largest file at the
+// smallest chunk size to be sent twice over.
+const UPLOAD_CHUNK_RATE_LIMIT = count('UPLOAD_CHUNK_RATE_LIMIT', 2 * Math.ceil(MAX_RESUMABLE_FILE_SIZE / MIN_CHUNK_SIZE));
+
+// Upload requests per IP, and per contributor name
+const UPLOAD_RATE_LIMIT = count('UPLOAD_RATE_LIMIT', 30);
+const CONTRIBUTOR_UPLOAD_LIMIT = count('CONTRIBUTOR_UPLOAD_LIMIT', 30);
+const UPLOAD_RATE_WINDOW = minutes('UPLOAD_RATE_WINDOW_MINUTES', 60);
+
+// Files each IP may upload per UTC day
+const DAILY_UPLOAD_QUOTA = count('DAILY_UPLOAD_QUOTA', 200);
+
+// Proof-of-work for anonymous uploads: 'none' or 'pow'
+const UPLOAD_CHALLENGE = process.env.UPLOAD_CHALLENGE === 'pow' ? 'pow' : 'none';
+// Leading zero bits the solution hash needs; each extra bit doubles the client's work
+const UPLOAD_CHALLENGE_DIFFICULTY = count('UPLOAD_CHALLENGE_DIFFICULTY', 18);
+const UPLOAD_CHALLENGE_TTL = minutes('UPLOAD_CHALLENGE_TTL_MINUTES', 10);
+
+module.exports = {
+  RATE_LIMIT_STORE,
+  API_RATE_LIMIT,
+  API_RATE_WINDOW,
+  UPLOAD_CHUNK_RATE_LIMIT,
+  UPLOAD_RATE_LIMIT,
+  CONTRIBUTOR_UPLOAD_LIMIT,
+  UPLOAD_RATE_WINDOW,
+  DAILY_UPLOAD_QUOTA,
+  UPLOAD_CHALLENGE,
+  UPLOAD_CHALLENGE_DIFFICULTY,
+  UPLOAD_CHALLENGE_TTL
+};
@@ -0,0 +1,71 @@
+// Upload limits and the image format allow-list, shared by multer, the
+// content checks and GET /api/photos/formats
+
+// Every format the server can recognise from its magic bytes
+const KNOWN_FORMATS = {
+  jpeg: { mimeType: 'image/jpeg', extensions: ['.jpg', '.jpeg'] },
+  png: { mimeType: 'image/png', extensions: ['.png'] },
+  gif: { mimeType: 'image/gif', extensions: ['.gif'] },
+  webp: { mimeType: 'image/webp', extensions: ['.webp'] },
+  avif: { mimeType: 'image/avif', extensions: ['.avif'] },
+  heic: { mimeType: 'image/heic', extensions: ['.heic', '.heif'] },
+  tiff: { mimeType: 'image/tiff', extensions: ['.tif', '.tiff'] },
+  bmp: { mimeType: 'image/bmp', extensions: ['.bmp'] },
+  ico: { mimeType: 'image/x-icon', extensions: ['.ico'] },
+  svg: { mimeType: 'image/svg+xml', extensions: ['.svg'] }
+};
+
+// Formats utils/imageProcessing.js re-encodes, which strips EXIF and GPS data.
+// Only these can be accepted; HEIC, BMP and ICO are recognised but refused,
+// since they would be stored with their metadata intact. SVG can carry scripts.
+// test/fileValidation.test.js checks that each one round-trips.
+const STORABLE_FORMATS = ['jpeg', 'png', 'gif', 'webp', 'avif', 'tiff'];
+
+// Formats accepted for upload
+const ALLOWED_FORMATS = (process.env.ALLOWED_UPLOAD_FORMATS || 'jpeg,png,gif,webp,avif')
+  .split(',')
+  .map(format => format.trim().toLowerCase())
+  .filter(format => {
+    if (!KNOWN_FORMATS[format]) return false;
+    if (!STORABLE_FORMATS.includes(format)) {
+      console.error(`ALLOWED_UPLOAD_FORMATS: ${format} can't be stripped of metadata and is not accepted`);
+      return false;
+    }
+    return true;
+  });
+
+// Maximum size of a single uploaded file
+const MAX_FILE_SIZE = parseInt(process.env.MAX_UPLOAD_BYTES, 10) || 25 * 1024 * 1024;
+
+// Maximum number of files in one batch upload, and how many are processed at once
+const MAX_BATCH_FILES = parseInt(process.env.MAX_BATCH_FILES, 10) || 50;
+const BATCH_CONCURRENCY = parseInt(process.env.BATCH_UPLOAD_CONCURRENCY, 10) || 3;
+
+// Resumable (chunked) uploads: size limits, chunk sizes, and how long an idle session lives
+const MAX_RESUMABLE_FILE_SIZE = parseInt(process.env.MAX_RESUMABLE_UPLOAD_BYTES, 10) || 200 * 1024 * 1024;
+const DEFAULT_CHUNK_SIZE = 5 * 1024 * 1024;
+const MIN_CHUNK_SIZE = 256 * 1024;
+const MAX_CHUNK_SIZE = 16 * 1024 * 1024;
+const UPLOAD_SESSION_TTL = (parseFloat(process.env.UPLOAD_SESSION_TTL_HOURS) || 24) * 60 * 60 * 1000;
+const UPLOAD_SESSION_CLEANUP_INTERVAL = (parseFloat(process.env.UPLOAD_SESSION_CLEANUP_MINUTES) || 15) * 60 * 1000;
+
+// Unfinished resumable uploads one client IP may have open at once, and their combined size
+const MAX_OPEN_SESSIONS_PER_IP = parseInt(process.env.MAX_UPLOAD_SESSIONS_PER_IP, 10) || 5;
+const MAX_OPEN_SESSION_BYTES_PER_IP = parseInt(process.env.MAX_UPLOAD_SESSION_BYTES_PER_IP, 10) || 1024 * 1024 * 1024;
+
+module.exports = {
+  KNOWN_FORMATS,
+  STORABLE_FORMATS,
+  ALLOWED_FORMATS,
+  MAX_FILE_SIZE,
+  MAX_BATCH_FILES,
+  BATCH_CONCURRENCY,
+  MAX_RESUMABLE_FILE_SIZE,
+  DEFAULT_CHUNK_SIZE,
+  MIN_CHUNK_SIZE,
+  MAX_CHUNK_SIZE,
+  UPLOAD_SESSION_TTL,
+  UPLOAD_SESSION_CLEANUP_INTERVAL,
+  MAX_OPEN_SESSIONS_PER_IP,
+  MAX_OPEN_SESSION_BYTES_PER_IP
+};
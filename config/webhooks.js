@@ -0,0 +1,34 @@
+// Outgoing webhooks: request timeout and the retry schedule of failed deliveries
+const minutes = (name, fallback) => (parseFloat(process.env[name]) || fallback) * 60 * 1000;
+
+// Events endpoints can subscribe to
+const WEBHOOK_EVENTS = ['photo.approved', 'photo.rejected', 'photo.updated', 'photo.deleted'];
+
+const WEBHOOK_TIMEOUT = parseInt(process.env.WEBHOOK_TIMEOUT_MS, 10) || 10000;
+
+// Attempts per delivery; waits double from WEBHOOK_RETRY_DELAY up to the maximum
+const WEBHOOK_MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 8;
+const WEBHOOK_RETRY_DELAY = minutes('WEBHOOK_RETRY_DELAY_MINUTES', 1);
+const WEBHOOK_RETRY_MAX_DELAY = minutes('WEBHOOK_RETRY_MAX_DELAY_MINUTES', 6 * 60);
+
+// How often due deliveries are sent, and how many per run
+const WEBHOOK_DELIVERY_INTERVAL = (parseFloat(process.env.WEBHOOK_DELIVERY_INTERVAL_SECONDS) || 30) * 1000;
+const WEBHOOK_BATCH_SIZE = parseInt(process.env.WEBHOOK_BATCH_SIZE, 10) || 20;
+// A delivery stuck in 'sending' this long (crashed worker) is tried again
+const WEBHOOK_SENDING_TIMEOUT = minutes('WEBHOOK_SENDING_TIMEOUT_MINUTES', 10);
+
+// Let webhooks reach private and loopback addresses, for trying them out
+// against a local receiver; never set this on a public server
+const WEBHOOK_ALLOW_PRIVATE_URLS = process.env.WEBHOOK_ALLOW_PRIVATE_URLS === 'true';
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  WEBHOOK_TIMEOUT,
+  WEBHOOK_MAX_ATTEMPTS,
+  WEBHOOK_RETRY_DELAY,
+  WEBHOOK_RETRY_MAX_DELAY,
+  WEBHOOK_DELIVERY_INTERVAL,
+  WEBHOOK_BATCH_SIZE,
+  WEBHOOK_SENDING_TIMEOUT,
+  WEBHOOK_ALLOW_PRIVATE_URLS
+};
@@ -0,0 +1,137 @@
+const User = require('../models/User');
+const Contributor = require('../models/Contributor');
+const { verifySessionToken, hasRole } = require('../utils/auth');
+const { AuthenticationError, PermissionError } = require('../utils/errors');
+
+const invalidToken = () => new AuthenticationError('Invalid or expired session token', { code: 'INVALID_TOKEN' });
+
+/**
+ * Read and verify the Bearer token of a request
+ * @returns {object|null|undefined} - Token payload; null if invalid, undefined if none was sent
+ */
+function readSessionToken(req) {
+  const header = req.headers.authorization || '';
+  const [scheme, token] = header.split(' ');
+
+  if (scheme !== 'Bearer' || !token) {
+    return undefined;
+  }
+
+  return verifySessionToken(token);
+}
+
+/**
+ * Load the account a verified token was issued for
+ * @param {object} payload - Token payload
+ * @returns {Promise<{ user?: object, contributor?: object }|null>} - null if it no longer exists or was signed out
+ */
+async function loadTokenSubject(payload) {
+  if (payload.typ === 'contributor') {
+    const contributor = await Contributor.findById(payload.sub);
+    if (!contributor || !contributor.active || contributor.tokenVersion !== payload.ver) return null;
+    return { contributor };
+  }
+
+  // Tokens issued before contributors existed carry no typ
+  if (payload.typ && payload.typ !== 'user') return null;
+
+  const user = await User.findById(payload.sub);
+  if (!user || !user.active || user.tokenVersion !== payload.ver) return null;
+  return { user };
+}
+
+/**
+ * Require a valid moderator/admin session token and attach the user to req.user
+ */
+async function requireAuth(req, res, next) {
+  try {
+    const payload = readSessionToken(req);
+
+    if (payload === undefined) {
+      return next(new AuthenticationError());
+    }
+
+    const subject = payload && await loadTokenSubject(payload);
+    if (!subject || !subject.user) {
+      return next(invalidToken());
+    }
+
+    req.user = subject.user;
+    next();
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * Require a valid contributor session token and attach the contributor to req.contributor
+ */
+async function requireContributor(req, res, next) {
+  try {
+    const payload = readSessionToken(req);
+
+    if (payload === undefined) {
+      return next(new AuthenticationError());
+    }
+
+    const subject = payload && await loadTokenSubject(payload);
+    if (!subject || !subject.contributor) {
+      return next(invalidToken());
+    }
+
+    req.contributor = subject.contributor;
+    next();
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * Attach req.user (or req.contributor) when a valid session token is sent,
+ * but let anonymous requests through
+ */
+async function optionalAuth(req, res, next) {
+  try {
+    const payload = readSessionToken(req);
+
+    if (payload === undefined) {
+      return next();
+    }
+
+    const subject = payload && await loadTokenSubject(payload);
+    if (!subject) {
+      return next(invalidToken());
+    }
+
+    req.user = subject.user;
+    req.contributor = subject.contributor;
+    next();
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * Require the authenticated user to hold at least the given role
+ * @param {string} role - Minimum role ('moderator' or 'admin')
+ */
+function requireRole(role) {
+  return (req, res, next) => {
+    if (!req.user) {
+      return next(new AuthenticationError());
+    }
+
+    if (!hasRole(req.user.role, role)) {
+      return next(new PermissionError());
+    }
+
+    next();
+  };
+}
+
+module.exports = {
+  requireAuth,
+  requireContributor,
+  optionalAuth,
+  requireRole
+};
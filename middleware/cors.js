@@ -0,0 +1,95 @@
+// The one place CORS headers are decided. Each request is matched to a
+// policy from config/cors.js; the Origin is echoed back only when that
+// policy permits it, and credentials are only ever allowed for origins
+// on the allow-list.
+const cors = require('cors');
+const {
+  ALLOWED_HEADERS,
+  EXPOSED_HEADERS,
+  CORS_MAX_AGE,
+  CORS_POLICIES,
+  CORS_ROUTE_POLICIES,
+  CORS_DEFAULT_POLICY
+} = require('../config/cors');
+
+/**
+ * Find the policy that applies to a request path
+ * @param {string} path - Request path, e.g. /api/photos/approved
+ * @returns {string} - Policy name
+ */
+function getPolicyName(path) {
+  const route = CORS_ROUTE_POLICIES.find(({ path: prefix }) => path === prefix || path.startsWith(`${prefix}/`));
+  return route ? route.policy : CORS_DEFAULT_POLICY;
+}
+
+/**
+ * Work out what CORS answer a request gets
+ * @param {string|undefined} origin - The request's Origin header
+ * @param {string} path - Request path
+ * @returns {{ origin: string|null, policy: string, allowed: boolean, allowOrigin: string|null, credentials: boolean, methods: string[], reason: string }}
+ */
+function getCorsDecision(origin, path) {
+  const policyName = getPolicyName(path);
+  const policy = CORS_POLICIES[policyName];
+  const decision = {
+    origin: origin || null,
+    policy: policyName,
+    allowed: false,
+    allowOrigin: null,
+    credentials: false,
+    methods: policy.methods
+  };
+
+  if (!origin) {
+    return { ...decision, reason: 'No Origin header; not a cross-origin browser request' };
+  }
+
+  if (policy.origins === '*') {
+    return { ...decision, allowed: true, allowOrigin: '*', reason: 'Path is public; any origin may read it without credentials' };
+  }
+
+  if (policy.origins.includes(origin)) {
+    return {
+      ...decision,
+      allowed: true,
+      allowOrigin: origin,
+      credentials: policy.credentials,
+      reason: 'Origin is on the allow-list'
+    };
+  }
+
+  return { ...decision, reason: 'Origin is not on the allow-list' };
+}
+
+// The cors package, configured per request from getCorsDecision
+const applyCors = cors((req, callback) => {
+  const decision = getCorsDecision(req.headers.origin, req.path);
+
+  callback(null, {
+    origin: decision.allowed ? decision.allowOrigin : false,
+    credentials: decision.credentials,
+    methods: decision.methods,
+    allowedHeaders: ALLOWED_HEADERS,
+    exposedHeaders: EXPOSED_HEADERS,
+    maxAge: CORS_MAX_AGE
+  });
+});
+
+/**
+ * CORS middleware for the whole app. Disallowed origins get no CORS
+ * headers, so browsers block the response; preflights end here either way.
+ */
+function corsMiddleware(req, res, next) {
+  applyCors(req, res, () => {
+    // A refused preflight still ends here, just without CORS headers
+    if (req.method === 'OPTIONS' && req.headers['access-control-request-method']) {
+      return res.status(204).end();
+    }
+    next();
+  });
+}
+
+module.exports = {
+  getCorsDecision,
+  corsMiddleware
+};
@@ -0,0 +1,31 @@
+// The last two middlewares of the app: unknown routes, and turning any
+// error passed to next() into a JSON response via toErrorResponse
+const { NotFoundError, toErrorResponse } = require('../utils/errors');
+const { removeTempFile } = require('../services/upload');
+
+function notFoundHandler(req, res, next) {
+  next(new NotFoundError(`The requested resource '${req.originalUrl}' does not exist`, { code: 'ROUTE_NOT_FOUND' }));
+}
+
+async function errorHandler(err, req, res, next) {
+  const { status, body } = toErrorResponse(err);
+
+  if (status >= 500) {
+    console.error(`Server error on ${req.method} ${req.originalUrl}:`, err);
+  }
+
+  // Don't leave temp files behind for uploads that failed before reaching the upload service
+  const files = req.files || (req.file ? [req.file] : []);
+  await Promise.all(files.map(removeTempFile));
+
+  if (res.headersSent) {
+    return res.end();
+  }
+
+  res.status(status).json(body);
+}
+
+module.exports = {
+  notFoundHandler,
+  errorHandler
+};
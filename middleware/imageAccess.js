@@ -0,0 +1,34 @@
+// Guards locally stored images: private ones (photos not yet approved) are
+// only served for a valid signed URL, which the API hands to moderators.
+// Mounted in front of the static handler for LOCAL_STORAGE_PATH.
+const local = require('../utils/storage/local');
+
+function localImageAccess(req, res, next) {
+  // Check the path the static handler will actually serve (it decodes %xx)
+  let pathname;
+  try {
+    pathname = decodeURIComponent(req.path);
+  } catch (err) {
+    return res.status(400).end();
+  }
+
+  // The static handler resolves dot segments, so /<public id>/../<private id>/...
+  // would be checked against one image and serve another
+  const segments = pathname.split('/');
+  if (segments.some(segment => segment === '.' || segment === '..')) {
+    return res.status(404).end();
+  }
+
+  const id = segments[1];
+
+  if (!local.isPrivateImage(id) || local.verifyUrl(pathname, req.query)) {
+    return next();
+  }
+
+  // Same answer as a missing file, so private images can't be discovered
+  res.status(404).end();
+}
+
+module.exports = {
+  localImageAccess
+};
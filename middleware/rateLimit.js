@@ -0,0 +1,152 @@
+// Fixed-window request limits. Windows are aligned to the epoch (so a 24h
+// window resets at midnight UTC). Counts live in memory by default, or in
+// MongoDB with RATE_LIMIT_STORE=mongo.
+const RateLimitCounter = require('../models/RateLimitCounter');
+const { RATE_LIMIT_STORE } = require('../config/rateLimits');
+const { RateLimitError } = require('../utils/errors');
+
+/**
+ * Counters kept in this process; they reset when it restarts
+ */
+class MemoryStore {
+  constructor() {
+    this.hits = new Map();
+  }
+
+  async increment(key, windowStart, windowMs, cost) {
+    const id = `${key}@${windowStart}`;
+    const count = (this.hits.get(id) || 0) + cost;
+    this.hits.set(id, count);
+    return count;
+  }
+
+  async decrement(key, windowStart, cost) {
+    const id = `${key}@${windowStart}`;
+    const count = (this.hits.get(id) || 0) - cost;
+    if (count > 0) this.hits.set(id, count);
+    else this.hits.delete(id);
+  }
+
+  // Drop finished windows so the map doesn't grow forever
+  sweep(windowMs) {
+    const current = Math.floor(Date.now() / windowMs) * windowMs;
+    for (const id of this.hits.keys()) {
+      if (Number(id.slice(id.lastIndexOf('@') + 1)) < current) this.hits.delete(id);
+    }
+  }
+}
+
+/**
+ * Counters kept in the RateLimitCounter collection
+ */
+class MongoStore {
+  async increment(key, windowStart, windowMs, cost) {
+    const update = {
+      $inc: { count: cost },
+      $setOnInsert: { expiresAt: new Date(windowStart + windowMs) }
+    };
+    const filter = { key, windowStart: new Date(windowStart) };
+
+    try {
+      const counter = await RateLimitCounter.findOneAndUpdate(filter, update, { upsert: true, new: true });
+      return counter.count;
+    } catch (err) {
+      // Two requests raced to create the same counter; the second one can just update it
+      if (err.code !== 11000) throw err;
+      const counter = await RateLimitCounter.findOneAndUpdate(filter, update, { new: true });
+      return counter.count;
+    }
+  }
+
+  async decrement(key, windowStart, cost) {
+    await RateLimitCounter.updateOne({ key, windowStart: new Date(windowStart) }, { $inc: { count: -cost } });
+  }
+
+  sweep() {
+    // MongoDB's TTL index removes expired counters
+  }
+}
+
+/**
+ * Identify the requesting client by IP address
+ */
+function clientIp(req) {
+  return req.ip || (req.socket && req.socket.remoteAddress) || 'unknown';
+}
+
+/**
+ * Create middleware that allows `max` units per key per `windowMs`.
+ * Requests over the limit get a 429 with Retry-After and don't count
+ * against the key.
+ * @param {object} options
+ * @param {string} options.name - Prefix that keeps this limiter's keys apart from others
+ * @param {number} options.windowMs - Window length
+ * @param {number} options.max - Units allowed per window (0 turns the limit off)
+ * @param {Function} options.keyGenerator - req → key; returning null skips the check
+ * @param {Function} options.cost - req → units the request uses (default 1)
+ * @param {Function} options.skip - req → true to let the request through unchecked
+ * @param {string} options.message - Error message in the 429 body
+ * @param {string} options.code - Error code in the 429 body
+ * @returns {Function} - Express middleware
+ */
+function rateLimit({
+  name = 'default',
+  windowMs,
+  max,
+  keyGenerator = clientIp,
+  cost = () => 1,
+  skip = () => false,
+  message = 'Too many requests, please try again later',
+  code = 'RATE_LIMITED'
+}) {
+  if (!max) {
+    return (req, res, next) => next();
+  }
+
+  const store = RATE_LIMIT_STORE === 'mongo' ? new MongoStore() : new MemoryStore();
+  setInterval(() => store.sweep(windowMs), windowMs).unref();
+
+  return async (req, res, next) => {
+    let key;
+    let units;
+    let windowStart;
+    let used;
+
+    try {
+      key = skip(req) ? null : keyGenerator(req);
+      if (!key) return next();
+
+      units = Math.max(1, cost(req));
+      windowStart = Math.floor(Date.now() / windowMs) * windowMs;
+      used = await store.increment(`${name}:${key}`, windowStart, windowMs, units);
+    } catch (err) {
+      // A broken counter store shouldn't take the API down with it
+      console.error(`Rate limiter ${name} failed, letting request through:`, err);
+      return next();
+    }
+
+    const resetAt = windowStart + windowMs;
+    res.set('X-RateLimit-Limit', String(max));
+    res.set('X-RateLimit-Reset', String(Math.ceil(resetAt / 1000)));
+
+    if (used > max) {
+      store.decrement(`${name}:${key}`, windowStart, units).catch(err => {
+        console.error(`Rate limiter ${name} could not refund a rejected request:`, err);
+      });
+
+      const retryAfter = Math.max(1, Math.ceil((resetAt - Date.now()) / 1000));
+      res.set('X-RateLimit-Remaining', String(Math.max(0, max - (used - units))));
+      res.set('Retry-After', String(retryAfter));
+
+      return next(new RateLimitError(message, { code, retryAfter }));
+    }
+
+    res.set('X-RateLimit-Remaining', String(max - used));
+    next();
+  };
+}
+
+module.exports = {
+  clientIp,
+  rateLimit
+};
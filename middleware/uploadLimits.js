@@ -0,0 +1,94 @@
+// Abuse protection for the upload endpoints: per-IP and per-contributor
+// rate limits, a daily per-IP file quota and, optionally, a proof-of-work
+// challenge for anonymous uploads. Moderators are exempt from all of it.
+const { optionalAuth } = require('./auth');
+const { rateLimit } = require('./rateLimit');
+const { hasRole } = require('../utils/auth');
+const { redeemChallenge } = require('../utils/challenge');
+const { AppError, PermissionError } = require('../utils/errors');
+const {
+  UPLOAD_RATE_LIMIT,
+  CONTRIBUTOR_UPLOAD_LIMIT,
+  UPLOAD_RATE_WINDOW,
+  DAILY_UPLOAD_QUOTA,
+  UPLOAD_CHALLENGE
+} = require('../config/rateLimits');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+function isModerator(req) {
+  return Boolean(req.user && hasRole(req.user.role, 'moderator'));
+}
+
+const uploadRateLimit = rateLimit({
+  name: 'upload',
+  windowMs: UPLOAD_RATE_WINDOW,
+  max: UPLOAD_RATE_LIMIT,
+  skip: isModerator,
+  message: 'Too many uploads from this address, please try again later'
+});
+
+// Needs the form fields, so it runs after the body has been read
+const contributorUploadLimit = rateLimit({
+  name: 'contributor',
+  windowMs: UPLOAD_RATE_WINDOW,
+  max: CONTRIBUTOR_UPLOAD_LIMIT,
+  skip: isModerator,
+  keyGenerator: req => {
+    if (req.contributor) return `id:${req.contributor._id}`;
+
+    const contributor = req.body && req.body.contributor;
+    return contributor ? String(contributor).trim().toLowerCase() : null;
+  },
+  message: 'Too many uploads for this contributor, please try again later'
+});
+
+// Counts files rather than requests, so a batch uses one per file
+const dailyUploadQuota = rateLimit({
+  name: 'daily',
+  windowMs: DAY,
+  max: DAILY_UPLOAD_QUOTA,
+  skip: isModerator,
+  cost: req => (req.files ? req.files.length : 1),
+  message: 'Daily upload quota reached for this address',
+  code: 'QUOTA_EXCEEDED'
+});
+
+/**
+ * With UPLOAD_CHALLENGE=pow, require a solved challenge from
+ * GET /api/photos/upload-challenge in the X-Upload-Challenge and
+ * X-Upload-Solution headers
+ */
+function requireUploadChallenge(req, res, next) {
+  if (UPLOAD_CHALLENGE !== 'pow' || isModerator(req)) {
+    return next();
+  }
+
+  const challenge = req.get('X-Upload-Challenge');
+  const solution = req.get('X-Upload-Solution');
+
+  if (!challenge || !solution) {
+    return next(new AppError('Anonymous uploads need a solved challenge from /api/photos/upload-challenge', {
+      status: 428,
+      code: 'CHALLENGE_REQUIRED'
+    }));
+  }
+
+  const problem = redeemChallenge(challenge, solution);
+  if (problem) {
+    return next(new PermissionError(problem, { code: 'CHALLENGE_FAILED' }));
+  }
+
+  next();
+}
+
+// Checks that can run before the (possibly large) body is read
+const beforeUploadBody = [optionalAuth, uploadRateLimit, requireUploadChallenge];
+
+// Checks that need the parsed form fields and files
+const afterUploadBody = [contributorUploadLimit, dailyUploadQuota];
+
+module.exports = {
+  beforeUploadBody,
+  afterUploadBody
+};
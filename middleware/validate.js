@@ -0,0 +1,211 @@
+// Declarative request validation. Each route lists the params, query and
+// body fields it understands; values are checked (and coerced, e.g. "20"
+// to 20 for an integer) before the handler runs, and every problem is
+// reported in one 400 naming the field.
+//
+//   router.get('/:id', validate({
+//     params: { id: { type: 'objectId', required: true } },
+//     query: { limit: { type: 'integer', min: 1 } }
+//   }), handler);
+//
+// Rule options: type, required, default, nullable (null/'' allowed, read as
+// null), plus per type: minLength/maxLength/pattern (string), min/max
+// (integer, number), values (enum, list), maxItems (list, array).
+// A schema may set `$strict: true` to refuse fields it doesn't list.
+const mongoose = require('mongoose');
+const { ValidationError } = require('../utils/errors');
+
+const TRUE_VALUES = ['true', '1', 'yes', 'on'];
+const FALSE_VALUES = ['false', '0', 'no', 'off'];
+
+/**
+ * Split a comma-separated string (or take an array) into trimmed strings
+ */
+function toList(value) {
+  const items = Array.isArray(value) ? value : String(value).split(',');
+  return items.map(item => String(item).trim()).filter(Boolean);
+}
+
+// Each checker returns { value } or { error }, the error finishing the
+// sentence "<field> must ..."
+const CHECKERS = {
+  string(value, rule) {
+    if (typeof value !== 'string' && typeof value !== 'number') return { error: 'be a string' };
+    const text = String(value).trim();
+    if (rule.minLength && text.length < rule.minLength) return { error: `be at least ${rule.minLength} characters` };
+    if (rule.maxLength && text.length > rule.maxLength) return { error: `be at most ${rule.maxLength} characters` };
+    if (rule.pattern && !rule.pattern.test(text)) return { error: rule.patternMessage || 'have a valid format' };
+    return { value: text };
+  },
+
+  integer(value, rule) {
+    const number = typeof value === 'number' ? value : Number(String(value).trim());
+    if (String(value).trim() === '' || !Number.isInteger(number)) return { error: 'be an integer' };
+    return checkRange(number, rule);
+  },
+
+  number(value, rule) {
+    const number = typeof value === 'number' ? value : Number(String(value).trim());
+    if (String(value).trim() === '' || !Number.isFinite(number)) return { error: 'be a number' };
+    return checkRange(number, rule);
+  },
+
+  boolean(value) {
+    if (typeof value === 'boolean') return { value };
+    const text = String(value).trim().toLowerCase();
+    if (TRUE_VALUES.includes(text)) return { value: true };
+    if (FALSE_VALUES.includes(text)) return { value: false };
+    return { error: 'be true or false' };
+  },
+
+  objectId(value) {
+    if (!mongoose.isValidObjectId(value)) return { error: 'be a valid id' };
+    return { value: String(value) };
+  },
+
+  enum(value, rule) {
+    if (!rule.values.includes(value)) return { error: `be one of ${rule.values.join(', ')}` };
+    return { value };
+  },
+
+  list(value, rule) {
+    if (typeof value !== 'string' && !Array.isArray(value)) return { error: 'be a list' };
+    const items = toList(value);
+    if (rule.maxItems && items.length > rule.maxItems) return { error: `have at most ${rule.maxItems} entries` };
+    if (rule.values) {
+      const unknown = items.filter(item => !rule.values.includes(item));
+      if (unknown.length) return { error: `only contain ${rule.values.join(', ')} (got ${unknown.join(', ')})` };
+    }
+    return { value: items };
+  },
+
+  array(value, rule) {
+    if (!Array.isArray(value)) return { error: 'be an array' };
+    if (rule.maxItems && value.length > rule.maxItems) return { error: `have at most ${rule.maxItems} entries` };
+    return { value };
+  },
+
+  object(value) {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) return { error: 'be an object' };
+    return { value };
+  },
+
+  date(value) {
+    const date = new Date(value);
+    if (value === '' || Number.isNaN(date.getTime())) return { error: 'be a date' };
+    return { value: date };
+  },
+
+  any(value) {
+    return { value };
+  }
+};
+
+function checkRange(number, rule) {
+  if (rule.min !== undefined && number < rule.min) return { error: `be at least ${rule.min}` };
+  if (rule.max !== undefined && number > rule.max) return { error: `be at most ${rule.max}` };
+  return { value: number };
+}
+
+/**
+ * Check one request location against its schema
+ * @param {object} schema - field → rule
+ * @param {object} input - req.params, req.query or req.body
+ * @param {string} location - params, query or body
+ * @returns {{ value: object, errors: object[] }} - Coerced input and the problems found
+ */
+function checkSchema(schema, input, location) {
+  const value = { ...input };
+  const errors = [];
+  const fail = (field, message) => errors.push({ location, field, message: `${field} ${message}` });
+
+  for (const [field, rule] of Object.entries(schema)) {
+    if (field === '$strict') continue;
+
+    const raw = input[field];
+    const missing = raw === undefined || (raw === '' && rule.type !== 'string');
+
+    if (raw === null || (raw === '' && rule.nullable)) {
+      if (rule.nullable) {
+        value[field] = null;
+      } else {
+        fail(field, 'may not be empty');
+      }
+      continue;
+    }
+
+    if (missing) {
+      if (rule.required) {
+        fail(field, 'is required');
+      } else if (rule.default !== undefined) {
+        value[field] = rule.default;
+      } else {
+        delete value[field];
+      }
+      continue;
+    }
+
+    const checker = CHECKERS[rule.type || 'string'];
+    if (!checker) {
+      throw new Error(`Unknown validation type "${rule.type}" for ${location}.${field}`);
+    }
+
+    const result = checker(raw, rule);
+    if (result.error) {
+      fail(field, `must ${result.error}`);
+    } else if (rule.required && result.value === '') {
+      fail(field, 'is required');
+    } else {
+      value[field] = result.value;
+    }
+  }
+
+  if (schema.$strict) {
+    Object.keys(input)
+      .filter(field => !(field in schema))
+      .forEach(field => fail(field, 'is not allowed'));
+  }
+
+  return { value, errors };
+}
+
+/**
+ * Middleware validating req.params, req.query and req.body against schemas
+ * @param {object} schemas - { params, query, body }
+ * @returns {Function} - Express middleware
+ */
+function validate(schemas) {
+  return (req, res, next) => {
+    const errors = [];
+
+    for (const location of ['params', 'query', 'body']) {
+      if (!schemas[location]) continue;
+
+      const { value, errors: found } = checkSchema(schemas[location], req[location] || {}, location);
+      errors.push(...found);
+      req[location] = value;
+    }
+
+    if (errors.length > 0) {
+      const message = errors.length === 1 ? errors[0].message : `${errors.length} request fields are invalid`;
+      return next(new ValidationError(message, errors));
+    }
+
+    next();
+  };
+}
+
+// Common rules
+const objectIdParam = { type: 'objectId', required: true };
+const paginationQuery = {
+  limit: { type: 'integer', min: 1 },
+  cursor: { type: 'string', maxLength: 1000 },
+  fields: { type: 'string', maxLength: 1000 }
+};
+
+module.exports = {
+  validate,
+  checkSchema,
+  objectIdParam,
+  paginationQuery
+};
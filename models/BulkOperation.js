@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+
+// Result of a bulk moderation request, kept for a day so that a retry with
+// the same Idempotency-Key gets the original result instead of re-running
+const BulkOperationSchema = new mongoose.Schema({
+  idempotencyKey: {
+    type: String,
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Hash of the request body, so a reused key with a different request is refused
+  requestHash: {
+    type: String,
+    required: true
+  },
+  result: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    expires: 24 * 60 * 60
+  }
+});
+
+BulkOperationSchema.index({ user: 1, idempotencyKey: 1 }, { unique: true });
+
+module.exports = mongoose.model('BulkOperation', BulkOperationSchema);
@@ -0,0 +1,71 @@
+const mongoose = require('mongoose');
+
+// A member of the public who signs in by email to follow their submissions.
+// Uploading never requires an account.
+const ContributorSchema = new mongoose.Schema({
+  email: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+    lowercase: true
+  },
+  // Name credited on their photos
+  displayName: {
+    type: String,
+    trim: true,
+    maxlength: 100,
+    default: null
+  },
+  active: {
+    type: Boolean,
+    default: true
+  },
+  // Email me when a moderator approves or rejects one of my photos
+  emailNotifications: {
+    type: Boolean,
+    default: true
+  },
+  // Bumped to invalidate every session issued before it
+  tokenVersion: {
+    type: Number,
+    default: 0
+  },
+  // SHA-256 of the outstanding sign-in link token; cleared when used
+  loginTokenHash: {
+    type: String,
+    default: null,
+    select: false
+  },
+  loginTokenExpiresAt: {
+    type: Date,
+    default: null,
+    select: false
+  },
+  // Set the first time a sign-in link is used
+  emailVerifiedAt: {
+    type: Date,
+    default: null
+  },
+  lastLoginAt: {
+    type: Date,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+ContributorSchema.index({ loginTokenHash: 1 });
+
+ContributorSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.loginTokenHash;
+    delete ret.loginTokenExpiresAt;
+    delete ret.tokenVersion;
+    return ret;
+  }
+});
+
+module.exports = mongoose.model('Contributor', ContributorSchema);
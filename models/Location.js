@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+
+const LOCATION_TYPES = ['building', 'floor', 'room'];
+
+// Type each location type must be nested under
+const PARENT_TYPES = {
+  building: null,
+  floor: 'building',
+  room: 'floor'
+};
+
+const LocationSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: LOCATION_TYPES,
+    required: true
+  },
+  // Identifier stored on photos as floorId / roomId
+  key: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Location',
+    default: null
+  },
+  // Display order among siblings
+  order: {
+    type: Number,
+    default: 0
+  },
+  // Optional position on the frontend map
+  coordinates: {
+    x: { type: Number },
+    y: { type: Number }
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+LocationSchema.index({ parent: 1, key: 1 }, { unique: true });
+LocationSchema.index({ type: 1, key: 1 });
+
+LocationSchema.pre('save', function(next) {
+  this.updatedAt = new Date();
+  next();
+});
+
+LocationSchema.statics.LOCATION_TYPES = LOCATION_TYPES;
+LocationSchema.statics.PARENT_TYPES = PARENT_TYPES;
+
+module.exports = mongoose.model('Location', LocationSchema);
@@ -0,0 +1,73 @@
+const mongoose = require('mongoose');
+
+const MODERATION_ACTIONS = ['approve', 'reject', 'restore', 'purge', 'retag'];
+
+// Append-only record of every moderation decision
+const ModerationEventSchema = new mongoose.Schema({
+  photo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Photo',
+    required: true
+  },
+  action: {
+    type: String,
+    enum: MODERATION_ACTIONS,
+    required: true
+  },
+  // Moderator who acted (null for system jobs)
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // Username at the time, kept in case the account is renamed
+  actorName: {
+    type: String,
+    default: 'system'
+  },
+  reason: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  // Action-specific data, e.g. the tags added and removed by a retag
+  details: {
+    type: mongoose.Schema.Types.Mixed,
+    default: undefined
+  },
+  // Moderation fields of the photo before this action
+  previousState: {
+    status: String,
+    approvedAt: Date,
+    approvedBy: mongoose.Schema.Types.ObjectId,
+    rejectedAt: Date,
+    rejectedBy: mongoose.Schema.Types.ObjectId,
+    purgeAfter: Date
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    immutable: true
+  }
+});
+
+ModerationEventSchema.index({ photo: 1, createdAt: -1 });
+ModerationEventSchema.index({ createdAt: -1 });
+ModerationEventSchema.index({ actor: 1, createdAt: -1 });
+
+// Events are never changed or removed once written
+function refuseChange(next) {
+  next(new Error('Moderation events are append-only'));
+}
+
+ModerationEventSchema.pre('save', function(next) {
+  if (!this.isNew) return refuseChange(next);
+  next();
+});
+['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'deleteOne', 'deleteMany', 'findOneAndDelete'].forEach(op => {
+  ModerationEventSchema.pre(op, refuseChange);
+});
+
+ModerationEventSchema.statics.MODERATION_ACTIONS = MODERATION_ACTIONS;
+
+module.exports = mongoose.model('ModerationEvent', ModerationEventSchema);
@@ -0,0 +1,77 @@
+const mongoose = require('mongoose');
+
+const NOTIFICATION_CHANNELS = ['email', 'webhook'];
+const NOTIFICATION_STATUSES = ['pending', 'sending', 'sent', 'failed'];
+
+// Outbox of notifications. Each entry is one message to one recipient,
+// delivered in the background and retried until it goes through or runs
+// out of attempts.
+const NotificationSchema = new mongoose.Schema({
+  channel: {
+    type: String,
+    enum: NOTIFICATION_CHANNELS,
+    required: true
+  },
+  // Event that caused it, e.g. 'photo.approved' or 'moderation.digest'
+  event: {
+    type: String,
+    required: true
+  },
+  // Email address or webhook URL
+  recipient: {
+    type: String,
+    required: true
+  },
+  subject: {
+    type: String,
+    default: null
+  },
+  text: {
+    type: String,
+    required: true
+  },
+  // Structured data sent along with webhook messages
+  data: {
+    type: mongoose.Schema.Types.Mixed,
+    default: undefined
+  },
+  status: {
+    type: String,
+    enum: NOTIFICATION_STATUSES,
+    default: 'pending'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  // When a worker took it; a stale lock means the worker died mid-send
+  lockedAt: {
+    type: Date,
+    default: null
+  },
+  lastError: {
+    type: String,
+    default: null
+  },
+  sentAt: {
+    type: Date,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+NotificationSchema.index({ status: 1, nextAttemptAt: 1 });
+NotificationSchema.index({ event: 1, createdAt: -1 });
+NotificationSchema.index({ createdAt: -1 });
+
+NotificationSchema.statics.NOTIFICATION_CHANNELS = NOTIFICATION_CHANNELS;
+NotificationSchema.statics.NOTIFICATION_STATUSES = NOTIFICATION_STATUSES;
+
+module.exports = mongoose.model('Notification', NotificationSchema);
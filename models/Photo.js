@@ -1,15 +1,93 @@
 const mongoose = require('mongoose');
+const { CAPTURE_DATE_PRECISIONS } = require('../utils/photoMetadata');
+const { SEARCH_FIELD_WEIGHTS } = require('../utils/search');
+
+// When the photo was actually taken, kept as a range so that
+// "circa 1920s" or "1950-1955" can be stored and searched
+const CaptureDateSchema = new mongoose.Schema({
+  start: {
+    type: Date,
+    default: null
+  },
+  end: {
+    type: Date,
+    default: null
+  },
+  precision: {
+    type: String,
+    enum: CAPTURE_DATE_PRECISIONS,
+    default: 'unknown'
+  },
+  approximate: {
+    type: Boolean,
+    default: false
+  },
+  // Label as entered, e.g. "circa 1920s"
+  display: {
+    type: String,
+    default: 'Unknown date'
+  }
+}, { _id: false });
 
 const PhotoSchema = new mongoose.Schema({
+  // Name credited with the photo
   contributor: {
     type: String,
     required: true,
     trim: true
   },
+  // Signed-in contributor who submitted (or later claimed) the photo
+  submittedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Contributor',
+    default: null
+  },
+  // SHA-256 of the claim token given to an anonymous submitter
+  claimTokenHash: {
+    type: String,
+    default: null,
+    select: false
+  },
   date: {
-    type: String, // Stored as "Mon YYYY"
+    type: String, // Upload date, stored as "Mon YYYY"
     required: true
   },
+  title: {
+    type: String,
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  captureDate: {
+    type: CaptureDateSchema,
+    default: () => ({})
+  },
+  // Names of people depicted
+  people: {
+    type: [String],
+    default: []
+  },
+  tags: {
+    type: [String],
+    default: []
+  },
+  // Source or collection the photo comes from
+  source: {
+    type: String,
+    trim: true
+  },
+  // Rights holder and/or licence
+  rights: {
+    type: String,
+    trim: true
+  },
+  // Free-text note about where the photo was taken
+  locationNote: {
+    type: String,
+    trim: true
+  },
   floorId: {
     type: String,
     required: true
@@ -23,13 +101,14 @@ const PhotoSchema = new mongoose.Schema({
     type: String,
     required: false
   },
-  // Cloudflare image ID
-  cloudflareId: {
+  // Storage backend holding the image ('cloudflare' or 'local')
+  storageProvider: {
     type: String,
-    required: true
+    required: true,
+    default: 'cloudflare'
   },
-  // Cloudflare image URL
-  imageUrl: {
+  // Image ID within the storage backend
+  storageKey: {
     type: String,
     required: true
   },
@@ -37,6 +116,53 @@ const PhotoSchema = new mongoose.Schema({
     type: String,
     required: false
   },
+  // Dimensions and size of the stored (processed) image, for layout
+  width: {
+    type: Number,
+    default: null
+  },
+  height: {
+    type: Number,
+    default: null
+  },
+  fileSize: {
+    type: Number,
+    default: null
+  },
+  // Non-sensitive EXIF fields read at upload time. capturedAt is kept apart
+  // from captureDate because scans carry the scan date, not the photo's.
+  exif: {
+    capturedAt: Date,
+    cameraMake: String,
+    cameraModel: String,
+    lensModel: String,
+    software: String
+  },
+  // SHA-256 of the uploaded file, used to refuse exact duplicates
+  contentHash: {
+    type: String,
+    default: null
+  },
+  // 64-bit dHash (hex), used to spot re-cropped or re-compressed copies
+  perceptualHash: {
+    type: String,
+    default: null
+  },
+  // perceptualHash split into bands (see utils/duplicates.js), the index
+  // near-duplicate candidates are looked up by
+  perceptualHashBands: {
+    type: [String],
+    default: []
+  },
+  // Near-duplicates found at upload time, for moderators to review
+  possibleDuplicates: [{
+    _id: false,
+    photo: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Photo'
+    },
+    distance: Number
+  }],
   status: {
     type: String,
     enum: ['pending', 'approved', 'rejected'],
@@ -49,6 +175,69 @@ const PhotoSchema = new mongoose.Schema({
   approvedAt: {
     type: Date,
     default: null
+  },
+  // Moderator who approved the photo
+  approvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  rejectedAt: {
+    type: Date,
+    default: null
+  },
+  // Moderator who rejected the photo
+  rejectedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // Rejected photos keep their stored image until this date, so they can be restored
+  purgeAfter: {
+    type: Date,
+    default: null
+  },
+  // When the stored image of a rejected photo was deleted
+  purgedAt: {
+    type: Date,
+    default: null
+  }
+});
+
+// Photos stored before storageProvider/storageKey, which fail validation on
+// save until scripts/migrate-storage-fields.js has moved them over. Query the
+// raw collection with it, since `cloudflareId` is no longer in the schema.
+PhotoSchema.statics.UNMIGRATED_STORAGE_FILTER = {
+  cloudflareId: { $exists: true },
+  storageKey: { $exists: false }
+};
+
+PhotoSchema.index({ tags: 1 });
+// Listings by status, newest first, and their cursor pages
+PhotoSchema.index({ status: 1, submittedAt: -1, _id: -1 });
+// One live photo per file content; rejected photos don't count, so a
+// contributor can resubmit. $in in a partial index needs MongoDB 6.0 or later.
+PhotoSchema.index({ contentHash: 1 }, {
+  unique: true,
+  partialFilterExpression: { contentHash: { $type: 'string' }, status: { $in: ['pending', 'approved'] } }
+});
+PhotoSchema.index({ perceptualHashBands: 1 });
+PhotoSchema.index({ submittedBy: 1, submittedAt: -1 });
+PhotoSchema.index({ claimTokenHash: 1 });
+PhotoSchema.index({ status: 1, purgeAfter: 1 });
+PhotoSchema.index({ 'captureDate.start': 1, 'captureDate.end': 1 });
+
+// Text index backing GET /api/photos/search
+PhotoSchema.index(
+  Object.fromEntries(Object.keys(SEARCH_FIELD_WEIGHTS).map(field => [field, 'text'])),
+  { name: 'photo_text_search', weights: SEARCH_FIELD_WEIGHTS }
+);
+
+// The claim token hash is never sent, even on a freshly created photo
+PhotoSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.claimTokenHash;
+    return ret;
   }
 });
 
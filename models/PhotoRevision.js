@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+
+// One metadata edit of a photo, with the before and after value of each changed field
+const PhotoRevisionSchema = new mongoose.Schema({
+  photo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Photo',
+    required: true
+  },
+  // 1, 2, 3... per photo
+  revision: {
+    type: Number,
+    required: true
+  },
+  editor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  editorName: {
+    type: String,
+    default: 'system'
+  },
+  changes: [{
+    _id: false,
+    field: String,
+    from: mongoose.Schema.Types.Mixed,
+    to: mongoose.Schema.Types.Mixed
+  }],
+  comment: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  // Set when this revision undid (part of) an earlier one
+  revertOf: {
+    type: Number,
+    default: null
+  },
+  // Visitor suggestion this edit applied, if any
+  suggestion: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Suggestion',
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+PhotoRevisionSchema.index({ photo: 1, revision: 1 }, { unique: true });
+
+module.exports = mongoose.model('PhotoRevision', PhotoRevisionSchema);
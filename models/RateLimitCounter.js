@@ -0,0 +1,28 @@
+const mongoose = require('mongoose');
+
+// Request count for one rate-limit key in one window. Used when
+// RATE_LIMIT_STORE=mongo so every server instance shares the same counts.
+const RateLimitCounterSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true
+  },
+  windowStart: {
+    type: Date,
+    required: true
+  },
+  count: {
+    type: Number,
+    default: 0
+  },
+  // Removed by MongoDB once the window is over
+  expiresAt: {
+    type: Date,
+    required: true,
+    expires: 0
+  }
+});
+
+RateLimitCounterSchema.index({ key: 1, windowStart: 1 }, { unique: true });
+
+module.exports = mongoose.model('RateLimitCounter', RateLimitCounterSchema);
@@ -0,0 +1,78 @@
+const mongoose = require('mongoose');
+
+const SUGGESTION_STATUSES = ['pending', 'accepted', 'rejected', 'merged'];
+
+// A visitor's proposed correction to an approved photo's metadata
+const SuggestionSchema = new mongoose.Schema({
+  photo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Photo',
+    required: true
+  },
+  // Proposed values, keyed by photo field, as submitted (validated on submit and again on accept)
+  changes: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  note: {
+    type: String,
+    trim: true
+  },
+  submitterName: {
+    type: String,
+    trim: true
+  },
+  submitterEmail: {
+    type: String,
+    trim: true,
+    lowercase: true
+  },
+  // Hash of the submitting client's IP, to spot repeat submitters without storing the address
+  clientHash: {
+    type: String
+  },
+  status: {
+    type: String,
+    enum: SUGGESTION_STATUSES,
+    default: 'pending'
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  reviewedAt: {
+    type: Date,
+    default: null
+  },
+  reviewNote: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  // PhotoRevision number created when the suggestion was accepted
+  revision: {
+    type: Number,
+    default: null
+  },
+  mergedInto: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Suggestion',
+    default: null
+  },
+  mergedFrom: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Suggestion'
+  }],
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+SuggestionSchema.index({ status: 1, createdAt: -1 });
+SuggestionSchema.index({ photo: 1, status: 1 });
+
+SuggestionSchema.statics.SUGGESTION_STATUSES = SUGGESTION_STATUSES;
+
+module.exports = mongoose.model('Suggestion', SuggestionSchema);
@@ -0,0 +1,82 @@
+const mongoose = require('mongoose');
+
+// A resumable upload in progress: chunks are PUT one at a time and
+// assembled into a normal upload once every chunk has arrived
+const UploadSessionSchema = new mongoose.Schema({
+  // Random, unguessable ID used in URLs
+  uploadId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  fileName: {
+    type: String,
+    required: true
+  },
+  fileSize: {
+    type: Number,
+    required: true
+  },
+  chunkSize: {
+    type: Number,
+    required: true
+  },
+  totalChunks: {
+    type: Number,
+    required: true
+  },
+  // Indexes of the chunks received so far
+  receivedChunks: {
+    type: [Number],
+    default: []
+  },
+  // Optional SHA-256 of the whole file, checked when the upload completes
+  sha256: {
+    type: String,
+    default: null
+  },
+  // Form fields passed to the upload pipeline on completion
+  fields: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  // IP the session was started from, for the per-IP caps on open sessions
+  clientIp: {
+    type: String,
+    default: null
+  },
+  // Contributor who started the upload while signed in
+  submittedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Contributor',
+    default: null
+  },
+  status: {
+    type: String,
+    enum: ['open', 'completing', 'completed', 'failed', 'aborted'],
+    default: 'open'
+  },
+  photo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Photo',
+    default: null
+  },
+  error: {
+    type: String,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Pushed forward on every chunk; abandoned sessions are purged after this
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+});
+
+UploadSessionSchema.index({ expiresAt: 1 });
+UploadSessionSchema.index({ clientIp: 1, status: 1 });
+
+module.exports = mongoose.model('UploadSession', UploadSessionSchema);
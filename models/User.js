@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+const { ROLES } = require('../utils/auth');
+
+const UserSchema = new mongoose.Schema({
+  username: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+    lowercase: true
+  },
+  displayName: {
+    type: String,
+    trim: true
+  },
+  // scrypt hash, never returned in API responses
+  passwordHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  role: {
+    type: String,
+    enum: ROLES,
+    default: 'moderator'
+  },
+  active: {
+    type: Boolean,
+    default: true
+  },
+  // Bumped to invalidate every token issued before it
+  tokenVersion: {
+    type: Number,
+    default: 0
+  },
+  lastLoginAt: {
+    type: Date,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+UserSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.passwordHash;
+    delete ret.tokenVersion;
+    return ret;
+  }
+});
+
+module.exports = mongoose.model('User', UserSchema);
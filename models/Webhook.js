@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+const { WEBHOOK_EVENTS } = require('../config/webhooks');
+
+// An endpoint registered by an admin to receive photo events
+const WebhookSchema = new mongoose.Schema({
+  url: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Events it subscribes to
+  events: {
+    type: [{ type: String, enum: WEBHOOK_EVENTS }],
+    required: true
+  },
+  description: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  // HMAC key for the X-Webhook-Signature header; shown once, when created
+  secret: {
+    type: String,
+    required: true,
+    select: false
+  },
+  active: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+WebhookSchema.index({ active: 1, events: 1 });
+
+WebhookSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.secret;
+    return ret;
+  }
+});
+
+module.exports = mongoose.model('Webhook', WebhookSchema);
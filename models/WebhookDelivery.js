@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+
+const DELIVERY_STATUSES = ['pending', 'sending', 'delivered', 'failed'];
+
+// One event sent to one webhook, with a log of every attempt. Redelivering
+// creates a new delivery carrying the same event id and payload.
+const WebhookDeliverySchema = new mongoose.Schema({
+  webhook: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Webhook',
+    required: true
+  },
+  event: {
+    type: String,
+    required: true
+  },
+  // Unique per event; receivers can use it to drop duplicates
+  eventId: {
+    type: String,
+    required: true
+  },
+  // JSON body sent to the endpoint
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: DELIVERY_STATUSES,
+    default: 'pending'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  // When a worker took it; a stale lock means the worker died mid-send
+  lockedAt: {
+    type: Date,
+    default: null
+  },
+  attemptLog: [{
+    _id: false,
+    at: Date,
+    responseStatus: Number,
+    responseBody: String,
+    error: String,
+    durationMs: Number
+  }],
+  deliveredAt: {
+    type: Date,
+    default: null
+  },
+  // Delivery this one repeats, when sent with the redeliver route
+  redeliveryOf: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'WebhookDelivery',
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+WebhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+WebhookDeliverySchema.index({ webhook: 1, createdAt: -1 });
+
+WebhookDeliverySchema.statics.DELIVERY_STATUSES = DELIVERY_STATUSES;
+
+module.exports = mongoose.model('WebhookDelivery', WebhookDeliverySchema);
@@ -1,15 +1,48 @@
+const crypto = require('crypto');
 const express = require('express');
 const mongoose = require('mongoose');
 const router = express.Router();
 const Photo = require('../models/Photo');
+const User = require('../models/User');
+const Location = require('../models/Location');
+const ModerationEvent = require('../models/ModerationEvent');
+const BulkOperation = require('../models/BulkOperation');
+const Suggestion = require('../models/Suggestion');
+const Notification = require('../models/Notification');
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const { findUnmatchedPhotoLocations } = require('../utils/locations');
+const { restorePhoto, bulkModerate } = require('../services/moderation');
+const { acceptSuggestion, rejectSuggestion, mergeSuggestion } = require('../services/suggestions');
+const { retryNotification, sendModeratorDigest } = require('../services/notifications');
+const { createWebhook, updateWebhook, redeliver } = require('../services/webhooks');
+const { WEBHOOK_EVENTS } = require('../config/webhooks');
+const { publish } = require('../utils/events');
+const { ROLES, hashPassword } = require('../utils/auth');
+const { AppError, ConflictError, NotFoundError, ValidationError } = require('../utils/errors');
+const { requireAuth, requireRole } = require('../middleware/auth');
+const { validate, objectIdParam, paginationQuery } = require('../middleware/validate');
+const { getProjectableFields, parsePagination, paginate } = require('../utils/pagination');
+const { IMAGE_SOURCE_FIELDS, IMAGE_URL_FIELDS, presentPhoto, presentPhotos, presentWithPhoto, withImageSourceFields } = require('../utils/photoUrls');
+
+// Fields that can be requested with fields= on photo listings
+const PHOTO_FIELDS = [...getProjectableFields(Photo), ...IMAGE_URL_FIELDS];
+const SUGGESTION_FIELDS = getProjectableFields(Suggestion);
+
+/**
+ * Find a photo by id
+ * @throws {NotFoundError}
+ */
+async function findPhoto(id) {
+  const photo = await Photo.findById(id);
+  if (!photo) {
+    throw new NotFoundError('Photo not found', { code: 'PHOTO_NOT_FOUND' });
+  }
+  return photo;
+}
 
 // Health check endpoint
 router.get('/healthcheck', async (req, res) => {
-  // Add CORS headers
-  res.header('Access-Control-Allow-Origin', '*');
-  res.header('Access-Control-Allow-Methods', '*');
-  res.header('Access-Control-Allow-Headers', '*');
-  
   try {
     const healthData = {
       uptime: process.uptime(),
@@ -44,8 +77,11 @@ router.get('/healthcheck', async (req, res) => {
   }
 });
 
+// Everything below the health check requires a signed-in moderator
+router.use(requireAuth, requireRole('moderator'));
+
 // Debug endpoint
-router.get('/debug', (req, res) => {
+router.get('/debug', requireRole('admin'), (req, res) => {
   const debugInfo = {
     timestamp: new Date().toISOString(),
     environment: process.env.NODE_ENV,
@@ -54,12 +90,48 @@ router.get('/debug', (req, res) => {
     apiEndpoints: [
       { method: 'GET', path: '/api/photos', description: 'Get all photos with optional filters' },
       { method: 'POST', path: '/api/photos/upload', description: 'Upload a new photo' },
+      { method: 'POST', path: '/api/photos/batch-upload', description: 'Upload many photos with a per-file report' },
+      { method: 'POST', path: '/api/uploads', description: 'Start a resumable upload' },
+      { method: 'GET', path: '/api/photos/upload-challenge', description: 'Proof-of-work challenge for anonymous uploads' },
+      { method: 'POST', path: '/api/contributors/login', description: 'Email a contributor sign-in link' },
+      { method: 'GET', path: '/api/contributors/me/submissions', description: "A signed-in contributor's submissions and their status" },
+      { method: 'GET', path: '/api/contributors/submissions/:claimToken', description: 'Status of an anonymous submission' },
+      { method: 'GET', path: '/api/photos/search', description: 'Full-text search across photo metadata' },
       { method: 'PUT', path: '/api/photos/:id/approve', description: 'Approve a pending photo' },
       { method: 'PUT', path: '/api/photos/:id/reject', description: 'Reject a pending photo' },
+      { method: 'PATCH', path: '/api/photos/:id', description: 'Edit photo metadata' },
+      { method: 'GET', path: '/api/photos/:id/revisions', description: 'Metadata revisions of a photo' },
+      { method: 'POST', path: '/api/photos/:id/revisions/:revision/revert', description: 'Undo a metadata revision' },
       { method: 'GET', path: '/api/admin/healthcheck', description: 'Check API health status' },
       { method: 'GET', path: '/api/admin/debug', description: 'This debug endpoint' },
       { method: 'GET', path: '/api/admin/photos/pending', description: 'Get all pending photos' },
-      { method: 'GET', path: '/api/admin/photos/stats', description: 'Get photo statistics' }
+      { method: 'GET', path: '/api/admin/photos/stats', description: 'Get photo statistics' },
+      { method: 'GET', path: '/api/admin/users', description: 'List moderator accounts' },
+      { method: 'POST', path: '/api/admin/users', description: 'Create a moderator account' },
+      { method: 'PATCH', path: '/api/admin/users/:id', description: 'Update a moderator account' },
+      { method: 'POST', path: '/api/admin/photos/bulk', description: 'Approve, reject or retag many photos' },
+      { method: 'PUT', path: '/api/admin/photos/:id/restore', description: 'Return a rejected photo to pending' },
+      { method: 'GET', path: '/api/admin/suggestions', description: 'Visitor metadata suggestions, pending by default' },
+      { method: 'PUT', path: '/api/admin/suggestions/:id/accept', description: 'Apply a suggestion to its photo' },
+      { method: 'PUT', path: '/api/admin/suggestions/:id/reject', description: 'Decline a suggestion' },
+      { method: 'PUT', path: '/api/admin/suggestions/:id/merge', description: 'Fold a suggestion into another for the same photo' },
+      { method: 'GET', path: '/api/admin/photos/:id/history', description: 'Moderation history of a photo' },
+      { method: 'GET', path: '/api/admin/audit', description: 'Moderation audit feed with filters' },
+      { method: 'GET', path: '/api/admin/locations', description: 'List registered buildings, floors and rooms' },
+      { method: 'POST', path: '/api/admin/locations', description: 'Register a building, floor or room' },
+      { method: 'PATCH', path: '/api/admin/locations/:id', description: 'Update a location' },
+      { method: 'DELETE', path: '/api/admin/locations/:id', description: 'Delete an unused location' },
+      { method: 'GET', path: '/api/admin/locations/unmatched', description: 'Photo floor/room values missing from the registry' },
+      { method: 'GET', path: '/api/admin/notifications', description: 'Notification outbox with delivery status' },
+      { method: 'POST', path: '/api/admin/notifications/:id/retry', description: 'Retry a failed notification' },
+      { method: 'POST', path: '/api/admin/notifications/digest', description: 'Send the moderator digest now' },
+      { method: 'GET', path: '/api/admin/webhooks', description: 'List webhook endpoints' },
+      { method: 'POST', path: '/api/admin/webhooks', description: 'Register a webhook endpoint' },
+      { method: 'PATCH', path: '/api/admin/webhooks/:id', description: 'Update a webhook endpoint' },
+      { method: 'DELETE', path: '/api/admin/webhooks/:id', description: 'Delete a webhook endpoint' },
+      { method: 'GET', path: '/api/admin/webhooks/:id/deliveries', description: 'Delivery log of a webhook' },
+      { method: 'GET', path: '/api/admin/webhooks/deliveries/:id', description: 'One delivery with every attempt' },
+      { method: 'POST', path: '/api/admin/webhooks/deliveries/:id/redeliver', description: 'Send a delivery again' }
     ],
     nodeVersion: process.version,
     memoryUsage: process.memoryUsage(),
@@ -69,33 +141,321 @@ router.get('/debug', (req, res) => {
 });
 
 // Get all pending photos
-router.get('/photos/pending', async (req, res) => {
-  // Add CORS headers
-  res.header('Access-Control-Allow-Origin', '*');
-  res.header('Access-Control-Allow-Methods', '*');
-  res.header('Access-Control-Allow-Headers', '*');
-  
+router.get('/photos/pending', validate({ query: paginationQuery }), async (req, res, next) => {
   try {
-    const pendingPhotos = await Photo.find({ status: 'pending' })
-      .sort({ submittedAt: -1 });
-    
-    res.json(pendingPhotos);
+    const { limit, cursor, projection } = parsePagination(req.query, PHOTO_FIELDS);
+
+    // Show moderators what each photo might be a duplicate of
+    const page = await paginate(Photo, { status: 'pending' }, {
+      sortField: 'submittedAt',
+      direction: -1,
+      limit,
+      cursor,
+      projection: withImageSourceFields(projection),
+      populate: {
+        path: 'possibleDuplicates.photo',
+        select: ['title', 'contributor', 'submittedAt', ...IMAGE_SOURCE_FIELDS].join(' ')
+      }
+    });
+
+    res.json({
+      photos: presentPhotos(page.items, req.user),
+      nextCursor: page.nextCursor,
+      total: page.total,
+      limit: page.limit
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Approve, reject or retag many photos at once.
+// Send an Idempotency-Key header to make retries return the original result.
+router.post('/photos/bulk', validate({
+  body: {
+    action: { type: 'enum', values: ['approve', 'reject', 'retag'], required: true },
+    ids: { type: 'array' },
+    filter: { type: 'object' },
+    reason: { type: 'string', maxLength: 2000 },
+    tags: { type: 'object' },
+    $strict: true
+  }
+}), async (req, res, next) => {
+  const idempotencyKey = req.headers['idempotency-key'];
+  let operation = null;
+
+  try {
+    if (idempotencyKey) {
+      const requestHash = crypto.createHash('sha256').update(JSON.stringify(req.body)).digest('hex');
+      const existing = await BulkOperation.findOne({ user: req.user._id, idempotencyKey });
+
+      if (existing) {
+        if (existing.requestHash !== requestHash) {
+          throw new AppError('Idempotency-Key was already used for a different request', { status: 422, code: 'IDEMPOTENCY_KEY_REUSED' });
+        }
+        if (!existing.result) {
+          throw new ConflictError('A request with this Idempotency-Key is still running', { code: 'REQUEST_IN_PROGRESS' });
+        }
+        return res.json({ ...existing.result, replayed: true });
+      }
+
+      try {
+        operation = await BulkOperation.create({ user: req.user._id, idempotencyKey, requestHash });
+      } catch (createErr) {
+        if (createErr.code === 11000) {
+          throw new ConflictError('A request with this Idempotency-Key is still running', { code: 'REQUEST_IN_PROGRESS' });
+        }
+        throw createErr;
+      }
+    }
+
+    const result = await bulkModerate(req.body, req.user);
+
+    const outcomeEvents = { approved: 'photo.approved', rejected: 'photo.rejected', retagged: 'photo.updated' };
+    result.results
+      .filter(item => outcomeEvents[item.outcome])
+      .forEach(item => publish(outcomeEvents[item.outcome], {
+        photo: item.id,
+        actor: req.user,
+        reason: req.body.reason,
+        previousStatus: item.previousStatus,
+        fields: item.outcome === 'retagged' ? ['tags'] : undefined
+      }));
+
+    if (operation) {
+      operation.result = result;
+      await operation.save();
+    }
+
+    res.json(result);
+  } catch (err) {
+    // Let the client retry with the same key after a failure
+    if (operation) {
+      await BulkOperation.deleteOne({ _id: operation._id }).catch(() => {});
+    }
+    next(err);
+  }
+});
+
+// Return a rejected photo to the pending queue (before its image is purged)
+router.put('/photos/:id/restore', validate({
+  params: { id: objectIdParam },
+  body: { reason: { type: 'string', maxLength: 2000 } }
+}), async (req, res, next) => {
+  try {
+    const photo = await findPhoto(req.params.id);
+
+    await restorePhoto(photo, req.user, { reason: req.body.reason });
+
+    res.json({
+      message: 'Photo restored to pending',
+      photo: presentPhoto(photo, req.user)
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Get visitor suggestions, pending ones by default
+router.get('/suggestions', validate({
+  query: {
+    ...paginationQuery,
+    status: { type: 'enum', values: [...Suggestion.SUGGESTION_STATUSES, 'all'], default: 'pending' },
+    photo: { type: 'objectId' }
+  }
+}), async (req, res, next) => {
+  try {
+    const { limit, cursor, projection } = parsePagination(req.query, SUGGESTION_FIELDS);
+
+    const filter = {};
+    if (req.query.status !== 'all') filter.status = req.query.status;
+    if (req.query.photo) filter.photo = req.query.photo;
+
+    // Include the photo's current values so moderators can compare
+    const page = await paginate(Suggestion, filter, {
+      sortField: 'createdAt',
+      direction: -1,
+      limit,
+      cursor,
+      projection,
+      populate: [
+        {
+          path: 'photo',
+          select: ['title', 'description', 'captureDate', 'people', 'tags', 'floorId', 'roomId', 'locationNote', ...IMAGE_SOURCE_FIELDS].join(' ')
+        },
+        { path: 'reviewedBy', select: 'username displayName' }
+      ]
+    });
+
+    res.json({
+      suggestions: page.items.map(suggestion => presentWithPhoto(suggestion, req.user)),
+      nextCursor: page.nextCursor,
+      total: page.total,
+      limit: page.limit
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * Find a suggestion by id
+ * @throws {NotFoundError}
+ */
+async function findSuggestion(id) {
+  const suggestion = await Suggestion.findById(id);
+  if (!suggestion) {
+    throw new NotFoundError('Suggestion not found', { code: 'SUGGESTION_NOT_FOUND' });
+  }
+  return suggestion;
+}
+
+// Apply a suggestion to its photo. { fields } accepts only some of it,
+// { changes } adjusts values before applying, { note } is kept with the review.
+router.put('/suggestions/:id/accept', validate({
+  params: { id: objectIdParam },
+  body: {
+    fields: { type: 'list' },
+    changes: { type: 'object' },
+    note: { type: 'string', maxLength: 2000 },
+    $strict: true
+  }
+}), async (req, res, next) => {
+  try {
+    const suggestion = await findSuggestion(req.params.id);
+
+    const result = await acceptSuggestion(suggestion, req.user, {
+      fields: req.body.fields,
+      changes: req.body.changes,
+      note: req.body.note
+    });
+    if (result.revision) {
+      publish('photo.updated', { photo: result.photo, actor: req.user, fields: result.revision.changes.map(change => change.field) });
+    }
+
+    res.json({
+      message: 'Suggestion accepted',
+      ...result,
+      photo: presentPhoto(result.photo, req.user)
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Decline a suggestion without changing the photo
+router.put('/suggestions/:id/reject', validate({
+  params: { id: objectIdParam },
+  body: { note: { type: 'string', maxLength: 2000 }, $strict: true }
+}), async (req, res, next) => {
+  try {
+    const suggestion = await findSuggestion(req.params.id);
+
+    await rejectSuggestion(suggestion, req.user, { note: req.body.note });
+
+    res.json({
+      message: 'Suggestion rejected',
+      suggestion
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Fold a suggestion into another pending one for the same photo ({ into })
+router.put('/suggestions/:id/merge', validate({
+  params: { id: objectIdParam },
+  body: { into: { type: 'objectId', required: true }, $strict: true }
+}), async (req, res, next) => {
+  try {
+    const suggestion = await findSuggestion(req.params.id);
+
+    const target = await mergeSuggestion(suggestion, req.body.into, req.user);
+
+    res.json({
+      message: 'Suggestion merged',
+      suggestion,
+      into: target
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Get the moderation history of a photo, oldest first
+router.get('/photos/:id/history', validate({ params: { id: objectIdParam } }), async (req, res, next) => {
+  try {
+    const photo = await findPhoto(req.params.id);
+
+    const events = await ModerationEvent.find({ photo: photo._id })
+      .sort({ createdAt: 1, _id: 1 })
+      .populate('actor', 'username displayName role');
+    const { imageUrl, variants } = presentPhoto(photo, req.user);
+
+    res.json({
+      photo: {
+        _id: photo._id,
+        status: photo.status,
+        title: photo.title,
+        imageUrl,
+        variants
+      },
+      events
+    });
   } catch (err) {
-    console.error('Error fetching pending photos:', err);
-    res.status(500).json({ 
-      error: 'Server error fetching pending photos',
-      message: err.message
+    next(err);
+  }
+});
+
+// Get the global moderation audit feed, newest first
+// Filters: actor (user ID), action, photo (photo ID), from, to (ISO dates)
+router.get('/audit', validate({
+  query: {
+    limit: paginationQuery.limit,
+    cursor: paginationQuery.cursor,
+    actor: { type: 'objectId' },
+    action: { type: 'enum', values: ModerationEvent.MODERATION_ACTIONS },
+    photo: { type: 'objectId' },
+    from: { type: 'date' },
+    to: { type: 'date' }
+  }
+}), async (req, res, next) => {
+  try {
+    const { actor, action, photo, from, to } = req.query;
+    const filter = {};
+
+    if (actor) filter.actor = actor;
+    if (action) filter.action = action;
+    if (photo) filter.photo = photo;
+    if (from) filter.createdAt = { ...filter.createdAt, $gte: from };
+    if (to) filter.createdAt = { ...filter.createdAt, $lte: to };
+
+    const { limit, cursor } = parsePagination(req.query, []);
+
+    const page = await paginate(ModerationEvent, filter, {
+      sortField: 'createdAt',
+      direction: -1,
+      limit,
+      cursor,
+      populate: [
+        { path: 'actor', select: 'username displayName role' },
+        { path: 'photo', select: ['title', ...IMAGE_SOURCE_FIELDS].join(' ') }
+      ]
     });
+
+    res.json({
+      events: page.items.map(event => presentWithPhoto(event, req.user)),
+      nextCursor: page.nextCursor,
+      total: page.total,
+      limit: page.limit
+    });
+  } catch (err) {
+    next(err);
   }
 });
 
 // Get photo statistics
-router.get('/photos/stats', async (req, res) => {
-  // Add CORS headers
-  res.header('Access-Control-Allow-Origin', '*');
-  res.header('Access-Control-Allow-Methods', '*');
-  res.header('Access-Control-Allow-Headers', '*');
-  
+router.get('/photos/stats', async (req, res, next) => {
   try {
     const stats = await Photo.aggregate([
       {
@@ -105,7 +465,7 @@ router.get('/photos/stats', async (req, res) => {
         }
       }
     ]);
-    
+
     // Convert array to object with status as keys
     const statsObj = {
       pending: 0,
@@ -113,22 +473,542 @@ router.get('/photos/stats', async (req, res) => {
       rejected: 0,
       total: 0
     };
-    
+
     stats.forEach(item => {
       statsObj[item._id] = item.count;
     });
-    
+
     // Calculate total
     statsObj.total = statsObj.pending + statsObj.approved + statsObj.rejected;
-    
+
     res.json(statsObj);
   } catch (err) {
-    console.error('Error fetching photo statistics:', err);
-    res.status(500).json({ 
-      error: 'Server error fetching photo statistics',
-      message: err.message
+    next(err);
+  }
+});
+
+// Get all moderator accounts
+router.get('/users', requireRole('admin'), async (req, res, next) => {
+  try {
+    const users = await User.find().sort({ createdAt: 1 });
+    res.json(users);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Create a moderator account
+router.post('/users', requireRole('admin'), validate({
+  body: {
+    username: { type: 'string', required: true, maxLength: 64 },
+    password: { type: 'string', required: true, maxLength: 200 },
+    displayName: { type: 'string', maxLength: 100 },
+    role: { type: 'enum', values: ROLES, default: 'moderator' },
+    $strict: true
+  }
+}), async (req, res, next) => {
+  try {
+    const { username, password, displayName, role } = req.body;
+
+    const existing = await User.findOne({ username: username.toLowerCase() });
+    if (existing) {
+      throw new ConflictError('Username already taken', { code: 'USERNAME_TAKEN' });
+    }
+
+    const user = new User({
+      username,
+      displayName: displayName || username,
+      passwordHash: await hashPassword(password),
+      role
+    });
+
+    await user.save();
+
+    res.status(201).json({
+      message: 'User created successfully',
+      user
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Update a moderator account (role, active flag, display name or password)
+router.patch('/users/:id', requireRole('admin'), validate({
+  params: { id: objectIdParam },
+  body: {
+    displayName: { type: 'string', maxLength: 100 },
+    role: { type: 'enum', values: ROLES },
+    active: { type: 'boolean' },
+    password: { type: 'string', maxLength: 200 },
+    $strict: true
+  }
+}), async (req, res, next) => {
+  try {
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      throw new NotFoundError('User not found', { code: 'USER_NOT_FOUND' });
+    }
+
+    const { displayName, role, active, password } = req.body;
+
+    if (displayName !== undefined) user.displayName = displayName;
+    if (role !== undefined) user.role = role;
+    if (active !== undefined) user.active = active;
+
+    // Changing credentials, role or status signs the user out everywhere
+    if (password) user.passwordHash = await hashPassword(password);
+    if (password || role !== undefined || active !== undefined) user.tokenVersion += 1;
+
+    await user.save();
+
+    res.json({
+      message: 'User updated successfully',
+      user
     });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Editable fields of a location
+const LOCATION_BODY = {
+  key: { type: 'string', pattern: /^[A-Za-z0-9_-]{1,64}$/, patternMessage: 'be 1-64 letters, digits, dashes or underscores' },
+  name: { type: 'string', minLength: 1, maxLength: 200 },
+  order: { type: 'number' },
+  coordinates: { type: 'object', nullable: true }
+};
+
+/**
+ * Pick the editable fields of a location from a validated body
+ * @param {object} body - Request body
+ * @returns {object} - Values to set on the location
+ * @throws {ValidationError} - When coordinates aren't { x, y } numbers
+ */
+function parseLocationInput(body) {
+  const values = {};
+
+  for (const field of ['key', 'name', 'order']) {
+    if (body[field] !== undefined) values[field] = body[field];
+  }
+
+  if (body.coordinates === null) {
+    values.coordinates = undefined;
+  } else if (body.coordinates !== undefined) {
+    const x = Number(body.coordinates.x);
+    const y = Number(body.coordinates.y);
+    if (!Number.isFinite(x) || !Number.isFinite(y)) {
+      throw ValidationError.forField('body', 'coordinates', 'coordinates must be { x, y } numbers');
+    }
+    values.coordinates = { x, y };
+  }
+
+  return values;
+}
+
+/**
+ * Find a location by id
+ * @throws {NotFoundError}
+ */
+async function findLocation(id) {
+  const location = await Location.findById(id);
+  if (!location) {
+    throw new NotFoundError('Location not found', { code: 'LOCATION_NOT_FOUND' });
+  }
+  return location;
+}
+
+// Get all registered locations (flat list)
+router.get('/locations', validate({
+  query: { type: { type: 'enum', values: Location.LOCATION_TYPES } }
+}), async (req, res, next) => {
+  try {
+    const filter = {};
+    if (req.query.type) filter.type = req.query.type;
+
+    const locations = await Location.find(filter).sort({ type: 1, order: 1, name: 1 });
+    res.json(locations);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Get floor/room values used by photos that don't exist in the registry
+router.get('/locations/unmatched', async (req, res, next) => {
+  try {
+    const unmatched = await findUnmatchedPhotoLocations();
+    res.json(unmatched);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Register a building, floor or room
+router.post('/locations', requireRole('admin'), validate({
+  body: {
+    ...LOCATION_BODY,
+    key: { ...LOCATION_BODY.key, required: true },
+    name: { ...LOCATION_BODY.name, required: true },
+    type: { type: 'enum', values: Location.LOCATION_TYPES, required: true },
+    parent: { type: 'objectId' },
+    $strict: true
+  }
+}), async (req, res, next) => {
+  try {
+    const { type, parent } = req.body;
+    const values = parseLocationInput(req.body);
+
+    // Floors hang off a building and rooms off a floor
+    let parentLocation = null;
+    const parentType = Location.PARENT_TYPES[type];
+    if (parentType) {
+      if (!parent) {
+        throw ValidationError.forField('body', 'parent', `A ${type} needs a parent ${parentType}`);
+      }
+      parentLocation = await Location.findById(parent);
+      if (!parentLocation || parentLocation.type !== parentType) {
+        throw ValidationError.forField('body', 'parent', `Parent must be an existing ${parentType}`);
+      }
+    }
+
+    // Photos only store floorId, so floor keys must be unique across buildings
+    const duplicate = await Location.findOne(type === 'floor'
+      ? { type: 'floor', key: values.key }
+      : { parent: parentLocation ? parentLocation._id : null, key: values.key });
+    if (duplicate) {
+      throw new ConflictError(`A location with key ${values.key} already exists here`, { code: 'LOCATION_KEY_TAKEN' });
+    }
+
+    const location = new Location({
+      ...values,
+      type,
+      parent: parentLocation ? parentLocation._id : null
+    });
+
+    await location.save();
+
+    res.status(201).json({
+      message: 'Location created successfully',
+      location
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Update a location; renaming a key also updates the photos that use it
+router.patch('/locations/:id', requireRole('admin'), validate({
+  params: { id: objectIdParam },
+  body: { ...LOCATION_BODY, $strict: true }
+}), async (req, res, next) => {
+  try {
+    const location = await findLocation(req.params.id);
+    const values = parseLocationInput(req.body);
+
+    const oldKey = location.key;
+    const renamed = values.key !== undefined && values.key !== oldKey;
+    let photosUpdated = 0;
+
+    if (renamed) {
+      const duplicate = await Location.findOne(location.type === 'floor'
+        ? { type: 'floor', key: values.key }
+        : { parent: location.parent, key: values.key });
+      if (duplicate) {
+        throw new ConflictError(`A location with key ${values.key} already exists here`, { code: 'LOCATION_KEY_TAKEN' });
+      }
+    }
+
+    Object.assign(location, values);
+    await location.save();
+
+    let photoFilter = null;
+    let field = null;
+    if (renamed && location.type === 'floor') {
+      photoFilter = { floorId: oldKey };
+      field = 'floorId';
+    } else if (renamed && location.type === 'room') {
+      const floor = await Location.findById(location.parent);
+      photoFilter = { floorId: floor.key, roomId: oldKey };
+      field = 'roomId';
+    }
+
+    if (photoFilter) {
+      // Approved photos' new key is public, so webhook subscribers hear about it
+      const approved = await Photo.find({ ...photoFilter, status: 'approved' }).distinct('_id');
+      const result = await Photo.updateMany(photoFilter, { [field]: location.key });
+      photosUpdated = result.modifiedCount;
+      approved.forEach(id => publish('photo.updated', { photo: id, actor: req.user, fields: [field] }));
+    }
+
+    res.json({
+      message: 'Location updated successfully',
+      location,
+      photosUpdated
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Delete a location that has no children and no photos
+router.delete('/locations/:id', requireRole('admin'), validate({
+  params: { id: objectIdParam }
+}), async (req, res, next) => {
+  try {
+    const location = await findLocation(req.params.id);
+
+    const children = await Location.countDocuments({ parent: location._id });
+    if (children > 0) {
+      throw new ConflictError('Location still has child locations', { code: 'LOCATION_HAS_CHILDREN' });
+    }
+
+    let photoFilter = null;
+    if (location.type === 'floor') {
+      photoFilter = { floorId: location.key };
+    } else if (location.type === 'room') {
+      const floor = await Location.findById(location.parent);
+      photoFilter = { floorId: floor.key, roomId: location.key };
+    }
+
+    if (photoFilter && await Photo.exists(photoFilter)) {
+      throw new ConflictError('Location is still used by photos', { code: 'LOCATION_IN_USE' });
+    }
+
+    await location.deleteOne();
+
+    res.json({ message: 'Location deleted successfully' });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Notification outbox, newest first. Filters: status, channel, event
+router.get('/notifications', validate({
+  query: {
+    limit: paginationQuery.limit,
+    cursor: paginationQuery.cursor,
+    status: { type: 'enum', values: Notification.NOTIFICATION_STATUSES },
+    channel: { type: 'enum', values: Notification.NOTIFICATION_CHANNELS },
+    event: { type: 'string', maxLength: 100 }
+  }
+}), async (req, res, next) => {
+  try {
+    const { status, channel, event } = req.query;
+    const filter = {};
+
+    if (status) filter.status = status;
+    if (channel) filter.channel = channel;
+    if (event) filter.event = event;
+
+    const { limit, cursor } = parsePagination(req.query, []);
+
+    const page = await paginate(Notification, filter, {
+      sortField: 'createdAt',
+      direction: -1,
+      limit,
+      cursor
+    });
+
+    res.json({
+      notifications: page.items,
+      nextCursor: page.nextCursor,
+      total: page.total,
+      limit: page.limit
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Put a failed notification back in the outbox
+router.post('/notifications/:id/retry', requireRole('admin'), validate({
+  params: { id: objectIdParam }
+}), async (req, res, next) => {
+  try {
+    const notification = await Notification.findById(req.params.id);
+    if (!notification) {
+      throw new NotFoundError('Notification not found', { code: 'NOTIFICATION_NOT_FOUND' });
+    }
+
+    res.json({ notification: await retryNotification(notification) });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Send the moderator digest now instead of waiting for the next one
+router.post('/notifications/digest', requireRole('admin'), async (req, res, next) => {
+  try {
+    const digest = await sendModeratorDigest({ force: true });
+
+    res.json({
+      message: digest ? 'Digest queued' : 'Nothing new to report, or no moderator recipients configured',
+      digest
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * Find a webhook by ID or throw a 404
+ */
+async function findWebhook(id) {
+  const webhook = await Webhook.findById(id);
+  if (!webhook) {
+    throw new NotFoundError('Webhook not found', { code: 'WEBHOOK_NOT_FOUND' });
+  }
+  return webhook;
+}
+
+/**
+ * Find a webhook delivery by ID or throw a 404
+ */
+async function findDelivery(id) {
+  const delivery = await WebhookDelivery.findById(id);
+  if (!delivery) {
+    throw new NotFoundError('Delivery not found', { code: 'DELIVERY_NOT_FOUND' });
+  }
+  return delivery;
+}
+
+// List webhook endpoints (admin)
+router.get('/webhooks', requireRole('admin'), async (req, res, next) => {
+  try {
+    const webhooks = await Webhook.find().sort({ createdAt: 1 });
+    res.json({ webhooks, events: WEBHOOK_EVENTS });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Register a webhook endpoint; the signing secret is only returned here (admin)
+router.post('/webhooks', requireRole('admin'), validate({
+  body: {
+    url: { type: 'string', required: true, maxLength: 2000 },
+    events: { type: 'list', required: true, values: WEBHOOK_EVENTS },
+    description: { type: 'string', maxLength: 500 },
+    $strict: true
+  }
+}), async (req, res, next) => {
+  try {
+    const { webhook, secret } = await createWebhook(req.body, req.user);
+
+    res.status(201).json({ webhook, secret });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Get a webhook endpoint (admin)
+router.get('/webhooks/:id', requireRole('admin'), validate({
+  params: { id: objectIdParam }
+}), async (req, res, next) => {
+  try {
+    res.json({ webhook: await findWebhook(req.params.id) });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Change a webhook's URL, events or description, or pause it with { active: false } (admin)
+router.patch('/webhooks/:id', requireRole('admin'), validate({
+  params: { id: objectIdParam },
+  body: {
+    url: { type: 'string', maxLength: 2000 },
+    events: { type: 'list', values: WEBHOOK_EVENTS },
+    description: { type: 'string', nullable: true, maxLength: 500 },
+    active: { type: 'boolean' },
+    $strict: true
+  }
+}), async (req, res, next) => {
+  try {
+    const webhook = await updateWebhook(await findWebhook(req.params.id), req.body);
+    res.json({ webhook });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Delete a webhook endpoint; its delivery log is kept (admin)
+router.delete('/webhooks/:id', requireRole('admin'), validate({
+  params: { id: objectIdParam }
+}), async (req, res, next) => {
+  try {
+    const webhook = await findWebhook(req.params.id);
+    await webhook.deleteOne();
+
+    res.json({ message: 'Webhook deleted successfully' });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Delivery fields listed in a webhook's log
+const DELIVERY_SUMMARY_FIELDS = ['webhook', 'event', 'eventId', 'status', 'attempts', 'nextAttemptAt', 'deliveredAt', 'redeliveryOf', 'createdAt'];
+
+// Delivery log of a webhook, newest first; optional status filter (admin)
+router.get('/webhooks/:id/deliveries', requireRole('admin'), validate({
+  params: { id: objectIdParam },
+  query: {
+    limit: paginationQuery.limit,
+    cursor: paginationQuery.cursor,
+    status: { type: 'enum', values: WebhookDelivery.DELIVERY_STATUSES }
+  }
+}), async (req, res, next) => {
+  try {
+    const webhook = await findWebhook(req.params.id);
+    const filter = { webhook: webhook._id };
+    if (req.query.status) filter.status = req.query.status;
+
+    const { limit, cursor } = parsePagination(req.query, []);
+
+    // The payload and attempt log are on the single-delivery route
+    const page = await paginate(WebhookDelivery, filter, {
+      sortField: 'createdAt',
+      direction: -1,
+      limit,
+      cursor,
+      projection: Object.fromEntries(DELIVERY_SUMMARY_FIELDS.map(field => [field, 1]))
+    });
+
+    res.json({
+      deliveries: page.items,
+      nextCursor: page.nextCursor,
+      total: page.total,
+      limit: page.limit
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// One delivery with its payload and every attempt (admin)
+router.get('/webhooks/deliveries/:id', requireRole('admin'), validate({
+  params: { id: objectIdParam }
+}), async (req, res, next) => {
+  try {
+    res.json({ delivery: await findDelivery(req.params.id) });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Send a finished delivery again, with the same event id and payload (admin)
+router.post('/webhooks/deliveries/:id/redeliver', requireRole('admin'), validate({
+  params: { id: objectIdParam }
+}), async (req, res, next) => {
+  try {
+    const delivery = await redeliver(await findDelivery(req.params.id));
+
+    res.status(202).json({
+      message: 'Redelivery queued',
+      delivery
+    });
+  } catch (err) {
+    next(err);
   }
 });
 
-module.exports = router; 
\ No newline at end of file
+module.exports = router;
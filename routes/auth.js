@@ -0,0 +1,58 @@
+const express = require('express');
+const router = express.Router();
+const User = require('../models/User');
+const { verifyPassword, createSessionToken } = require('../utils/auth');
+const { requireAuth } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const { AuthenticationError } = require('../utils/errors');
+
+// POST log in and receive a session token
+router.post('/login', validate({
+  body: {
+    username: { type: 'string', required: true, maxLength: 64 },
+    password: { type: 'string', required: true, maxLength: 200 }
+  }
+}), async (req, res, next) => {
+  try {
+    const { username, password } = req.body;
+
+    const user = await User.findOne({ username: username.toLowerCase() })
+      .select('+passwordHash');
+
+    if (!user || !user.active || !(await verifyPassword(password, user.passwordHash))) {
+      throw new AuthenticationError('Invalid username or password', { code: 'INVALID_CREDENTIALS' });
+    }
+
+    user.lastLoginAt = new Date();
+    await user.save();
+
+    const { token, expiresAt } = createSessionToken(user);
+
+    res.json({
+      token,
+      expiresAt,
+      user
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// GET the currently authenticated user
+router.get('/me', requireAuth, (req, res) => {
+  res.json({ user: req.user });
+});
+
+// POST log out, invalidating every token issued to this user
+router.post('/logout', requireAuth, async (req, res, next) => {
+  try {
+    req.user.tokenVersion += 1;
+    await req.user.save();
+
+    res.json({ message: 'Logged out successfully' });
+  } catch (err) {
+    next(err);
+  }
+});
+
+module.exports = router;
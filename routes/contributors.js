@@ -0,0 +1,165 @@
+const express = require('express');
+const router = express.Router();
+const Photo = require('../models/Photo');
+const { requireContributor } = require('../middleware/auth');
+const { validate, paginationQuery } = require('../middleware/validate');
+const { rateLimit } = require('../middleware/rateLimit');
+const { parsePagination, paginate } = require('../utils/pagination');
+const { MAGIC_LINK_RATE_LIMIT, MAGIC_LINK_RATE_WINDOW } = require('../config/contributors');
+const {
+  requestMagicLink,
+  verifyMagicLink,
+  updateProfile,
+  signOut,
+  findByClaimToken,
+  claimSubmission,
+  presentSubmissions
+} = require('../services/contributors');
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Claim tokens are 32 random bytes, base64url encoded
+const CLAIM_TOKEN = { type: 'string', required: true, pattern: /^[A-Za-z0-9_-]{43}$/, patternMessage: 'be a claim token' };
+
+// Limit sign-in emails per client and per address
+const magicLinkLimiter = rateLimit({
+  name: 'magic-link',
+  windowMs: MAGIC_LINK_RATE_WINDOW,
+  max: MAGIC_LINK_RATE_LIMIT,
+  message: 'Too many sign-in requests from this address, please try again later'
+});
+const magicLinkEmailLimiter = rateLimit({
+  name: 'magic-link-email',
+  windowMs: MAGIC_LINK_RATE_WINDOW,
+  max: MAGIC_LINK_RATE_LIMIT,
+  keyGenerator: req => req.body.email.toLowerCase(),
+  message: 'Too many sign-in requests for this email address, please try again later'
+});
+
+// POST request a sign-in link by email (creates the account on first use).
+// Always answers 202, so it can't be used to find out who has an account.
+router.post('/login', validate({
+  body: {
+    email: { type: 'string', required: true, maxLength: 254, pattern: EMAIL_PATTERN, patternMessage: 'be an email address' },
+    displayName: { type: 'string', maxLength: 100 },
+    $strict: true
+  }
+}), magicLinkLimiter, magicLinkEmailLimiter, async (req, res, next) => {
+  try {
+    await requestMagicLink(req.body.email, req.body.displayName);
+
+    res.status(202).json({ message: 'If the address can sign in, a link is on its way' });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// POST exchange a sign-in link token for a session token
+router.post('/verify', validate({
+  body: {
+    token: { type: 'string', required: true, maxLength: 100 }
+  }
+}), async (req, res, next) => {
+  try {
+    const { token, expiresAt, contributor } = await verifyMagicLink(req.body.token);
+
+    res.json({
+      token,
+      expiresAt,
+      contributor
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// GET the signed-in contributor
+router.get('/me', requireContributor, (req, res) => {
+  res.json({ contributor: req.contributor });
+});
+
+// PATCH change the display name credited on the contributor's photos, or
+// turn moderation emails on or off
+router.patch('/me', requireContributor, validate({
+  body: {
+    displayName: { type: 'string', nullable: true, maxLength: 100 },
+    emailNotifications: { type: 'boolean' },
+    $strict: true
+  }
+}), async (req, res, next) => {
+  try {
+    const contributor = await updateProfile(req.contributor, req.body);
+    res.json({ contributor });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// POST sign out, invalidating every token issued to this contributor
+router.post('/me/logout', requireContributor, async (req, res, next) => {
+  try {
+    await signOut(req.contributor);
+    res.json({ message: 'Logged out successfully' });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// GET the contributor's submissions with their moderation status, newest first
+router.get('/me/submissions', requireContributor, validate({
+  query: {
+    limit: paginationQuery.limit,
+    cursor: paginationQuery.cursor,
+    status: { type: 'enum', values: ['pending', 'approved', 'rejected'] }
+  }
+}), async (req, res, next) => {
+  try {
+    const { limit, cursor } = parsePagination(req.query, []);
+
+    const filter = { submittedBy: req.contributor._id };
+    if (req.query.status) filter.status = req.query.status;
+
+    const page = await paginate(Photo, filter, { sortField: 'submittedAt', direction: -1, limit, cursor });
+
+    res.json({
+      submissions: await presentSubmissions(page.items),
+      nextCursor: page.nextCursor,
+      total: page.total,
+      limit: page.limit
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// POST attach an anonymous submission to the account, using its claim token
+router.post('/me/claims', requireContributor, validate({
+  body: {
+    claimToken: CLAIM_TOKEN
+  }
+}), async (req, res, next) => {
+  try {
+    const photo = await claimSubmission(req.contributor, req.body.claimToken);
+    const [submission] = await presentSubmissions([photo]);
+
+    res.json({ submission });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// GET the status of a submission from the claim token given at upload (no account needed)
+router.get('/submissions/:claimToken', validate({
+  params: { claimToken: CLAIM_TOKEN }
+}), async (req, res, next) => {
+  try {
+    const photo = await findByClaimToken(req.params.claimToken);
+    const [submission] = await presentSubmissions([photo]);
+
+    res.json({ submission });
+  } catch (err) {
+    next(err);
+  }
+});
+
+module.exports = router;
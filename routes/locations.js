@@ -0,0 +1,15 @@
+const express = require('express');
+const router = express.Router();
+const { getLocationTree } = require('../utils/locations');
+
+// GET the building → floor → room tree with approved-photo counts
+router.get('/', async (req, res, next) => {
+  try {
+    const tree = await getLocationTree();
+    res.json(tree);
+  } catch (err) {
+    next(err);
+  }
+});
+
+module.exports = router;
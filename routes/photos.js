@@ -1,10 +1,29 @@
 const express = require('express');
 const multer = require('multer');
 const path = require('path');
-const fs = require('fs');
 const router = express.Router();
 const Photo = require('../models/Photo');
-const { uploadImage, deleteImage, getImageUrl, SUPPORTED_FORMATS } = require('../utils/cloudflare');
+const { requireAuth, optionalAuth, requireRole } = require('../middleware/auth');
+const { validate, objectIdParam, paginationQuery } = require('../middleware/validate');
+const { MAX_FILE_SIZE, MAX_BATCH_FILES } = require('../config/uploads');
+const { formatBytes, getUploadLimits } = require('../utils/fileValidation');
+const { parseCaptureDate, parseDecade, parseList } = require('../utils/photoMetadata');
+const { getSearchTerms, findMatchedFields } = require('../utils/search');
+const { UploadError, createPhotoFromUpload, createPhotosFromBatch, removeTempFile } = require('../services/upload');
+const { approvePhoto, rejectPhoto } = require('../services/moderation');
+const { editPhoto, revertRevision, getRevisions } = require('../services/photoEdits');
+const { submitSuggestion } = require('../services/suggestions');
+const { rateLimit } = require('../middleware/rateLimit');
+const { beforeUploadBody, afterUploadBody } = require('../middleware/uploadLimits');
+const { createChallenge } = require('../utils/challenge');
+const { UPLOAD_CHALLENGE } = require('../config/rateLimits');
+const { getCorsDecision } = require('../middleware/cors');
+const { SUGGESTION_RATE_LIMIT, SUGGESTION_RATE_WINDOW } = require('../config/moderation');
+const { hasRole } = require('../utils/auth');
+const { publish } = require('../utils/events');
+const { NotFoundError, ValidationError } = require('../utils/errors');
+const { getProjectableFields, parsePagination, paginate } = require('../utils/pagination');
+const { IMAGE_URL_FIELDS, presentPhoto, presentPhotos, withImageSourceFields } = require('../utils/photoUrls');
 
 // Configure multer for file storage
 const storage = multer.diskStorage({
@@ -12,161 +31,288 @@ const storage = multer.diskStorage({
     cb(null, path.join(__dirname, '../uploads/temp'));
   },
   filename: function(req, file, cb) {
-    // Create a unique filename with timestamp and original extension
-    const fileExt = path.extname(file.originalname);
-    const fileName = `${Date.now()}-${Math.round(Math.random() * 1E9)}${fileExt}`;
+    // Create a unique filename with timestamp. The client's extension isn't
+    // trusted; the file gets its real one once its content has been checked.
+    const fileName = `${Date.now()}-${Math.round(Math.random() * 1E9)}.upload`;
     cb(null, fileName);
   }
 });
 
-// File filter for multer to accept only images
-const fileFilter = (req, file, cb) => {
-  // Accept any file that has an image mimetype
-  if (file.mimetype.startsWith('image/')) {
-    cb(null, true);
-  } else {
-    cb(new Error('Only image files are allowed!'), false);
+/**
+ * Accept up to maxCount files in the given field, answering multer's limit
+ * errors with a 400/413 and an error code instead of a server error.
+ * Upload rate limits and the optional challenge are checked around it.
+ * @param {string} fieldName - Multipart field holding the file(s)
+ * @param {number} maxCount - 1 for a single file (req.file), more for req.files
+ */
+function acceptUpload(fieldName, maxCount = 1) {
+  const upload = multer({ 
+    storage: storage,
+    limits: {
+      fileSize: MAX_FILE_SIZE,
+      files: maxCount
+    }
+  });
+  const handler = maxCount === 1 ? upload.single(fieldName) : upload.array(fieldName, maxCount);
+
+  const receive = (req, res, next) => {
+    handler(req, res, err => {
+      if (!err) return next();
+
+      if (err instanceof multer.MulterError) {
+        const tooLarge = err.code === 'LIMIT_FILE_SIZE';
+        const tooMany = err.code === 'LIMIT_FILE_COUNT' || err.code === 'LIMIT_UNEXPECTED_FILE';
+        return next(new UploadError(tooLarge ? `File is larger than ${formatBytes(MAX_FILE_SIZE)}` : err.message, {
+          status: tooLarge ? 413 : 400,
+          code: tooLarge ? 'FILE_TOO_LARGE' : (tooMany ? 'TOO_MANY_FILES' : 'INVALID_UPLOAD')
+        }));
+      }
+
+      next(err);
+    });
+  };
+
+  return [...beforeUploadBody, receive, ...afterUploadBody];
+}
+
+// Fields photo listings can be sorted on, by query parameter name
+const SORT_FIELDS = {
+  submittedAt: 'submittedAt',
+  captureDate: 'captureDate.start',
+  title: 'title'
+};
+
+// Fields that can be requested with fields= on listing endpoints
+const LISTABLE_FIELDS = [...getProjectableFields(Photo), ...IMAGE_URL_FIELDS];
+
+// Query parameters shared by the photo listings
+const LISTING_QUERY = {
+  ...paginationQuery,
+  tag: { type: 'string', maxLength: 1000 },
+  decade: { type: 'string', pattern: /^\d{3}0s?$/, patternMessage: 'look like "1950" or "1950s"' },
+  from: { type: 'string', maxLength: 50 },
+  to: { type: 'string', maxLength: 50 },
+  sort: {
+    type: 'enum',
+    values: Object.keys(SORT_FIELDS).flatMap(field => [field, `-${field}`]),
+    default: '-submittedAt'
   }
 };
 
-const upload = multer({ 
-  storage: storage,
-  fileFilter: fileFilter,
-  limits: {
-    fileSize: 25 * 1024 * 1024 // 25MB limit
+/**
+ * Find a photo by id
+ * @param {string} id - Photo id (already validated)
+ * @returns {Promise<object>} - Photo document
+ * @throws {NotFoundError}
+ */
+async function findPhoto(id) {
+  const photo = await Photo.findById(id);
+  if (!photo) {
+    throw new NotFoundError('Photo not found', { code: 'PHOTO_NOT_FOUND' });
+  }
+  return photo;
+}
+
+/**
+ * Build a Mongo filter and sort from photo listing query parameters
+ * (tag, decade, from, to, sort)
+ * @param {object} query - Request query
+ * @returns {{ filter: object, sortField: string, direction: number }}
+ * @throws {ValidationError} - When a date filter can't be read
+ */
+function buildArchiveQuery(query) {
+  const filter = {};
+  const { tag, decade, from, to, sort = '-submittedAt' } = query;
+
+  // Several tags narrow the results to photos carrying all of them
+  const tags = parseList(tag).map(t => t.toLowerCase());
+  if (tags.length === 1) filter.tags = tags[0];
+  if (tags.length > 1) filter.tags = { $all: tags };
+
+  // Date filters match any photo whose capture range overlaps the requested range
+  let rangeStart = null;
+  let rangeEnd = null;
+
+  if (decade) {
+    const range = parseDecade(decade);
+    if (!range) throw ValidationError.forField('query', 'decade', 'decade must look like "1950" or "1950s"');
+    rangeStart = range.start;
+    rangeEnd = range.end;
   }
-});
 
-// GET all photos with optional filters
-router.get('/', async (req, res) => {
-  // Explicitly set CORS headers for this specific route
-  res.header('Access-Control-Allow-Origin', '*');
-  res.header('Access-Control-Allow-Methods', '*');
-  res.header('Access-Control-Allow-Headers', '*');
-  
+  if (from) {
+    const parsed = parseCaptureDate(from);
+    if (!parsed || !parsed.start) throw ValidationError.forField('query', 'from', 'from must be a date like "1950" or "1954-06"');
+    if (!rangeStart || parsed.start > rangeStart) rangeStart = parsed.start;
+  }
+
+  if (to) {
+    const parsed = parseCaptureDate(to);
+    if (!parsed || !parsed.end) throw ValidationError.forField('query', 'to', 'to must be a date like "1950" or "1954-06"');
+    if (!rangeEnd || parsed.end < rangeEnd) rangeEnd = parsed.end;
+  }
+
+  if (rangeStart) filter['captureDate.end'] = { $gte: rangeStart };
+  if (rangeEnd) filter['captureDate.start'] = { $lte: rangeEnd };
+
+  const direction = String(sort).startsWith('-') ? -1 : 1;
+  const sortField = SORT_FIELDS[String(sort).replace(/^-/, '')];
+
+  return { filter, sortField, direction };
+}
+
+// GET all photos with optional filters. Anonymous callers and contributors
+// only see approved photos; moderators can filter by any status.
+router.get('/', optionalAuth, validate({
+  query: {
+    ...LISTING_QUERY,
+    status: { type: 'enum', values: Photo.schema.path('status').enumValues },
+    floorId: { type: 'string', maxLength: 100 }
+  }
+}), async (req, res, next) => {
   try {
     const { status, floorId } = req.query;
-    
+
     // Build filter object
-    const filter = {};
-    if (status) filter.status = status;
+    const { filter, sortField, direction } = buildArchiveQuery(req.query);
+    const { limit, cursor, projection } = parsePagination(req.query, LISTABLE_FIELDS);
+    const isModerator = req.user && hasRole(req.user.role, 'moderator');
+    if (!isModerator) {
+      filter.status = 'approved';
+    } else if (status) {
+      filter.status = status;
+    }
     if (floorId) filter.floorId = floorId;
-    
-    const photos = await Photo.find(filter).sort({ submittedAt: -1 });
-    
-    res.json(photos);
+
+    const page = await paginate(Photo, filter, {
+      sortField,
+      direction,
+      limit,
+      cursor,
+      projection: withImageSourceFields(projection)
+    });
+
+    res.json({
+      photos: presentPhotos(page.items, req.user),
+      nextCursor: page.nextCursor,
+      total: page.total,
+      limit: page.limit
+    });
   } catch (err) {
-    console.error('Error fetching photos:', err);
-    res.status(500).json({ error: 'Server error fetching photos' });
+    next(err);
   }
 });
 
-// POST a new photo
-router.post('/upload', upload.single('imageFile'), async (req, res) => {
-  // Explicitly set CORS headers on this route
-  res.header('Access-Control-Allow-Origin', '*');
-  res.header('Access-Control-Allow-Methods', '*');
-  res.header('Access-Control-Allow-Headers', '*');
-  
+// Search results per page: default and maximum
+const SEARCH_PAGE_SIZE = 20;
+const SEARCH_MAX_PAGE_SIZE = 100;
+
+// GET full-text search across photo metadata
+router.get('/search', optionalAuth, validate({
+  query: {
+    q: { type: 'string', required: true, maxLength: 500 },
+    page: { type: 'integer', min: 1, default: 1 },
+    limit: { type: 'integer', min: 1, default: SEARCH_PAGE_SIZE },
+    status: { type: 'enum', values: ['pending', 'approved', 'rejected', 'all'] }
+  }
+}), async (req, res, next) => {
   try {
-    console.log('Upload request received');
-    
-    if (!req.file) {
-      return res.status(400).json({ error: 'No file uploaded' });
+    const { q, page } = req.query;
+    const limit = Math.min(req.query.limit, SEARCH_MAX_PAGE_SIZE);
+
+    // The public only ever sees approved photos; moderators can search any status
+    const isModerator = req.user && hasRole(req.user.role, 'moderator');
+    const filter = { $text: { $search: q } };
+
+    if (!isModerator) {
+      filter.status = 'approved';
+    } else if (req.query.status && req.query.status !== 'all') {
+      filter.status = req.query.status;
     }
 
-    const contributor = req.body.contributor || 'Anonymous';
-    const floorId = req.body.floorId || 'Unknown';
-    const roomId = req.body.roomId || '';
+    const [photos, total] = await Promise.all([
+      Photo.find(filter, { score: { $meta: 'textScore' } })
+        .sort({ score: { $meta: 'textScore' }, submittedAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Photo.countDocuments(filter)
+    ]);
 
-    // Format date as "Mon YYYY"
-    const date = new Date().toLocaleDateString("en-US", {
-      month: "short",
-      year: "numeric",
+    const terms = getSearchTerms(q);
+
+    res.json({
+      query: q,
+      results: photos.map(photo => {
+        const presented = presentPhoto(photo, req.user);
+        delete presented.score;
+        return {
+          photo: presented,
+          score: photo.get('score'),
+          matches: findMatchedFields(photo, terms)
+        };
+      }),
+      total,
+      page,
+      limit,
+      totalPages: Math.ceil(total / limit)
     });
+  } catch (err) {
+    next(err);
+  }
+});
 
-    // Create metadata for Cloudflare
-    const metadata = JSON.stringify({
-      contributor,
-      floorId,
-      roomId: roomId || '',
-      date
+// POST a new photo
+router.post('/upload', acceptUpload('imageFile'), async (req, res, next) => {
+  try {
+    const { photo: newPhoto, claimToken } = await createPhotoFromUpload(req.file, req.body, { submittedBy: req.contributor });
+    publish('photo.submitted', { photos: [newPhoto] });
+
+    res.status(201).json({
+      message: 'Photo uploaded and pending approval',
+      photo: presentPhoto(newPhoto, req.user),
+      claimToken
     });
+  } catch (err) {
+    next(err);
+  }
+});
 
-    // Get temporary file path
-    const tempFilePath = path.join(__dirname, '../uploads/temp', req.file.filename);
-    
-    try {
-      // Upload image to Cloudflare
-      const cloudflareResponse = await uploadImage(tempFilePath, metadata);
-      
-      if (!cloudflareResponse.success) {
-        throw new Error('Failed to upload image to Cloudflare');
-      }
-      
-      const cloudflareId = cloudflareResponse.result.id;
-      const imageUrl = getImageUrl(cloudflareId);
-
-      // Create new photo entry in database
-      const newPhoto = new Photo({
-        contributor,
-        date,
-        floorId,
-        roomId: roomId || undefined,
-        cloudflareId,
-        imageUrl,
-        originalFileName: req.file.originalname,
-        status: 'pending'
-      });
+// POST many photos at once, with shared metadata and per-file overrides
+router.post('/batch-upload', acceptUpload('imageFiles', MAX_BATCH_FILES), async (req, res, next) => {
+  try {
+    const created = await createPhotosFromBatch(req.files, req.body, { submittedBy: req.contributor });
+    publish('photo.submitted', { photos: created.filter(result => result.photo).map(result => result.photo) });
 
-      await newPhoto.save();
+    const results = created.map(result => {
+      if (!result.photo) return result;
 
-      // Clean up temp file
-      try {
-        fs.unlinkSync(tempFilePath);
-      } catch (unlinkError) {
-        console.error('Error deleting temp file:', unlinkError);
-      }
+      const { _id, status, imageUrl, variants } = presentPhoto(result.photo, req.user);
+      return { ...result, photo: { id: _id, status, imageUrl, variants } };
+    });
+    const succeeded = results.filter(result => result.success).length;
 
-      res.status(201).json({ 
-        message: 'Photo uploaded and pending approval',
-        photo: newPhoto
-      });
-    } catch (cloudflareError) {
-      console.error('Cloudflare upload error:', cloudflareError);
-      
-      // Clean up temp file on error
-      try {
-        if (fs.existsSync(tempFilePath)) {
-          fs.unlinkSync(tempFilePath);
-        }
-      } catch (unlinkError) {
-        console.error('Error deleting temp file:', unlinkError);
-      }
-      
-      res.status(500).json({
-        error: 'Error uploading to Cloudflare: ' + cloudflareError.message
-      });
-    }
-  } catch (err) {
-    console.error('Upload error:', err);
-    res.status(500).json({ 
-      error: 'Server error during upload: ' + err.message
+    // 207 tells the client to read the per-file results
+    res.status(succeeded === results.length ? 201 : 207).json({
+      message: `${succeeded} of ${results.length} photo(s) uploaded and pending approval`,
+      summary: {
+        total: results.length,
+        succeeded,
+        failed: results.length - succeeded
+      },
+      results
     });
+  } catch (err) {
+    next(err);
   }
 });
 
-// Test upload endpoint - simpler version for testing CORS
-router.post('/test-upload', upload.single('imageFile'), (req, res) => {
+// Test upload endpoint - checks that a file gets through, keeps nothing
+router.post('/test-upload', acceptUpload('imageFile'), async (req, res, next) => {
   try {
-    console.log('Test upload request received');
-    console.log('Headers:', req.headers);
-    console.log('File:', req.file ? 'Present' : 'Not present');
-    
     if (!req.file) {
-      return res.status(400).json({ message: 'No file in request' });
+      throw new UploadError('No file in request', { status: 400, code: 'NO_FILE' });
     }
-    
+
     res.status(200).json({
       message: 'File received successfully',
       fileName: req.file.originalname,
@@ -174,241 +320,261 @@ router.post('/test-upload', upload.single('imageFile'), (req, res) => {
       mimeType: req.file.mimetype
     });
   } catch (err) {
-    console.error('Test upload error:', err);
-    res.status(500).json({ error: err.message });
+    next(err);
+  } finally {
+    // Nothing is kept from a test upload
+    await removeTempFile(req.file);
   }
 });
 
+// Optional note recorded with a moderation decision
+const MODERATION_BODY = {
+  reason: { type: 'string', maxLength: 2000 }
+};
+
+// Rejections must say why
+const REJECT_BODY = {
+  reason: { type: 'string', required: true, maxLength: 2000 }
+};
+
 // PUT approve a photo
-router.put('/:id/approve', async (req, res) => {
+router.put('/:id/approve', requireAuth, requireRole('moderator'), validate({
+  params: { id: objectIdParam },
+  body: MODERATION_BODY
+}), async (req, res, next) => {
   try {
-    const photo = await Photo.findById(req.params.id);
-    
-    if (!photo) {
-      return res.status(404).json({ error: 'Photo not found' });
-    }
-    
-    if (photo.status === 'approved') {
-      return res.status(400).json({ error: 'Photo already approved' });
-    }
-    
-    // Update the photo record
-    photo.status = 'approved';
-    photo.approvedAt = new Date();
-    
-    await photo.save();
-    
-    // Clean up temp file if it exists
-    if (photo.tempFilePath) {
-      const filePath = path.join(__dirname, '..', photo.tempFilePath);
-      if (fs.existsSync(filePath)) {
-        fs.unlinkSync(filePath);
-        photo.tempFilePath = undefined;
-        await photo.save();
-      }
-    }
-    
-    res.json({ 
+    const photo = await findPhoto(req.params.id);
+
+    await approvePhoto(photo, req.user, { reason: req.body.reason });
+    publish('photo.approved', { photo, actor: req.user, reason: req.body.reason });
+
+    res.json({
       message: 'Photo approved successfully',
-      photo
+      photo: presentPhoto(photo, req.user)
     });
   } catch (err) {
-    console.error('Error approving photo:', err);
-    res.status(500).json({ error: 'Server error approving photo' });
+    next(err);
   }
 });
 
-// PUT reject a photo
-router.put('/:id/reject', async (req, res) => {
+// PUT reject a photo (a reason is required)
+router.put('/:id/reject', requireAuth, requireRole('moderator'), validate({
+  params: { id: objectIdParam },
+  body: REJECT_BODY
+}), async (req, res, next) => {
   try {
-    const photo = await Photo.findById(req.params.id);
-    
-    if (!photo) {
-      return res.status(404).json({ error: 'Photo not found' });
-    }
-    
-    if (photo.status === 'rejected') {
-      return res.status(400).json({ error: 'Photo already rejected' });
+    const photo = await findPhoto(req.params.id);
+
+    const previousStatus = photo.status;
+    await rejectPhoto(photo, req.user, { reason: req.body.reason });
+    publish('photo.rejected', { photo, actor: req.user, reason: req.body.reason, previousStatus });
+
+    res.json({
+      message: 'Photo rejected successfully',
+      photo: presentPhoto(photo, req.user)
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// PATCH edit a photo's metadata; each edit is kept as a revision.
+// The editable fields themselves are checked by services/photoEdits.js.
+router.patch('/:id', requireAuth, requireRole('moderator'), validate({
+  params: { id: objectIdParam },
+  body: { comment: { type: 'string', maxLength: 1000 } }
+}), async (req, res, next) => {
+  try {
+    const photo = await findPhoto(req.params.id);
+
+    const revision = await editPhoto(photo, req.body, req.user);
+    if (revision) {
+      publish('photo.updated', { photo, actor: req.user, fields: revision.changes.map(change => change.field) });
     }
-    
-    // Delete the image from Cloudflare
-    if (photo.cloudflareId) {
-      try {
-        await deleteImage(photo.cloudflareId);
-      } catch (cloudflareErr) {
-        console.error('Failed to delete from Cloudflare:', cloudflareErr);
-        // Continue even if Cloudflare deletion fails
-      }
+
+    res.json({
+      message: revision ? 'Photo updated successfully' : 'No changes',
+      photo: presentPhoto(photo, req.user),
+      revision
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// GET a photo's metadata revisions, newest first
+router.get('/:id/revisions', requireAuth, requireRole('moderator'), validate({
+  params: { id: objectIdParam }
+}), async (req, res, next) => {
+  try {
+    const photo = await findPhoto(req.params.id);
+
+    const revisions = await getRevisions(photo);
+
+    res.json({ photo: photo._id, revisions });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// POST undo a revision (optionally only some of its fields)
+router.post('/:id/revisions/:revision/revert', requireAuth, requireRole('moderator'), validate({
+  params: {
+    id: objectIdParam,
+    revision: { type: 'integer', required: true, min: 1 }
+  },
+  body: {
+    fields: { type: 'list' },
+    comment: { type: 'string', maxLength: 1000 },
+    $strict: true
+  }
+}), async (req, res, next) => {
+  try {
+    const photo = await findPhoto(req.params.id);
+
+    const revision = await revertRevision(photo, req.params.revision, req.user, {
+      fields: req.body.fields,
+      comment: req.body.comment
+    });
+    if (revision) {
+      publish('photo.updated', { photo, actor: req.user, fields: revision.changes.map(change => change.field) });
     }
-    
-    // Delete the temp file if it exists
-    if (photo.tempFilePath) {
-      const filePath = path.join(__dirname, '..', photo.tempFilePath);
-      if (fs.existsSync(filePath)) {
-        fs.unlinkSync(filePath);
+
+    res.json({
+      message: revision ? `Revision ${req.params.revision} reverted` : 'No changes',
+      photo: presentPhoto(photo, req.user),
+      revision
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Limit how many corrections one visitor can send
+const suggestionLimiter = rateLimit({
+  name: 'suggestions',
+  windowMs: SUGGESTION_RATE_WINDOW,
+  max: SUGGESTION_RATE_LIMIT,
+  message: 'Too many suggestions from this address, please try again later'
+});
+
+// POST propose a metadata correction to an approved photo (public).
+// The proposed values are checked by services/suggestions.js.
+router.post('/:id/suggestions', suggestionLimiter, validate({
+  params: { id: objectIdParam },
+  body: {
+    changes: { type: 'object', required: true },
+    note: { type: 'string', maxLength: 2000 },
+    name: { type: 'string', maxLength: 100 },
+    email: { type: 'string', maxLength: 200 },
+    $strict: true
+  }
+}), async (req, res, next) => {
+  try {
+    const photo = await findPhoto(req.params.id);
+
+    const suggestion = await submitSuggestion(photo, req.body, req.ip);
+
+    res.status(201).json({
+      message: 'Thank you! Your suggestion will be reviewed by a moderator.',
+      suggestion: {
+        id: suggestion._id,
+        status: suggestion.status
       }
-    }
-    
-    // Update the photo record
-    photo.status = 'rejected';
-    photo.tempFilePath = undefined;
-    
-    await photo.save();
-    
-    res.json({ 
-      message: 'Photo rejected successfully',
-      photo
     });
   } catch (err) {
-    console.error('Error rejecting photo:', err);
-    res.status(500).json({ error: 'Server error rejecting photo' });
+    next(err);
   }
 });
 
+// GET a proof-of-work challenge for an anonymous upload
+router.get('/upload-challenge', (req, res) => {
+  res.json({
+    required: UPLOAD_CHALLENGE === 'pow',
+    ...createChallenge()
+  });
+});
+
 // GET supported image formats
 router.get('/formats', (req, res) => {
+  const limits = getUploadLimits();
+
   res.json({
-    supported_formats: SUPPORTED_FORMATS,
-    max_file_size: '10MB',
-    message: 'These formats are supported by Cloudflare Images'
+    supported_formats: limits.extensions,
+    formats: limits.formats,
+    mime_types: limits.mimeTypes,
+    max_file_size: limits.maxFileSizeText,
+    max_file_size_bytes: limits.maxFileSize,
+    message: 'Uploads are checked by file content; only these formats are accepted'
   });
 });
 
 // POST a new photo - simplified for direct upload
-router.post('/direct-upload', upload.single('imageFile'), async (req, res) => {
+router.post('/direct-upload', acceptUpload('imageFile'), async (req, res, next) => {
   try {
-    console.log('Direct upload request received');
-    console.log('Headers:', JSON.stringify(req.headers, null, 2));
-    console.log('File present:', !!req.file);
-    
-    if (!req.file) {
-      return res.status(400).json({ error: 'No file uploaded' });
-    }
+    const { photo: newPhoto, claimToken } = await createPhotoFromUpload(req.file, req.body, { submittedBy: req.contributor });
+    publish('photo.submitted', { photos: [newPhoto] });
+    const { imageUrl, variants } = presentPhoto(newPhoto, req.user);
 
-    // Get essential form data
-    const contributor = req.body.contributor || 'Anonymous';
-    const floorId = req.body.floorId || 'Unknown';
-    const roomId = req.body.roomId || '';
-    
-    // Format date 
-    const date = new Date().toLocaleDateString("en-US", {
-      month: "short",
-      year: "numeric",
-    });
-
-    // Simple metadata
-    const metadata = JSON.stringify({ contributor, floorId, roomId, date });
-
-    // Get temp file path
-    const tempFilePath = path.join(__dirname, '../uploads/temp', req.file.filename);
-    console.log('File saved to:', tempFilePath);
-    
-    try {
-      // Upload to Cloudflare
-      const cloudflareResponse = await uploadImage(tempFilePath, metadata);
-      
-      if (!cloudflareResponse.success) {
-        throw new Error('Failed to upload to Cloudflare');
-      }
-      
-      const cloudflareId = cloudflareResponse.result.id;
-      const imageUrl = getImageUrl(cloudflareId);
-      
-      // Create new photo record
-      const newPhoto = new Photo({
-        contributor,
-        date,
-        floorId,
-        roomId: roomId || undefined,
-        cloudflareId,
+    return res.status(201).json({
+      success: true,
+      message: 'Photo uploaded successfully',
+      photo: {
+        id: newPhoto._id,
         imageUrl,
-        originalFileName: req.file.originalname,
+        variants,
         status: 'pending'
-      });
-      
-      await newPhoto.save();
-      
-      // Clean up temp file
-      try {
-        fs.unlinkSync(tempFilePath);
-      } catch (err) {
-        console.error('Error deleting temp file:', err);
-      }
-      
-      return res.status(201).json({
-        success: true,
-        message: 'Photo uploaded successfully',
-        photo: {
-          id: newPhoto._id,
-          imageUrl,
-          status: 'pending'
-        }
-      });
-    } catch (error) {
-      console.error('Cloudflare upload error:', error);
-      
-      // Clean up temp file on error
-      try {
-        fs.unlinkSync(tempFilePath);
-      } catch (err) {
-        console.error('Error deleting temp file:', err);
-      }
-      
-      throw error;
-    }
-  } catch (err) {
-    console.error('Direct upload error:', err);
-    res.status(500).json({
-      success: false,
-      error: err.message || 'Server error during upload'
+      },
+      claimToken
     });
+  } catch (err) {
+    next(err);
   }
 });
 
-// CORS status check endpoint
-router.get('/cors-check', (req, res) => {
-  // Set maximally permissive CORS headers
-  res.header('Access-Control-Allow-Origin', '*');
-  res.header('Access-Control-Allow-Methods', '*');
-  res.header('Access-Control-Allow-Headers', '*');
-  res.header('Access-Control-Allow-Credentials', 'true');
-  res.header('Access-Control-Max-Age', '86400');
-  
+// CORS status check: what the API's CORS policy decides for the calling
+// origin (or ?origin=), on /api or on another path given as ?path=
+router.get('/cors-check', validate({
+  query: {
+    origin: { type: 'string', maxLength: 500 },
+    path: { type: 'string', maxLength: 500, pattern: /^\//, patternMessage: 'start with /', default: '/api' }
+  }
+}), (req, res) => {
+  const origin = req.query.origin || req.headers.origin;
+  const decision = getCorsDecision(origin, req.query.path);
+
   res.json({
-    corsStatus: 'ok',
-    message: 'Using extremely permissive CORS configuration that should work with any client',
-    receivedOrigin: req.headers.origin || 'none',
-    timestamp: new Date().toISOString(),
-    headers: {
-      sent: {
-        'Access-Control-Allow-Origin': '*',
-        'Access-Control-Allow-Methods': '*',
-        'Access-Control-Allow-Headers': '*'
-      },
-      received: req.headers
-    }
+    corsStatus: decision.allowed ? 'allowed' : 'blocked',
+    path: req.query.path,
+    ...decision,
+    timestamp: new Date().toISOString()
   });
 });
 
 // Special route specifically for approved photos (to handle the common case)
-router.get('/approved', async (req, res) => {
-  // Explicitly set all CORS headers
-  res.header('Access-Control-Allow-Origin', '*');
-  res.header('Access-Control-Allow-Methods', '*');
-  res.header('Access-Control-Allow-Headers', '*');
-  
+router.get('/approved', optionalAuth, validate({ query: LISTING_QUERY }), async (req, res, next) => {
   try {
+    const { filter, sortField, direction } = buildArchiveQuery(req.query);
+    const { limit, cursor, projection } = parsePagination(req.query, LISTABLE_FIELDS);
+
     // Get approved photos
-    const photos = await Photo.find({ status: 'approved' }).sort({ submittedAt: -1 });
-    
-    // Log success for debugging
-    console.log(`Successfully retrieved ${photos.length} approved photos`);
-    
-    res.json(photos);
+    const page = await paginate(Photo, { ...filter, status: 'approved' }, {
+      sortField,
+      direction,
+      limit,
+      cursor,
+      projection: withImageSourceFields(projection)
+    });
+
+    res.json({
+      photos: presentPhotos(page.items, req.user),
+      nextCursor: page.nextCursor,
+      total: page.total,
+      limit: page.limit
+    });
   } catch (err) {
-    console.error('Error fetching approved photos:', err);
-    res.status(500).json({ error: 'Server error fetching approved photos' });
+    next(err);
   }
 });
 
-module.exports = router; 
\ No newline at end of file
+module.exports = router;
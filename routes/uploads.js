@@ -0,0 +1,137 @@
+const express = require('express');
+const router = express.Router();
+const { MIN_CHUNK_SIZE, MAX_CHUNK_SIZE } = require('../config/uploads');
+const { rateLimit } = require('../middleware/rateLimit');
+const { API_RATE_WINDOW, UPLOAD_CHUNK_RATE_LIMIT } = require('../config/rateLimits');
+const { UploadError } = require('../services/upload');
+const { validate } = require('../middleware/validate');
+const { optionalAuth } = require('../middleware/auth');
+const { presentPhoto } = require('../utils/photoUrls');
+const { publish } = require('../utils/events');
+const { beforeUploadBody, afterUploadBody } = require('../middleware/uploadLimits');
+const {
+  describeSession,
+  getSession,
+  getOpenSession,
+  createSession,
+  writeChunk,
+  completeSession,
+  abortSession
+} = require('../services/resumableUpload');
+
+// Chunks are sent as the raw request body, whatever the content type
+const readChunk = express.raw({ type: () => true, limit: MAX_CHUNK_SIZE });
+
+/**
+ * Read a chunk body, answering oversized or broken bodies with a 4xx
+ */
+function acceptChunk(req, res, next) {
+  readChunk(req, res, err => {
+    if (!err) return next();
+
+    next(new UploadError(err.message, {
+      status: err.status || 400,
+      code: err.type === 'entity.too.large' ? 'CHUNK_TOO_LARGE' : 'INVALID_CHUNK'
+    }));
+  });
+}
+
+// Upload ids are 32 hex characters (they also name the chunk directory)
+const UPLOAD_ID_PARAMS = {
+  uploadId: { type: 'string', required: true, pattern: /^[0-9a-f]{32}$/, patternMessage: 'be an upload id' }
+};
+
+// Chunk PUTs skip the per-IP API limit (see server.js) and are limited per
+// session instead, once the session is known to exist
+const chunkLimiter = rateLimit({
+  name: 'upload-chunk',
+  windowMs: API_RATE_WINDOW,
+  max: UPLOAD_CHUNK_RATE_LIMIT,
+  keyGenerator: req => req.params.uploadId,
+  message: 'Too many chunk requests for this upload, please try again later'
+});
+
+/**
+ * Refuse chunks for unknown, expired or finished sessions before reading the body
+ */
+async function requireOpenSession(req, res, next) {
+  try {
+    await getOpenSession(req.params.uploadId);
+    next();
+  } catch (err) {
+    next(err);
+  }
+}
+
+// Session fields; the photo's metadata fields are checked with the upload
+// itself, and the size limit in the service (it answers 413, not 400)
+const SESSION_BODY = {
+  fileName: { type: 'string', required: true, maxLength: 255 },
+  fileSize: { type: 'integer', required: true, min: 1 },
+  chunkSize: { type: 'integer', min: MIN_CHUNK_SIZE, max: MAX_CHUNK_SIZE },
+  sha256: { type: 'string', pattern: /^[0-9a-f]{64}$/i, patternMessage: 'be a hex SHA-256 digest' }
+};
+
+// POST start a resumable upload session
+router.post('/', beforeUploadBody, afterUploadBody, validate({ body: SESSION_BODY }), async (req, res, next) => {
+  try {
+    const session = await createSession(req.body, { clientIp: req.ip, submittedBy: req.contributor });
+    res.status(201).json(describeSession(session));
+  } catch (err) {
+    next(err);
+  }
+});
+
+// GET which chunks (and byte ranges) of an upload have been received
+router.get('/:uploadId', validate({ params: UPLOAD_ID_PARAMS }), async (req, res, next) => {
+  try {
+    const session = await getSession(req.params.uploadId);
+    res.json(describeSession(session));
+  } catch (err) {
+    next(err);
+  }
+});
+
+// PUT one numbered chunk
+router.put('/:uploadId/chunks/:index', validate({
+  params: {
+    ...UPLOAD_ID_PARAMS,
+    index: { type: 'integer', required: true, min: 0 }
+  }
+}), requireOpenSession, chunkLimiter, acceptChunk, async (req, res, next) => {
+  try {
+    const session = await writeChunk(req.params.uploadId, req.params.index, req.body);
+    res.json(describeSession(session));
+  } catch (err) {
+    next(err);
+  }
+});
+
+// POST assemble the chunks and submit the photo
+router.post('/:uploadId/complete', optionalAuth, validate({ params: UPLOAD_ID_PARAMS }), async (req, res, next) => {
+  try {
+    const { session, photo, claimToken } = await completeSession(req.params.uploadId);
+    publish('photo.submitted', { photos: [photo] });
+
+    res.status(201).json({
+      message: 'Photo uploaded and pending approval',
+      upload: describeSession(session),
+      photo: presentPhoto(photo, req.user),
+      claimToken
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// DELETE abandon an upload
+router.delete('/:uploadId', validate({ params: UPLOAD_ID_PARAMS }), async (req, res, next) => {
+  try {
+    const session = await abortSession(req.params.uploadId);
+    res.json(describeSession(session));
+  } catch (err) {
+    next(err);
+  }
+});
+
+module.exports = router;
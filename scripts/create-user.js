@@ -0,0 +1,47 @@
+// Create (or reset the password of) a moderator account from the command line.
+// Usage: node scripts/create-user.js <username> <password> [moderator|admin]
+const dotenv = require('dotenv');
+dotenv.config();
+
+const mongoose = require('mongoose');
+const { connectToDatabase } = require('../utils/database');
+const { ROLES, hashPassword } = require('../utils/auth');
+const User = require('../models/User');
+
+async function main() {
+  const [username, password, role = 'admin'] = process.argv.slice(2);
+
+  if (!username || !password) {
+    console.error('Usage: node scripts/create-user.js <username> <password> [moderator|admin]');
+    process.exit(1);
+  }
+
+  if (!ROLES.includes(role)) {
+    console.error(`Role must be one of: ${ROLES.join(', ')}`);
+    process.exit(1);
+  }
+
+  await connectToDatabase();
+
+  const passwordHash = await hashPassword(password);
+  const existing = await User.findOne({ username: username.toLowerCase() });
+
+  if (existing) {
+    existing.passwordHash = passwordHash;
+    existing.role = role;
+    existing.active = true;
+    existing.tokenVersion += 1;
+    await existing.save();
+    console.log(`Updated ${role} account: ${existing.username}`);
+  } else {
+    const user = await User.create({ username, displayName: username, passwordHash, role });
+    console.log(`Created ${role} account: ${user.username}`);
+  }
+
+  await mongoose.disconnect();
+}
+
+main().catch(err => {
+  console.error('Failed to create user:', err);
+  process.exit(1);
+});
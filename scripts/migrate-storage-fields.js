@@ -0,0 +1,35 @@
+// Move photos stored before the storage abstraction from `cloudflareId`
+// to the provider-neutral `storageProvider`/`storageKey` fields.
+// Usage: node scripts/migrate-storage-fields.js [--dry-run]
+const dotenv = require('dotenv');
+dotenv.config();
+
+const mongoose = require('mongoose');
+const { connectToDatabase } = require('../utils/database');
+const Photo = require('../models/Photo');
+
+async function main() {
+  const dryRun = process.argv.includes('--dry-run');
+
+  await connectToDatabase();
+
+  const filter = Photo.UNMIGRATED_STORAGE_FILTER;
+
+  const count = await Photo.collection.countDocuments(filter);
+  console.log(`${count} photo(s) to migrate`);
+
+  if (!dryRun && count > 0) {
+    const result = await Photo.collection.updateMany(filter, [
+      { $set: { storageProvider: 'cloudflare', storageKey: '$cloudflareId' } },
+      { $unset: 'cloudflareId' }
+    ]);
+    console.log(`Migrated ${result.modifiedCount} photo(s)`);
+  }
+
+  await mongoose.disconnect();
+}
+
+main().catch(err => {
+  console.error('Migration failed:', err);
+  process.exit(1);
+});
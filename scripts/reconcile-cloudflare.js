@@ -0,0 +1,58 @@
+// Compare the images in Cloudflare with the photos that use them, and report
+// orphaned images and photos whose image is missing.
+// Usage: node scripts/reconcile-cloudflare.js [--fix] [--min-age=<minutes>]
+//   --fix          delete orphaned images this app uploaded, and mark
+//                  rejected photos whose image is missing as purged.
+//                  Refused while photos still need migrate-storage-fields.js
+//   --min-age      ignore remote images younger than this (default 60)
+const dotenv = require('dotenv');
+dotenv.config();
+
+const mongoose = require('mongoose');
+const { connectToDatabase } = require('../utils/database');
+const { reconcileCloudflareImages } = require('../services/reconciliation');
+
+async function main() {
+  const fix = process.argv.includes('--fix');
+  const minAgeArg = process.argv.find(arg => arg.startsWith('--min-age='));
+  const minAge = minAgeArg ? Number(minAgeArg.split('=')[1]) : 60;
+
+  if (!Number.isFinite(minAge) || minAge < 0) {
+    console.error('--min-age must be a number of minutes');
+    process.exit(1);
+  }
+
+  await connectToDatabase();
+
+  const report = await reconcileCloudflareImages({ fix, minOrphanAge: minAge * 60 * 1000 });
+
+  console.log(`${report.remote} image(s) in Cloudflare, ${report.photos} photo(s) stored there`);
+  if (report.unmigrated) {
+    console.log(`${report.unmigrated} photo(s) still use cloudflareId; run scripts/migrate-storage-fields.js`);
+  }
+
+  console.log(`${report.orphans.length} orphaned image(s)`);
+  report.orphans.forEach(orphan => {
+    console.log(`  ${orphan.storageKey}  uploaded ${orphan.uploaded ? orphan.uploaded.toISOString() : 'unknown'}  ${orphan.action}${orphan.error ? `: ${orphan.error}` : ''}`);
+  });
+
+  console.log(`${report.dangling.length} photo(s) with a missing image`);
+  report.dangling.forEach(entry => {
+    console.log(`  photo ${entry.photo} (${entry.status})  ${entry.storageKey}  ${entry.action}`);
+  });
+
+  if (!fix && (report.orphans.length || report.dangling.length)) {
+    console.log('Run with --fix to delete orphans and mark missing rejected images as purged');
+  }
+
+  await mongoose.disconnect();
+
+  if (report.orphans.some(orphan => orphan.action === 'failed')) {
+    process.exit(1);
+  }
+}
+
+main().catch(err => {
+  console.error('Reconciliation failed:', err);
+  process.exit(1);
+});
@@ -0,0 +1,52 @@
+// Make stored images private or public to match their photo's status:
+// approved photos public, pending and rejected ones private (signed URLs only).
+// Run once after upgrading, since earlier uploads were all stored public.
+// Usage: node scripts/sync-image-access.js [--dry-run]
+const dotenv = require('dotenv');
+dotenv.config();
+
+const mongoose = require('mongoose');
+const { connectToDatabase } = require('../utils/database');
+const { setImagePrivate } = require('../utils/storage');
+const Photo = require('../models/Photo');
+
+async function main() {
+  const dryRun = process.argv.includes('--dry-run');
+
+  await connectToDatabase();
+
+  const photos = await Photo.find({ purgedAt: null }).select('storageProvider storageKey status');
+  console.log(`${photos.length} photo(s) to check`);
+
+  let failed = 0;
+  for (const photo of photos) {
+    const isPrivate = photo.status !== 'approved';
+
+    if (dryRun) {
+      console.log(`${photo.storageProvider}/${photo.storageKey}: ${isPrivate ? 'private' : 'public'}`);
+      continue;
+    }
+
+    try {
+      await setImagePrivate(photo.storageProvider, photo.storageKey, isPrivate);
+    } catch (err) {
+      failed++;
+      console.error(`Failed to update ${photo.storageProvider}/${photo.storageKey} of photo ${photo._id}:`, err.message);
+    }
+  }
+
+  if (!dryRun) {
+    console.log(`Updated ${photos.length - failed} image(s), ${failed} failed`);
+  }
+
+  await mongoose.disconnect();
+
+  if (failed) {
+    process.exit(1);
+  }
+}
+
+main().catch(err => {
+  console.error('Sync failed:', err);
+  process.exit(1);
+});
@@ -1,6 +1,4 @@
 const express = require('express');
-const cors = require('cors');
-const path = require('path');
 const dotenv = require('dotenv');
 const mongoose = require('mongoose');
 
@@ -10,63 +8,118 @@ dotenv.config();
 // Import routes
 const photoRoutes = require('./routes/photos');
 const adminRoutes = require('./routes/admin');
+const authRoutes = require('./routes/auth');
+const locationRoutes = require('./routes/locations');
+const uploadRoutes = require('./routes/uploads');
+const contributorRoutes = require('./routes/contributors');
 
 // Import database connection
 const { connectToDatabase } = require('./utils/database');
+const Photo = require('./models/Photo');
+
+// Background jobs
+const { purgeExpiredSessions } = require('./services/resumableUpload');
+const { UPLOAD_SESSION_CLEANUP_INTERVAL } = require('./config/uploads');
+const { purgeExpiredRejections } = require('./services/moderation');
+const { REJECTED_PURGE_INTERVAL } = require('./config/moderation');
+const { startNotifications } = require('./services/notifications');
+const { startWebhooks } = require('./services/webhooks');
+const { publish } = require('./utils/events');
+
+// CORS
+const { corsMiddleware } = require('./middleware/cors');
+const { ALLOWED_ORIGINS } = require('./config/cors');
+
+// Local image delivery
+const { LOCAL_STORAGE_DIR, LOCAL_STORAGE_PATH } = require('./utils/storage/local');
+const { localImageAccess } = require('./middleware/imageAccess');
+const { getProvider } = require('./utils/storage');
+const { canSignUrls } = require('./utils/cloudflare');
+
+// Rate limiting
+const { rateLimit } = require('./middleware/rateLimit');
+const { API_RATE_LIMIT, API_RATE_WINDOW } = require('./config/rateLimits');
+
+// Errors
+const { notFoundHandler, errorHandler } = require('./middleware/errorHandler');
+const { AppError } = require('./utils/errors');
 
 // Initialize Express app
 const app = express();
 
-// ABSOLUTE HIGHEST PRIORITY: CORS HEADERS FOR EVERYTHING
-// This simple middleware will add CORS headers to EVERY response
-// It runs before any other middleware or route handlers
-app.use((req, res, next) => {
-  // Allow ANY origin, method, and header
-  res.setHeader('Access-Control-Allow-Origin', '*');
-  res.setHeader('Access-Control-Allow-Methods', '*');
-  res.setHeader('Access-Control-Allow-Headers', '*');
-  res.setHeader('Access-Control-Allow-Credentials', 'true');
-  res.setHeader('Access-Control-Max-Age', '86400'); // 24 hours
-
-  // Handle preflight requests immediately
-  if (req.method === 'OPTIONS') {
-    return res.status(204).end();
-  }
-  
-  next();
-});
+// Behind a reverse proxy, take the client IP (used for rate limits) from
+// X-Forwarded-For. Production runs behind the host's proxy, so it trusts one
+// hop unless TRUST_PROXY says otherwise ("false" to turn it off); without
+// this every client would share the proxy's rate-limit bucket.
+const trustProxy = process.env.TRUST_PROXY || (process.env.NODE_ENV === 'production' ? '1' : '');
+if (trustProxy && trustProxy !== 'false') {
+  app.set('trust proxy', /^\d+$/.test(trustProxy) ? Number(trustProxy) : trustProxy);
+}
+
+// CORS headers for every response, from the policy in config/cors.js
+app.use(corsMiddleware);
 
 // Log environment configuration
 console.log(`Environment: ${process.env.NODE_ENV}`);
 console.log(`Server configured to use port: ${process.env.PORT || 3000}`);
+console.log('CORS allowed origins:', ALLOWED_ORIGINS);
 
-// CORS Configuration
-// Allow all origins in development, specific origins in production
-const allowedOrigins = process.env.NODE_ENV === 'production' 
-  ? [process.env.FRONTEND_URL, 'https://santacruzarchive.netlify.app', 'https://santacruzarchive.com', 'https://santacruz.onrender.com', 'https://www.santacruzarchive.net', 'https://santacruzarchive.net']
-  : ['http://localhost:3000', 'http://localhost:5173', process.env.FRONTEND_URL];
-
-console.log('CORS allowed origins:', allowedOrigins.filter(Boolean));
-
-// Use the cors package as a fallback
-app.use(cors({
-  origin: '*',
-  methods: '*',
-  allowedHeaders: '*',
-  exposedHeaders: '*',
-  credentials: true
-}));
+// Without a URL signing key Cloudflare can't serve private images, so
+// pending uploads would be public to anyone who learns their image ID
+if (getProvider().name === 'cloudflare' && !canSignUrls()) {
+  console.error('Warning: CLOUDFLARE_IMAGES_SIGNING_KEY is not set; images of unapproved photos are uploaded public');
+}
 
 // Increase the limit for JSON and URL-encoded payloads
 app.use(express.json({ limit: '50mb' }));
 app.use(express.urlencoded({ extended: true, limit: '50mb' }));
 
-// Serve static files from the uploads directory
-app.use('/uploads', express.static(path.join(__dirname, 'uploads')));
+// Serve locally stored images; private ones need a signed URL. Temp files
+// and upload chunks under uploads/ are never served.
+app.use(LOCAL_STORAGE_PATH, localImageAccess, express.static(LOCAL_STORAGE_DIR));
 
 // Initialize database connection
-connectToDatabase().then(() => {
+connectToDatabase().then(async () => {
+  // Un-migrated photos can't be saved, so approving or rejecting them would fail
+  const unmigrated = await Photo.collection.countDocuments(Photo.UNMIGRATED_STORAGE_FILTER);
+  if (unmigrated > 0) {
+    console.error(`${unmigrated} photo(s) still use cloudflareId; run npm run migrate:storage before starting the server`);
+    process.exit(1);
+  }
+
   console.log('Database initialized');
+
+  // Purge abandoned resumable uploads
+  setInterval(() => {
+    purgeExpiredSessions()
+      .then(({ sessions, orphanDirs }) => {
+        if (sessions || orphanDirs) {
+          console.log(`Purged ${sessions} expired upload session(s) and ${orphanDirs} orphaned chunk dir(s)`);
+        }
+      })
+      .catch(err => console.error('Upload session cleanup failed:', err));
+  }, UPLOAD_SESSION_CLEANUP_INTERVAL).unref();
+
+  // Delete the images of rejected photos past their retention window
+  setInterval(() => {
+    purgeExpiredRejections()
+      .then(({ purged, failed }) => {
+        purged.forEach(item => {
+          console.log(`Purged ${item.storageProvider} image ${item.storageKey} of rejected photo ${item.photo}`);
+          publish('photo.deleted', { photo: item.photo });
+        });
+        if (failed.length) {
+          console.error(`${failed.length} rejected photo image(s) could not be purged; will retry`);
+        }
+      })
+      .catch(err => console.error('Rejected photo purge failed:', err));
+  }, REJECTED_PURGE_INTERVAL).unref();
+
+  // Deliver queued notifications and send moderator digests
+  startNotifications();
+
+  // Send photo events to registered webhooks
+  startWebhooks();
 }).catch(err => {
   console.error('Failed to initialize database:', err);
 });
@@ -81,25 +134,34 @@ app.use((req, res, next) => {
   // Check if database is connected before proceeding with the request
   if (mongoose.connection.readyState !== 1) {
     console.error('Database not connected! Request to', req.url);
-    
-    // Still set CORS headers even for error responses
-    res.header('Access-Control-Allow-Origin', '*');
-    res.header('Access-Control-Allow-Methods', '*');
-    res.header('Access-Control-Allow-Headers', '*');
-    
-    return res.status(503).json({ 
-      error: 'Service unavailable', 
-      message: 'Database connection not established',
-      cors: 'enabled'
-    });
+
+    return next(new AppError('Database connection not established', {
+      status: 503,
+      code: 'DATABASE_UNAVAILABLE'
+    }));
   }
   
   next();
 });
 
+// Resumable upload chunks, limited per session in routes/uploads.js
+const CHUNK_UPLOAD_PATH = /^\/uploads\/[0-9a-f]{32}\/chunks\/\d+$/;
+
+// Per-IP limit on all API requests (uploads have their own, stricter limits)
+app.use('/api', rateLimit({
+  name: 'api',
+  windowMs: API_RATE_WINDOW,
+  max: API_RATE_LIMIT,
+  skip: req => req.path === '/admin/healthcheck' || (req.method === 'PUT' && CHUNK_UPLOAD_PATH.test(req.path))
+}));
+
 // Routes
 app.use('/api/photos', photoRoutes);
 app.use('/api/admin', adminRoutes);
+app.use('/api/auth', authRoutes);
+app.use('/api/locations', locationRoutes);
+app.use('/api/uploads', uploadRoutes);
+app.use('/api/contributors', contributorRoutes);
 
 // Base API route
 app.get('/api', (req, res) => {
@@ -109,51 +171,41 @@ app.get('/api', (req, res) => {
     endpoints: [
       '/api/photos',
       '/api/photos/upload',
+      '/api/photos/batch-upload',
+      '/api/photos/search',
       '/api/photos/formats',
+      '/api/photos/upload-challenge',
       '/api/photos/cors-check',
       '/api/photos/approved',
+      '/api/locations',
+      '/api/uploads',
+      '/api/auth/login',
+      '/api/auth/me',
+      '/api/auth/logout',
+      '/api/contributors/login',
+      '/api/contributors/verify',
+      '/api/contributors/me',
+      '/api/contributors/me/submissions',
+      '/api/contributors/me/claims',
+      '/api/contributors/submissions/:claimToken',
       '/api/admin/healthcheck',
       '/api/admin/debug',
       '/api/admin/photos/pending',
-      '/api/admin/photos/stats'
+      '/api/admin/photos/stats',
+      '/api/admin/users',
+      '/api/admin/locations',
+      '/api/admin/suggestions',
+      '/api/admin/notifications',
+      '/api/admin/webhooks'
     ]
   });
 });
 
 // 404 handler
-app.use((req, res) => {
-  res.status(404).json({ 
-    error: 'Not Found',
-    message: `The requested resource '${req.originalUrl}' does not exist`
-  });
-});
+app.use(notFoundHandler);
 
-// Error handler
-app.use((err, req, res, next) => {
-  console.error('Server error:', err);
-  
-  // Special handling for CORS errors
-  if (err.message.includes('CORS')) {
-    console.error('CORS Error Details:', {
-      origin: req.headers.origin,
-      method: req.method,
-      path: req.path,
-      headers: req.headers
-    });
-    
-    return res.status(403).json({
-      error: 'CORS Error',
-      message: err.message,
-      origin: req.headers.origin,
-      allowedOrigins: allowedOrigins.filter(Boolean)
-    });
-  }
-  
-  res.status(500).json({
-    error: 'Server Error',
-    message: err.message
-  });
-});
+// Error handler: every error becomes { error, code, details? }
+app.use(errorHandler);
 
 // Start server
 const HOST = process.env.HOST || '0.0.0.0';
@@ -0,0 +1,247 @@
+// Contributor accounts: sign-in by emailed magic link, display names used
+// as photo credits, and tracking of submitted photos. Anonymous submitters
+// get a claim token with each upload, which shows the photo's status and
+// can later attach it to an account.
+const Contributor = require('../models/Contributor');
+const Photo = require('../models/Photo');
+const ModerationEvent = require('../models/ModerationEvent');
+const { createSessionToken, createOpaqueToken, hashOpaqueToken } = require('../utils/auth');
+const { presentPhoto } = require('../utils/photoUrls');
+const { isMailConfigured, sendMail } = require('../utils/mailer');
+const { AppError } = require('../utils/errors');
+const { MAGIC_LINK_TTL, MAGIC_LINK_URL, CONTRIBUTOR_SESSION_TTL } = require('../config/contributors');
+
+/**
+ * A contributor request that can't be carried out
+ */
+class ContributorError extends AppError {
+  constructor(message, { status = 400, code = 'INVALID_CONTRIBUTOR_REQUEST', details } = {}) {
+    super(message, { status, code, details });
+  }
+}
+
+/**
+ * Build the sign-in link sent by email
+ * @param {string} token - Magic link token
+ * @returns {string}
+ */
+function buildMagicLink(token) {
+  const url = new URL(MAGIC_LINK_URL);
+  url.searchParams.set('token', token);
+  return url.toString();
+}
+
+/**
+ * Email a sign-in link. It is sent directly rather than through the
+ * notification outbox, which would store the token in the clear. Without
+ * SMTP, outside production, the link is written to the log instead.
+ * @param {object} contributor - Contributor document
+ * @param {string} link - Sign-in URL
+ */
+async function deliverMagicLink(contributor, link) {
+  if (!isMailConfigured()) {
+    if (process.env.NODE_ENV === 'production') {
+      throw new ContributorError('Sign-in emails cannot be sent right now', { status: 503, code: 'EMAIL_UNAVAILABLE' });
+    }
+
+    console.log(`Sign-in link for ${contributor.email}: ${link}`);
+    return;
+  }
+
+  try {
+    await sendMail({
+      to: contributor.email,
+      subject: 'Your Santa Cruz Archive sign-in link',
+      text: `Use this link to sign in to the Santa Cruz Archive. It works once and expires in ${Math.round(MAGIC_LINK_TTL / 60000)} minutes.\n\n${link}\n\nIf you didn't ask for it, you can ignore this email.`
+    });
+  } catch (err) {
+    console.error(`Could not email a sign-in link to ${contributor.email}:`, err.message);
+    throw new ContributorError('Sign-in emails cannot be sent right now', { status: 503, code: 'EMAIL_UNAVAILABLE' });
+  }
+}
+
+/**
+ * Email a sign-in link, creating the contributor on first use. Inactive
+ * accounts are silently ignored so the response never reveals who exists.
+ * @param {string} email - Address to sign in with
+ * @param {string|null} displayName - Name to credit, used only for a new account
+ */
+async function requestMagicLink(email, displayName = null) {
+  const address = String(email).trim().toLowerCase();
+  const { token, hash } = createOpaqueToken();
+
+  const update = {
+    $setOnInsert: { displayName: displayName || null },
+    $set: { loginTokenHash: hash, loginTokenExpiresAt: new Date(Date.now() + MAGIC_LINK_TTL) }
+  };
+
+  let contributor;
+  try {
+    contributor = await Contributor.findOneAndUpdate({ email: address, active: true }, update, { upsert: true, new: true });
+  } catch (err) {
+    // Either a concurrent request created the account, or it exists but is inactive
+    if (err.code !== 11000) throw err;
+    contributor = await Contributor.findOneAndUpdate({ email: address, active: true }, { $set: update.$set }, { new: true });
+  }
+
+  if (!contributor) return;
+
+  await deliverMagicLink(contributor, buildMagicLink(token));
+}
+
+/**
+ * Exchange a magic link token for a contributor session. Each link works once.
+ * @param {string} token - Token from the link
+ * @returns {Promise<{ token: string, expiresAt: Date, contributor: object }>}
+ */
+async function verifyMagicLink(token) {
+  const now = new Date();
+
+  const contributor = await Contributor.findOneAndUpdate(
+    { loginTokenHash: hashOpaqueToken(token), loginTokenExpiresAt: { $gt: now }, active: true },
+    { $set: { loginTokenHash: null, loginTokenExpiresAt: null, lastLoginAt: now } },
+    { new: true }
+  );
+
+  if (!contributor) {
+    throw new ContributorError('This sign-in link is invalid or has expired', { code: 'INVALID_LOGIN_LINK' });
+  }
+
+  // Following the link proves the address
+  if (!contributor.emailVerifiedAt) {
+    contributor.emailVerifiedAt = now;
+    await contributor.save();
+  }
+
+  const session = createSessionToken(contributor, { type: 'contributor', ttl: CONTRIBUTOR_SESSION_TTL });
+  return { ...session, contributor };
+}
+
+/**
+ * Change a contributor's settings. A new display name also becomes the
+ * credit on their photos still awaiting moderation; moderated photos keep
+ * the credit a moderator saw, and can be changed through a metadata edit.
+ * @param {object} contributor - Contributor document
+ * @param {object} changes - { displayName, emailNotifications }
+ * @returns {Promise<object>} - The updated contributor
+ */
+async function updateProfile(contributor, { displayName, emailNotifications }) {
+  if (emailNotifications !== undefined) {
+    contributor.emailNotifications = emailNotifications;
+  }
+  if (displayName !== undefined) {
+    contributor.displayName = displayName || null;
+  }
+  await contributor.save();
+
+  // Clearing the name leaves existing credits as they are
+  if (displayName && contributor.displayName) {
+    await Photo.updateMany(
+      { submittedBy: contributor._id, status: 'pending' },
+      { $set: { contributor: contributor.displayName } }
+    );
+  }
+
+  return contributor;
+}
+
+/**
+ * Sign a contributor out of every session
+ * @param {object} contributor - Contributor document
+ */
+async function signOut(contributor) {
+  contributor.tokenVersion += 1;
+  await contributor.save();
+}
+
+/**
+ * Find the photo a claim token was issued for
+ * @param {string} token - Claim token from the upload response
+ * @returns {Promise<object>} - Photo document
+ */
+async function findByClaimToken(token) {
+  const photo = await Photo.findOne({ claimTokenHash: hashOpaqueToken(token) });
+
+  if (!photo) {
+    throw new ContributorError('No submission matches this claim token', { status: 404, code: 'CLAIM_NOT_FOUND' });
+  }
+
+  return photo;
+}
+
+/**
+ * Attach an anonymous submission to a contributor's account. The claim
+ * token keeps working for status checks afterwards.
+ * @param {object} contributor - Contributor document
+ * @param {string} token - Claim token from the upload response
+ * @returns {Promise<object>} - The claimed photo
+ */
+async function claimSubmission(contributor, token) {
+  const photo = await findByClaimToken(token);
+
+  if (photo.submittedBy) {
+    if (photo.submittedBy.equals(contributor._id)) return photo;
+    throw new ContributorError('This submission has already been claimed', { status: 409, code: 'ALREADY_CLAIMED' });
+  }
+
+  // As with renames, only an unmoderated photo takes the account's credit
+  const update = { submittedBy: contributor._id };
+  if (contributor.displayName && photo.status === 'pending') update.contributor = contributor.displayName;
+
+  // Conditional, so two accounts racing for the same token can't both win
+  const claimed = await Photo.findOneAndUpdate({ _id: photo._id, submittedBy: null }, { $set: update }, { new: true });
+  if (!claimed) {
+    throw new ContributorError('This submission has already been claimed', { status: 409, code: 'ALREADY_CLAIMED' });
+  }
+
+  return claimed;
+}
+
+/**
+ * Describe submissions for their submitter: moderation status, the reason
+ * for a rejection, and image URLs once approved
+ * @param {object[]} photos - Photo documents
+ * @returns {Promise<object[]>}
+ */
+async function presentSubmissions(photos) {
+  const rejected = photos.filter(photo => photo.status === 'rejected').map(photo => photo._id);
+  const reasons = new Map();
+
+  if (rejected.length > 0) {
+    const events = await ModerationEvent.find({ photo: { $in: rejected }, action: 'reject' })
+      .sort({ createdAt: -1 })
+      .select('photo reason');
+    events.forEach(event => {
+      const key = event.photo.toString();
+      if (!reasons.has(key)) reasons.set(key, event.reason);
+    });
+  }
+
+  return photos.map(photo => {
+    const { imageUrl, variants } = presentPhoto(photo, null);
+
+    return {
+      id: photo._id,
+      title: photo.title,
+      contributor: photo.contributor,
+      status: photo.status,
+      submittedAt: photo.submittedAt,
+      approvedAt: photo.approvedAt || null,
+      rejectedAt: photo.rejectedAt || null,
+      rejectionReason: photo.status === 'rejected' ? reasons.get(photo._id.toString()) || null : null,
+      imageUrl,
+      variants
+    };
+  });
+}
+
+module.exports = {
+  ContributorError,
+  requestMagicLink,
+  verifyMagicLink,
+  updateProfile,
+  signOut,
+  findByClaimToken,
+  claimSubmission,
+  presentSubmissions
+};
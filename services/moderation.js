@@ -0,0 +1,447 @@
+// Moderation decisions on photos. Every change of status goes through here
+// so that it is recorded in the ModerationEvent audit log.
+const fs = require('fs');
+const path = require('path');
+const Photo = require('../models/Photo');
+const ModerationEvent = require('../models/ModerationEvent');
+const { removeImage, setImagePrivate } = require('../utils/storage');
+const { isDuplicateContentError } = require('../utils/duplicates');
+const { REJECTED_RETENTION_DAYS, BULK_MAX_ITEMS } = require('../config/moderation');
+const { parseList } = require('../utils/photoMetadata');
+const { AppError } = require('../utils/errors');
+
+/**
+ * A moderation action that isn't allowed in the photo's current state
+ */
+class ModerationError extends AppError {
+  constructor(message, { status = 400, code = 'INVALID_TRANSITION' } = {}) {
+    super(message, { status, code });
+  }
+}
+
+/**
+ * Snapshot the moderation fields of a photo
+ * @param {object} photo - Photo document
+ * @returns {object}
+ */
+function getModerationState(photo) {
+  return {
+    status: photo.status,
+    approvedAt: photo.approvedAt,
+    approvedBy: photo.approvedBy,
+    rejectedAt: photo.rejectedAt,
+    rejectedBy: photo.rejectedBy,
+    purgeAfter: photo.purgeAfter
+  };
+}
+
+/**
+ * Append an event to the audit log
+ * @param {object} photo - Photo document
+ * @param {string} action - One of ModerationEvent.MODERATION_ACTIONS
+ * @param {object} user - Acting user, or null for system jobs
+ * @param {object} options - { reason, previousState, details }
+ * @returns {Promise<object>} - The saved event
+ */
+function recordModerationEvent(photo, action, user, { reason = null, previousState, details } = {}) {
+  return ModerationEvent.create({
+    photo: photo._id,
+    action,
+    actor: user ? user._id : null,
+    actorName: user ? user.username : 'system',
+    reason,
+    details,
+    previousState: previousState || getModerationState(photo)
+  });
+}
+
+/**
+ * Delete a leftover temp file recorded on a photo
+ * @param {object} photo - Photo document
+ */
+function removePhotoTempFile(photo) {
+  if (!photo.tempFilePath) return;
+
+  const filePath = path.join(__dirname, '..', photo.tempFilePath);
+  if (fs.existsSync(filePath)) {
+    fs.unlinkSync(filePath);
+  }
+  photo.tempFilePath = undefined;
+}
+
+/**
+ * Change a photo's moderation fields, but only if nobody has changed its
+ * status or purged it since it was read, so that two moderators acting at
+ * once can't both succeed
+ * @param {object} photo - Photo document, updated in place
+ * @param {object} changes - Fields to set
+ * @param {Function} checkAllowed - Throws the ModerationError for a state the change isn't allowed from
+ */
+async function transitionPhoto(photo, changes, checkAllowed) {
+  let updated;
+  try {
+    updated = await Photo.findOneAndUpdate(
+      { _id: photo._id, status: photo.status, purgedAt: null },
+      { $set: changes, $unset: { tempFilePath: 1 } },
+      { new: true }
+    );
+  } catch (error) {
+    // A rejected photo's file may have been submitted again since
+    if (isDuplicateContentError(error)) {
+      throw new ModerationError('Another pending or approved photo has the same file content', { status: 409, code: 'DUPLICATE' });
+    }
+    throw error;
+  }
+
+  if (!updated) {
+    // Report what the other change did, if that rules this one out
+    const current = await Photo.findById(photo._id).select('status purgedAt').lean();
+    if (current) checkAllowed(current);
+    throw new ModerationError('Photo was changed by someone else; reload it and try again', { status: 409, code: 'CONFLICT' });
+  }
+
+  removePhotoTempFile(photo);
+  photo.set(changes);
+}
+
+/**
+ * transitionPhoto, with the image's visibility set to match the new status
+ * first, so an approved photo never points at a private image. If the
+ * change doesn't go through, the image is set back to match the photo's
+ * status as it is now.
+ */
+async function transitionWithVisibility(photo, changes, checkAllowed) {
+  const { storageProvider, storageKey } = photo;
+  await setImagePrivate(storageProvider, storageKey, changes.status !== 'approved');
+
+  try {
+    await transitionPhoto(photo, changes, checkAllowed);
+  } catch (err) {
+    try {
+      const current = await Photo.findById(photo._id).select('status purgedAt').lean();
+      if (current && !current.purgedAt) {
+        await setImagePrivate(storageProvider, storageKey, current.status !== 'approved');
+      }
+    } catch (resetError) {
+      console.error(`Could not reset image access of photo ${photo._id}:`, resetError.message);
+    }
+    throw err;
+  }
+}
+
+function checkCanApprove(photo) {
+  if (photo.status === 'approved') {
+    throw new ModerationError('Photo already approved', { code: 'ALREADY_APPROVED' });
+  }
+
+  if (photo.purgedAt) {
+    throw new ModerationError('The image of this photo has already been purged', { status: 410, code: 'ALREADY_PURGED' });
+  }
+}
+
+function checkCanReject(photo) {
+  if (photo.status === 'rejected') {
+    throw new ModerationError('Photo already rejected', { code: 'ALREADY_REJECTED' });
+  }
+}
+
+function checkCanRestore(photo) {
+  if (photo.status !== 'rejected') {
+    throw new ModerationError('Only rejected photos can be restored', { code: 'NOT_REJECTED' });
+  }
+
+  if (photo.purgedAt) {
+    throw new ModerationError('The image of this photo has already been purged', { status: 410, code: 'ALREADY_PURGED' });
+  }
+}
+
+/**
+ * Approve a photo
+ * @param {object} photo - Photo document
+ * @param {object} user - Moderator
+ * @param {object} options - { reason }
+ * @returns {Promise<object>} - The updated photo
+ */
+async function approvePhoto(photo, user, { reason = null } = {}) {
+  checkCanApprove(photo);
+
+  const previousState = getModerationState(photo);
+
+  await transitionWithVisibility(photo, {
+    status: 'approved',
+    approvedAt: new Date(),
+    approvedBy: user._id,
+    rejectedAt: null,
+    rejectedBy: null,
+    purgeAfter: null
+  }, checkCanApprove);
+  await recordModerationEvent(photo, 'approve', user, { reason, previousState });
+
+  return photo;
+}
+
+/**
+ * Reject a photo. The stored image is kept for REJECTED_RETENTION_DAYS so
+ * that a mistaken rejection can be restored; the purge job deletes it after.
+ * @param {object} photo - Photo document
+ * @param {object} user - Moderator
+ * @param {object} options - { reason } (required)
+ * @returns {Promise<object>} - The updated photo
+ */
+async function rejectPhoto(photo, user, { reason } = {}) {
+  if (!reason || !String(reason).trim()) {
+    throw new ModerationError('A reason is required to reject a photo', { code: 'REASON_REQUIRED' });
+  }
+
+  checkCanReject(photo);
+
+  const previousState = getModerationState(photo);
+  const now = new Date();
+
+  await transitionWithVisibility(photo, {
+    status: 'rejected',
+    rejectedAt: now,
+    rejectedBy: user._id,
+    purgeAfter: new Date(now.getTime() + REJECTED_RETENTION_DAYS * 24 * 60 * 60 * 1000)
+  }, checkCanReject);
+  await recordModerationEvent(photo, 'reject', user, { reason: String(reason).trim(), previousState });
+
+  return photo;
+}
+
+/**
+ * Return a rejected photo to the pending queue
+ * @param {object} photo - Photo document
+ * @param {object} user - Moderator
+ * @param {object} options - { reason }
+ * @returns {Promise<object>} - The updated photo
+ */
+async function restorePhoto(photo, user, { reason = null } = {}) {
+  checkCanRestore(photo);
+
+  const previousState = getModerationState(photo);
+
+  await transitionPhoto(photo, {
+    status: 'pending',
+    rejectedAt: null,
+    rejectedBy: null,
+    purgeAfter: null
+  }, checkCanRestore);
+  await recordModerationEvent(photo, 'restore', user, { reason, previousState });
+
+  return photo;
+}
+
+/**
+ * Add and remove tags on a photo
+ * @param {object} photo - Photo document
+ * @param {object} user - Moderator
+ * @param {object} tags - { add: string[], remove: string[] }
+ * @returns {Promise<boolean>} - Whether the tags changed
+ */
+async function retagPhoto(photo, user, { add = [], remove = [] } = {}) {
+  const before = [...photo.tags];
+  const tags = new Set(before);
+
+  add.forEach(tag => tags.add(tag));
+  remove.forEach(tag => tags.delete(tag));
+
+  const after = [...tags];
+  if (after.length === before.length && after.every(tag => before.includes(tag))) {
+    return false;
+  }
+
+  photo.tags = after;
+  await photo.save();
+  await recordModerationEvent(photo, 'retag', user, {
+    details: {
+      added: after.filter(tag => !before.includes(tag)),
+      removed: before.filter(tag => !after.includes(tag))
+    }
+  });
+
+  return true;
+}
+
+// Filters a bulk request may use instead of an explicit ID list
+const BULK_FILTER_FIELDS = ['floorId', 'roomId', 'contributor', 'tag', 'submittedAfter', 'submittedBefore'];
+
+/**
+ * Turn a bulk request's filter into a Mongo filter over the pending queue
+ * @param {object} filter - { floorId, roomId, contributor, tag, submittedAfter, submittedBefore }
+ * @returns {object}
+ */
+function buildBulkFilter(filter) {
+  const unknown = Object.keys(filter).filter(field => !BULK_FILTER_FIELDS.includes(field));
+  if (unknown.length > 0) {
+    throw new ModerationError(`Unknown filter field(s): ${unknown.join(', ')}`, { code: 'INVALID_BULK_REQUEST' });
+  }
+
+  const query = { status: 'pending' };
+  if (filter.floorId) query.floorId = String(filter.floorId);
+  if (filter.roomId) query.roomId = String(filter.roomId);
+  if (filter.contributor) query.contributor = String(filter.contributor);
+  if (filter.tag) query.tags = String(filter.tag).toLowerCase();
+
+  for (const [field, operator] of [['submittedAfter', '$gte'], ['submittedBefore', '$lte']]) {
+    if (!filter[field]) continue;
+
+    const date = new Date(filter[field]);
+    if (isNaN(date.getTime())) {
+      throw new ModerationError(`${field} must be a date`, { code: 'INVALID_BULK_REQUEST' });
+    }
+    query.submittedAt = { ...query.submittedAt, [operator]: date };
+  }
+
+  return query;
+}
+
+/**
+ * Approve, reject or re-tag many photos, chosen by ID or by a filter over
+ * the pending queue. Photos already in the requested state are reported as
+ * 'unchanged' rather than failures, so repeating a request is harmless.
+ * @param {object} request - { action: 'approve'|'reject'|'retag', ids, filter, reason, tags: { add, remove } }
+ * @param {object} user - Moderator
+ * @returns {Promise<{ action: string, summary: object, results: object[] }>}
+ */
+async function bulkModerate({ action, ids, filter, reason, tags } = {}, user) {
+  if (!['approve', 'reject', 'retag'].includes(action)) {
+    throw new ModerationError('action must be approve, reject or retag', { code: 'INVALID_BULK_REQUEST' });
+  }
+
+  if (Boolean(ids) === Boolean(filter)) {
+    throw new ModerationError('Send either ids or filter', { code: 'INVALID_BULK_REQUEST' });
+  }
+
+  if (action === 'reject' && (!reason || !String(reason).trim())) {
+    throw new ModerationError('A reason is required to reject photos', { code: 'REASON_REQUIRED' });
+  }
+
+  const tagChanges = {
+    add: parseList(tags && tags.add).map(tag => tag.toLowerCase()),
+    remove: parseList(tags && tags.remove).map(tag => tag.toLowerCase())
+  };
+  if (action === 'retag' && tagChanges.add.length === 0 && tagChanges.remove.length === 0) {
+    throw new ModerationError('tags.add or tags.remove is required to retag photos', { code: 'INVALID_BULK_REQUEST' });
+  }
+
+  let targetIds;
+  if (ids) {
+    if (!Array.isArray(ids) || ids.length === 0) {
+      throw new ModerationError('ids must be a non-empty array', { code: 'INVALID_BULK_REQUEST' });
+    }
+    targetIds = [...new Set(ids.map(String))];
+  } else {
+    const matches = await Photo.find(buildBulkFilter(filter), { _id: 1 })
+      .sort({ submittedAt: 1 })
+      .limit(BULK_MAX_ITEMS + 1)
+      .lean();
+    targetIds = matches.map(photo => photo._id.toString());
+  }
+
+  if (targetIds.length > BULK_MAX_ITEMS) {
+    throw new ModerationError(`A bulk request may touch at most ${BULK_MAX_ITEMS} photos`, {
+      status: 413,
+      code: 'TOO_MANY_ITEMS'
+    });
+  }
+
+  const results = [];
+  for (const id of targetIds) {
+    const photo = /^[0-9a-f]{24}$/i.test(id) ? await Photo.findById(id) : null;
+
+    if (!photo) {
+      results.push({ id, outcome: 'not_found' });
+      continue;
+    }
+
+    const previousStatus = photo.status;
+    try {
+      if (action === 'approve') {
+        await approvePhoto(photo, user, { reason });
+        results.push({ id, outcome: 'approved', previousStatus });
+      } else if (action === 'reject') {
+        await rejectPhoto(photo, user, { reason });
+        results.push({ id, outcome: 'rejected', previousStatus });
+      } else {
+        const changed = await retagPhoto(photo, user, tagChanges);
+        results.push({ id, outcome: changed ? 'retagged' : 'unchanged', tags: photo.tags });
+      }
+    } catch (err) {
+      if (err instanceof ModerationError && ['ALREADY_APPROVED', 'ALREADY_REJECTED'].includes(err.code)) {
+        results.push({ id, outcome: 'unchanged', status: err.code === 'ALREADY_APPROVED' ? 'approved' : 'rejected' });
+      } else if (err instanceof AppError) {
+        results.push({ id, outcome: 'failed', error: err.message, code: err.code });
+      } else {
+        console.error(`Bulk ${action} failed for photo ${id}:`, err);
+        results.push({ id, outcome: 'failed', error: err.message, code: 'SERVER_ERROR' });
+      }
+    }
+  }
+
+  const summary = results.reduce((counts, { outcome }) => {
+    counts[outcome] = (counts[outcome] || 0) + 1;
+    return counts;
+  }, { total: results.length });
+
+  return { action, summary, results };
+}
+
+/**
+ * Delete the stored images of rejected photos whose retention window has
+ * passed. Each photo is claimed (marked purged) before its image is deleted,
+ * so a restore or approval can't slip in between; if the deletion fails the
+ * claim is released and the photo is left for the next run. Each deletion is
+ * recorded as a 'purge' event.
+ * @returns {Promise<{ purged: object[], failed: object[] }>} - Photo IDs and storage keys handled
+ */
+async function purgeExpiredRejections() {
+  const now = new Date();
+  const expired = { status: 'rejected', purgeAfter: { $lte: now }, purgedAt: null };
+  const candidates = await Photo.find(expired).select('_id').lean();
+
+  const purged = [];
+  const failed = [];
+
+  for (const { _id } of candidates) {
+    const previous = await Photo.findOneAndUpdate({ _id, ...expired }, { $set: { purgedAt: now } });
+    if (!previous) continue;
+
+    const removed = { photo: _id, storageProvider: previous.storageProvider, storageKey: previous.storageKey };
+
+    try {
+      if (previous.storageKey) {
+        await removeImage(previous.storageProvider, previous.storageKey);
+      }
+    } catch (storageErr) {
+      console.error(`Failed to purge image of photo ${_id}:`, storageErr.message);
+      failed.push({ ...removed, error: storageErr.message });
+      await Photo.updateOne({ _id, purgedAt: now }, { $set: { purgedAt: null } }).catch(releaseErr => {
+        console.error(`Failed to release purge claim on photo ${_id}:`, releaseErr.message);
+      });
+      continue;
+    }
+
+    await recordModerationEvent(previous, 'purge', null, {
+      reason: `Retention window expired; deleted ${previous.storageProvider} image ${previous.storageKey}`
+    }).catch(eventErr => {
+      console.error(`Failed to record purge of photo ${_id}:`, eventErr.message);
+    });
+
+    purged.push(removed);
+  }
+
+  return { purged, failed };
+}
+
+module.exports = {
+  ModerationError,
+  getModerationState,
+  recordModerationEvent,
+  approvePhoto,
+  rejectPhoto,
+  restorePhoto,
+  retagPhoto,
+  bulkModerate,
+  purgeExpiredRejections
+};
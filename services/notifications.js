@@ -0,0 +1,284 @@
+// Notifications about moderation events. Moderators hear about new uploads
+// (one message each, or a periodic digest) by email and chat webhook;
+// signed-in contributors are emailed when their photo is approved or
+// rejected. Messages are written to the Notification outbox and delivered
+// in the background with retries, so a mail or webhook failure never
+// affects the request that caused it.
+const axios = require('axios');
+const Notification = require('../models/Notification');
+const Photo = require('../models/Photo');
+const Contributor = require('../models/Contributor');
+const { subscribe } = require('../utils/events');
+const { loadEventPhoto, createQueueWorker } = require('../utils/outbox');
+const { isMailConfigured, sendMail } = require('../utils/mailer');
+const { ConflictError } = require('../utils/errors');
+const {
+  MODERATOR_EMAILS,
+  NOTIFY_WEBHOOK_URLS,
+  MODERATOR_NOTIFY_MODE,
+  DIGEST_INTERVAL,
+  DIGEST_CHECK_INTERVAL,
+  NOTIFY_CONTRIBUTORS,
+  OUTBOX_INTERVAL,
+  OUTBOX_BATCH_SIZE,
+  NOTIFY_MAX_ATTEMPTS,
+  NOTIFY_RETRY_DELAY,
+  NOTIFY_RETRY_MAX_DELAY,
+  NOTIFY_SENDING_TIMEOUT,
+  NOTIFY_WEBHOOK_TIMEOUT
+} = require('../config/notifications');
+
+// Titles listed in a message before the rest are summed up as "and N more"
+const MAX_LISTED_PHOTOS = 10;
+
+/**
+ * One line naming a photo and who sent it
+ * @param {object} photo - Photo document
+ * @returns {string}
+ */
+function describePhoto(photo) {
+  return `"${photo.title || photo.originalFileName || 'Untitled'}" from ${photo.contributor}`;
+}
+
+/**
+ * List photos one per line, capped at MAX_LISTED_PHOTOS
+ * @param {object[]} photos - Photo documents
+ * @returns {string}
+ */
+function listPhotos(photos) {
+  const lines = photos.slice(0, MAX_LISTED_PHOTOS).map(photo => `- ${describePhoto(photo)}`);
+  if (photos.length > MAX_LISTED_PHOTOS) {
+    lines.push(`- and ${photos.length - MAX_LISTED_PHOTOS} more`);
+  }
+  return lines.join('\n');
+}
+
+const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+
+/**
+ * Queue one message for each moderator address and chat webhook
+ * @param {object} message - { event, subject, text, data }
+ * @returns {Promise<object[]>} - The queued Notification documents
+ */
+function notifyModerators(message) {
+  const emails = isMailConfigured() ? MODERATOR_EMAILS : [];
+
+  return enqueue([
+    ...emails.map(recipient => ({ ...message, channel: 'email', recipient })),
+    ...NOTIFY_WEBHOOK_URLS.map(recipient => ({ ...message, channel: 'webhook', recipient }))
+  ]);
+}
+
+/**
+ * Queue an email to the contributor who submitted a photo, if they have an
+ * account and haven't turned notifications off
+ * @param {object} photo - Photo document
+ * @param {object} message - { event, subject, text }
+ * @returns {Promise<object[]>}
+ */
+async function notifySubmitter(photo, message) {
+  if (!NOTIFY_CONTRIBUTORS || !photo.submittedBy || !isMailConfigured()) return [];
+
+  const contributor = await Contributor.findById(photo.submittedBy);
+  if (!contributor || !contributor.active || !contributor.emailNotifications) return [];
+
+  return enqueue([{ ...message, channel: 'email', recipient: contributor.email }]);
+}
+
+/**
+ * New uploads: tell moderators straight away unless they get digests
+ * @param {object} payload - { photos }
+ */
+async function onPhotosSubmitted({ photos }) {
+  if (MODERATOR_NOTIFY_MODE !== 'immediate' || photos.length === 0) return;
+
+  const subject = photos.length === 1
+    ? 'New photo waiting for review'
+    : `${plural(photos.length, 'new photo')} waiting for review`;
+
+  await notifyModerators({
+    event: 'photo.submitted',
+    subject,
+    text: `${subject}:\n${listPhotos(photos)}`,
+    data: { photos: photos.map(photo => photo._id.toString()) }
+  });
+}
+
+/**
+ * An approved photo is live: tell its submitter
+ * @param {object} payload - { photo }
+ */
+async function onPhotoApproved({ photo }) {
+  const doc = await loadEventPhoto(photo);
+  if (!doc) return;
+
+  await notifySubmitter(doc, {
+    event: 'photo.approved',
+    subject: 'Your photo is now in the archive',
+    text: `Thank you! Your photo ${describePhoto(doc)} has been approved and is now public in the Santa Cruz Archive.`
+  });
+}
+
+/**
+ * A rejected photo: tell its submitter why
+ * @param {object} payload - { photo, reason }
+ */
+async function onPhotoRejected({ photo, reason }) {
+  const doc = await loadEventPhoto(photo);
+  if (!doc) return;
+
+  await notifySubmitter(doc, {
+    event: 'photo.rejected',
+    subject: 'Your photo was not accepted',
+    text: `Your photo ${describePhoto(doc)} was not accepted into the Santa Cruz Archive.` +
+      (reason ? `\n\nReason given by the moderator: ${reason}` : '')
+  });
+}
+
+/**
+ * Queue a digest of the photos submitted since the last one, if the digest
+ * interval has passed and anything new is waiting
+ * @param {object} options - { force: send even if the interval hasn't passed }
+ * @returns {Promise<object|null>} - { newPending, totalPending, since }, or null if nothing was sent
+ */
+async function sendModeratorDigest({ force = false } = {}) {
+  const now = new Date();
+  const last = await Notification.findOne({ event: 'moderation.digest' }).sort({ createdAt: -1 }).select('createdAt');
+
+  if (!force && last && now - last.createdAt < DIGEST_INTERVAL) return null;
+
+  const since = last ? last.createdAt : new Date(now.getTime() - DIGEST_INTERVAL);
+  const [fresh, totalPending] = await Promise.all([
+    Photo.find({ status: 'pending', submittedAt: { $gt: since } })
+      .sort({ submittedAt: 1 })
+      .select('title originalFileName contributor'),
+    Photo.countDocuments({ status: 'pending' })
+  ]);
+
+  if (fresh.length === 0) return null;
+
+  const subject = `${plural(fresh.length, 'new photo')} pending review`;
+  const queued = await notifyModerators({
+    event: 'moderation.digest',
+    subject,
+    text: `${subject} since ${since.toUTCString()} (${totalPending} pending in total):\n${listPhotos(fresh)}`,
+    data: { newPending: fresh.length, totalPending, since }
+  });
+
+  return queued.length ? { newPending: fresh.length, totalPending, since } : null;
+}
+
+/**
+ * Write messages to the outbox and start delivering them
+ * @param {object[]} entries - Notification fields
+ * @returns {Promise<object[]>} - The saved Notification documents
+ */
+async function enqueue(entries) {
+  if (entries.length === 0) return [];
+
+  const notifications = await Notification.insertMany(entries);
+  outbox.schedule();
+
+  return notifications;
+}
+
+/**
+ * Send one notification over its channel
+ * @param {object} notification - Notification document
+ */
+async function deliver(notification) {
+  if (notification.channel === 'email') {
+    await sendMail({ to: notification.recipient, subject: notification.subject, text: notification.text });
+    return;
+  }
+
+  await axios.post(notification.recipient, {
+    text: notification.text,
+    event: notification.event,
+    data: notification.data
+  }, { timeout: NOTIFY_WEBHOOK_TIMEOUT });
+}
+
+/**
+ * Send a claimed notification, recording the outcome on it
+ * @param {object} notification - Notification document
+ * @returns {Promise<{ ok: boolean, error: string }>}
+ */
+async function sendNotification(notification) {
+  try {
+    await deliver(notification);
+    notification.sentAt = new Date();
+    notification.lastError = null;
+    return { ok: true };
+  } catch (err) {
+    notification.lastError = err.message;
+    return { ok: false, error: err.message };
+  }
+}
+
+const outbox = createQueueWorker(Notification, {
+  label: 'Notification outbox',
+  doneStatus: 'sent',
+  batchSize: OUTBOX_BATCH_SIZE,
+  maxAttempts: NOTIFY_MAX_ATTEMPTS,
+  retryDelay: NOTIFY_RETRY_DELAY,
+  retryMaxDelay: NOTIFY_RETRY_MAX_DELAY,
+  sendingTimeout: NOTIFY_SENDING_TIMEOUT,
+  send: sendNotification
+});
+
+/**
+ * Deliver due notifications from the outbox
+ * @returns {Promise<{ sent: number, retrying: number, failed: number }>}
+ */
+function processOutbox() {
+  return outbox.run();
+}
+
+/**
+ * Put a failed notification back in the outbox for another round of attempts
+ * @param {object} notification - Notification document
+ * @returns {Promise<object>} - The updated notification
+ */
+async function retryNotification(notification) {
+  if (notification.status !== 'failed') {
+    throw new ConflictError(`Notification is ${notification.status}; only failed ones can be retried`, { code: 'NOT_FAILED' });
+  }
+
+  notification.status = 'pending';
+  notification.attempts = 0;
+  notification.nextAttemptAt = new Date();
+  await notification.save();
+  outbox.schedule();
+
+  return notification;
+}
+
+/**
+ * Subscribe to photo events and start the outbox and digest jobs.
+ * Call once the database is connected.
+ */
+function startNotifications() {
+  subscribe('photo.submitted', onPhotosSubmitted);
+  subscribe('photo.approved', onPhotoApproved);
+  subscribe('photo.rejected', onPhotoRejected);
+
+  outbox.start(OUTBOX_INTERVAL);
+
+  if (MODERATOR_NOTIFY_MODE === 'digest') {
+    setInterval(() => {
+      sendModeratorDigest()
+        .then(digest => {
+          if (digest) console.log(`Queued moderator digest: ${digest.newPending} new, ${digest.totalPending} pending`);
+        })
+        .catch(err => console.error('Moderator digest failed:', err));
+    }, DIGEST_CHECK_INTERVAL).unref();
+  }
+}
+
+module.exports = {
+  sendModeratorDigest,
+  processOutbox,
+  retryNotification,
+  startNotifications
+};
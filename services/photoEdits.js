@@ -0,0 +1,265 @@
+// Metadata edits on existing photos. Every edit is stored as a PhotoRevision
+// so earlier values can be inspected and reverted.
+const PhotoRevision = require('../models/PhotoRevision');
+const { parsePhotoMetadata } = require('../utils/photoMetadata');
+const { resolveLocation } = require('../utils/locations');
+const { AppError } = require('../utils/errors');
+
+// Fields moderators may edit
+const EDITABLE_FIELDS = [
+  'contributor', 'date', 'floorId', 'roomId',
+  'title', 'description', 'captureDate', 'people', 'tags', 'source', 'rights', 'locationNote'
+];
+
+// Fields that are removed (rather than rejected) when sent empty
+const CLEARABLE_FIELDS = ['roomId', 'title', 'description', 'source', 'rights', 'locationNote'];
+
+// Tries at taking the next revision number when concurrent edits race for it
+const MAX_REVISION_ATTEMPTS = 5;
+
+/**
+ * A metadata edit that failed validation
+ */
+class EditError extends AppError {
+  constructor(message, { status = 400, code = 'INVALID_EDIT', details } = {}) {
+    super(message, { status, code, details });
+  }
+}
+
+/**
+ * Plain, comparable copy of a field value
+ */
+function snapshot(value) {
+  if (value === undefined || value === null) return null;
+  return JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * Check that the floor/room pair a photo would end up with exists in the registry
+ * @param {object} photo - Photo document being edited
+ * @param {object} updates - Field → new value
+ * @returns {Promise<string|null>} - What is wrong, or null
+ */
+async function checkLocation(photo, updates) {
+  if (!('floorId' in updates) && !('roomId' in updates)) return null;
+
+  const floorId = 'floorId' in updates ? updates.floorId : photo.floorId;
+  const roomId = 'roomId' in updates ? updates.roomId : photo.roomId;
+  const { error } = await resolveLocation(floorId, roomId);
+  return error || null;
+}
+
+/**
+ * Validate a PATCH body into the new values of the fields it changes
+ * @param {object} photo - Photo document being edited
+ * @param {object} body - Requested changes
+ * @returns {Promise<object>} - Field → new value (null clears the field)
+ */
+async function validateEdit(photo, body) {
+  const errors = [];
+  const updates = {};
+  const fields = Object.keys(body).filter(field => field !== 'comment');
+
+  const unknown = fields.filter(field => !EDITABLE_FIELDS.includes(field));
+  if (unknown.length > 0) {
+    throw new EditError(`Field(s) cannot be edited: ${unknown.join(', ')}`, { code: 'UNKNOWN_FIELD' });
+  }
+  if (fields.length === 0) {
+    throw new EditError('No changes sent', { code: 'EMPTY_EDIT' });
+  }
+
+  const toParse = {};
+  fields.forEach(field => {
+    const value = body[field];
+    const empty = value === null || value === '';
+
+    if (empty && CLEARABLE_FIELDS.includes(field)) {
+      updates[field] = null;
+    } else if (empty && ['people', 'tags'].includes(field)) {
+      updates[field] = [];
+    } else if (empty && field === 'captureDate') {
+      updates.captureDate = { start: null, end: null, precision: 'unknown', approximate: false, display: 'Unknown date' };
+    } else if (field === 'contributor') {
+      const contributor = String(value || '').trim();
+      if (!contributor || contributor.length > 200) {
+        errors.push('contributor must be 1-200 characters');
+      } else {
+        updates.contributor = contributor;
+      }
+    } else if (field === 'date') {
+      if (!/^[A-Z][a-z]{2} \d{4}$/.test(String(value))) {
+        errors.push('date must look like "Jan 2024"');
+      } else {
+        updates.date = String(value);
+      }
+    } else if (field === 'floorId') {
+      // Every photo needs a floor; the registry check below covers the rest
+      const floorId = empty ? '' : String(value).trim();
+      if (!floorId) {
+        errors.push('floorId cannot be empty');
+      } else {
+        updates.floorId = floorId;
+      }
+    } else if (field === 'roomId') {
+      updates.roomId = String(value).trim() || null;
+    } else {
+      toParse[field] = value;
+    }
+  });
+
+  const { metadata, errors: metadataErrors } = parsePhotoMetadata(toParse);
+  Object.assign(updates, metadata);
+  errors.push(...metadataErrors);
+
+  const locationError = await checkLocation(photo, updates);
+  if (locationError) errors.push(locationError);
+
+  if (errors.length > 0) {
+    throw new EditError('Invalid photo metadata', { code: 'INVALID_METADATA', details: errors });
+  }
+
+  return updates;
+}
+
+/**
+ * Store a revision under the photo's next revision number, retrying when a
+ * concurrent edit takes the number first
+ * @param {object} fields - PhotoRevision fields other than `revision`
+ * @returns {Promise<object>} - The new revision
+ */
+async function createRevision(fields) {
+  for (let attempt = 1; ; attempt++) {
+    const latest = await PhotoRevision.findOne({ photo: fields.photo }).sort({ revision: -1 });
+
+    try {
+      return await PhotoRevision.create({ ...fields, revision: latest ? latest.revision + 1 : 1 });
+    } catch (err) {
+      if (err.code !== 11000 || attempt >= MAX_REVISION_ATTEMPTS) throw err;
+    }
+  }
+}
+
+/**
+ * Apply new field values to a photo and store a revision of what changed.
+ * The revision is stored first, and removed again if the photo can't be
+ * saved, so a change is never kept without its revision.
+ * @param {object} photo - Photo document
+ * @param {object} updates - Field → new value (null clears the field)
+ * @param {object} user - Editor
+ * @param {object} options - { comment, revertOf, suggestion }
+ * @returns {Promise<object|null>} - The new revision, or null if nothing changed
+ */
+async function applyChanges(photo, updates, user, { comment = null, revertOf = null, suggestion = null } = {}) {
+  if (photo.purgedAt) {
+    throw new EditError('Photo has been purged', { status: 410, code: 'ALREADY_PURGED' });
+  }
+
+  const changes = [];
+
+  Object.entries(updates).forEach(([field, value]) => {
+    const from = snapshot(photo.get(field));
+    const to = snapshot(value);
+    if (JSON.stringify(from) === JSON.stringify(to)) return;
+
+    photo.set(field, value === null ? undefined : value);
+    changes.push({ field, from, to });
+  });
+
+  if (changes.length === 0) {
+    return null;
+  }
+
+  const revision = await createRevision({
+    photo: photo._id,
+    editor: user ? user._id : null,
+    editorName: user ? user.username : 'system',
+    changes,
+    comment,
+    revertOf,
+    suggestion
+  });
+
+  try {
+    await photo.save();
+  } catch (err) {
+    await PhotoRevision.deleteOne({ _id: revision._id });
+    throw err;
+  }
+
+  return revision;
+}
+
+/**
+ * Validate and apply a moderator's metadata edit
+ * @param {object} photo - Photo document
+ * @param {object} body - Requested changes, plus optional comment
+ * @param {object} user - Editor
+ * @param {object} options - { suggestion } when the edit applies a visitor's suggestion
+ * @returns {Promise<object|null>} - The new revision, or null if nothing changed
+ */
+async function editPhoto(photo, body, user, { suggestion = null } = {}) {
+  const updates = await validateEdit(photo, body);
+  return applyChanges(photo, updates, user, {
+    comment: body.comment ? String(body.comment) : null,
+    suggestion
+  });
+}
+
+/**
+ * Put back the values fields had before a given revision
+ * @param {object} photo - Photo document
+ * @param {number} revisionNumber - Revision to undo
+ * @param {object} user - Editor
+ * @param {object} options - { fields } to undo only some of its changes, { comment }
+ * @returns {Promise<object|null>} - The new revision, or null if nothing changed
+ */
+async function revertRevision(photo, revisionNumber, user, { fields, comment = null } = {}) {
+  const number = Number(revisionNumber);
+  const revision = Number.isInteger(number) &&
+    await PhotoRevision.findOne({ photo: photo._id, revision: number });
+  if (!revision) {
+    throw new EditError('Revision not found', { status: 404, code: 'REVISION_NOT_FOUND' });
+  }
+
+  let changes = revision.changes;
+  if (fields) {
+    const wanted = Array.isArray(fields) ? fields : String(fields).split(',').map(f => f.trim());
+    changes = changes.filter(change => wanted.includes(change.field));
+    if (changes.length === 0) {
+      throw new EditError('That revision did not change any of the requested fields', { code: 'EMPTY_EDIT' });
+    }
+  }
+
+  const updates = Object.fromEntries(changes.map(change => [change.field, change.from]));
+
+  // The floor or room put back may have been removed from the registry since
+  const locationError = await checkLocation(photo, updates);
+  if (locationError) {
+    throw new EditError('Invalid photo metadata', { code: 'INVALID_METADATA', details: [locationError] });
+  }
+
+  return applyChanges(photo, updates, user, {
+    comment: comment || `Revert revision ${revision.revision}`,
+    revertOf: revision.revision
+  });
+}
+
+/**
+ * List a photo's revisions, newest first
+ * @param {object} photo - Photo document
+ * @returns {Promise<object[]>}
+ */
+function getRevisions(photo) {
+  return PhotoRevision.find({ photo: photo._id })
+    .sort({ revision: -1 })
+    .populate('editor', 'username displayName role');
+}
+
+module.exports = {
+  EDITABLE_FIELDS,
+  EditError,
+  validateEdit,
+  editPhoto,
+  revertRevision,
+  getRevisions
+};
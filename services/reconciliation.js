@@ -0,0 +1,122 @@
+// Compare the images stored in Cloudflare with the photos that reference
+// them. Orphans are remote images no live photo uses (failed rollbacks,
+// uploads that timed out but landed anyway); dangling photos point at an
+// image Cloudflare no longer has. Only orphans this app tagged when
+// uploading are deleted; the account may hold other apps' images.
+const Photo = require('../models/Photo');
+const { listImages, deleteImage, isOwnImage } = require('../utils/cloudflare');
+const { ConflictError } = require('../utils/errors');
+const { getModerationState, recordModerationEvent } = require('./moderation');
+
+// Recent images may belong to an upload whose photo isn't saved yet
+const DEFAULT_MIN_ORPHAN_AGE = 60 * 60 * 1000;
+
+/**
+ * Fetch every image ID stored in Cloudflare, with its upload time and
+ * whether this app uploaded it
+ * @returns {Promise<Map<string, { uploaded: Date|null, own: boolean }>>} - Image ID → details
+ */
+async function listRemoteImages() {
+  const images = new Map();
+  let continuationToken = null;
+
+  do {
+    const page = await listImages({ continuationToken });
+    page.images.forEach(image => images.set(image.id, {
+      uploaded: image.uploaded ? new Date(image.uploaded) : null,
+      own: isOwnImage(image)
+    }));
+    continuationToken = page.continuationToken;
+  } while (continuationToken);
+
+  return images;
+}
+
+/**
+ * Reconcile Cloudflare images with Photo records
+ * @param {object} options - { fix: delete orphans and mark dangling rejected
+ *   photos as purged, minOrphanAge: ms an image must exist before counting as an orphan }
+ * @returns {Promise<{ remote: number, photos: number, unmigrated: number, orphans: object[], dangling: object[] }>}
+ */
+async function reconcileCloudflareImages({ fix = false, minOrphanAge = DEFAULT_MIN_ORPHAN_AGE } = {}) {
+  // Photos saved before the storage fields still only have `cloudflareId`
+  // (see scripts/migrate-storage-fields.js); `cloudflareId` is no longer in
+  // the schema, so it is read with get()
+  const photos = await Photo.find({
+    $or: [{ storageProvider: 'cloudflare' }, { cloudflareId: { $exists: true } }]
+  });
+  const keyOf = photo => photo.storageKey || photo.get('cloudflareId');
+  const unmigrated = photos.filter(photo => !photo.storageKey).length;
+
+  if (fix && unmigrated > 0) {
+    throw new ConflictError(`${unmigrated} photo(s) still use cloudflareId; run scripts/migrate-storage-fields.js before --fix`, {
+      code: 'MIGRATION_PENDING'
+    });
+  }
+
+  const remote = await listRemoteImages();
+
+  // Purged photos no longer own their image, so a leftover copy is an orphan
+  const liveKeys = new Set(photos.filter(photo => !photo.purgedAt).map(keyOf));
+
+  const cutoff = Date.now() - minOrphanAge;
+  const orphans = [];
+
+  for (const [key, { uploaded, own }] of remote) {
+    if (liveKeys.has(key)) continue;
+
+    const orphan = { storageKey: key, uploaded, own, action: 'none' };
+
+    if (uploaded && uploaded.getTime() > cutoff) {
+      orphan.action = 'skipped (too recent)';
+    } else if (!own) {
+      orphan.action = 'skipped (not tagged by this app)';
+    } else if (fix) {
+      try {
+        await deleteImage(key);
+        orphan.action = 'deleted';
+      } catch (err) {
+        orphan.action = 'failed';
+        orphan.error = err.message;
+      }
+    }
+
+    orphans.push(orphan);
+  }
+
+  const dangling = [];
+
+  for (const photo of photos) {
+    if (photo.purgedAt || remote.has(keyOf(photo))) continue;
+
+    const entry = { photo: photo._id, storageKey: keyOf(photo), status: photo.status, action: 'none' };
+
+    // A rejected photo's image was due for deletion anyway; anything else
+    // needs a moderator to re-upload it
+    if (fix && photo.status === 'rejected') {
+      const previousState = getModerationState(photo);
+      photo.purgedAt = new Date();
+      await photo.save();
+      await recordModerationEvent(photo, 'purge', null, {
+        reason: `Image ${photo.storageKey} missing from Cloudflare; marked purged by reconciliation`,
+        previousState
+      });
+      entry.action = 'marked purged';
+    }
+
+    dangling.push(entry);
+  }
+
+  return {
+    remote: remote.size,
+    photos: photos.length,
+    unmigrated,
+    orphans,
+    dangling
+  };
+}
+
+module.exports = {
+  listRemoteImages,
+  reconcileCloudflareImages
+};
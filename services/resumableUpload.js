@@ -0,0 +1,361 @@
+// Resumable uploads: a session is created, numbered chunks are PUT in any
+// order (and retried as needed), then the assembled file goes through the
+// normal upload pipeline. Idle sessions expire and are purged with their chunks.
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const UploadSession = require('../models/UploadSession');
+const Contributor = require('../models/Contributor');
+const { UploadError, validateUploadFields, createPhotoFromUpload, removeTempFile } = require('./upload');
+const { computeContentHash } = require('../utils/duplicates');
+const { formatBytes } = require('../utils/fileValidation');
+const {
+  MAX_RESUMABLE_FILE_SIZE,
+  DEFAULT_CHUNK_SIZE,
+  MIN_CHUNK_SIZE,
+  MAX_CHUNK_SIZE,
+  UPLOAD_SESSION_TTL,
+  MAX_OPEN_SESSIONS_PER_IP,
+  MAX_OPEN_SESSION_BYTES_PER_IP
+} = require('../config/uploads');
+
+const CHUNKS_DIR = path.join(__dirname, '../uploads/chunks');
+const TEMP_DIR = path.join(__dirname, '../uploads/temp');
+
+function chunkDir(uploadId) {
+  return path.join(CHUNKS_DIR, uploadId);
+}
+
+function chunkPath(uploadId, index) {
+  return path.join(chunkDir(uploadId), `${index}.part`);
+}
+
+/**
+ * Expected byte length of a chunk (the last one may be shorter)
+ * @param {object} session - UploadSession document
+ * @param {number} index - Chunk index
+ * @returns {number}
+ */
+function expectedChunkLength(session, index) {
+  if (index < session.totalChunks - 1) return session.chunkSize;
+  return session.fileSize - session.chunkSize * (session.totalChunks - 1);
+}
+
+/**
+ * Describe a session for API responses, including which byte ranges are in
+ * @param {object} session - UploadSession document
+ * @returns {object}
+ */
+function describeSession(session) {
+  const received = [...session.receivedChunks].sort((a, b) => a - b);
+  const receivedSet = new Set(received);
+  const missing = [];
+  for (let index = 0; index < session.totalChunks; index++) {
+    if (!receivedSet.has(index)) missing.push(index);
+  }
+
+  return {
+    uploadId: session.uploadId,
+    status: session.status,
+    fileName: session.fileName,
+    fileSize: session.fileSize,
+    chunkSize: session.chunkSize,
+    totalChunks: session.totalChunks,
+    receivedChunks: received,
+    missingChunks: missing,
+    receivedOffsets: received.map(index => ({
+      start: index * session.chunkSize,
+      end: index * session.chunkSize + expectedChunkLength(session, index)
+    })),
+    receivedBytes: received.reduce((sum, index) => sum + expectedChunkLength(session, index), 0),
+    photo: session.photo,
+    error: session.error || undefined,
+    expiresAt: session.expiresAt
+  };
+}
+
+/**
+ * Refuse a new session that would take a client IP over its number of open
+ * sessions, or over the combined size of their files
+ * @param {string} clientIp
+ * @param {number} fileSize - Size of the file about to be uploaded
+ */
+async function checkOpenSessionLimits(clientIp, fileSize) {
+  const [open = { sessions: 0, bytes: 0 }] = await UploadSession.aggregate([
+    { $match: { clientIp, status: { $in: ['open', 'completing'] }, expiresAt: { $gt: new Date() } } },
+    { $group: { _id: null, sessions: { $sum: 1 }, bytes: { $sum: '$fileSize' } } }
+  ]);
+
+  if (open.sessions >= MAX_OPEN_SESSIONS_PER_IP) {
+    throw new UploadError(`Too many unfinished uploads; finish or abandon one of your ${open.sessions} first`, {
+      status: 429,
+      code: 'TOO_MANY_SESSIONS'
+    });
+  }
+  if (open.bytes + fileSize > MAX_OPEN_SESSION_BYTES_PER_IP) {
+    throw new UploadError(`Unfinished uploads may total at most ${formatBytes(MAX_OPEN_SESSION_BYTES_PER_IP)}; finish or abandon one first`, {
+      status: 429,
+      code: 'TOO_MANY_SESSIONS'
+    });
+  }
+}
+
+/**
+ * Start a resumable upload. The form fields are validated now so that the
+ * client learns about problems before sending the whole file.
+ * @param {object} body - { fileName, fileSize, chunkSize, sha256, ...photo fields }
+ * @param {object} options - { clientIp } of the requesting client, and
+ *   { submittedBy } the signed-in Contributor, if any
+ * @returns {Promise<object>} - The new UploadSession document
+ */
+async function createSession(body = {}, { clientIp = null, submittedBy = null } = {}) {
+  const { fileName, fileSize, chunkSize, sha256, ...fields } = body;
+
+  if (!fileName || typeof fileName !== 'string') {
+    throw new UploadError('fileName is required', { status: 400, code: 'INVALID_SESSION' });
+  }
+
+  const size = Number(fileSize);
+  if (!Number.isInteger(size) || size <= 0) {
+    throw new UploadError('fileSize must be a positive integer', { status: 400, code: 'INVALID_SESSION' });
+  }
+  if (size > MAX_RESUMABLE_FILE_SIZE) {
+    throw new UploadError(`File is larger than ${formatBytes(MAX_RESUMABLE_FILE_SIZE)}`, { status: 413, code: 'FILE_TOO_LARGE' });
+  }
+
+  const chunk = chunkSize === undefined ? DEFAULT_CHUNK_SIZE : Number(chunkSize);
+  if (!Number.isInteger(chunk) || chunk < MIN_CHUNK_SIZE || chunk > MAX_CHUNK_SIZE) {
+    throw new UploadError(`chunkSize must be between ${formatBytes(MIN_CHUNK_SIZE)} and ${formatBytes(MAX_CHUNK_SIZE)}`, {
+      status: 400,
+      code: 'INVALID_SESSION'
+    });
+  }
+
+  if (sha256 !== undefined && !/^[0-9a-f]{64}$/i.test(sha256)) {
+    throw new UploadError('sha256 must be a hex SHA-256 digest', { status: 400, code: 'INVALID_SESSION' });
+  }
+
+  await validateUploadFields(fields);
+  await checkOpenSessionLimits(clientIp, size);
+
+  const session = new UploadSession({
+    uploadId: crypto.randomBytes(16).toString('hex'),
+    fileName: path.basename(fileName),
+    fileSize: size,
+    chunkSize: chunk,
+    totalChunks: Math.ceil(size / chunk),
+    sha256: sha256 ? sha256.toLowerCase() : null,
+    fields,
+    clientIp,
+    submittedBy: submittedBy ? submittedBy._id : null,
+    expiresAt: new Date(Date.now() + UPLOAD_SESSION_TTL)
+  });
+
+  await fs.promises.mkdir(chunkDir(session.uploadId), { recursive: true });
+  await session.save();
+
+  return session;
+}
+
+/**
+ * Find a session by its upload ID
+ * @param {string} uploadId
+ * @returns {Promise<object>} - UploadSession document
+ */
+async function getSession(uploadId) {
+  const session = await UploadSession.findOne({ uploadId: String(uploadId) });
+
+  if (!session || (session.status === 'open' && session.expiresAt < new Date())) {
+    throw new UploadError('Upload session not found or expired', { status: 404, code: 'SESSION_NOT_FOUND' });
+  }
+
+  return session;
+}
+
+/**
+ * Find a session that can still be written to
+ * @param {string} uploadId
+ * @returns {Promise<object>} - UploadSession document
+ */
+async function getOpenSession(uploadId) {
+  const session = await getSession(uploadId);
+
+  if (session.status !== 'open') {
+    throw new UploadError(`Upload session is ${session.status}`, { status: 409, code: 'SESSION_CLOSED' });
+  }
+
+  return session;
+}
+
+/**
+ * Store one chunk. Re-sending a chunk replaces it, so retries are safe.
+ * @param {string} uploadId
+ * @param {string|number} indexParam - Chunk index
+ * @param {Buffer} data - Chunk bytes
+ * @returns {Promise<object>} - Updated UploadSession document
+ */
+async function writeChunk(uploadId, indexParam, data) {
+  const session = await getOpenSession(uploadId);
+  const index = Number(indexParam);
+
+  if (!Number.isInteger(index) || index < 0 || index >= session.totalChunks) {
+    throw new UploadError(`Chunk index must be between 0 and ${session.totalChunks - 1}`, { status: 400, code: 'INVALID_CHUNK' });
+  }
+
+  const expected = expectedChunkLength(session, index);
+  if (!Buffer.isBuffer(data) || data.length !== expected) {
+    throw new UploadError(`Chunk ${index} must be exactly ${expected} bytes`, { status: 400, code: 'INVALID_CHUNK' });
+  }
+
+  // Write then rename, so a half-written chunk is never mistaken for a whole one
+  const target = chunkPath(session.uploadId, index);
+  const partial = `${target}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+  await fs.promises.mkdir(chunkDir(session.uploadId), { recursive: true });
+  await fs.promises.writeFile(partial, data);
+  await fs.promises.rename(partial, target);
+
+  return UploadSession.findOneAndUpdate(
+    { _id: session._id },
+    {
+      $addToSet: { receivedChunks: index },
+      $set: { expiresAt: new Date(Date.now() + UPLOAD_SESSION_TTL) }
+    },
+    { new: true }
+  );
+}
+
+/**
+ * Assemble the chunks and run the file through the upload pipeline.
+ * Problems with the file itself fail the session; server-side failures
+ * (storage, database) leave it open so that completion can be retried.
+ * @param {string} uploadId
+ * @returns {Promise<{ session: object, photo: object, claimToken: string|null }>}
+ */
+async function completeSession(uploadId) {
+  const open = await getOpenSession(uploadId);
+
+  if (open.receivedChunks.length < open.totalChunks) {
+    throw new UploadError(`${open.totalChunks - open.receivedChunks.length} chunk(s) still missing`, {
+      status: 409,
+      code: 'INCOMPLETE_UPLOAD'
+    });
+  }
+
+  // Claim the session so a second completion request can't run concurrently
+  const session = await UploadSession.findOneAndUpdate(
+    { _id: open._id, status: 'open' },
+    { $set: { status: 'completing' } },
+    { new: true }
+  );
+  if (!session) {
+    throw new UploadError('Upload session is already being completed', { status: 409, code: 'SESSION_CLOSED' });
+  }
+
+  const assembledPath = path.join(TEMP_DIR, `${session.uploadId}.upload`);
+  const file = {
+    path: assembledPath,
+    filename: path.basename(assembledPath),
+    originalname: session.fileName,
+    size: session.fileSize
+  };
+
+  try {
+    // Chunks are at most MAX_CHUNK_SIZE, so each can be read whole
+    const output = await fs.promises.open(assembledPath, 'w');
+    try {
+      for (let index = 0; index < session.totalChunks; index++) {
+        await output.write(await fs.promises.readFile(chunkPath(session.uploadId, index)));
+      }
+    } finally {
+      await output.close();
+    }
+
+    if (session.sha256 && (await computeContentHash(assembledPath)) !== session.sha256) {
+      throw new UploadError('Assembled file does not match sha256', { status: 422, code: 'CHECKSUM_MISMATCH' });
+    }
+
+    const submittedBy = session.submittedBy ? await Contributor.findById(session.submittedBy) : null;
+    const { photo, claimToken } = await createPhotoFromUpload(file, session.fields, {
+      maxFileSize: MAX_RESUMABLE_FILE_SIZE,
+      submittedBy
+    });
+
+    session.status = 'completed';
+    session.photo = photo._id;
+    session.error = null;
+    await session.save();
+    await fs.promises.rm(chunkDir(session.uploadId), { recursive: true, force: true });
+
+    return { session, photo, claimToken };
+  } catch (error) {
+    await removeTempFile(file);
+
+    const clientError = error instanceof UploadError && error.status < 500;
+    session.status = clientError ? 'failed' : 'open';
+    session.error = error.message;
+    await session.save();
+
+    if (clientError) {
+      await fs.promises.rm(chunkDir(session.uploadId), { recursive: true, force: true });
+    }
+
+    throw error;
+  }
+}
+
+/**
+ * Abandon an upload and delete its chunks
+ * @param {string} uploadId
+ * @returns {Promise<object>} - Updated UploadSession document
+ */
+async function abortSession(uploadId) {
+  const session = await getOpenSession(uploadId);
+
+  session.status = 'aborted';
+  await session.save();
+  await fs.promises.rm(chunkDir(session.uploadId), { recursive: true, force: true });
+
+  return session;
+}
+
+/**
+ * Delete expired sessions and their chunks, plus any chunk directory left
+ * without a session (e.g. after a crash between mkdir and save)
+ * @returns {Promise<{ sessions: number, orphanDirs: number }>}
+ */
+async function purgeExpiredSessions() {
+  const expired = await UploadSession.find({ expiresAt: { $lt: new Date() } }, { uploadId: 1 }).lean();
+
+  for (const { uploadId } of expired) {
+    await fs.promises.rm(chunkDir(uploadId), { recursive: true, force: true });
+  }
+  await UploadSession.deleteMany({ _id: { $in: expired.map(session => session._id) } });
+
+  let orphanDirs = 0;
+  const entries = await fs.promises.readdir(CHUNKS_DIR, { withFileTypes: true }).catch(() => []);
+  for (const entry of entries) {
+    if (!entry.isDirectory()) continue;
+
+    const dir = path.join(CHUNKS_DIR, entry.name);
+    const { mtimeMs } = await fs.promises.stat(dir);
+    if (Date.now() - mtimeMs < UPLOAD_SESSION_TTL) continue;
+
+    if (!(await UploadSession.exists({ uploadId: entry.name }))) {
+      await fs.promises.rm(dir, { recursive: true, force: true });
+      orphanDirs++;
+    }
+  }
+
+  return { sessions: expired.length, orphanDirs };
+}
+
+module.exports = {
+  describeSession,
+  getSession,
+  getOpenSession,
+  createSession,
+  writeChunk,
+  completeSession,
+  abortSession,
+  purgeExpiredSessions
+};
@@ -0,0 +1,209 @@
+// Visitor-proposed metadata corrections and their review by moderators
+const crypto = require('crypto');
+const Photo = require('../models/Photo');
+const Suggestion = require('../models/Suggestion');
+const { validateEdit, editPhoto } = require('./photoEdits');
+const { parseList } = require('../utils/photoMetadata');
+const { SUGGESTION_CLIENT_KEY } = require('../config/moderation');
+const { AppError } = require('../utils/errors');
+
+// Fields visitors may propose changes to
+const SUGGESTABLE_FIELDS = [
+  'title', 'description', 'captureDate', 'people', 'tags', 'floorId', 'roomId', 'locationNote'
+];
+
+const NOTE_LIMIT = 2000;
+const NAME_LIMIT = 100;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * A suggestion that can't be submitted or reviewed as requested
+ */
+class SuggestionError extends AppError {
+  constructor(message, { status = 400, code = 'INVALID_SUGGESTION', details } = {}) {
+    super(message, { status, code, details });
+  }
+}
+
+/**
+ * Hash a client IP so repeat submitters can be grouped without keeping the
+ * address. Keyed, since the IPv4 space is small enough to hash exhaustively.
+ */
+function hashClient(ip) {
+  return crypto.createHmac('sha256', SUGGESTION_CLIENT_KEY).update(`suggestion:${ip}`).digest('hex').slice(0, 32);
+}
+
+/**
+ * Check that a suggestion is still waiting for review
+ */
+function assertPending(suggestion) {
+  if (suggestion.status !== 'pending') {
+    throw new SuggestionError(`Suggestion is already ${suggestion.status}`, { status: 409, code: 'SUGGESTION_CLOSED' });
+  }
+}
+
+/**
+ * Record a visitor's proposed correction to an approved photo
+ * @param {object} photo - Photo document
+ * @param {object} body - { changes, note, name, email }
+ * @param {string} ip - Submitting client's IP
+ * @returns {Promise<object>} - The saved suggestion
+ */
+async function submitSuggestion(photo, body, ip) {
+  if (photo.status !== 'approved') {
+    throw new SuggestionError('Photo not found', { status: 404, code: 'PHOTO_NOT_FOUND' });
+  }
+
+  const changes = body.changes;
+  if (!changes || typeof changes !== 'object' || Array.isArray(changes) || Object.keys(changes).length === 0) {
+    throw new SuggestionError('changes must be an object of proposed field values', { code: 'EMPTY_SUGGESTION' });
+  }
+
+  const unknown = Object.keys(changes).filter(field => !SUGGESTABLE_FIELDS.includes(field));
+  if (unknown.length > 0) {
+    throw new SuggestionError(`Field(s) cannot be suggested: ${unknown.join(', ')}`, { code: 'UNKNOWN_FIELD' });
+  }
+
+  const errors = [];
+  const note = body.note ? String(body.note).trim() : undefined;
+  const name = body.name ? String(body.name).trim() : undefined;
+  const email = body.email ? String(body.email).trim() : undefined;
+
+  if (note && note.length > NOTE_LIMIT) errors.push(`note must be at most ${NOTE_LIMIT} characters`);
+  if (name && name.length > NAME_LIMIT) errors.push(`name must be at most ${NAME_LIMIT} characters`);
+  if (email && !EMAIL_PATTERN.test(email)) errors.push('email is not a valid address');
+
+  // Same checks a moderator's edit would get, so obviously bad values never reach the queue
+  try {
+    await validateEdit(photo, changes);
+  } catch (err) {
+    if (!err.details) throw new SuggestionError(err.message, { code: err.code });
+    errors.push(...err.details);
+  }
+
+  if (errors.length > 0) {
+    throw new SuggestionError('Invalid suggestion', { details: errors });
+  }
+
+  return Suggestion.create({
+    photo: photo._id,
+    changes,
+    note,
+    submitterName: name,
+    submitterEmail: email,
+    clientHash: hashClient(ip)
+  });
+}
+
+/**
+ * Apply a suggestion to its photo, optionally only some fields or with moderator adjustments
+ * @param {object} suggestion - Suggestion document
+ * @param {object} user - Reviewing moderator
+ * @param {object} options - { fields, changes, note }
+ * @returns {Promise<{ suggestion: object, photo: object, revision: object|null }>}
+ */
+async function acceptSuggestion(suggestion, user, { fields, changes = {}, note = null } = {}) {
+  assertPending(suggestion);
+
+  const photo = await Photo.findById(suggestion.photo);
+  if (!photo) {
+    throw new SuggestionError('Photo no longer exists', { status: 410, code: 'PHOTO_GONE' });
+  }
+
+  let proposed = { ...suggestion.changes };
+  if (fields) {
+    const wanted = parseList(fields);
+    proposed = Object.fromEntries(Object.entries(proposed).filter(([field]) => wanted.includes(field)));
+  }
+
+  const body = {
+    ...proposed,
+    ...changes,
+    comment: note ? `Suggestion ${suggestion._id}: ${note}` : `Suggestion ${suggestion._id}`
+  };
+
+  const revision = await editPhoto(photo, body, user, { suggestion: suggestion._id });
+
+  suggestion.status = 'accepted';
+  suggestion.reviewedBy = user._id;
+  suggestion.reviewedAt = new Date();
+  suggestion.reviewNote = note;
+  suggestion.revision = revision ? revision.revision : null;
+  await suggestion.save();
+
+  return { suggestion, photo, revision };
+}
+
+/**
+ * Decline a suggestion without changing the photo
+ * @param {object} suggestion - Suggestion document
+ * @param {object} user - Reviewing moderator
+ * @param {object} options - { note }
+ * @returns {Promise<object>} - The updated suggestion
+ */
+async function rejectSuggestion(suggestion, user, { note = null } = {}) {
+  assertPending(suggestion);
+
+  suggestion.status = 'rejected';
+  suggestion.reviewedBy = user._id;
+  suggestion.reviewedAt = new Date();
+  suggestion.reviewNote = note;
+  return suggestion.save();
+}
+
+/**
+ * Fold a suggestion into another pending suggestion for the same photo.
+ * The target keeps its own values where both propose one, except people
+ * and tags, which are combined.
+ * @param {object} suggestion - Suggestion to merge away
+ * @param {string} targetId - Suggestion to merge into
+ * @param {object} user - Reviewing moderator
+ * @returns {Promise<object>} - The updated target suggestion
+ */
+async function mergeSuggestion(suggestion, targetId, user) {
+  assertPending(suggestion);
+
+  const target = await Suggestion.findById(targetId);
+  if (!target) {
+    throw new SuggestionError('Target suggestion not found', { status: 404, code: 'SUGGESTION_NOT_FOUND' });
+  }
+  if (target._id.equals(suggestion._id)) {
+    throw new SuggestionError('A suggestion cannot be merged into itself', { code: 'INVALID_MERGE' });
+  }
+  if (!target.photo.equals(suggestion.photo)) {
+    throw new SuggestionError('Suggestions are for different photos', { code: 'INVALID_MERGE' });
+  }
+  assertPending(target);
+
+  const merged = { ...suggestion.changes, ...target.changes };
+  for (const field of ['people', 'tags']) {
+    if (suggestion.changes[field] !== undefined && target.changes[field] !== undefined) {
+      merged[field] = [...new Set([...parseList(target.changes[field]), ...parseList(suggestion.changes[field])])];
+    }
+  }
+
+  target.changes = merged;
+  target.markModified('changes');
+  target.mergedFrom.push(suggestion._id);
+  if (suggestion.note) {
+    target.note = [target.note, suggestion.note].filter(Boolean).join('\n\n');
+  }
+  await target.save();
+
+  suggestion.status = 'merged';
+  suggestion.mergedInto = target._id;
+  suggestion.reviewedBy = user._id;
+  suggestion.reviewedAt = new Date();
+  await suggestion.save();
+
+  return target;
+}
+
+module.exports = {
+  SUGGESTABLE_FIELDS,
+  SuggestionError,
+  submitSuggestion,
+  acceptSuggestion,
+  rejectSuggestion,
+  mergeSuggestion
+};
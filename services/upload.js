@@ -0,0 +1,422 @@
+// Upload pipeline shared by every upload route: validation, processing,
+// storage and persistence, with temp-file cleanup and rollback of the
+// stored image if the database save fails.
+const fs = require('fs');
+const Photo = require('../models/Photo');
+const { createOpaqueToken } = require('../utils/auth');
+const { validateUploadedFile } = require('../utils/fileValidation');
+const { parsePhotoMetadata } = require('../utils/photoMetadata');
+const { resolveLocation } = require('../utils/locations');
+const { AppError, toErrorResponse } = require('../utils/errors');
+const {
+  NEAR_DUPLICATE_THRESHOLD,
+  checkForDuplicates,
+  computeContentHash,
+  hammingDistance,
+  findExactDuplicate,
+  isDuplicateContentError
+} = require('../utils/duplicates');
+const { processImage } = require('../utils/imageProcessing');
+const { storeImage, removeImage } = require('../utils/storage');
+const { BATCH_CONCURRENCY } = require('../config/uploads');
+
+// Longest name a submitter may be credited with
+const MAX_CONTRIBUTOR_LENGTH = 200;
+
+/**
+ * An upload that was refused or failed, with the HTTP status and error code to report
+ */
+class UploadError extends AppError {
+  constructor(message, { status = 500, code = 'UPLOAD_FAILED', details, duplicateOf } = {}) {
+    super(message, { status, code, details });
+    this.duplicateOf = duplicateOf;
+  }
+
+  toResponseBody() {
+    const body = super.toResponseBody();
+    if (this.duplicateOf) body.duplicateOf = this.duplicateOf;
+    return body;
+  }
+}
+
+/**
+ * Delete an uploaded temp file, if it is still there
+ * @param {object} file - Multer file object
+ */
+async function removeTempFile(file) {
+  if (!file || !file.path) return;
+
+  try {
+    await fs.promises.rm(file.path, { force: true });
+  } catch (error) {
+    console.error('Error deleting temp file:', error);
+  }
+}
+
+/**
+ * Validate the form fields sent with an upload
+ * @param {object} body - Submitted form fields
+ * @returns {Promise<object>} - Normalised photo fields
+ */
+async function validateUploadFields(body) {
+  const contributor = String(body.contributor || '').trim() || 'Anonymous';
+  const floorId = String(body.floorId || '').trim();
+  const roomId = String(body.roomId || '').trim();
+
+  const { metadata: archival, errors } = parsePhotoMetadata(body);
+  if (contributor.length > MAX_CONTRIBUTOR_LENGTH) {
+    errors.push(`contributor must be at most ${MAX_CONTRIBUTOR_LENGTH} characters`);
+  }
+  const { error: locationError } = await resolveLocation(floorId, roomId);
+  if (locationError) errors.push(locationError);
+
+  if (errors.length > 0) {
+    throw new UploadError('Invalid photo metadata', { status: 400, code: 'INVALID_METADATA', details: errors });
+  }
+
+  return { ...archival, contributor, floorId, roomId };
+}
+
+/**
+ * Validate an upload without touching storage
+ * @param {object} file - Multer file object
+ * @param {object} body - Submitted form fields
+ * @param {object} options - { maxFileSize }
+ * @returns {Promise<object>} - Normalised photo fields
+ */
+async function validateUpload(file, body, { maxFileSize } = {}) {
+  if (!file) {
+    throw new UploadError('No file uploaded', { status: 400, code: 'NO_FILE' });
+  }
+
+  // Check the real file content, not the client-declared mimetype
+  const fileCheck = await validateUploadedFile(file, maxFileSize);
+  if (fileCheck.error) {
+    const status = fileCheck.code === 'FILE_TOO_LARGE' ? 413 : 415;
+    throw new UploadError(fileCheck.error, { status, code: fileCheck.code });
+  }
+
+  return validateUploadFields(body);
+}
+
+/**
+ * Run an uploaded file through the full pipeline and create a pending Photo.
+ * The temp file is always removed; if saving the record fails, the stored
+ * image is deleted again so nothing is left orphaned.
+ * Photos from a signed-in contributor are credited to their display name;
+ * anonymous submitters get a claim token instead, to follow the photo later.
+ * @param {object} file - Multer file object
+ * @param {object} body - Submitted form fields
+ * @param {object} options - { maxFileSize } to override the single-upload size
+ *   limit, { submittedBy } the signed-in Contributor, if any
+ * @returns {Promise<{ photo: object, claimToken: string|null }>} - The saved
+ *   Photo document, and the claim token for anonymous submissions
+ */
+async function createPhotoFromUpload(file, body = {}, options = {}) {
+  const { submittedBy = null } = options;
+  let stored = null;
+
+  try {
+    const fields = await validateUpload(file, body, options);
+    if (submittedBy && submittedBy.displayName) {
+      fields.contributor = submittedBy.displayName;
+    }
+
+    // Refuse exact duplicates; near-duplicates are flagged for moderators
+    const duplicates = await checkForDuplicates(file.path);
+    if (duplicates.exactDuplicate) {
+      throw new UploadError('This photo has already been submitted', {
+        status: 409,
+        code: 'DUPLICATE',
+        duplicateOf: duplicates.exactDuplicate._id
+      });
+    }
+
+    // Read EXIF, auto-orient and strip sensitive metadata before storage
+    let processed;
+    try {
+      processed = await processImage(file.path);
+    } catch (processingError) {
+      throw new UploadError('Could not process image: ' + processingError.message, {
+        status: 400,
+        code: 'PROCESSING_FAILED'
+      });
+    }
+
+    // Upload date, formatted as "Mon YYYY"
+    const date = new Date().toLocaleDateString('en-US', {
+      month: 'short',
+      year: 'numeric',
+    });
+
+    // Metadata stored alongside the image
+    const metadata = JSON.stringify({
+      contributor: fields.contributor,
+      floorId: fields.floorId,
+      roomId: fields.roomId,
+      date,
+      title: fields.title
+    });
+
+    try {
+      // New photos are pending, so their image stays private until approved
+      stored = await storeImage(file.path, metadata, { private: true });
+    } catch (storageError) {
+      throw new UploadError('Error storing image: ' + storageError.message, {
+        status: 500,
+        code: 'STORAGE_FAILED'
+      });
+    }
+
+    const claim = submittedBy ? null : createOpaqueToken();
+
+    const photo = new Photo({
+      ...fields,
+      submittedBy: submittedBy ? submittedBy._id : null,
+      claimTokenHash: claim ? claim.hash : null,
+      date,
+      roomId: fields.roomId || undefined,
+      storageProvider: stored.provider,
+      storageKey: stored.key,
+      originalFileName: file.originalname,
+      contentHash: duplicates.contentHash,
+      perceptualHash: duplicates.perceptualHash,
+      perceptualHashBands: duplicates.perceptualHashBands,
+      possibleDuplicates: duplicates.nearDuplicates,
+      width: processed.width,
+      height: processed.height,
+      fileSize: processed.fileSize,
+      exif: processed.exif,
+      status: 'pending'
+    });
+
+    try {
+      await photo.save();
+    } catch (saveError) {
+      if (!isDuplicateContentError(saveError)) throw saveError;
+
+      // The same file was saved by another upload since the check above
+      const existing = await findExactDuplicate(duplicates.contentHash);
+      throw new UploadError('This photo has already been submitted', {
+        status: 409,
+        code: 'DUPLICATE',
+        duplicateOf: existing ? existing._id : undefined
+      });
+    }
+    stored = null;
+
+    return { photo, claimToken: claim ? claim.token : null };
+  } catch (error) {
+    // Roll back the stored image if the record never made it to the database
+    if (stored) {
+      try {
+        await removeImage(stored.provider, stored.key);
+      } catch (rollbackError) {
+        console.error(`Failed to roll back stored image ${stored.provider}/${stored.key}:`, rollbackError);
+      }
+    }
+
+    throw error;
+  } finally {
+    await removeTempFile(file);
+  }
+}
+
+/**
+ * Run an async function over items with at most `limit` in flight at once
+ * @param {Array} items
+ * @param {number} limit - Maximum concurrent calls
+ * @param {Function} fn - Called with (item, index)
+ * @returns {Promise<Array>} - Results in item order
+ */
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  async function worker() {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  }
+
+  const workers = Array.from({ length: Math.min(limit, items.length) }, worker);
+  await Promise.all(workers);
+  return results;
+}
+
+/**
+ * Read per-file overrides sent with a batch: either a JSON array matched to
+ * files by position, or a JSON object keyed by original file name
+ * @param {string|object} value - The overrides field
+ * @returns {Function} - Given (file, index), returns that file's overrides
+ */
+function parseBatchOverrides(value) {
+  if (value === undefined || value === '') return () => ({});
+
+  let overrides = value;
+  if (typeof value === 'string') {
+    try {
+      overrides = JSON.parse(value);
+    } catch (error) {
+      throw new UploadError('overrides must be valid JSON', { status: 400, code: 'INVALID_METADATA' });
+    }
+  }
+
+  if (Array.isArray(overrides)) {
+    return (file, index) => overrides[index] || {};
+  }
+  if (overrides && typeof overrides === 'object') {
+    return file => overrides[file.originalname] || {};
+  }
+
+  throw new UploadError('overrides must be an array or an object keyed by file name', {
+    status: 400,
+    code: 'INVALID_METADATA'
+  });
+}
+
+/**
+ * Create a pending Photo for each file in a batch. Shared form fields apply
+ * to every file and per-file overrides are layered on top. Files are
+ * processed with bounded concurrency; each one is cleaned up and rolled back
+ * on its own, so a failure never affects the others or leaves anything behind.
+ * @param {object[]} files - Multer file objects
+ * @param {object} body - Shared form fields, plus optional `overrides`
+ * @param {object} options - { submittedBy } the signed-in Contributor, if any
+ * @returns {Promise<object[]>} - Per-file results: { index, fileName, success,
+ *   photo and claimToken | error, code }
+ */
+async function createPhotosFromBatch(files = [], body = {}, { submittedBy = null } = {}) {
+  if (files.length === 0) {
+    throw new UploadError('No files uploaded', { status: 400, code: 'NO_FILE' });
+  }
+
+  const { overrides, ...shared } = body;
+  let getOverrides;
+  try {
+    getOverrides = parseBatchOverrides(overrides);
+  } catch (error) {
+    await Promise.all(files.map(removeTempFile));
+    throw error;
+  }
+
+  // Identical files within the same batch would race past the duplicate check
+  const seenHashes = new Map();
+  const batchDuplicates = new Map();
+  const hashErrors = new Map();
+  for (const [index, file] of files.entries()) {
+    let hash;
+    try {
+      hash = await computeContentHash(file.path);
+    } catch (error) {
+      hashErrors.set(index, error);
+      continue;
+    }
+
+    if (seenHashes.has(hash)) {
+      batchDuplicates.set(index, seenHashes.get(hash));
+    } else {
+      seenHashes.set(hash, index);
+    }
+  }
+
+  const results = await mapWithConcurrency(files, BATCH_CONCURRENCY, async (file, index) => {
+    const result = { index, fileName: file.originalname };
+
+    try {
+      if (hashErrors.has(index)) {
+        throw new UploadError('Could not read file: ' + hashErrors.get(index).message, {
+          status: 400,
+          code: 'PROCESSING_FAILED'
+        });
+      }
+
+      if (batchDuplicates.has(index)) {
+        throw new UploadError(`Same file as #${batchDuplicates.get(index)} in this batch`, {
+          status: 409,
+          code: 'DUPLICATE'
+        });
+      }
+
+      const { photo, claimToken } = await createPhotoFromUpload(file, { ...shared, ...getOverrides(file, index) }, { submittedBy });
+      return {
+        ...result,
+        success: true,
+        photo,
+        claimToken
+      };
+    } catch (error) {
+      console.error(`Batch upload failed for ${file.originalname}:`, error.message);
+      await removeTempFile(file);
+      return {
+        ...result,
+        success: false,
+        ...describeUploadError(error).body
+      };
+    }
+  });
+
+  try {
+    await flagNearDuplicatesInBatch(results.filter(result => result.success).map(result => result.photo));
+  } catch (error) {
+    console.error('Could not compare batch photos for near-duplicates:', error.message);
+  }
+
+  return results;
+}
+
+/**
+ * Flag near-duplicates among the photos of one batch. They are saved
+ * concurrently, so the upload-time check may not have seen each other.
+ * The later photo of each pair lists the earlier one.
+ * @param {object[]} photos - Saved Photo documents, in batch order
+ */
+async function flagNearDuplicatesInBatch(photos) {
+  const changed = new Set();
+
+  photos.forEach((later, j) => {
+    photos.slice(0, j).forEach(earlier => {
+      if (!later.perceptualHash || !earlier.perceptualHash) return;
+
+      const listed = (photo, other) => photo.possibleDuplicates.some(entry => entry.photo.equals(other._id));
+      if (listed(later, earlier) || listed(earlier, later)) return;
+
+      const distance = hammingDistance(later.perceptualHash, earlier.perceptualHash);
+      if (distance <= NEAR_DUPLICATE_THRESHOLD) {
+        later.possibleDuplicates.push({ photo: earlier._id, distance });
+        changed.add(later);
+      }
+    });
+  });
+
+  for (const photo of changed) {
+    photo.possibleDuplicates.sort((a, b) => a.distance - b.distance);
+    await photo.save();
+  }
+}
+
+/**
+ * Build the JSON error body for a failed upload
+ * @param {Error} error - Error thrown by createPhotoFromUpload
+ * @returns {{ status: number, body: object }}
+ */
+function describeUploadError(error) {
+  if (error instanceof AppError) {
+    return toErrorResponse(error);
+  }
+
+  return {
+    status: 500,
+    body: { error: 'Server error during upload', code: 'UPLOAD_FAILED' }
+  };
+}
+
+module.exports = {
+  UploadError,
+  removeTempFile,
+  validateUploadFields,
+  validateUpload,
+  createPhotoFromUpload,
+  createPhotosFromBatch
+};
@@ -0,0 +1,429 @@
+// Outgoing webhooks. Admins register endpoints for photo events; each event
+// becomes a WebhookDelivery per subscribed endpoint, sent in the background
+// as signed JSON and retried with backoff until it is accepted or runs out
+// of attempts. Every attempt is logged on the delivery. Endpoints must be
+// public: private, loopback and link-local addresses are refused when a
+// webhook is registered and again on every connection.
+const crypto = require('crypto');
+const dns = require('dns');
+const net = require('net');
+const http = require('http');
+const https = require('https');
+const axios = require('axios');
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const { subscribe } = require('../utils/events');
+const { loadEventPhoto, createQueueWorker } = require('../utils/outbox');
+const { presentPhoto } = require('../utils/photoUrls');
+const { AppError, ConflictError } = require('../utils/errors');
+const {
+  WEBHOOK_TIMEOUT,
+  WEBHOOK_MAX_ATTEMPTS,
+  WEBHOOK_RETRY_DELAY,
+  WEBHOOK_RETRY_MAX_DELAY,
+  WEBHOOK_DELIVERY_INTERVAL,
+  WEBHOOK_BATCH_SIZE,
+  WEBHOOK_SENDING_TIMEOUT,
+  WEBHOOK_ALLOW_PRIVATE_URLS
+} = require('../config/webhooks');
+
+// Bytes of each response body kept in the attempt log; the rest is never read
+const MAX_LOGGED_BODY = 1000;
+
+// Addresses webhooks may not reach: this host, private networks, link-local
+// ranges (which hold cloud metadata endpoints), shared NAT space, multicast
+// and reserved blocks. IPv4 addresses written in IPv6 form (::ffff:a.b.c.d)
+// are matched against the IPv4 ranges.
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+].forEach(([prefix, bits]) => BLOCKED_ADDRESSES.addSubnet(prefix, bits, 'ipv4'));
+[
+  ['::', 127], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([prefix, bits]) => BLOCKED_ADDRESSES.addSubnet(prefix, bits, 'ipv6'));
+
+/**
+ * A webhook that can't be registered or changed as requested
+ */
+class WebhookError extends AppError {
+  constructor(message, { status = 400, code = 'INVALID_WEBHOOK', details } = {}) {
+    super(message, { status, code, details });
+  }
+}
+
+/**
+ * Check that a webhook URL is an absolute http(s) URL
+ * @param {string} url
+ * @returns {string} - The URL, normalised
+ */
+function normalizeUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(String(url).trim());
+  } catch (err) {
+    throw new WebhookError('url must be an absolute URL', { code: 'INVALID_WEBHOOK_URL' });
+  }
+
+  if (!['http:', 'https:'].includes(parsed.protocol)) {
+    throw new WebhookError('url must use http or https', { code: 'INVALID_WEBHOOK_URL' });
+  }
+
+  return parsed.toString();
+}
+
+/**
+ * Whether an IP address is one webhooks may not reach
+ * @param {string} address
+ * @returns {boolean}
+ */
+function isBlockedAddress(address) {
+  if (WEBHOOK_ALLOW_PRIVATE_URLS) return false;
+  return BLOCKED_ADDRESSES.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+}
+
+/**
+ * The error for a host that resolves to a blocked address
+ * @param {string} hostname
+ * @returns {WebhookError}
+ */
+function notAllowedError(hostname) {
+  return new WebhookError(`${hostname} is a private or local address; webhooks can only reach public hosts`, {
+    code: 'WEBHOOK_URL_NOT_ALLOWED'
+  });
+}
+
+/**
+ * Check that a webhook URL's host resolves only to public addresses
+ * @param {string} url - Normalised webhook URL
+ */
+async function checkUrlTarget(url) {
+  const hostname = new URL(url).hostname.replace(/^\[|\]$/g, '');
+  const addresses = net.isIP(hostname)
+    ? [hostname]
+    : (await dns.promises.lookup(hostname, { all: true })).map(entry => entry.address);
+
+  if (addresses.some(isBlockedAddress)) {
+    throw notAllowedError(hostname);
+  }
+}
+
+/**
+ * dns.lookup for the delivery agents: refuses blocked addresses when the
+ * connection is made, so a host that resolves differently after the check
+ * still can't reach them
+ */
+function lookupPublicAddress(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+    if (err) return callback(err);
+    if (addresses.some(entry => isBlockedAddress(entry.address))) {
+      return callback(notAllowedError(hostname));
+    }
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+const httpAgent = new http.Agent({ lookup: lookupPublicAddress });
+const httpsAgent = new https.Agent({ lookup: lookupPublicAddress });
+
+/**
+ * Check a new or changed webhook URL: http(s), and a public host
+ * @param {string} url
+ * @returns {Promise<string>} - The URL, normalised
+ */
+async function checkWebhookUrl(url) {
+  const normalized = normalizeUrl(url);
+
+  try {
+    await checkUrlTarget(normalized);
+  } catch (err) {
+    if (err instanceof WebhookError) throw err;
+    throw new WebhookError(`url host could not be resolved (${err.code || err.message})`, { code: 'INVALID_WEBHOOK_URL' });
+  }
+
+  return normalized;
+}
+
+/**
+ * Check that at least one event is subscribed to, and drop repeats
+ * @param {string[]} events - Already checked against WEBHOOK_EVENTS
+ * @returns {string[]}
+ */
+function normalizeEvents(events) {
+  const unique = [...new Set(events)];
+  if (unique.length === 0) {
+    throw new WebhookError('events must name at least one event', { code: 'INVALID_WEBHOOK_EVENTS' });
+  }
+  return unique;
+}
+
+/**
+ * Register a webhook endpoint
+ * @param {object} fields - { url, events, description }
+ * @param {object} user - Admin registering it
+ * @returns {Promise<{ webhook: object, secret: string }>} - The secret is not shown again
+ */
+async function createWebhook({ url, events, description = null }, user) {
+  const secret = `whsec_${crypto.randomBytes(24).toString('base64url')}`;
+  const subscribed = normalizeEvents(events);
+
+  const webhook = await Webhook.create({
+    url: await checkWebhookUrl(url),
+    events: subscribed,
+    description,
+    secret,
+    createdBy: user._id
+  });
+
+  return { webhook, secret };
+}
+
+/**
+ * Change a webhook's URL, events, description or active flag
+ * @param {object} webhook - Webhook document
+ * @param {object} changes - { url, events, description, active }
+ * @returns {Promise<object>} - The updated webhook
+ */
+async function updateWebhook(webhook, { url, events, description, active }) {
+  if (url !== undefined) webhook.url = await checkWebhookUrl(url);
+  if (events !== undefined) webhook.events = normalizeEvents(events);
+  if (description !== undefined) webhook.description = description;
+  if (active !== undefined) webhook.active = active;
+
+  await webhook.save();
+  return webhook;
+}
+
+/**
+ * Queue an event for every active webhook subscribed to it
+ * @param {string} event - One of WEBHOOK_EVENTS
+ * @param {object} data - Event data, e.g. { photo }
+ * @returns {Promise<object[]>} - The queued deliveries
+ */
+async function queueEvent(event, data) {
+  const webhooks = await Webhook.find({ active: true, events: event }).select('_id');
+  if (webhooks.length === 0) return [];
+
+  const eventId = `evt_${crypto.randomBytes(12).toString('hex')}`;
+  const payload = { id: eventId, type: event, createdAt: new Date().toISOString(), data };
+
+  const deliveries = await WebhookDelivery.insertMany(webhooks.map(webhook => ({
+    webhook: webhook._id,
+    event,
+    eventId,
+    payload
+  })));
+
+  worker.schedule();
+  return deliveries;
+}
+
+/**
+ * Approved and updated photos are sent the way GET /api/photos/approved
+ * shows them; only an approved photo's edits are of interest outside
+ */
+function onPhotoChanged(event) {
+  return async ({ photo, fields }) => {
+    const doc = await loadEventPhoto(photo);
+    if (!doc || doc.status !== 'approved') return;
+
+    const data = { photo: presentPhoto(doc, null) };
+    if (fields) data.fields = fields;
+
+    await queueEvent(event, data);
+  };
+}
+
+/**
+ * Rejected and deleted photos are only identified; their content is no longer public
+ * @param {string} event
+ * @param {object|string} photo - Photo document or id
+ */
+async function queueRemoval(event, photo) {
+  const id = photo && photo._id ? photo._id : photo;
+  await queueEvent(event, { photo: { _id: String(id) } });
+}
+
+/**
+ * A rejection only concerns subscribers if the photo was approved; photos
+ * rejected from the pending queue were never sent to them
+ * @param {object} payload - { photo, previousStatus }
+ */
+async function onPhotoRejected({ photo, previousStatus }) {
+  if (previousStatus !== 'approved') return;
+  await queueRemoval('photo.rejected', photo);
+}
+
+/**
+ * Sign a request body: HMAC-SHA256 of "<timestamp>.<body>" with the webhook's secret
+ * @param {string} secret
+ * @param {number} timestamp - Unix seconds
+ * @param {string} body - Exact JSON sent
+ * @returns {string} - Hex digest
+ */
+function signPayload(secret, timestamp, body) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+/**
+ * Read the start of a response body and drop the rest unread
+ * @param {object} stream - Response stream
+ * @returns {Promise<string>} - Up to MAX_LOGGED_BODY bytes
+ */
+function readBodyStart(stream) {
+  return new Promise(resolve => {
+    const chunks = [];
+    let length = 0;
+
+    const finish = () => {
+      clearTimeout(timer);
+      stream.destroy();
+      resolve(Buffer.concat(chunks).subarray(0, MAX_LOGGED_BODY).toString());
+    };
+    const timer = setTimeout(finish, WEBHOOK_TIMEOUT);
+
+    stream.on('data', chunk => {
+      chunks.push(chunk);
+      length += chunk.length;
+      if (length >= MAX_LOGGED_BODY) finish();
+    });
+    stream.on('end', finish);
+    stream.on('error', finish);
+  });
+}
+
+/**
+ * POST a delivery to its webhook once
+ * @param {object} delivery - WebhookDelivery document
+ * @param {object} webhook - Webhook document, with its secret
+ * @returns {Promise<object>} - Attempt log entry, with `ok` when the endpoint
+ *   answered 2xx and `final` when it must not be retried
+ */
+async function sendDelivery(delivery, webhook) {
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+  const started = Date.now();
+  const attempt = { at: new Date(started) };
+
+  try {
+    await checkUrlTarget(webhook.url);
+
+    const response = await axios.post(webhook.url, body, {
+      timeout: WEBHOOK_TIMEOUT,
+      maxRedirects: 0,
+      responseType: 'stream',
+      validateStatus: () => true,
+      httpAgent,
+      httpsAgent,
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'SantaCruzArchive-Webhooks/1.0',
+        'X-Webhook-Event': delivery.event,
+        'X-Webhook-Delivery': delivery.eventId,
+        'X-Webhook-Timestamp': String(timestamp),
+        'X-Webhook-Signature': `sha256=${signPayload(webhook.secret, timestamp, body)}`
+      }
+    });
+
+    attempt.responseStatus = response.status;
+    attempt.responseBody = await readBodyStart(response.data);
+    attempt.ok = response.status >= 200 && response.status < 300;
+    if (!attempt.ok) attempt.error = `HTTP ${response.status}`;
+  } catch (err) {
+    attempt.error = err.message;
+    attempt.ok = false;
+    attempt.final = err.code === 'WEBHOOK_URL_NOT_ALLOWED';
+  }
+
+  attempt.durationMs = Date.now() - started;
+  return attempt;
+}
+
+/**
+ * Send a claimed delivery and log the attempt on it
+ * @param {object} delivery - WebhookDelivery document
+ * @returns {Promise<{ ok: boolean, error: string, final: boolean }>}
+ */
+async function attemptDelivery(delivery) {
+  const webhook = await Webhook.findById(delivery.webhook).select('+secret');
+  const attempt = webhook && webhook.active
+    ? await sendDelivery(delivery, webhook)
+    : { at: new Date(), error: webhook ? 'Webhook is disabled' : 'Webhook was deleted', ok: false, final: true };
+
+  const { ok, final, ...logEntry } = attempt;
+  delivery.attemptLog.push(logEntry);
+  if (ok) delivery.deliveredAt = new Date();
+
+  return { ok, error: attempt.error, final };
+}
+
+const worker = createQueueWorker(WebhookDelivery, {
+  label: 'Webhook delivery',
+  doneStatus: 'delivered',
+  batchSize: WEBHOOK_BATCH_SIZE,
+  maxAttempts: WEBHOOK_MAX_ATTEMPTS,
+  retryDelay: WEBHOOK_RETRY_DELAY,
+  retryMaxDelay: WEBHOOK_RETRY_MAX_DELAY,
+  sendingTimeout: WEBHOOK_SENDING_TIMEOUT,
+  send: attemptDelivery
+});
+
+/**
+ * Send due deliveries
+ * @returns {Promise<{ delivered: number, retrying: number, failed: number }>}
+ */
+function processDeliveries() {
+  return worker.run();
+}
+
+/**
+ * Send a finished delivery again, as a new delivery with the same event id
+ * and payload
+ * @param {object} delivery - WebhookDelivery document
+ * @returns {Promise<object>} - The new delivery
+ */
+async function redeliver(delivery) {
+  if (!['delivered', 'failed'].includes(delivery.status)) {
+    throw new ConflictError(`Delivery is still ${delivery.status}`, { code: 'DELIVERY_IN_PROGRESS' });
+  }
+
+  const webhook = await Webhook.findById(delivery.webhook);
+  if (!webhook || !webhook.active) {
+    throw new ConflictError('The webhook is deleted or disabled', { code: 'WEBHOOK_DISABLED' });
+  }
+
+  const copy = await WebhookDelivery.create({
+    webhook: delivery.webhook,
+    event: delivery.event,
+    eventId: delivery.eventId,
+    payload: delivery.payload,
+    redeliveryOf: delivery._id
+  });
+
+  worker.schedule();
+  return copy;
+}
+
+/**
+ * Subscribe to photo events and start the delivery job.
+ * Call once the database is connected.
+ */
+function startWebhooks() {
+  subscribe('photo.approved', onPhotoChanged('photo.approved'));
+  subscribe('photo.updated', onPhotoChanged('photo.updated'));
+  subscribe('photo.rejected', onPhotoRejected);
+  subscribe('photo.deleted', ({ photo }) => queueRemoval('photo.deleted', photo));
+
+  worker.start(WEBHOOK_DELIVERY_INTERVAL);
+}
+
+module.exports = {
+  WebhookError,
+  createWebhook,
+  updateWebhook,
+  signPayload,
+  processDeliveries,
+  redeliver,
+  startWebhooks
+};
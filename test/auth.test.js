@@ -0,0 +1,123 @@
+const { test, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+
+process.env.AUTH_TOKEN_SECRET = 'test-secret';
+
+const User = require('../models/User');
+const Contributor = require('../models/Contributor');
+const {
+  hashPassword,
+  verifyPassword,
+  createSessionToken,
+  verifySessionToken,
+  createOpaqueToken,
+  hashOpaqueToken,
+  deriveKey,
+  hasRole
+} = require('../utils/auth');
+const { requireAuth, requireContributor, requireRole } = require('../middleware/auth');
+
+const user = { _id: 'u1', role: 'moderator', tokenVersion: 2 };
+
+afterEach(() => mock.restoreAll());
+
+/**
+ * Run a middleware with a fake request and resolve with the status of the
+ * error it passed to next(), or with null when it let the request through
+ */
+function run(middleware, req) {
+  return new Promise(resolve => {
+    middleware(req, {}, err => resolve(err ? err.status : null));
+  });
+}
+
+test('passwords verify against their own hash only', async () => {
+  const hash = await hashPassword('correct horse');
+
+  assert.strictEqual(await verifyPassword('correct horse', hash), true);
+  assert.strictEqual(await verifyPassword('wrong horse', hash), false);
+  assert.strictEqual(await verifyPassword('correct horse', ''), false);
+});
+
+test('session tokens carry the subject, type, role and version', () => {
+  const { token } = createSessionToken(user);
+  const payload = verifySessionToken(token);
+
+  assert.strictEqual(payload.sub, 'u1');
+  assert.strictEqual(payload.typ, 'user');
+  assert.strictEqual(payload.role, 'moderator');
+  assert.strictEqual(payload.ver, 2);
+});
+
+test('tampered, malformed and expired session tokens are refused', () => {
+  const { token, expiresAt } = createSessionToken(user);
+  const [payload, signature] = token.split('.');
+  const forged = Buffer.from(JSON.stringify({ ...JSON.parse(Buffer.from(payload, 'base64url')), role: 'admin' }))
+    .toString('base64url');
+
+  assert.strictEqual(verifySessionToken(`${forged}.${signature}`), null);
+  assert.strictEqual(verifySessionToken(`${payload}.${signature.slice(0, -2)}é`), null);
+  assert.strictEqual(verifySessionToken(payload), null);
+  assert.strictEqual(verifySessionToken(undefined), null);
+
+  mock.method(Date, 'now', () => expiresAt.getTime() + 1000);
+  assert.strictEqual(verifySessionToken(token), null);
+});
+
+test('tokens issued before a password change or for a disabled account are refused', async () => {
+  const { token } = createSessionToken(user);
+  const req = () => ({ headers: { authorization: `Bearer ${token}` } });
+
+  mock.method(User, 'findById', async () => ({ ...user, active: true }));
+  assert.strictEqual(await run(requireAuth, req()), null);
+
+  mock.method(User, 'findById', async () => ({ ...user, active: true, tokenVersion: 3 }));
+  assert.strictEqual(await run(requireAuth, req()), 401);
+
+  mock.method(User, 'findById', async () => ({ ...user, active: false }));
+  assert.strictEqual(await run(requireAuth, req()), 401);
+
+  assert.strictEqual(await run(requireAuth, { headers: {} }), 401);
+});
+
+test('contributor sessions only work on contributor endpoints, and user sessions only on the others', async () => {
+  const contributor = { _id: 'c1', tokenVersion: 0, active: true };
+  mock.method(Contributor, 'findById', async () => contributor);
+  mock.method(User, 'findById', async () => ({ ...user, active: true }));
+  const bearer = token => ({ headers: { authorization: `Bearer ${token}` } });
+
+  const contributorToken = createSessionToken(contributor, { type: 'contributor', ttl: 60 }).token;
+  const contributorReq = bearer(contributorToken);
+  assert.strictEqual(await run(requireContributor, contributorReq), null);
+  assert.strictEqual(contributorReq.contributor, contributor);
+  assert.strictEqual(await run(requireAuth, bearer(contributorToken)), 401);
+
+  const userToken = createSessionToken(user).token;
+  assert.strictEqual(await run(requireContributor, bearer(userToken)), 401);
+  assert.strictEqual(await run(requireAuth, bearer(userToken)), null);
+});
+
+test('opaque tokens are random and stored as their hash', () => {
+  const { token, hash } = createOpaqueToken();
+
+  assert.match(token, /^[A-Za-z0-9_-]{43}$/);
+  assert.strictEqual(hashOpaqueToken(token), hash);
+  assert.notStrictEqual(hash, token);
+  assert.notStrictEqual(createOpaqueToken().token, token);
+});
+
+test('keys derived for different purposes are stable and distinct', () => {
+  assert.match(deriveKey('suggestion-client'), /^[0-9a-f]{64}$/);
+  assert.strictEqual(deriveKey('suggestion-client'), deriveKey('suggestion-client'));
+  assert.notStrictEqual(deriveKey('suggestion-client'), deriveKey('image-url-signing'));
+});
+
+test('admins have every moderator permission, not the reverse', async () => {
+  assert.strictEqual(hasRole('admin', 'moderator'), true);
+  assert.strictEqual(hasRole('moderator', 'admin'), false);
+  assert.strictEqual(hasRole(undefined, 'moderator'), false);
+
+  assert.strictEqual(await run(requireRole('admin'), { user: { role: 'moderator' } }), 403);
+  assert.strictEqual(await run(requireRole('moderator'), { user: { role: 'admin' } }), null);
+  assert.strictEqual(await run(requireRole('moderator'), {}), 401);
+});
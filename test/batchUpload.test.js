@@ -0,0 +1,132 @@
+const { test, before, after, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+const mongoose = require('mongoose');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'batch-upload-'));
+process.env.STORAGE_PROVIDER = 'local';
+process.env.LOCAL_STORAGE_DIR = path.join(dir, 'images');
+
+const Photo = require('../models/Photo');
+const Location = require('../models/Location');
+const { createPhotosFromBatch } = require('../services/upload');
+
+let wavy;
+let wavyCopy;
+let plain;
+
+before(async () => {
+  // A wavy pattern, the same picture re-compressed, and an unrelated flat image
+  const width = 128;
+  const height = 64;
+  const pixels = Buffer.alloc(width * height * 3);
+  for (let i = 0; i < width * height; i++) {
+    const value = 128 + 100 * Math.sin((i % width) / 10) * Math.cos(Math.floor(i / width) / 8);
+    pixels.fill(Math.round(value), i * 3, i * 3 + 3);
+  }
+  const image = sharp(pixels, { raw: { width, height, channels: 3 } });
+  wavy = await image.clone().jpeg({ quality: 90 }).toBuffer();
+  wavyCopy = await image.clone().jpeg({ quality: 40 }).toBuffer();
+  plain = await sharp({ create: { width: 32, height: 24, channels: 3, background: '#963' } }).jpeg().toBuffer();
+});
+
+after(() => fs.promises.rm(dir, { recursive: true, force: true }));
+
+afterEach(() => mock.restoreAll());
+
+/**
+ * Write a temp file as multer would
+ * @returns {Promise<object>} - Multer-like file object
+ */
+async function tempFile(originalname, content) {
+  const filename = `${Date.now()}-${Math.random().toString(36).slice(2)}.jpg`;
+  const filePath = path.join(dir, filename);
+  await fs.promises.writeFile(filePath, content);
+  return { path: filePath, filename, originalname, size: content.length, mimetype: 'image/jpeg' };
+}
+
+/**
+ * Mock the lookups and saves a batch makes, with a registered floor1 and an empty library
+ */
+function mockDatabase() {
+  mock.method(Location, 'findOne', async filter => (filter.key === 'floor1' ? { _id: new mongoose.Types.ObjectId(), key: 'floor1' } : null));
+  mock.method(Photo, 'findOne', async () => null);
+  mock.method(Photo, 'find', () => {
+    const query = { sort: () => query, limit: () => query, lean: async () => [] };
+    return query;
+  });
+  mock.method(Photo.prototype, 'save', async function () { return this; });
+}
+
+test('shared fields apply to every file, with overrides by position or by file name', async () => {
+  mockDatabase();
+
+  const byIndex = await createPhotosFromBatch(
+    [await tempFile('a.jpg', plain), await tempFile('b.jpg', wavy)],
+    { floorId: 'floor1', contributor: 'Jane', overrides: JSON.stringify([{}, { contributor: 'Sam' }]) }
+  );
+  assert.deepStrictEqual(byIndex.map(result => result.success), [true, true]);
+
+  const byName = await createPhotosFromBatch(
+    [await tempFile('c.jpg', plain), await tempFile('d.jpg', wavy)],
+    { floorId: 'floor1', overrides: { 'c.jpg': { floorId: 'floor9' } } }
+  );
+  assert.strictEqual(byName[0].success, false);
+  assert.strictEqual(byName[0].code, 'INVALID_METADATA');
+  assert.strictEqual(byName[1].success, true);
+
+  const saved = Photo.prototype.save.mock.calls.map(call => call.this);
+  // Files are processed concurrently, so saves may come in either order
+  assert.deepStrictEqual(saved.slice(0, 2).map(photo => photo.contributor).sort(), ['Jane', 'Sam']);
+  assert.strictEqual(byIndex[1].photo.contributor, 'Sam');
+});
+
+test('malformed overrides refuse the whole batch and remove its temp files', async () => {
+  const files = [await tempFile('a.jpg', plain)];
+
+  await assert.rejects(createPhotosFromBatch(files, { overrides: '{not json' }), { status: 400, code: 'INVALID_METADATA' });
+  await assert.rejects(createPhotosFromBatch([], {}), { status: 400, code: 'NO_FILE' });
+  assert.strictEqual(fs.existsSync(files[0].path), false);
+});
+
+test('one bad file fails on its own, and a repeat within the batch is a duplicate', async () => {
+  mockDatabase();
+  const files = [
+    await tempFile('first.jpg', plain),
+    await tempFile('again.jpg', plain),
+    await tempFile('notes.jpg', Buffer.from('just some text'))
+  ];
+  // Make the last one unreadable for hashing
+  await fs.promises.unlink(files[2].path);
+
+  const results = await createPhotosFromBatch(files, { floorId: 'floor1' });
+
+  assert.strictEqual(results[0].success, true);
+  assert.strictEqual(results[1].code, 'DUPLICATE');
+  assert.match(results[1].error, /Same file as #0/);
+  assert.strictEqual(results[2].code, 'PROCESSING_FAILED');
+  assert.ok(files.every(file => !fs.existsSync(file.path)));
+});
+
+test('near-duplicates within a batch are flagged on the later photo', async () => {
+  mockDatabase();
+
+  const results = await createPhotosFromBatch(
+    [await tempFile('wavy.jpg', wavy), await tempFile('copy.jpg', wavyCopy)],
+    { floorId: 'floor1' }
+  );
+
+  assert.deepStrictEqual(results.map(result => result.success), [true, true]);
+  const saves = Photo.prototype.save.mock.calls.map(call => call.this);
+  // Both are saved, then the later one again once it is flagged
+  assert.strictEqual(saves.length, 3);
+  const copy = saves[2];
+  const original = saves.find(photo => photo !== copy);
+  assert.strictEqual(copy, results[1].photo);
+  assert.strictEqual(copy.possibleDuplicates.length, 1);
+  assert.ok(copy.possibleDuplicates[0].photo.equals(original._id));
+  assert.strictEqual(original.possibleDuplicates.length, 0);
+});
@@ -0,0 +1,119 @@
+const { test, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const Photo = require('../models/Photo');
+const ModerationEvent = require('../models/ModerationEvent');
+const { BULK_MAX_ITEMS } = require('../config/moderation');
+const { bulkModerate } = require('../services/moderation');
+
+const moderator = { _id: new mongoose.Types.ObjectId(), username: 'mod' };
+
+afterEach(() => mock.restoreAll());
+
+/**
+ * Mock a library of photo documents, moderated with conditional updates
+ * @returns {object[]} - Recorded events
+ */
+function mockLibrary(photos) {
+  const events = [];
+  const byId = new Map(photos.map(photo => [String(photo._id), photo]));
+
+  mock.method(Photo, 'findById', id => {
+    const photo = byId.get(String(id)) || null;
+    // Awaited directly for a document, or chained for a status lookup after a conflict
+    return Object.assign(Promise.resolve(photo), {
+      select: () => ({ lean: async () => photo && { status: photo.status, purgedAt: photo.purgedAt } })
+    });
+  });
+  mock.method(Photo, 'findOneAndUpdate', async filter => {
+    const photo = byId.get(String(filter._id));
+    return photo && photo.status === filter.status ? {} : null;
+  });
+  mock.method(Photo.prototype, 'save', async function () { return this; });
+  mock.method(ModerationEvent, 'create', async event => events.push(event));
+  return events;
+}
+
+/**
+ * A photo document in a given status
+ * @returns {object}
+ */
+function photoIn(status, tags = []) {
+  return Photo.hydrate({ _id: new mongoose.Types.ObjectId(), contributor: 'Jane', floorId: 'floor1', status, tags });
+}
+
+test('each photo gets its own outcome, and photos already done are unchanged', async () => {
+  const pending = photoIn('pending');
+  const approved = photoIn('approved');
+  const missing = new mongoose.Types.ObjectId();
+  const events = mockLibrary([pending, approved]);
+
+  const { summary, results } = await bulkModerate({ action: 'approve', ids: [pending._id, approved._id, missing, 'nope', pending._id] }, moderator);
+
+  assert.deepStrictEqual(results.map(result => result.outcome), ['approved', 'unchanged', 'not_found', 'not_found']);
+  assert.strictEqual(results[1].status, 'approved');
+  assert.deepStrictEqual(summary, { total: 4, approved: 1, unchanged: 1, not_found: 2 });
+  assert.strictEqual(events.length, 1);
+});
+
+test('a photo moderated by someone else mid-request is reported by what happened to it', async () => {
+  const photo = photoIn('pending');
+  mockLibrary([photo]);
+  // Another moderator rejected it after it was loaded
+  mock.method(Photo, 'findOneAndUpdate', async () => {
+    photo.status = 'rejected';
+    return null;
+  });
+
+  const { results } = await bulkModerate({ action: 'reject', ids: [photo._id], reason: 'Blurry' }, moderator);
+  assert.deepStrictEqual(results[0], { id: String(photo._id), outcome: 'unchanged', status: 'rejected' });
+});
+
+test('retagging adds and removes tags and records what changed', async () => {
+  const tagged = photoIn('pending', ['misc', 'hall']);
+  const done = photoIn('pending', ['open-day']);
+  const events = mockLibrary([tagged, done]);
+
+  const { results } = await bulkModerate({ action: 'retag', ids: [tagged._id, done._id], tags: { add: 'Open-Day', remove: ['misc'] } }, moderator);
+
+  assert.deepStrictEqual(results.map(result => result.outcome), ['retagged', 'unchanged']);
+  assert.deepStrictEqual(results[0].tags, ['hall', 'open-day']);
+  assert.deepStrictEqual(events.map(event => [event.action, event.details]), [['retag', { added: ['open-day'], removed: ['misc'] }]]);
+});
+
+test('a filter selects from the pending queue', async () => {
+  mockLibrary([]);
+  let query;
+  mock.method(Photo, 'find', filter => {
+    query = filter;
+    const chain = { sort: () => chain, limit: () => chain, lean: async () => [] };
+    return chain;
+  });
+
+  await bulkModerate({ action: 'approve', filter: { floorId: 'floor1', tag: 'Hall', submittedAfter: '2025-05-01' } }, moderator);
+
+  assert.deepStrictEqual(query, {
+    status: 'pending',
+    floorId: 'floor1',
+    tags: 'hall',
+    submittedAt: { $gte: new Date('2025-05-01') }
+  });
+});
+
+test('malformed or oversized requests are refused before anything changes', async () => {
+  mockLibrary([]);
+  const refused = (request, code) => assert.rejects(bulkModerate(request, moderator), { code });
+
+  await refused({ action: 'delete', ids: ['a'] }, 'INVALID_BULK_REQUEST');
+  await refused({ action: 'approve' }, 'INVALID_BULK_REQUEST');
+  await refused({ action: 'approve', ids: ['a'], filter: {} }, 'INVALID_BULK_REQUEST');
+  await refused({ action: 'approve', ids: [] }, 'INVALID_BULK_REQUEST');
+  await refused({ action: 'reject', ids: ['a'] }, 'REASON_REQUIRED');
+  await refused({ action: 'retag', ids: ['a'], tags: {} }, 'INVALID_BULK_REQUEST');
+  await refused({ action: 'approve', filter: { status: 'approved' } }, 'INVALID_BULK_REQUEST');
+  await refused({ action: 'approve', filter: { submittedBefore: 'someday' } }, 'INVALID_BULK_REQUEST');
+
+  const ids = Array.from({ length: BULK_MAX_ITEMS + 1 }, () => new mongoose.Types.ObjectId());
+  await assert.rejects(bulkModerate({ action: 'approve', ids }, moderator), { status: 413, code: 'TOO_MANY_ITEMS' });
+  assert.strictEqual(Photo.findById.mock.callCount(), 0);
+});
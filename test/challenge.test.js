@@ -0,0 +1,44 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+
+// Keep solving cheap
+process.env.UPLOAD_CHALLENGE_DIFFICULTY = '8';
+
+const { createChallenge, redeemChallenge, solveChallenge } = require('../utils/challenge');
+
+test('a solved challenge passes once', () => {
+  const { challenge, difficulty } = createChallenge();
+  const solution = solveChallenge(challenge, difficulty);
+
+  assert.strictEqual(redeemChallenge(challenge, solution), null);
+  assert.strictEqual(redeemChallenge(challenge, solution), 'Challenge has already been used');
+});
+
+test('a solution short of the difficulty is refused', () => {
+  const { challenge } = createChallenge();
+
+  // First solution whose hash starts with a set bit
+  let solution = 0;
+  while (crypto.createHash('sha256').update(`${challenge}:${solution}`).digest()[0] < 0x80) solution++;
+
+  assert.strictEqual(redeemChallenge(challenge, String(solution)), 'Solution does not meet the challenge difficulty');
+});
+
+test('forged challenges are refused', () => {
+  const { challenge } = createChallenge();
+  const [payload, signature] = challenge.split('.');
+  const data = JSON.parse(Buffer.from(payload, 'base64url'));
+  const easier = Buffer.from(JSON.stringify({ ...data, d: 0 })).toString('base64url');
+
+  assert.strictEqual(redeemChallenge(`${easier}.${signature}`, 'x'), 'Challenge is not valid');
+  assert.strictEqual(redeemChallenge(payload, 'x'), 'Challenge is not valid');
+  assert.strictEqual(redeemChallenge(challenge, 'x'.repeat(65)), 'Challenge and solution are required');
+});
+
+test('non-ASCII signatures are refused, not thrown on', () => {
+  const { challenge } = createChallenge();
+  const [payload, signature] = challenge.split('.');
+
+  assert.strictEqual(redeemChallenge(`${payload}.${'é'.repeat(signature.length)}`, 'x'), 'Challenge is not valid');
+});
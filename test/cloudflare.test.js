@@ -0,0 +1,173 @@
+const { test, before, after, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const mongoose = require('mongoose');
+const Photo = require('../models/Photo');
+const ModerationEvent = require('../models/ModerationEvent');
+
+// A stand-in for the Cloudflare API. Each test sets `respond`; every request
+// it receives is recorded in `requests`.
+let server;
+let respond;
+let requests = [];
+let cloudflare;
+let reconciliation;
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cloudflare-test-'));
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const url = new URL(req.url, 'http://localhost');
+      requests.push({ method: req.method, path: url.pathname, query: url.searchParams, body });
+      respond(req, res, requests.length);
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  // Config is read when the client loads, so it must be set first
+  process.env.CLOUDFLARE_API_URL = `http://127.0.0.1:${server.address().port}`;
+  process.env.CLOUDFLARE_ACCOUNT_ID = 'acct';
+  process.env.CLOUDFLARE_MAX_RETRIES = '2';
+  process.env.CLOUDFLARE_RETRY_DELAY_MS = '1';
+  process.env.CLOUDFLARE_RETRY_MAX_DELAY_MS = '5';
+  cloudflare = require('../utils/cloudflare');
+  reconciliation = require('../services/reconciliation');
+});
+
+after(async () => {
+  await new Promise(resolve => server.close(resolve));
+  await fs.promises.rm(dir, { recursive: true, force: true });
+});
+
+afterEach(() => {
+  requests = [];
+  mock.restoreAll();
+});
+
+/**
+ * Answer with a JSON body in Cloudflare's envelope
+ */
+function reply(res, status, { result = {}, errors = [], headers = {} } = {}) {
+  res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+  res.end(JSON.stringify({ success: status < 400, result, errors }));
+}
+
+test('transient failures are retried until one succeeds', async () => {
+  mock.method(console, 'log', () => {});
+  respond = (req, res, count) => {
+    if (count === 1) return req.socket.destroy();
+    if (count === 2) return reply(res, 503, { errors: [{ code: 10000, message: 'Try again' }], headers: { 'Retry-After': '1' } });
+    reply(res, 200, { result: { id: 'img1' } });
+  };
+
+  const data = await cloudflare.deleteImage('img1');
+
+  assert.deepStrictEqual(data.result, { id: 'img1' });
+  assert.strictEqual(requests.length, 3);
+  assert.strictEqual(requests[2].path, '/accounts/acct/images/v1/img1');
+});
+
+test('retries stop after CLOUDFLARE_MAX_RETRIES, and client errors are not retried', async () => {
+  mock.method(console, 'log', () => {});
+  respond = (req, res) => reply(res, 429, { errors: [{ code: 10105, message: 'Rate limited' }] });
+
+  await assert.rejects(cloudflare.deleteImage('img1'), err => {
+    assert.ok(err instanceof cloudflare.CloudflareError);
+    assert.strictEqual(err.code, 'CLOUDFLARE_RATE_LIMITED');
+    assert.strictEqual(err.attempts, 3);
+    assert.strictEqual(err.retryable, true);
+    return true;
+  });
+  assert.strictEqual(requests.length, 3);
+
+  requests = [];
+  respond = (req, res) => reply(res, 404, { errors: [{ code: 5404, message: 'Image not found' }] });
+  await assert.rejects(cloudflare.deleteImage('gone'), { code: 'CLOUDFLARE_NOT_FOUND', retryable: false });
+  assert.strictEqual(requests.length, 1);
+});
+
+test('Cloudflare errors carry the HTTP status, Cloudflare\'s codes and a 502 for clients', async () => {
+  respond = (req, res) => reply(res, 403, { errors: [{ code: 10000, message: 'Authentication error' }] });
+
+  await assert.rejects(cloudflare.deleteImage('img1'), err => {
+    assert.strictEqual(err.code, 'CLOUDFLARE_AUTH_FAILED');
+    assert.strictEqual(err.httpStatus, 403);
+    assert.strictEqual(err.status, 502);
+    assert.deepStrictEqual(err.cloudflareCodes, [10000]);
+    assert.strictEqual(err.message, 'Cloudflare delete of img1 failed: Authentication error (10000)');
+    return true;
+  });
+
+  // A 200 with success: false is a failure too
+  respond = (req, res) => {
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ success: false, errors: [{ code: 5400, message: 'Bad request' }] }));
+  };
+  await assert.rejects(cloudflare.deleteImage('img1'), { code: 'CLOUDFLARE_REQUEST_FAILED', httpStatus: 200 });
+});
+
+test('uploads are tagged as this app\'s, keeping the given metadata', async () => {
+  const filePath = path.join(dir, 'photo.jpg');
+  await fs.promises.writeFile(filePath, 'not really a jpeg');
+  respond = (req, res) => reply(res, 200, { result: { id: 'img2' } });
+
+  await cloudflare.uploadImage(filePath, JSON.stringify({ photo: 'abc' }));
+
+  assert.match(requests[0].body, /\{"photo":"abc","app":"santacruzservice"\}/);
+});
+
+test('reconciliation deletes only old orphans this app tagged, and marks rejected photos missing their image as purged', async () => {
+  mock.method(console, 'log', () => {});
+  const old = new Date(Date.now() - 2 * 60 * 60 * 1000).toISOString();
+  const images = [
+    { id: 'live', uploaded: old, meta: { app: 'santacruzservice' } },
+    { id: 'orphan', uploaded: old, meta: { app: 'santacruzservice' } },
+    { id: 'foreign', uploaded: old, meta: { app: 'someone-else' } },
+    { id: 'untagged', uploaded: old },
+    { id: 'fresh', uploaded: new Date().toISOString(), meta: { app: 'santacruzservice' } }
+  ];
+  respond = (req, res) => {
+    if (req.method === 'DELETE') return reply(res, 200);
+    // Two pages of listing
+    const second = new URL(req.url, 'http://localhost').searchParams.get('continuation_token') === 'page2';
+    reply(res, 200, {
+      result: second
+        ? { images: images.slice(3), continuation_token: null }
+        : { images: images.slice(0, 3), continuation_token: 'page2' }
+    });
+  };
+
+  const photo = fields => Photo.hydrate({ _id: new mongoose.Types.ObjectId(), contributor: 'Jane', floorId: 'floor1', storageProvider: 'cloudflare', ...fields });
+  const rejected = photo({ storageKey: 'lost', status: 'rejected' });
+  const approved = photo({ storageKey: 'missing', status: 'approved' });
+  mock.method(Photo, 'find', async () => [photo({ storageKey: 'live', status: 'approved' }), rejected, approved]);
+  mock.method(Photo.prototype, 'save', async function () { return this; });
+  mock.method(ModerationEvent, 'create', async event => event);
+
+  const report = await reconciliation.reconcileCloudflareImages({ fix: true });
+
+  assert.strictEqual(report.remote, 5);
+  assert.deepStrictEqual(report.orphans.map(orphan => [orphan.storageKey, orphan.action]), [
+    ['orphan', 'deleted'],
+    ['foreign', 'skipped (not tagged by this app)'],
+    ['untagged', 'skipped (not tagged by this app)'],
+    ['fresh', 'skipped (too recent)']
+  ]);
+  assert.deepStrictEqual(requests.filter(request => request.method === 'DELETE').map(request => request.path), ['/accounts/acct/images/v1/orphan']);
+  assert.deepStrictEqual(report.dangling.map(entry => [entry.storageKey, entry.action]), [['lost', 'marked purged'], ['missing', 'none']]);
+  assert.ok(rejected.purgedAt);
+  assert.strictEqual(ModerationEvent.create.mock.calls[0].arguments[0].action, 'purge');
+});
+
+test('reconciliation refuses to fix anything while photos still use cloudflareId', async () => {
+  mock.method(Photo, 'find', async () => [Photo.hydrate({ _id: new mongoose.Types.ObjectId(), cloudflareId: 'old', status: 'approved' })]);
+
+  await assert.rejects(reconciliation.reconcileCloudflareImages({ fix: true }), { status: 409, code: 'MIGRATION_PENDING' });
+  assert.strictEqual(requests.length, 0);
+});
@@ -0,0 +1,119 @@
+const { test, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+
+process.env.AUTH_TOKEN_SECRET = 'test-secret';
+
+const Contributor = require('../models/Contributor');
+const Photo = require('../models/Photo');
+const { verifySessionToken, hashOpaqueToken } = require('../utils/auth');
+const {
+  requestMagicLink,
+  verifyMagicLink,
+  updateProfile,
+  claimSubmission
+} = require('../services/contributors');
+
+afterEach(() => mock.restoreAll());
+
+/**
+ * A contributor document
+ * @returns {object}
+ */
+function contributor(fields = {}) {
+  return Contributor.hydrate({ _id: new mongoose.Types.ObjectId(), email: 'ana@example.com', active: true, tokenVersion: 0, ...fields });
+}
+
+/**
+ * A photo submitted anonymously, with a claim token
+ * @returns {object} - Photo document
+ */
+function anonymousPhoto(status = 'pending') {
+  return Photo.hydrate({ _id: new mongoose.Types.ObjectId(), contributor: 'Anonymous', floorId: 'floor1', status, submittedBy: null, claimTokenHash: hashOpaqueToken('claim') });
+}
+
+test('a sign-in link is sent to the normalised address, and only works once', async () => {
+  const account = contributor();
+  const logged = [];
+  mock.method(console, 'log', message => logged.push(message));
+  mock.method(Contributor, 'findOneAndUpdate', async () => account);
+
+  await requestMagicLink('  Ana@Example.com ', 'Ana');
+
+  const [filter, update] = Contributor.findOneAndUpdate.mock.calls[0].arguments;
+  assert.deepStrictEqual(filter, { email: 'ana@example.com', active: true });
+  assert.deepStrictEqual(update.$setOnInsert, { displayName: 'Ana' });
+  const token = new URL(logged[0].split(': ')[1]).searchParams.get('token');
+  assert.strictEqual(update.$set.loginTokenHash, hashOpaqueToken(token));
+
+  mock.method(Contributor.prototype, 'save', async function () { return this; });
+  mock.method(Contributor, 'findOneAndUpdate', async filter => (filter.loginTokenHash === hashOpaqueToken(token) ? account : null));
+  const session = await verifyMagicLink(token);
+  assert.strictEqual(verifySessionToken(session.token).typ, 'contributor');
+  assert.ok(account.emailVerifiedAt);
+  // The update that found the account also cleared its token
+  assert.deepStrictEqual(Contributor.findOneAndUpdate.mock.calls[0].arguments[1].$set.loginTokenHash, null);
+
+  await assert.rejects(verifyMagicLink('guessed'), { code: 'INVALID_LOGIN_LINK' });
+});
+
+test('inactive accounts get no link, and nothing tells them apart', async () => {
+  mock.method(console, 'log', () => {});
+  mock.method(Contributor, 'findOneAndUpdate', async (filter, update, options) => {
+    // The upsert collides with the inactive account's unique email
+    if (options.upsert) throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+    return null;
+  });
+
+  await requestMagicLink('gone@example.com');
+  assert.strictEqual(console.log.mock.callCount(), 0);
+});
+
+test('a new display name re-credits only photos still awaiting moderation', async () => {
+  const account = contributor({ displayName: 'Ana' });
+  mock.method(Contributor.prototype, 'save', async function () { return this; });
+  mock.method(Photo, 'updateMany', async () => ({}));
+
+  await updateProfile(account, { displayName: 'Ana Ruiz' });
+  assert.deepStrictEqual(Photo.updateMany.mock.calls[0].arguments, [
+    { submittedBy: account._id, status: 'pending' },
+    { $set: { contributor: 'Ana Ruiz' } }
+  ]);
+
+  // Clearing the name leaves the credits alone
+  await updateProfile(account, { displayName: '' });
+  assert.strictEqual(account.displayName, null);
+  assert.strictEqual(Photo.updateMany.mock.callCount(), 1);
+
+  await updateProfile(account, { emailNotifications: false });
+  assert.strictEqual(account.emailNotifications, false);
+  assert.strictEqual(account.displayName, null);
+});
+
+test('claiming attaches a submission once, crediting it only while pending', async () => {
+  const account = contributor({ displayName: 'Ana Ruiz' });
+  const pending = anonymousPhoto();
+  mock.method(Photo, 'findOne', async () => pending);
+  mock.method(Photo, 'findOneAndUpdate', async (filter, update) => ({ ...pending.toObject(), ...update.$set }));
+
+  const claimed = await claimSubmission(account, 'claim');
+  assert.strictEqual(claimed.contributor, 'Ana Ruiz');
+  assert.deepStrictEqual(Photo.findOneAndUpdate.mock.calls[0].arguments[0], { _id: pending._id, submittedBy: null });
+
+  const approved = anonymousPhoto('approved');
+  mock.method(Photo, 'findOne', async () => approved);
+  assert.strictEqual((await claimSubmission(account, 'claim')).contributor, 'Anonymous');
+
+  // Claimed by someone else, before or while this account tried
+  mock.method(Photo, 'findOneAndUpdate', async () => null);
+  await assert.rejects(claimSubmission(account, 'claim'), { status: 409, code: 'ALREADY_CLAIMED' });
+  approved.submittedBy = new mongoose.Types.ObjectId();
+  await assert.rejects(claimSubmission(account, 'claim'), { status: 409, code: 'ALREADY_CLAIMED' });
+
+  // Claiming your own submission again is harmless
+  approved.submittedBy = account._id;
+  assert.strictEqual(await claimSubmission(account, 'claim'), approved);
+
+  mock.method(Photo, 'findOne', async () => null);
+  await assert.rejects(claimSubmission(account, 'nope'), { status: 404, code: 'CLAIM_NOT_FOUND' });
+});
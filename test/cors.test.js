@@ -0,0 +1,70 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const express = require('express');
+const { ALLOWED_ORIGINS } = require('../config/cors');
+const { getCorsDecision, corsMiddleware } = require('../middleware/cors');
+
+const allowed = ALLOWED_ORIGINS[0];
+let server;
+let baseUrl;
+
+before(async () => {
+  const app = express();
+  app.use(corsMiddleware);
+  app.get('*', (req, res) => res.json({ ok: true }));
+  server = app.listen(0, '127.0.0.1');
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+test('allow-listed origins get their own origin back with credentials', () => {
+  const decision = getCorsDecision(allowed, '/api/photos/approved');
+
+  assert.strictEqual(decision.policy, 'restricted');
+  assert.strictEqual(decision.allowOrigin, allowed);
+  assert.strictEqual(decision.credentials, true);
+});
+
+test('other origins are refused, and requests without an Origin are not cross-origin', () => {
+  assert.strictEqual(getCorsDecision('https://evil.example', '/api/photos/approved').allowed, false);
+  assert.strictEqual(getCorsDecision(`${allowed}.evil.example`, '/api/photos/approved').allowed, false);
+  assert.strictEqual(getCorsDecision(undefined, '/api/photos/approved').allowed, false);
+});
+
+test('public paths allow any origin, read-only and without credentials', () => {
+  const decision = getCorsDecision('https://evil.example', '/uploads/abc.jpg');
+
+  assert.strictEqual(decision.policy, 'public');
+  assert.strictEqual(decision.allowOrigin, '*');
+  assert.strictEqual(decision.credentials, false);
+  assert.deepStrictEqual(decision.methods, ['GET', 'HEAD']);
+  // A prefix only matches whole path segments
+  assert.strictEqual(getCorsDecision('https://evil.example', '/uploadsx').policy, 'restricted');
+});
+
+test('the middleware sends CORS headers only for permitted origins', async () => {
+  const ok = await fetch(`${baseUrl}/api/photos/approved`, { headers: { Origin: allowed } });
+  assert.strictEqual(ok.headers.get('access-control-allow-origin'), allowed);
+  assert.strictEqual(ok.headers.get('access-control-allow-credentials'), 'true');
+
+  const refused = await fetch(`${baseUrl}/api/photos/approved`, { headers: { Origin: 'https://evil.example' } });
+  assert.strictEqual(refused.status, 200);
+  assert.strictEqual(refused.headers.get('access-control-allow-origin'), null);
+});
+
+test('preflights end in the middleware, refused or not', async () => {
+  const preflight = origin => fetch(`${baseUrl}/api/photos/upload`, {
+    method: 'OPTIONS',
+    headers: { Origin: origin, 'Access-Control-Request-Method': 'POST' }
+  });
+
+  const ok = await preflight(allowed);
+  assert.strictEqual(ok.status, 204);
+  assert.match(ok.headers.get('access-control-allow-methods'), /POST/);
+
+  const refused = await preflight('https://evil.example');
+  assert.strictEqual(refused.status, 204);
+  assert.strictEqual(refused.headers.get('access-control-allow-origin'), null);
+});
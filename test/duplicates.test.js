@@ -0,0 +1,102 @@
+const { test, before, after, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+const mongoose = require('mongoose');
+const Photo = require('../models/Photo');
+const {
+  hammingDistance,
+  getHashBands,
+  computePerceptualHash,
+  isDuplicateContentError,
+  checkForDuplicates
+} = require('../utils/duplicates');
+
+let dir;
+
+before(async () => {
+  dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'duplicates-'));
+
+  // A wavy pattern, and the same picture re-compressed at a smaller size
+  const width = 256;
+  const height = 128;
+  const pixels = Buffer.alloc(width * height * 3);
+  for (let i = 0; i < width * height; i++) {
+    const value = 128 + 100 * Math.sin((i % width) / 20) * Math.cos(Math.floor(i / width) / 15);
+    pixels.fill(Math.round(value), i * 3, i * 3 + 3);
+  }
+  const image = sharp(pixels, { raw: { width, height, channels: 3 } });
+  await image.clone().png().toFile(path.join(dir, 'original.png'));
+  await image.clone().resize(128).jpeg({ quality: 40 }).toFile(path.join(dir, 'copy.jpg'));
+});
+
+after(() => fs.promises.rm(dir, { recursive: true, force: true }));
+
+afterEach(() => mock.restoreAll());
+
+/**
+ * Mock Photo.find with a chainable query resolving to docs
+ */
+function mockFind(docs) {
+  mock.method(Photo, 'find', () => {
+    const query = { sort: () => query, limit: () => query, lean: async () => docs };
+    return query;
+  });
+}
+
+test('hamming distance counts differing bits', () => {
+  assert.strictEqual(hammingDistance('0000000000000000', '0000000000000000'), 0);
+  assert.strictEqual(hammingDistance('0000000000000000', '000000000000000f'), 4);
+  assert.strictEqual(hammingDistance('ffffffffffffffff', '0000000000000000'), 64);
+});
+
+test('hashes a few bits apart share a band', () => {
+  const bands = getHashBands('0123456789abcdef');
+
+  assert.deepStrictEqual(bands, ['0:01', '1:23', '2:45', '3:67', '4:89', '5:ab', '6:cd', '7:ef']);
+  assert.ok(getHashBands('f1234567f9abcdef').some(band => bands.includes(band)));
+  assert.deepStrictEqual(getHashBands(null), []);
+});
+
+test('a re-compressed, resized copy gets a nearby perceptual hash', async () => {
+  const original = await computePerceptualHash(path.join(dir, 'original.png'));
+  const copy = await computePerceptualHash(path.join(dir, 'copy.jpg'));
+
+  assert.match(original, /^[0-9a-f]{16}$/);
+  assert.notStrictEqual(original, '0000000000000000');
+  assert.ok(hammingDistance(original, copy) <= 10);
+
+  await fs.promises.writeFile(path.join(dir, 'broken.jpg'), 'not an image');
+  assert.strictEqual(await computePerceptualHash(path.join(dir, 'broken.jpg')), null);
+});
+
+test('exact duplicates are reported and near-duplicates looked up by band', async () => {
+  const existing = { _id: new mongoose.Types.ObjectId() };
+  mock.method(Photo, 'findOne', async () => existing);
+  mockFind([]);
+
+  const exact = await checkForDuplicates(path.join(dir, 'original.png'));
+  assert.strictEqual(exact.exactDuplicate, existing);
+  assert.deepStrictEqual(Photo.findOne.mock.calls[0].arguments[0].status, { $in: ['pending', 'approved'] });
+  assert.strictEqual(Photo.find.mock.callCount(), 0);
+
+  const near = new mongoose.Types.ObjectId();
+  const far = new mongoose.Types.ObjectId();
+  const copyHash = await computePerceptualHash(path.join(dir, 'copy.jpg'));
+  const farHash = copyHash.replace(/./g, char => (15 - parseInt(char, 16)).toString(16));
+  mock.method(Photo, 'findOne', async () => null);
+  mockFind([{ _id: far, perceptualHash: farHash }, { _id: near, perceptualHash: copyHash }]);
+
+  const result = await checkForDuplicates(path.join(dir, 'original.png'));
+  assert.strictEqual(result.exactDuplicate, null);
+  assert.deepStrictEqual(result.nearDuplicates.map(entry => entry.photo), [near]);
+  assert.deepStrictEqual(Photo.find.mock.calls[0].arguments[0].perceptualHashBands, { $in: result.perceptualHashBands });
+});
+
+test('only unique index errors on contentHash count as duplicate saves', () => {
+  assert.strictEqual(isDuplicateContentError({ code: 11000, keyPattern: { contentHash: 1 } }), true);
+  assert.strictEqual(isDuplicateContentError({ code: 11000, keyPattern: { storageKey: 1 } }), false);
+  assert.strictEqual(isDuplicateContentError(new Error('boom')), false);
+});
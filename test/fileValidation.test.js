@@ -0,0 +1,72 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+const { STORABLE_FORMATS, ALLOWED_FORMATS } = require('../config/uploads');
+const { detectFormat, validateUploadedFile, getUploadLimits } = require('../utils/fileValidation');
+const { processImage } = require('../utils/imageProcessing');
+
+let dir;
+
+before(async () => {
+  dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'file-validation-'));
+});
+
+after(() => fs.promises.rm(dir, { recursive: true, force: true }));
+
+/**
+ * Write a file as multer would, under a client-chosen name
+ * @returns {Promise<object>} - Multer-like file object
+ */
+async function upload(name, content) {
+  const filePath = path.join(dir, name);
+  await fs.promises.writeFile(filePath, content);
+  return { path: filePath, filename: name, size: content.length, mimetype: 'image/jpeg' };
+}
+
+/**
+ * Encode a small test image
+ * @returns {Promise<Buffer>}
+ */
+function image(format) {
+  return sharp({ create: { width: 16, height: 16, channels: 3, background: '#36c' } }).toFormat(format).toBuffer();
+}
+
+test('every storable format is recognised and survives processing in the same format', async () => {
+  for (const format of STORABLE_FORMATS) {
+    const file = await upload(`roundtrip.${format}`, await image(format));
+
+    assert.strictEqual(detectFormat(await fs.promises.readFile(file.path)), format);
+    assert.strictEqual((await processImage(file.path)).format, format);
+  }
+});
+
+test('only storable formats are accepted or advertised', () => {
+  assert.ok(ALLOWED_FORMATS.every(format => STORABLE_FORMATS.includes(format)));
+  assert.deepStrictEqual(getUploadLimits().formats, ALLOWED_FORMATS);
+});
+
+test('files are judged by content and renamed to their real extension', async () => {
+  const file = await upload('holiday.gif', await image('png'));
+
+  assert.deepStrictEqual(await validateUploadedFile(file), { format: 'png' });
+  assert.strictEqual(path.extname(file.path), '.png');
+  assert.strictEqual(file.mimetype, 'image/png');
+  assert.ok(fs.existsSync(file.path));
+});
+
+test('scripts, unknown content, empty files and unlisted formats are refused', async () => {
+  const svg = await upload('logo.jpg', Buffer.from('<?xml version="1.0"?><svg xmlns="http://www.w3.org/2000/svg"></svg>'));
+  assert.strictEqual((await validateUploadedFile(svg)).code, 'SVG_NOT_ALLOWED');
+
+  const text = await upload('notes.png', Buffer.from('just some text'));
+  assert.strictEqual((await validateUploadedFile(text)).code, 'UNRECOGNIZED_FILE');
+
+  const empty = await upload('empty.jpg', Buffer.alloc(0));
+  assert.strictEqual((await validateUploadedFile(empty)).code, 'EMPTY_FILE');
+
+  const bmp = await upload('scan.jpg', Buffer.concat([Buffer.from('BM'), Buffer.alloc(64)]));
+  assert.strictEqual((await validateUploadedFile(bmp)).code, 'UNSUPPORTED_FORMAT');
+});
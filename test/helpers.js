@@ -0,0 +1,60 @@
+// Shared test helpers: a local HTTP receiver and an in-memory stand-in for
+// the claim-and-save queue queries of the outbox and webhook workers.
+const http = require('http');
+const { mock } = require('node:test');
+
+/**
+ * Start an HTTP server that records requests and answers with the next status
+ * from `statuses` (the last one repeats)
+ * @param {number[]} statuses
+ * @param {string} responseBody
+ * @returns {Promise<{ url: string, requests: object[], close: Function }>}
+ */
+function startReceiver(statuses, responseBody = 'ok') {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      requests.push({ headers: req.headers, body });
+      res.writeHead(statuses[Math.min(requests.length, statuses.length) - 1]);
+      res.end(responseBody);
+    });
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => {
+      resolve({
+        url: `http://127.0.0.1:${server.address().port}/hook`,
+        requests,
+        close: () => new Promise(done => server.close(done))
+      });
+    });
+  });
+}
+
+/**
+ * Serve `docs` from Model.findOneAndUpdate the way the workers claim them:
+ * the next due pending document, marked sending with attempts incremented.
+ * Saves are kept in memory.
+ * @param {object} Model - Mongoose model
+ * @param {object[]} docs - Documents in the queue
+ */
+function mockQueue(Model, docs) {
+  mock.method(Model, 'updateMany', async () => ({ modifiedCount: 0 }));
+  mock.method(Model, 'findOneAndUpdate', async () => {
+    const doc = docs.find(item => item.status === 'pending' && item.nextAttemptAt <= new Date());
+    if (!doc) return null;
+    doc.status = 'sending';
+    doc.attempts += 1;
+    return doc;
+  });
+  mock.method(Model.prototype, 'save', async function save() {
+    return this;
+  });
+}
+
+module.exports = {
+  startReceiver,
+  mockQueue
+};
@@ -0,0 +1,76 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const express = require('express');
+
+// Stored images live in a scratch directory for these tests
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'image-access-test-'));
+process.env.LOCAL_STORAGE_DIR = dir;
+
+const local = require('../utils/storage/local');
+const { localImageAccess } = require('../middleware/imageAccess');
+
+const publicId = crypto.randomUUID();
+const privateId = crypto.randomUUID();
+let server;
+
+before(async () => {
+  for (const id of [publicId, privateId]) {
+    await fs.promises.mkdir(path.join(dir, id));
+    await fs.promises.writeFile(path.join(dir, id, 'public.jpg'), id);
+  }
+  await local.setPrivate(`${privateId}.jpg`, true);
+
+  // Mounted as in server.js
+  const app = express();
+  app.use(local.LOCAL_STORAGE_PATH, localImageAccess, express.static(local.LOCAL_STORAGE_DIR));
+  server = app.listen(0, '127.0.0.1');
+  await new Promise(resolve => server.once('listening', resolve));
+});
+
+after(async () => {
+  await new Promise(resolve => server.close(resolve));
+  await fs.promises.rm(dir, { recursive: true, force: true });
+});
+
+/**
+ * GET a path exactly as written (fetch would resolve dot segments first)
+ * @returns {Promise<{ status: number, body: string }>}
+ */
+function get(urlPath) {
+  return new Promise((resolve, reject) => {
+    http.get({ host: '127.0.0.1', port: server.address().port, path: urlPath }, res => {
+      let body = '';
+      res.on('data', chunk => { body += chunk; });
+      res.on('end', () => resolve({ status: res.statusCode, body }));
+    }).on('error', reject);
+  });
+}
+
+test('public images are served to anyone, private ones only with a signed URL', async () => {
+  assert.deepStrictEqual(await get(`${local.LOCAL_STORAGE_PATH}/${publicId}/public.jpg`), { status: 200, body: publicId });
+  assert.strictEqual((await get(`${local.LOCAL_STORAGE_PATH}/${privateId}/public.jpg`)).status, 404);
+
+  const signed = local.getUrl(`${privateId}.jpg`, 'public', { expiresAt: new Date(Date.now() + 60000) });
+  assert.deepStrictEqual(await get(signed), { status: 200, body: privateId });
+});
+
+test('a private image can\'t be reached through a public image\'s directory', async () => {
+  for (const up of ['..', '%2e%2e', '%2E.', '.%2e']) {
+    const { status, body } = await get(`${local.LOCAL_STORAGE_PATH}/${publicId}/${up}/${privateId}/public.jpg`);
+    assert.strictEqual(status, 404, up);
+    assert.notStrictEqual(body, privateId);
+  }
+});
+
+test('a signature for one image doesn\'t open another', async () => {
+  const signed = local.getUrl(`${publicId}.jpg`, 'public', { expiresAt: new Date(Date.now() + 60000) });
+  const [pathname, query] = signed.split('?');
+
+  assert.strictEqual((await get(`${pathname.replace(publicId, privateId)}?${query}`)).status, 404);
+  assert.strictEqual((await get(`${pathname}/../../${privateId}/public.jpg?${query}`)).status, 404);
+});
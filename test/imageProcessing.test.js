@@ -0,0 +1,62 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+const { processImage } = require('../utils/imageProcessing');
+
+let dir;
+
+before(async () => {
+  dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'image-processing-'));
+});
+
+after(() => fs.promises.rm(dir, { recursive: true, force: true }));
+
+/**
+ * Write a 40×20 test image in a format, tagged with a camera and rotated 90° by its EXIF orientation
+ * @returns {Promise<string>} - File path
+ */
+async function writeImage(format) {
+  const filePath = path.join(dir, `photo.${format}`);
+  await sharp({ create: { width: 40, height: 20, channels: 3, background: '#c33' } })
+    .withMetadata({ orientation: 6, exif: { IFD0: { Make: 'Acme', Model: 'X1' } } })
+    .toFormat(format)
+    .toFile(filePath);
+  return filePath;
+}
+
+['jpeg', 'png', 'webp', 'avif', 'tiff', 'gif'].forEach(format => {
+  test(`${format} uploads are re-encoded in their own format without metadata`, async () => {
+    const filePath = await writeImage(format);
+    const before = await sharp(filePath).metadata();
+
+    const result = await processImage(filePath);
+    const after = await sharp(await fs.promises.readFile(filePath)).metadata();
+
+    assert.strictEqual(result.format, format);
+    assert.strictEqual(result.fileSize, (await fs.promises.stat(filePath)).size);
+    assert.strictEqual(after.exif, undefined);
+    // TIFF always writes an orientation tag; 1 is upright
+    assert.ok([undefined, 1].includes(after.orientation));
+
+    // Formats that kept the orientation tag are turned upright
+    const [width, height] = before.orientation === 6 ? [20, 40] : [40, 20];
+    assert.deepStrictEqual([result.width, result.height], [width, height]);
+    if (before.exif) {
+      assert.strictEqual(result.exif.cameraMake, 'Acme');
+      assert.strictEqual(result.exif.cameraModel, 'X1');
+    }
+  });
+});
+
+test('formats that can\'t be re-encoded are refused and left untouched', async () => {
+  const filePath = path.join(dir, 'icon.svg');
+  const svg = '<svg xmlns="http://www.w3.org/2000/svg" width="10" height="10"><rect width="10" height="10"/></svg>';
+  await fs.promises.writeFile(filePath, svg);
+
+  await assert.rejects(processImage(filePath), /svg images can't be stripped of metadata/);
+  assert.strictEqual(await fs.promises.readFile(filePath, 'utf8'), svg);
+  assert.strictEqual(fs.existsSync(`${filePath}.processed`), false);
+});
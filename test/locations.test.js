@@ -0,0 +1,71 @@
+const { test, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const Location = require('../models/Location');
+const Photo = require('../models/Photo');
+const { resolveLocation, getLocationTree, findUnmatchedPhotoLocations } = require('../utils/locations');
+
+const building = { _id: new mongoose.Types.ObjectId(), type: 'building', key: 'main', name: 'Main', order: 0 };
+const floor = { _id: new mongoose.Types.ObjectId(), type: 'floor', key: 'floor1', name: 'Floor 1', order: 0, parent: building._id };
+const room = { _id: new mongoose.Types.ObjectId(), type: 'room', key: 'room101', name: 'Room 101', order: 0, parent: floor._id };
+const registry = [building, floor, room];
+
+afterEach(() => mock.restoreAll());
+
+/**
+ * Mock Location lookups against the registry above
+ */
+function mockRegistry() {
+  const matches = filter => registry.filter(location => Object.entries(filter)
+    .every(([field, value]) => String(location[field]) === String(value)));
+
+  mock.method(Location, 'findOne', async filter => matches(filter)[0] || null);
+  mock.method(Location, 'find', (filter = {}) => {
+    const found = matches(filter);
+    const query = { sort: () => query, lean: async () => found };
+    return query;
+  });
+}
+
+test('locations resolve only when the floor, and the room on that floor, are registered', async () => {
+  mockRegistry();
+
+  const { floor: found, room: foundRoom } = await resolveLocation('floor1', 'room101');
+  assert.strictEqual(found.key, 'floor1');
+  assert.strictEqual(foundRoom.key, 'room101');
+
+  assert.strictEqual((await resolveLocation('floor1')).room, null);
+  assert.strictEqual((await resolveLocation('')).error, 'floorId is required');
+  assert.strictEqual((await resolveLocation('floor9')).error, 'Unknown floor: floor9');
+  assert.strictEqual((await resolveLocation('floor1', 'room999')).error, 'Unknown room room999 on floor floor1');
+});
+
+test('the location tree nests rooms under floors under buildings with approved counts', async () => {
+  mockRegistry();
+  mock.method(Photo, 'aggregate', async () => [
+    { _id: { floorId: 'floor1', roomId: 'room101' }, count: 2 },
+    { _id: { floorId: 'floor1' }, count: 3 }
+  ]);
+
+  const [root] = await getLocationTree();
+
+  assert.strictEqual(root.key, 'main');
+  assert.strictEqual(root.approvedCount, 5);
+  assert.strictEqual(root.children[0].approvedCount, 5);
+  assert.strictEqual(root.children[0].children[0].key, 'room101');
+  assert.strictEqual(root.children[0].children[0].approvedCount, 2);
+});
+
+test('photo locations missing from the registry are listed, most used first', async () => {
+  mockRegistry();
+  mock.method(Photo, 'aggregate', async () => [
+    { _id: { floorId: 'floor1', roomId: 'room101' }, count: 4 },
+    { _id: { floorId: 'floor1', roomId: 'room999' }, count: 1 },
+    { _id: { floorId: 'attic' }, count: 2 }
+  ]);
+
+  assert.deepStrictEqual(await findUnmatchedPhotoLocations(), [
+    { floorId: 'attic', roomId: null, count: 2 },
+    { floorId: 'floor1', roomId: 'room999', count: 1 }
+  ]);
+});
@@ -0,0 +1,192 @@
+const { test, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const Photo = require('../models/Photo');
+const ModerationEvent = require('../models/ModerationEvent');
+const local = require('../utils/storage/local');
+const { approvePhoto, rejectPhoto, restorePhoto, purgeExpiredRejections } = require('../services/moderation');
+
+const moderator = { _id: new mongoose.Types.ObjectId(), username: 'mod' };
+
+afterEach(() => mock.restoreAll());
+
+/**
+ * A stored photo awaiting moderation
+ * @returns {object} - Photo document
+ */
+function pendingPhoto() {
+  return Photo.hydrate({
+    _id: new mongoose.Types.ObjectId(),
+    contributor: 'Jane',
+    floorId: 'floor1',
+    imageUrl: '/images/abc.jpg',
+    storageProvider: 'local',
+    storageKey: 'abc.jpg',
+    status: 'pending'
+  });
+}
+
+/**
+ * Mock the database: photos change status only from `current`, and events are collected
+ * @returns {object[]} - Recorded events
+ */
+function mockDatabase(current = 'pending') {
+  const events = [];
+  mock.method(Photo, 'findOneAndUpdate', async filter => (filter.status === current ? {} : null));
+  mock.method(Photo, 'findById', () => ({ select: () => ({ lean: async () => ({ status: current }) }) }));
+  mock.method(ModerationEvent, 'create', async event => events.push(event));
+  mock.method(local, 'remove', async () => {});
+  mock.method(local, 'setPrivate', async () => {});
+  return events;
+}
+
+test('approving records who approved and what the photo was before', async () => {
+  const events = mockDatabase();
+  const photo = pendingPhoto();
+
+  await approvePhoto(photo, moderator, { reason: 'Lovely' });
+
+  assert.strictEqual(photo.status, 'approved');
+  assert.ok(photo.approvedBy.equals(moderator._id));
+  const [filter, update] = Photo.findOneAndUpdate.mock.calls[0].arguments;
+  assert.deepStrictEqual(filter, { _id: photo._id, status: 'pending', purgedAt: null });
+  assert.strictEqual(update.$set.status, 'approved');
+  assert.deepStrictEqual(events.map(event => [event.action, event.actorName, event.reason, event.previousState.status]), [
+    ['approve', 'mod', 'Lovely', 'pending']
+  ]);
+});
+
+test('rejecting needs a reason and keeps the image until the retention window ends', async () => {
+  const events = mockDatabase();
+  const photo = pendingPhoto();
+
+  await assert.rejects(rejectPhoto(photo, moderator, { reason: '  ' }), { code: 'REASON_REQUIRED' });
+  await rejectPhoto(photo, moderator, { reason: ' Blurry ' });
+
+  assert.strictEqual(photo.status, 'rejected');
+  assert.ok(photo.purgeAfter > photo.rejectedAt);
+  assert.strictEqual(local.remove.mock.callCount(), 0);
+  assert.strictEqual(events[0].reason, 'Blurry');
+  await assert.rejects(rejectPhoto(photo, moderator, { reason: 'Again' }), { code: 'ALREADY_REJECTED' });
+});
+
+test('when two moderators act at once, only the first decision applies', async () => {
+  // Another moderator approved the photo after this one loaded it
+  let events = mockDatabase('approved');
+  await assert.rejects(approvePhoto(pendingPhoto(), moderator), { code: 'ALREADY_APPROVED' });
+  assert.strictEqual(events.length, 0);
+
+  events = mockDatabase('rejected');
+  const photo = pendingPhoto();
+  await assert.rejects(rejectPhoto(photo, moderator, { reason: 'Blurry' }), { code: 'ALREADY_REJECTED' });
+  assert.strictEqual(photo.status, 'pending');
+
+  // ...or rejected it, while this one approves
+  await assert.rejects(approvePhoto(pendingPhoto(), moderator), { status: 409, code: 'CONFLICT' });
+  assert.strictEqual(events.length, 0);
+});
+
+test('the image is made public before a photo is approved, and private again if the approval loses', async () => {
+  mockDatabase();
+  const order = [];
+  mock.method(local, 'setPrivate', async (key, isPrivate) => order.push(`private=${isPrivate}`));
+  mock.method(Photo, 'findOneAndUpdate', async () => { order.push('update'); return {}; });
+
+  await approvePhoto(pendingPhoto(), moderator);
+  assert.deepStrictEqual(order, ['private=false', 'update']);
+
+  // Another moderator rejected the photo in the meantime
+  order.length = 0;
+  mockDatabase('rejected');
+  mock.method(local, 'setPrivate', async (key, isPrivate) => order.push(`private=${isPrivate}`));
+  await assert.rejects(approvePhoto(pendingPhoto(), moderator), { code: 'CONFLICT' });
+  assert.deepStrictEqual(order, ['private=false', 'private=true']);
+});
+
+test('moderation events can be written but never changed or removed', async () => {
+  const event = ModerationEvent.hydrate({ _id: new mongoose.Types.ObjectId(), photo: new mongoose.Types.ObjectId(), action: 'approve' });
+  event.reason = 'Edited';
+
+  await assert.rejects(event.save(), /append-only/);
+  await assert.rejects(ModerationEvent.updateOne({}, { reason: 'x' }), /append-only/);
+  await assert.rejects(ModerationEvent.deleteMany({}), /append-only/);
+});
+
+test('restoring needs a rejected photo whose image is still there, and loses to a concurrent purge', async () => {
+  const events = mockDatabase('rejected');
+  const photo = pendingPhoto();
+  photo.set({ status: 'rejected', rejectedAt: new Date(), purgeAfter: new Date() });
+
+  await restorePhoto(photo, moderator);
+  assert.strictEqual(photo.status, 'pending');
+  assert.strictEqual(photo.purgeAfter, null);
+  assert.deepStrictEqual(Photo.findOneAndUpdate.mock.calls[0].arguments[0], { _id: photo._id, status: 'rejected', purgedAt: null });
+  assert.strictEqual(events[0].action, 'restore');
+  await assert.rejects(restorePhoto(photo, moderator), { code: 'NOT_REJECTED' });
+
+  // The purge job claimed the photo after this moderator loaded it
+  const raced = pendingPhoto();
+  raced.set({ status: 'rejected' });
+  mock.method(Photo, 'findOneAndUpdate', async () => null);
+  mock.method(Photo, 'findById', () => ({ select: () => ({ lean: async () => ({ status: 'rejected', purgedAt: new Date() }) }) }));
+  await assert.rejects(restorePhoto(raced, moderator), { status: 410, code: 'ALREADY_PURGED' });
+});
+
+test('restoring a photo whose file was submitted again is a conflict', async () => {
+  mockDatabase('rejected');
+  mock.method(Photo, 'findOneAndUpdate', async () => {
+    throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000, keyPattern: { contentHash: 1 } });
+  });
+  const photo = pendingPhoto();
+  photo.set({ status: 'rejected' });
+
+  await assert.rejects(restorePhoto(photo, moderator), { status: 409, code: 'DUPLICATE' });
+  assert.strictEqual(photo.status, 'rejected');
+});
+
+test('the purge claims each expired photo before deleting its image, and releases failed ones', async () => {
+  const events = mockDatabase();
+  const ids = [1, 2, 3].map(() => new mongoose.Types.ObjectId());
+  const claimable = new Map([
+    [String(ids[0]), { _id: ids[0], status: 'rejected', storageProvider: 'local', storageKey: 'one.jpg' }],
+    [String(ids[2]), { _id: ids[2], status: 'rejected', storageProvider: 'local', storageKey: 'broken.jpg' }]
+  ]);
+  mock.method(Photo, 'find', () => ({ select: () => ({ lean: async () => ids.map(_id => ({ _id })) }) }));
+  // ids[1] was restored after the candidates were listed, so it can't be claimed
+  mock.method(Photo, 'findOneAndUpdate', async filter => claimable.get(String(filter._id)) || null);
+  mock.method(Photo, 'updateOne', async () => ({}));
+  mock.method(local, 'remove', async key => {
+    if (key === 'broken.jpg') throw new Error('disk error');
+  });
+
+  const { purged, failed } = await purgeExpiredRejections();
+
+  assert.deepStrictEqual(purged.map(entry => entry.storageKey), ['one.jpg']);
+  assert.deepStrictEqual(failed.map(entry => [entry.storageKey, entry.error]), [['broken.jpg', 'disk error']]);
+  const claim = Photo.findOneAndUpdate.mock.calls[0].arguments;
+  assert.strictEqual(claim[0].status, 'rejected');
+  assert.ok(claim[0].purgeAfter.$lte);
+  assert.strictEqual(claim[0].purgedAt, null);
+  assert.ok(claim[1].$set.purgedAt);
+  assert.deepStrictEqual(local.remove.mock.calls.map(call => call.arguments[0]), ['one.jpg', 'broken.jpg']);
+  assert.deepStrictEqual(Photo.updateOne.mock.calls[0].arguments[1], { $set: { purgedAt: null } });
+  assert.deepStrictEqual(events.map(event => [event.action, event.actorName]), [['purge', 'system']]);
+});
+
+test('a retention of 0 days is kept, not replaced by the default', () => {
+  const load = value => {
+    process.env.REJECTED_RETENTION_DAYS = value;
+    delete require.cache[require.resolve('../config/moderation')];
+    return require('../config/moderation').REJECTED_RETENTION_DAYS;
+  };
+
+  try {
+    assert.strictEqual(load('0'), 0);
+    assert.strictEqual(load('7.5'), 7.5);
+    assert.strictEqual(load(''), 30);
+    assert.strictEqual(load('soon'), 30);
+  } finally {
+    delete process.env.REJECTED_RETENTION_DAYS;
+    delete require.cache[require.resolve('../config/moderation')];
+  }
+});
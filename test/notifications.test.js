@@ -0,0 +1,85 @@
+const { test, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+
+process.env.NOTIFY_MAX_ATTEMPTS = '2';
+
+const Notification = require('../models/Notification');
+const { processOutbox, retryNotification } = require('../services/notifications');
+const { startReceiver, mockQueue } = require('./helpers');
+
+afterEach(() => mock.restoreAll());
+
+/**
+ * A webhook notification due now
+ */
+function webhookNotification(recipient) {
+  return new Notification({ channel: 'webhook', event: 'photo.approved', recipient, text: 'Approved', data: { id: 1 } });
+}
+
+test('a failed delivery is retried later and then sent', async () => {
+  const receiver = await startReceiver([500, 200]);
+  const notification = webhookNotification(receiver.url);
+  mockQueue(Notification, [notification]);
+
+  try {
+    assert.deepStrictEqual(await processOutbox(), { sent: 0, retrying: 1, failed: 0 });
+    assert.strictEqual(notification.status, 'pending');
+    assert.ok(notification.nextAttemptAt > new Date());
+    assert.match(notification.lastError, /500/);
+
+    // Not due yet
+    assert.deepStrictEqual(await processOutbox(), { sent: 0, retrying: 0, failed: 0 });
+
+    notification.nextAttemptAt = new Date();
+    assert.deepStrictEqual(await processOutbox(), { sent: 1, retrying: 0, failed: 0 });
+    assert.strictEqual(notification.status, 'sent');
+    assert.strictEqual(notification.lastError, null);
+    assert.strictEqual(receiver.requests.length, 2);
+    assert.deepStrictEqual(JSON.parse(receiver.requests[1].body), { text: 'Approved', event: 'photo.approved', data: { id: 1 } });
+  } finally {
+    await receiver.close();
+  }
+});
+
+test('a delivery is marked failed after NOTIFY_MAX_ATTEMPTS', async () => {
+  const receiver = await startReceiver([503]);
+  const notification = webhookNotification(receiver.url);
+  mockQueue(Notification, [notification]);
+
+  try {
+    await processOutbox();
+    notification.nextAttemptAt = new Date();
+    assert.deepStrictEqual(await processOutbox(), { sent: 0, retrying: 0, failed: 1 });
+    assert.strictEqual(notification.status, 'failed');
+    assert.strictEqual(notification.attempts, 2);
+    assert.strictEqual(notification.lockedAt, null);
+  } finally {
+    await receiver.close();
+  }
+});
+
+test('claims left by a dead worker are released, and failed notifications can be sent again', async () => {
+  const receiver = await startReceiver([200]);
+  const notification = webhookNotification(receiver.url);
+  notification.set({ status: 'failed', attempts: 2 });
+  mockQueue(Notification, [notification]);
+
+  try {
+    await processOutbox();
+    const [filter, update] = Notification.updateMany.mock.calls[0].arguments;
+    assert.strictEqual(filter.status, 'sending');
+    assert.ok(filter.lockedAt.$lt < new Date());
+    assert.deepStrictEqual(update, { $set: { status: 'pending', lockedAt: null } });
+    assert.strictEqual(receiver.requests.length, 0);
+
+    await retryNotification(notification);
+    assert.strictEqual(notification.attempts, 0);
+
+    // retryNotification() starts sending in the background
+    while (notification.status !== 'sent') await new Promise(resolve => setTimeout(resolve, 10));
+    assert.strictEqual(receiver.requests.length, 1);
+    await assert.rejects(retryNotification(notification), { status: 409, code: 'NOT_FAILED' });
+  } finally {
+    await receiver.close();
+  }
+});
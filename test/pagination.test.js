@@ -0,0 +1,82 @@
+const { test, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const Photo = require('../models/Photo');
+const { encodeCursor, decodeCursor, parsePagination, paginate } = require('../utils/pagination');
+
+const id = new mongoose.Types.ObjectId();
+
+afterEach(() => mock.restoreAll());
+
+/**
+ * Encode a cursor payload by hand, as a client could
+ */
+function craft(payload) {
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+}
+
+/**
+ * Mock Photo.find with a chainable query resolving to docs, recording its filter and sort
+ */
+function mockFind(docs) {
+  const calls = [];
+  mock.method(Photo, 'find', filter => {
+    const query = {
+      sort(sort) { calls.push({ filter, sort }); return query; },
+      limit(n) { query.docs = docs.slice(0, n); return query; },
+      populate() { return query; },
+      then(resolve, reject) { return Promise.resolve(query.docs).then(resolve, reject); }
+    };
+    return query;
+  });
+  mock.method(Photo, 'countDocuments', async () => docs.length);
+  return calls;
+}
+
+test('cursors round-trip dates, strings and missing values', () => {
+  const submittedAt = new Date('2024-05-01T10:00:00Z');
+
+  assert.deepStrictEqual(decodeCursor(encodeCursor({ _id: id, submittedAt }, 'submittedAt')), { value: submittedAt, id: id.toString() });
+  assert.deepStrictEqual(decodeCursor(encodeCursor({ _id: id, title: 'Pier' }, 'title')), { value: 'Pier', id: id.toString() });
+  assert.deepStrictEqual(decodeCursor(encodeCursor({ _id: id }, 'title')), { value: null, id: id.toString() });
+});
+
+test('cursors holding objects, bad ids or bad dates are refused', () => {
+  assert.strictEqual(decodeCursor(craft({ v: { $gt: '' }, id: id.toString() })), null);
+  assert.strictEqual(decodeCursor(craft({ v: ['a'], id: id.toString() })), null);
+  assert.strictEqual(decodeCursor(craft({ v: 'x', id: { $ne: null } })), null);
+  assert.strictEqual(decodeCursor(craft({ v: 'soon', d: true, id: id.toString() })), null);
+  assert.strictEqual(decodeCursor('not base64 json'), null);
+});
+
+test('parsePagination clamps the limit and checks fields', () => {
+  assert.strictEqual(parsePagination({ limit: '1000' }, []).limit, 200);
+  assert.throws(() => parsePagination({ limit: '0' }, []), { code: 'VALIDATION_FAILED' });
+  assert.throws(() => parsePagination({ cursor: 'junk' }, []), { code: 'VALIDATION_FAILED' });
+  assert.throws(() => parsePagination({ fields: 'title,claimTokenHash' }, ['title']), { code: 'VALIDATION_FAILED' });
+  assert.deepStrictEqual(parsePagination({ fields: 'title' }, ['title']).projection, { title: 1 });
+});
+
+test('a cursor whose value does not match the sort field type is refused', async () => {
+  const cursor = decodeCursor(craft({ v: 'yesterday', d: false, id: id.toString() }));
+
+  await assert.rejects(paginate(Photo, {}, { sortField: 'submittedAt', cursor }), { code: 'VALIDATION_FAILED' });
+});
+
+test('pages after a cursor carry on from it, with a nextCursor only when more remain', async () => {
+  const docs = [1, 2, 3].map(day => ({ _id: new mongoose.Types.ObjectId(), submittedAt: new Date(2024, 0, 4 - day) }));
+  const calls = mockFind(docs);
+
+  const first = await paginate(Photo, { status: 'approved' }, { limit: 2 });
+  assert.deepStrictEqual(first.items, docs.slice(0, 2));
+  assert.strictEqual(first.total, 3);
+  assert.deepStrictEqual(calls[0].sort, { submittedAt: -1, _id: -1 });
+
+  const cursor = decodeCursor(first.nextCursor);
+  assert.deepStrictEqual(cursor, { value: docs[1].submittedAt, id: docs[1]._id.toString() });
+
+  mockFind(docs.slice(2));
+  const last = await paginate(Photo, { status: 'approved' }, { limit: 2, cursor });
+  assert.strictEqual(last.nextCursor, null);
+  assert.deepStrictEqual(Photo.find.mock.calls[0].arguments[0].$and[0], { status: 'approved' });
+});
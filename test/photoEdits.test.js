@@ -0,0 +1,124 @@
+const { test, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const Photo = require('../models/Photo');
+const PhotoRevision = require('../models/PhotoRevision');
+const Location = require('../models/Location');
+const { editPhoto, revertRevision } = require('../services/photoEdits');
+
+const editor = { _id: new mongoose.Types.ObjectId(), username: 'mod' };
+const floors = new Map([['floor1', new mongoose.Types.ObjectId()], ['floor2', new mongoose.Types.ObjectId()]]);
+
+afterEach(() => mock.restoreAll());
+
+/**
+ * Mock the registry (floor1 and floor2, no rooms), photo saves and a revision store
+ * @returns {object[]} - Stored revisions
+ */
+function mockDatabase() {
+  const revisions = [];
+  mock.method(Location, 'findOne', async filter => (filter.type === 'floor' && floors.has(filter.key) ? { _id: floors.get(filter.key), key: filter.key } : null));
+  mock.method(Photo.prototype, 'save', async function () { return this; });
+  mock.method(PhotoRevision, 'findOne', filter => {
+    const matches = revisions.filter(revision => filter.revision === undefined || revision.revision === filter.revision);
+    const latest = matches[matches.length - 1] || null;
+    return Object.assign(Promise.resolve(latest), { sort: async () => latest });
+  });
+  mock.method(PhotoRevision, 'create', async fields => {
+    const revision = { _id: new mongoose.Types.ObjectId(), ...fields };
+    revisions.push(revision);
+    return revision;
+  });
+  return revisions;
+}
+
+/**
+ * An approved photo on floor1
+ * @returns {object} - Photo document
+ */
+function photo() {
+  return Photo.hydrate({ _id: new mongoose.Types.ObjectId(), contributor: 'Jane', floorId: 'floor1', title: 'Pier', status: 'approved' });
+}
+
+test('an edit stores a numbered revision of what changed', async () => {
+  const revisions = mockDatabase();
+  const edited = photo();
+
+  const first = await editPhoto(edited, { title: 'The pier', floorId: 'floor2', contributor: 'Jane', comment: 'Per donor' }, editor);
+
+  assert.strictEqual(edited.title, 'The pier');
+  assert.strictEqual(edited.floorId, 'floor2');
+  assert.strictEqual(first.revision, 1);
+  assert.strictEqual(first.comment, 'Per donor');
+  assert.deepStrictEqual(first.changes, [
+    { field: 'floorId', from: 'floor1', to: 'floor2' },
+    { field: 'title', from: 'Pier', to: 'The pier' }
+  ]);
+
+  assert.strictEqual(await editPhoto(edited, { title: 'The pier' }, editor), null);
+  assert.strictEqual((await editPhoto(edited, { title: null }, editor)).revision, 2);
+  assert.strictEqual(edited.title, undefined);
+  assert.strictEqual(revisions.length, 2);
+});
+
+test('a floor can be changed but never blanked, and must be registered', async () => {
+  mockDatabase();
+  const edited = photo();
+
+  for (const floorId of ['', '   ', null]) {
+    await assert.rejects(editPhoto(edited, { floorId }, editor), err => {
+      assert.strictEqual(err.code, 'INVALID_METADATA');
+      assert.deepStrictEqual(err.details, ['floorId cannot be empty']);
+      return true;
+    });
+  }
+  await assert.rejects(editPhoto(edited, { floorId: 'attic' }, editor), { details: ['Unknown floor: attic'] });
+  await assert.rejects(editPhoto(edited, { roomId: 'room9' }, editor), { details: ['Unknown room room9 on floor floor1'] });
+  assert.strictEqual(edited.floorId, 'floor1');
+});
+
+test('unknown fields and empty edits are refused', async () => {
+  mockDatabase();
+
+  await assert.rejects(editPhoto(photo(), { status: 'approved' }, editor), { code: 'UNKNOWN_FIELD' });
+  await assert.rejects(editPhoto(photo(), { comment: 'Nothing else' }, editor), { code: 'EMPTY_EDIT' });
+  await assert.rejects(editPhoto(photo(), { date: 'last spring' }, editor), { code: 'INVALID_METADATA' });
+});
+
+test('reverting puts back the previous values as a new revision', async () => {
+  const revisions = mockDatabase();
+  const edited = photo();
+  await editPhoto(edited, { title: 'The pier', floorId: 'floor2' }, editor);
+
+  const revert = await revertRevision(edited, 1, editor, { fields: 'title' });
+
+  assert.strictEqual(edited.title, 'Pier');
+  assert.strictEqual(edited.floorId, 'floor2');
+  assert.strictEqual(revert.revision, 2);
+  assert.strictEqual(revert.revertOf, 1);
+  assert.strictEqual(revert.comment, 'Revert revision 1');
+  await assert.rejects(revertRevision(edited, 7, editor), { status: 404, code: 'REVISION_NOT_FOUND' });
+  await assert.rejects(revertRevision(edited, 1, editor, { fields: ['people'] }), { code: 'EMPTY_EDIT' });
+
+  // A floor removed from the registry since can't be put back
+  floors.delete('floor1');
+  try {
+    await assert.rejects(revertRevision(edited, 1, editor), { details: ['Unknown floor: floor1'] });
+  } finally {
+    floors.set('floor1', new mongoose.Types.ObjectId());
+  }
+  assert.strictEqual(revisions.length, 2);
+});
+
+test('a failed save removes the revision again, and purged photos can\'t be edited', async () => {
+  mockDatabase();
+  mock.method(Photo.prototype, 'save', async () => { throw new Error('connection lost'); });
+  mock.method(PhotoRevision, 'deleteOne', async () => ({}));
+
+  await assert.rejects(editPhoto(photo(), { title: 'The pier' }, editor), /connection lost/);
+  assert.strictEqual(PhotoRevision.deleteOne.mock.callCount(), 1);
+
+  const purged = photo();
+  purged.set({ status: 'rejected', purgedAt: new Date() });
+  await assert.rejects(editPhoto(purged, { title: 'The pier' }, editor), { status: 410, code: 'ALREADY_PURGED' });
+});
@@ -0,0 +1,55 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Photo = require('../models/Photo');
+const { PUBLIC_PHOTO_FIELDS, presentPhoto } = require('../utils/photoUrls');
+
+const moderator = { _id: new mongoose.Types.ObjectId(), role: 'moderator' };
+
+/**
+ * A locally stored photo with everything moderation and upload record on it
+ * @returns {object} - Photo document
+ */
+function storedPhoto(status) {
+  return Photo.hydrate({
+    _id: new mongoose.Types.ObjectId(),
+    contributor: 'Jane',
+    floorId: 'floor1',
+    title: 'Pier',
+    status,
+    storageProvider: 'local',
+    storageKey: `${crypto.randomUUID()}.jpg`,
+    originalFileName: 'IMG_0001.jpg',
+    exif: { Make: 'Kodak' },
+    contentHash: 'a'.repeat(64),
+    perceptualHash: 'f'.repeat(16),
+    possibleDuplicates: [{ photo: new mongoose.Types.ObjectId(), distance: 3 }],
+    approvedBy: moderator._id,
+    approvedAt: new Date()
+  });
+}
+
+test('visitors only see the public fields and the image URLs', () => {
+  const json = presentPhoto(storedPhoto('approved'), null);
+
+  assert.deepStrictEqual(Object.keys(json).filter(field => !PUBLIC_PHOTO_FIELDS.includes(field)).sort(), ['imageUrl', 'variants']);
+  assert.strictEqual(json.title, 'Pier');
+  assert.match(json.imageUrl, /\/public\.jpg$/);
+  assert.ok(!('exif' in json) && !('contentHash' in json) && !('approvedBy' in json) && !('possibleDuplicates' in json));
+});
+
+test('moderators see every field, and signed URLs for photos that are not public yet', () => {
+  const photo = storedPhoto('pending');
+
+  const json = presentPhoto(photo, moderator);
+  assert.strictEqual(json.storageKey, photo.storageKey);
+  assert.deepStrictEqual(json.exif, { Make: 'Kodak' });
+  assert.strictEqual(json.possibleDuplicates.length, 1);
+  assert.match(json.imageUrl, /\?exp=\d+&sig=/);
+  assert.ok(json.imageUrlsExpireAt > new Date());
+
+  const visitor = presentPhoto(photo, { role: 'contributor' });
+  assert.strictEqual(visitor.imageUrl, null);
+  assert.strictEqual(visitor.variants, null);
+});
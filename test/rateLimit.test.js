@@ -0,0 +1,74 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { rateLimit } = require('../middleware/rateLimit');
+
+/**
+ * Run a middleware with a fake request and resolve with what it passed to next()
+ */
+function run(middleware, req) {
+  const headers = {};
+  const res = { set: (name, value) => { headers[name] = value; } };
+  return new Promise(resolve => {
+    middleware(req, res, err => resolve({ err, headers }));
+  });
+}
+
+test('requests over the limit get a RateLimitError with retryAfter', async () => {
+  const limiter = rateLimit({ name: 'test-limit', windowMs: 60000, max: 2 });
+  const req = { ip: '203.0.113.1' };
+
+  assert.strictEqual((await run(limiter, req)).err, undefined);
+  const second = await run(limiter, req);
+  assert.strictEqual(second.err, undefined);
+  assert.strictEqual(second.headers['X-RateLimit-Remaining'], '0');
+
+  const { err, headers } = await run(limiter, req);
+  assert.strictEqual(err.status, 429);
+  assert.strictEqual(err.code, 'RATE_LIMITED');
+  assert.ok(err.retryAfter >= 1);
+  assert.strictEqual(headers['Retry-After'], String(err.retryAfter));
+});
+
+test('each key has its own count', async () => {
+  const limiter = rateLimit({ name: 'test-keys', windowMs: 60000, max: 1 });
+
+  assert.strictEqual((await run(limiter, { ip: '203.0.113.2' })).err, undefined);
+  assert.strictEqual((await run(limiter, { ip: '203.0.113.3' })).err, undefined);
+  assert.strictEqual((await run(limiter, { ip: '203.0.113.2' })).err.status, 429);
+});
+
+test('refused requests do not use up the limit', async () => {
+  const limiter = rateLimit({ name: 'test-refund', windowMs: 60000, max: 3, cost: req => req.files });
+  const ip = '203.0.113.5';
+
+  assert.strictEqual((await run(limiter, { ip, files: 2 })).err, undefined);
+  assert.strictEqual((await run(limiter, { ip, files: 2 })).err.status, 429);
+
+  // The refund is not awaited by the middleware
+  await new Promise(resolve => setImmediate(resolve));
+  assert.strictEqual((await run(limiter, { ip, files: 1 })).err, undefined);
+});
+
+test('cost, skip and a null key are honoured', async () => {
+  const limiter = rateLimit({
+    name: 'test-options',
+    windowMs: 60000,
+    max: 3,
+    cost: req => req.files,
+    skip: req => req.skip,
+    keyGenerator: req => req.key
+  });
+
+  assert.strictEqual((await run(limiter, { key: 'a', files: 3 })).err, undefined);
+  assert.strictEqual((await run(limiter, { key: 'a', files: 1, skip: true })).err, undefined);
+  assert.strictEqual((await run(limiter, { key: null, files: 1 })).err, undefined);
+  assert.strictEqual((await run(limiter, { key: 'a', files: 1 })).err.status, 429);
+});
+
+test('a limit of 0 turns the check off', async () => {
+  const limiter = rateLimit({ name: 'test-off', windowMs: 60000, max: 0 });
+
+  for (let i = 0; i < 5; i++) {
+    assert.strictEqual((await run(limiter, { ip: '203.0.113.4' })).err, undefined);
+  }
+});
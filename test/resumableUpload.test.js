@@ -0,0 +1,146 @@
+const { test, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+const mongoose = require('mongoose');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'resumable-'));
+process.env.STORAGE_PROVIDER = 'local';
+process.env.LOCAL_STORAGE_DIR = path.join(dir, 'images');
+
+const Photo = require('../models/Photo');
+const Location = require('../models/Location');
+const UploadSession = require('../models/UploadSession');
+const { MIN_CHUNK_SIZE, MAX_OPEN_SESSIONS_PER_IP, MAX_OPEN_SESSION_BYTES_PER_IP } = require('../config/uploads');
+const {
+  describeSession,
+  createSession,
+  writeChunk,
+  completeSession,
+  abortSession
+} = require('../services/resumableUpload');
+
+const CHUNKS_DIR = path.join(__dirname, '../uploads/chunks');
+
+let png;
+let sessions;
+
+before(async () => {
+  // Noise doesn't compress, so this PNG spans two minimum-size chunks
+  const pixels = crypto.randomBytes(400 * 300 * 3);
+  png = await sharp(pixels, { raw: { width: 400, height: 300, channels: 3 } }).png().toBuffer();
+  assert.ok(png.length > MIN_CHUNK_SIZE && png.length <= 2 * MIN_CHUNK_SIZE);
+});
+
+after(() => fs.promises.rm(dir, { recursive: true, force: true }));
+
+afterEach(() => mock.restoreAll());
+
+/**
+ * Keep upload sessions in memory, and mock the lookups and saves a completed upload makes
+ */
+beforeEach(() => {
+  sessions = new Map();
+  const find = filter => [...sessions.values()].find(session => (filter._id ? session._id.equals(filter._id) : session.uploadId === filter.uploadId));
+
+  mock.method(UploadSession, 'aggregate', async () => []);
+  mock.method(UploadSession.prototype, 'save', async function () {
+    sessions.set(this.uploadId, this);
+    return this;
+  });
+  mock.method(UploadSession, 'findOne', async filter => find(filter) || null);
+  mock.method(UploadSession, 'findOneAndUpdate', async (filter, update) => {
+    const session = find(filter);
+    if (!session || (filter.status && session.status !== filter.status)) return null;
+
+    Object.assign(session, update.$set);
+    if (update.$addToSet && !session.receivedChunks.includes(update.$addToSet.receivedChunks)) {
+      session.receivedChunks.push(update.$addToSet.receivedChunks);
+    }
+    return session;
+  });
+
+  mock.method(Location, 'findOne', async filter => (filter.key === 'floor1' ? { _id: new mongoose.Types.ObjectId(), key: 'floor1' } : null));
+  mock.method(Photo, 'findOne', async () => null);
+  mock.method(Photo, 'find', () => {
+    const query = { sort: () => query, limit: () => query, lean: async () => [] };
+    return query;
+  });
+  mock.method(Photo.prototype, 'save', async function () { return this; });
+});
+
+/**
+ * Start a session for the test PNG
+ * @returns {Promise<object>} - UploadSession document
+ */
+function startUpload(extra = {}, options = { clientIp: '203.0.113.5' }) {
+  return createSession({ fileName: 'scan.png', fileSize: png.length, chunkSize: MIN_CHUNK_SIZE, floorId: 'floor1', ...extra }, options);
+}
+
+/**
+ * Chunk `index` of the test PNG
+ * @returns {Buffer}
+ */
+function chunk(index) {
+  return png.subarray(index * MIN_CHUNK_SIZE, (index + 1) * MIN_CHUNK_SIZE);
+}
+
+test('chunks can arrive in any order and be resent before the upload completes', async () => {
+  const session = await startUpload();
+  assert.strictEqual(session.totalChunks, 2);
+  assert.strictEqual(session.clientIp, '203.0.113.5');
+
+  await writeChunk(session.uploadId, '1', chunk(1));
+  const partial = describeSession(await writeChunk(session.uploadId, '1', chunk(1)));
+  assert.deepStrictEqual(partial.receivedChunks, [1]);
+  assert.deepStrictEqual(partial.missingChunks, [0]);
+  assert.deepStrictEqual(partial.receivedOffsets, [{ start: MIN_CHUNK_SIZE, end: png.length }]);
+  await assert.rejects(completeSession(session.uploadId), { status: 409, code: 'INCOMPLETE_UPLOAD' });
+
+  await writeChunk(session.uploadId, '0', chunk(0));
+  const { session: completed, photo } = await completeSession(session.uploadId);
+
+  assert.strictEqual(completed.status, 'completed');
+  assert.strictEqual(completed.photo, photo._id);
+  assert.strictEqual(photo.status, 'pending');
+  assert.deepStrictEqual([photo.width, photo.height], [400, 300]);
+  assert.strictEqual(fs.existsSync(path.join(CHUNKS_DIR, session.uploadId)), false);
+  await assert.rejects(writeChunk(session.uploadId, '0', chunk(0)), { status: 409, code: 'SESSION_CLOSED' });
+});
+
+test('sessions and chunks outside the limits are refused', async () => {
+  await assert.rejects(createSession({ fileSize: 10 }), { code: 'INVALID_SESSION' });
+  await assert.rejects(createSession({ fileName: 'a.png', fileSize: 10, chunkSize: 1 }), { code: 'INVALID_SESSION' });
+  await assert.rejects(createSession({ fileName: 'a.png', fileSize: 10, sha256: 'abc' }), { code: 'INVALID_SESSION' });
+  await assert.rejects(createSession({ fileName: 'a.png', fileSize: 1e12 }), { status: 413, code: 'FILE_TOO_LARGE' });
+  await assert.rejects(startUpload({ floorId: 'floor9' }), { status: 400, code: 'INVALID_METADATA' });
+
+  const session = await startUpload();
+  await assert.rejects(writeChunk(session.uploadId, '2', chunk(0)), { status: 400, code: 'INVALID_CHUNK' });
+  await assert.rejects(writeChunk(session.uploadId, '0', chunk(1)), { status: 400, code: 'INVALID_CHUNK' });
+  await assert.rejects(writeChunk('0'.repeat(32), '0', chunk(0)), { status: 404, code: 'SESSION_NOT_FOUND' });
+  await abortSession(session.uploadId);
+});
+
+test('a checksum mismatch fails the session and removes its chunks', async () => {
+  const session = await startUpload({ sha256: '0'.repeat(64) });
+  await writeChunk(session.uploadId, 0, chunk(0));
+  await writeChunk(session.uploadId, 1, chunk(1));
+
+  await assert.rejects(completeSession(session.uploadId), { status: 422, code: 'CHECKSUM_MISMATCH' });
+  assert.strictEqual(sessions.get(session.uploadId).status, 'failed');
+  assert.strictEqual(fs.existsSync(path.join(CHUNKS_DIR, session.uploadId)), false);
+});
+
+test('each IP may only have so many unfinished uploads, of a limited total size', async () => {
+  mock.method(UploadSession, 'aggregate', async () => [{ sessions: MAX_OPEN_SESSIONS_PER_IP, bytes: 0 }]);
+  await assert.rejects(startUpload(), { status: 429, code: 'TOO_MANY_SESSIONS' });
+  assert.strictEqual(UploadSession.aggregate.mock.calls[0].arguments[0][0].$match.clientIp, '203.0.113.5');
+
+  mock.method(UploadSession, 'aggregate', async () => [{ sessions: 1, bytes: MAX_OPEN_SESSION_BYTES_PER_IP - png.length + 1 }]);
+  await assert.rejects(startUpload(), { status: 429, code: 'TOO_MANY_SESSIONS' });
+  assert.strictEqual(sessions.size, 0);
+});
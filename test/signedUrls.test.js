@@ -0,0 +1,37 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { signPath, verifySignedPath } = require('../utils/signedUrls');
+
+const KEY = 'url-key';
+const PATH = '/images/abc/public.jpg';
+
+/**
+ * Parse the query string signPath returns
+ */
+function parseQuery(query) {
+  return Object.fromEntries(new URLSearchParams(query.slice(1)));
+}
+
+test('a signed path verifies until it expires', () => {
+  const query = parseQuery(signPath(PATH, new Date(Date.now() + 60000), KEY));
+
+  assert.strictEqual(verifySignedPath(PATH, query, KEY), true);
+});
+
+test('signatures are tied to the path, the expiry and the key', () => {
+  const query = parseQuery(signPath(PATH, new Date(Date.now() + 60000), KEY));
+
+  assert.strictEqual(verifySignedPath('/images/other/public.jpg', query, KEY), false);
+  assert.strictEqual(verifySignedPath(PATH, { ...query, exp: String(Number(query.exp) + 60) }, KEY), false);
+  assert.strictEqual(verifySignedPath(PATH, query, 'other-key'), false);
+});
+
+test('expired, missing and malformed signatures are refused', () => {
+  const expired = parseQuery(signPath(PATH, new Date(Date.now() - 1000), KEY));
+  const query = parseQuery(signPath(PATH, new Date(Date.now() + 60000), KEY));
+
+  assert.strictEqual(verifySignedPath(PATH, expired, KEY), false);
+  assert.strictEqual(verifySignedPath(PATH, { exp: query.exp }, KEY), false);
+  assert.strictEqual(verifySignedPath(PATH, { ...query, sig: 'zz' }, KEY), false);
+  assert.strictEqual(verifySignedPath(PATH, { ...query, sig: ['a', 'b'] }, KEY), false);
+});
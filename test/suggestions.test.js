@@ -0,0 +1,104 @@
+const { test, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Photo = require('../models/Photo');
+const PhotoRevision = require('../models/PhotoRevision');
+const Location = require('../models/Location');
+const Suggestion = require('../models/Suggestion');
+const { submitSuggestion, acceptSuggestion, rejectSuggestion, mergeSuggestion } = require('../services/suggestions');
+
+const moderator = { _id: new mongoose.Types.ObjectId(), username: 'mod' };
+
+afterEach(() => mock.restoreAll());
+
+/**
+ * An approved photo on floor1
+ * @returns {object} - Photo document
+ */
+function approvedPhoto() {
+  return Photo.hydrate({ _id: new mongoose.Types.ObjectId(), contributor: 'Jane', floorId: 'floor1', title: 'Pier', status: 'approved' });
+}
+
+/**
+ * A pending suggestion for a photo
+ * @returns {object} - Suggestion document
+ */
+function pendingSuggestion(photo, changes, extra = {}) {
+  return Suggestion.hydrate({ _id: new mongoose.Types.ObjectId(), photo: photo._id, changes, status: 'pending', mergedFrom: [], ...extra });
+}
+
+/**
+ * Mock the registry (floor1 only), saves, and the photo and revision lookups
+ */
+function mockDatabase(photo) {
+  mock.method(Location, 'findOne', async filter => (filter.type === 'floor' && filter.key === 'floor1' ? { _id: new mongoose.Types.ObjectId() } : null));
+  mock.method(Suggestion, 'create', async fields => ({ _id: new mongoose.Types.ObjectId(), status: 'pending', ...fields }));
+  mock.method(Suggestion.prototype, 'save', async function () { return this; });
+  mock.method(Photo, 'findById', async () => photo);
+  mock.method(Photo.prototype, 'save', async function () { return this; });
+  mock.method(PhotoRevision, 'findOne', () => ({ sort: async () => null }));
+  mock.method(PhotoRevision, 'create', async fields => ({ _id: new mongoose.Types.ObjectId(), revision: 1, ...fields }));
+}
+
+test('a suggestion is checked like an edit and stored with a keyed hash of the IP', async () => {
+  const photo = approvedPhoto();
+  mockDatabase(photo);
+
+  const first = await submitSuggestion(photo, { changes: { title: 'The pier' }, name: ' Luis ', email: 'luis@example.com' }, '203.0.113.9');
+  const second = await submitSuggestion(photo, { changes: { people: 'Ana Ruiz' } }, '203.0.113.9');
+
+  assert.strictEqual(first.submitterName, 'Luis');
+  assert.match(first.clientHash, /^[0-9a-f]{32}$/);
+  assert.strictEqual(first.clientHash, second.clientHash);
+  assert.notStrictEqual(first.clientHash, crypto.createHash('sha256').update('suggestion:203.0.113.9').digest('hex').slice(0, 32));
+  assert.strictEqual(photo.title, 'Pier');
+});
+
+test('bad suggestions are refused with every problem listed', async () => {
+  const photo = approvedPhoto();
+  mockDatabase(photo);
+
+  await assert.rejects(submitSuggestion(photo, {}, 'ip'), { code: 'EMPTY_SUGGESTION' });
+  await assert.rejects(submitSuggestion(photo, { changes: { contributor: 'Me' } }, 'ip'), { code: 'UNKNOWN_FIELD' });
+  await assert.rejects(submitSuggestion(photo, { changes: { floorId: 'attic' }, email: 'nope' }, 'ip'), err => {
+    assert.strictEqual(err.code, 'INVALID_SUGGESTION');
+    assert.deepStrictEqual(err.details, ['email is not a valid address', 'Unknown floor: attic']);
+    return true;
+  });
+
+  const pending = approvedPhoto();
+  pending.status = 'pending';
+  await assert.rejects(submitSuggestion(pending, { changes: { title: 'x' } }, 'ip'), { status: 404 });
+});
+
+test('accepting applies the chosen fields as a revision; a closed suggestion can\'t be reviewed again', async () => {
+  const photo = approvedPhoto();
+  mockDatabase(photo);
+  const suggestion = pendingSuggestion(photo, { title: 'The pier', description: 'Summer 1935' });
+
+  const { revision } = await acceptSuggestion(suggestion, moderator, { fields: 'title', note: 'Checked' });
+
+  assert.strictEqual(photo.title, 'The pier');
+  assert.strictEqual(photo.description, undefined);
+  assert.strictEqual(revision.comment, `Suggestion ${suggestion._id}: Checked`);
+  assert.strictEqual(suggestion.status, 'accepted');
+  assert.strictEqual(suggestion.revision, 1);
+  await assert.rejects(rejectSuggestion(suggestion, moderator), { status: 409, code: 'SUGGESTION_CLOSED' });
+});
+
+test('merging combines people and tags and keeps the target\'s other values', async () => {
+  const photo = approvedPhoto();
+  mockDatabase(photo);
+  const target = pendingSuggestion(photo, { title: 'The pier', people: ['Ana Ruiz'] }, { note: 'Aunt' });
+  const other = pendingSuggestion(photo, { title: 'Pier at dusk', people: ['Luis Ruiz'], tags: ['dusk'] }, { note: 'Uncle' });
+  mock.method(Suggestion, 'findById', async id => [target, other].find(suggestion => suggestion._id.equals(id)) || null);
+
+  await assert.rejects(mergeSuggestion(other, other._id, moderator), { code: 'INVALID_MERGE' });
+  const merged = await mergeSuggestion(other, target._id, moderator);
+
+  assert.deepStrictEqual(merged.changes, { title: 'The pier', people: ['Ana Ruiz', 'Luis Ruiz'], tags: ['dusk'] });
+  assert.strictEqual(merged.note, 'Aunt\n\nUncle');
+  assert.ok(merged.mergedFrom[0].equals(other._id));
+  assert.strictEqual(other.status, 'merged');
+});
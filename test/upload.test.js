@@ -0,0 +1,148 @@
+const { test, before, after, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+const mongoose = require('mongoose');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'upload-'));
+process.env.STORAGE_PROVIDER = 'local';
+process.env.LOCAL_STORAGE_DIR = path.join(dir, 'images');
+
+const Photo = require('../models/Photo');
+const Location = require('../models/Location');
+const { toErrorResponse } = require('../utils/errors');
+const { hashOpaqueToken } = require('../utils/auth');
+const { UploadError, createPhotoFromUpload } = require('../services/upload');
+
+let jpeg;
+
+before(async () => {
+  jpeg = await sharp({ create: { width: 32, height: 24, channels: 3, background: '#963' } }).jpeg().toBuffer();
+});
+
+after(() => fs.promises.rm(dir, { recursive: true, force: true }));
+
+afterEach(() => mock.restoreAll());
+
+/**
+ * Write a temp file as multer would
+ * @returns {Promise<object>} - Multer-like file object
+ */
+async function tempFile(content = jpeg) {
+  const filename = `${Date.now()}-${Math.random().toString(36).slice(2)}.jpg`;
+  const filePath = path.join(dir, filename);
+  await fs.promises.writeFile(filePath, content);
+  return { path: filePath, filename, originalname: 'scan.jpg', size: content.length, mimetype: 'image/jpeg' };
+}
+
+/**
+ * Mock the lookups an upload makes: a registered floor1, and no duplicates
+ */
+function mockLookups({ exactDuplicate = null } = {}) {
+  mock.method(Location, 'findOne', async filter => (filter.key === 'floor1' ? { _id: new mongoose.Types.ObjectId(), key: 'floor1' } : null));
+  mock.method(Photo, 'findOne', async () => exactDuplicate);
+  mock.method(Photo, 'find', () => {
+    const query = { sort: () => query, limit: () => query, lean: async () => [] };
+    return query;
+  });
+}
+
+/**
+ * List what is left in local storage
+ */
+function storedImages() {
+  return fs.existsSync(process.env.LOCAL_STORAGE_DIR) ? fs.readdirSync(process.env.LOCAL_STORAGE_DIR) : [];
+}
+
+test('an upload is processed, stored and saved as a pending photo', async () => {
+  mockLookups();
+  mock.method(Photo.prototype, 'save', async function () { return this; });
+  const file = await tempFile();
+
+  const { photo, claimToken } = await createPhotoFromUpload(file, { contributor: 'Jane', floorId: 'floor1', title: 'Pier' });
+
+  assert.strictEqual(photo.status, 'pending');
+  assert.strictEqual(photo.contributor, 'Jane');
+  assert.strictEqual(photo.title, 'Pier');
+  assert.strictEqual(photo.storageProvider, 'local');
+  assert.deepStrictEqual([photo.width, photo.height], [32, 24]);
+  assert.match(photo.contentHash, /^[0-9a-f]{64}$/);
+  assert.ok(storedImages().includes(path.parse(photo.storageKey).name));
+  assert.strictEqual(fs.existsSync(file.path), false);
+  // Anonymous uploads can be followed with a claim token, stored only as its hash
+  assert.strictEqual(photo.claimTokenHash, hashOpaqueToken(claimToken));
+});
+
+test('a signed-in contributor\'s upload is linked to the account and credited with its name', async () => {
+  mockLookups();
+  mock.method(Photo.prototype, 'save', async function () { return this; });
+  const contributor = { _id: new mongoose.Types.ObjectId(), displayName: 'Ana Ruiz' };
+
+  const { photo, claimToken } = await createPhotoFromUpload(await tempFile(), { contributor: 'Someone', floorId: 'floor1' }, { submittedBy: contributor });
+
+  assert.strictEqual(photo.contributor, 'Ana Ruiz');
+  assert.ok(photo.submittedBy.equals(contributor._id));
+  assert.strictEqual(claimToken, null);
+  assert.strictEqual(photo.claimTokenHash, null);
+});
+
+test('invalid metadata is refused before anything is stored', async () => {
+  mockLookups();
+  const file = await tempFile();
+  const before = storedImages().length;
+
+  await assert.rejects(createPhotoFromUpload(file, { floorId: 'floor9', captureDate: 'someday' }), err => {
+    assert.ok(err instanceof UploadError);
+    assert.strictEqual(err.status, 400);
+    assert.strictEqual(err.code, 'INVALID_METADATA');
+    assert.strictEqual(err.details.length, 2);
+    return true;
+  });
+  assert.strictEqual(storedImages().length, before);
+  assert.strictEqual(fs.existsSync(file.path), false);
+});
+
+test('exact duplicates are refused with the photo they duplicate', async () => {
+  const existing = { _id: new mongoose.Types.ObjectId() };
+  mockLookups({ exactDuplicate: existing });
+  const file = await tempFile();
+
+  await assert.rejects(createPhotoFromUpload(file, { floorId: 'floor1' }), { status: 409, code: 'DUPLICATE', duplicateOf: existing._id });
+  assert.strictEqual(fs.existsSync(file.path), false);
+});
+
+test('a failed save removes the stored image again', async () => {
+  mockLookups();
+  mock.method(Photo.prototype, 'save', async () => { throw new Error('connection lost'); });
+  const before = storedImages().length;
+
+  await assert.rejects(createPhotoFromUpload(await tempFile(), { floorId: 'floor1' }), /connection lost/);
+  assert.strictEqual(storedImages().length, before);
+});
+
+test('a concurrent upload of the same file is reported as a duplicate and rolled back', async () => {
+  mockLookups();
+  const winner = { _id: new mongoose.Types.ObjectId() };
+  mock.method(Photo.prototype, 'save', async () => {
+    mock.method(Photo, 'findOne', async () => winner);
+    throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000, keyPattern: { contentHash: 1 } });
+  });
+  const before = storedImages().length;
+
+  await assert.rejects(createPhotoFromUpload(await tempFile(), { floorId: 'floor1' }), { status: 409, code: 'DUPLICATE', duplicateOf: winner._id });
+  assert.strictEqual(storedImages().length, before);
+});
+
+test('upload errors map to their status and body; anything else is a 500', () => {
+  const refused = toErrorResponse(new UploadError('Invalid photo metadata', { status: 400, code: 'INVALID_METADATA', details: ['x'] }));
+  assert.deepStrictEqual(refused, { status: 400, body: { error: 'Invalid photo metadata', code: 'INVALID_METADATA', details: ['x'] } });
+
+  const duplicate = toErrorResponse(new UploadError('This photo has already been submitted', { status: 409, code: 'DUPLICATE', duplicateOf: 'abc' }));
+  assert.strictEqual(duplicate.body.duplicateOf, 'abc');
+
+  const crashed = toErrorResponse(new Error('boom'));
+  assert.strictEqual(crashed.status, 500);
+  assert.strictEqual(crashed.body.code, 'INTERNAL_ERROR');
+});
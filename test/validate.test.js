@@ -0,0 +1,80 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { validate, objectIdParam } = require('../middleware/validate');
+const { errorHandler } = require('../middleware/errorHandler');
+const { ValidationError } = require('../utils/errors');
+
+/**
+ * Run validate() on a fake request; resolve with the request and what was passed to next()
+ */
+function run(schemas, req) {
+  return new Promise(resolve => {
+    validate(schemas)(req, {}, err => resolve({ req, err }));
+  });
+}
+
+test('values are coerced to their types, defaults filled in and empty optionals dropped', async () => {
+  const { req, err } = await run({
+    query: {
+      limit: { type: 'integer', min: 1, max: 100 },
+      exact: { type: 'boolean', default: false },
+      tags: { type: 'list', maxItems: 3 },
+      since: { type: 'date' },
+      title: { type: 'string', maxLength: 10 }
+    }
+  }, { query: { limit: '20', tags: 'pier, beach,', since: '', title: '  Pier ', extra: 'kept' } });
+
+  assert.strictEqual(err, undefined);
+  assert.deepStrictEqual(req.query, { limit: 20, exact: false, tags: ['pier', 'beach'], title: 'Pier', extra: 'kept' });
+});
+
+test('every problem is reported in one error naming its location and field', async () => {
+  const { err } = await run({
+    params: { id: objectIdParam },
+    body: {
+      reason: { type: 'string', required: true },
+      status: { type: 'enum', values: ['approved', 'rejected'] }
+    }
+  }, { params: { id: 'nope' }, body: { reason: '   ', status: 'gone' } });
+
+  assert.ok(err instanceof ValidationError);
+  assert.strictEqual(err.message, '3 request fields are invalid');
+  assert.deepStrictEqual(err.details, [
+    { location: 'params', field: 'id', message: 'id must be a valid id' },
+    { location: 'body', field: 'reason', message: 'reason is required' },
+    { location: 'body', field: 'status', message: 'status must be one of approved, rejected' }
+  ]);
+});
+
+test('null is refused unless the rule is nullable, and strict schemas refuse unknown fields', async () => {
+  const schema = {
+    body: {
+      $strict: true,
+      roomId: { type: 'string', nullable: true },
+      floorId: { type: 'string' }
+    }
+  };
+
+  const { req, err } = await run(schema, { body: { roomId: '' } });
+  assert.strictEqual(err, undefined);
+  assert.strictEqual(req.body.roomId, null);
+
+  const refused = await run(schema, { body: { floorId: null, status: 'approved' } });
+  assert.deepStrictEqual(refused.err.details.map(detail => detail.message), ['floorId may not be empty', 'status is not allowed']);
+});
+
+test('an unknown rule type is a programming error, not a 400', async () => {
+  await assert.rejects(run({ query: { when: { type: 'time' } } }, { query: { when: 'noon' } }), /Unknown validation type "time"/);
+});
+
+test('the error handler answers with the error\'s status and body', async () => {
+  const sent = await new Promise(resolve => {
+    const res = { headersSent: false, status: status => ({ json: body => resolve({ status, body }) }) };
+    errorHandler(ValidationError.forField('query', 'cursor', 'cursor is not valid'), { method: 'GET', originalUrl: '/' }, res);
+  });
+
+  assert.deepStrictEqual(sent, {
+    status: 400,
+    body: { error: 'cursor is not valid', code: 'VALIDATION_FAILED', details: [{ location: 'query', field: 'cursor', message: 'cursor is not valid' }] }
+  });
+});
@@ -0,0 +1,74 @@
+const { test, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const dns = require('dns');
+
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const { createWebhook, processDeliveries } = require('../services/webhooks');
+const { startReceiver, mockQueue } = require('./helpers');
+
+const admin = { _id: 'a1' };
+
+afterEach(() => mock.restoreAll());
+
+/**
+ * Resolve every host name to `address` when a webhook URL is checked
+ */
+function mockResolve(address) {
+  mock.method(dns.promises, 'lookup', async () => [{ address, family: address.includes(':') ? 6 : 4 }]);
+}
+
+test('webhooks can\'t point at this host, private networks or metadata endpoints', async () => {
+  const urls = [
+    'http://127.0.0.1:3000/hook',
+    'http://localhost:3000/hook',
+    'http://2130706433/hook',
+    'http://10.1.2.3/hook',
+    'https://192.168.0.10/hook',
+    'http://169.254.169.254/latest/meta-data',
+    'http://[::1]/hook',
+    'http://[::ffff:127.0.0.1]/hook',
+    'http://[fd00::1]/hook'
+  ];
+
+  for (const url of urls) {
+    await assert.rejects(createWebhook({ url, events: ['photo.approved'] }, admin), { status: 400, code: 'WEBHOOK_URL_NOT_ALLOWED' }, url);
+  }
+});
+
+test('a host name is checked by the addresses it resolves to', async () => {
+  mock.method(Webhook, 'create', async fields => new Webhook(fields));
+
+  mockResolve('172.16.5.4');
+  await assert.rejects(createWebhook({ url: 'https://hooks.example.org/in', events: ['photo.approved'] }, admin), { code: 'WEBHOOK_URL_NOT_ALLOWED' });
+
+  mockResolve('93.184.215.14');
+  const { webhook } = await createWebhook({ url: 'https://hooks.example.org/in', events: ['photo.approved'] }, admin);
+  assert.strictEqual(webhook.url, 'https://hooks.example.org/in');
+
+  mock.method(dns.promises, 'lookup', async () => {
+    throw Object.assign(new Error('getaddrinfo ENOTFOUND'), { code: 'ENOTFOUND' });
+  });
+  await assert.rejects(createWebhook({ url: 'https://nowhere.invalid/in', events: ['photo.approved'] }, admin), { code: 'INVALID_WEBHOOK_URL' });
+});
+
+test('a host that resolves to a private address when connecting fails without being sent or retried', async () => {
+  const receiver = await startReceiver([200]);
+  const { port } = new URL(receiver.url);
+  const webhook = new Webhook({ url: `http://hooks.example.org:${port}/hook`, events: ['photo.approved'], secret: 'whsec_test' });
+  const delivery = new WebhookDelivery({ webhook: webhook._id, event: 'photo.approved', eventId: 'evt_test', payload: { id: 'evt_test' } });
+  mock.method(Webhook, 'findById', () => ({ select: async () => webhook }));
+  mockQueue(WebhookDelivery, [delivery]);
+
+  // Public when checked, then the name is pointed at this host
+  mockResolve('93.184.215.14');
+  mock.method(dns, 'lookup', (hostname, options, callback) => callback(null, [{ address: '127.0.0.1', family: 4 }]));
+
+  try {
+    assert.deepStrictEqual(await processDeliveries(), { delivered: 0, retrying: 0, failed: 1 });
+    assert.match(delivery.attemptLog[0].error, /private or local address/);
+    assert.strictEqual(receiver.requests.length, 0);
+  } finally {
+    await receiver.close();
+  }
+});
@@ -0,0 +1,175 @@
+const { test, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+// The receivers below listen on 127.0.0.1; webhookUrls.test.js covers the address checks
+process.env.WEBHOOK_ALLOW_PRIVATE_URLS = 'true';
+
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const { signPayload, processDeliveries, redeliver, createWebhook, startWebhooks } = require('../services/webhooks');
+const { publish } = require('../utils/events');
+const { startReceiver, mockQueue } = require('./helpers');
+
+afterEach(() => mock.restoreAll());
+
+/**
+ * Serve `webhook` from Webhook.findById, with or without .select()
+ */
+function mockFindWebhook(webhook) {
+  mock.method(Webhook, 'findById', () => ({
+    select: async () => webhook,
+    then: (resolve, reject) => Promise.resolve(webhook).then(resolve, reject)
+  }));
+}
+
+/**
+ * A delivery of a photo.approved event to `webhook`
+ */
+function approvedDelivery(webhook) {
+  return new WebhookDelivery({
+    webhook: webhook._id,
+    event: 'photo.approved',
+    eventId: 'evt_test',
+    payload: { id: 'evt_test', type: 'photo.approved', createdAt: new Date().toISOString(), data: { photo: { _id: 'p1' } } }
+  });
+}
+
+/**
+ * Check a request the way the README tells receivers to
+ */
+function verify(request, secret) {
+  const timestamp = request.headers['x-webhook-timestamp'];
+  const expected = `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${request.body}`).digest('hex')}`;
+  const signature = request.headers['x-webhook-signature'];
+  return expected.length === signature.length && crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(signature));
+}
+
+test('signatures cover the timestamp and the exact body', () => {
+  const signature = signPayload('whsec_a', 1700000000, '{"a":1}');
+
+  assert.strictEqual(signature, crypto.createHmac('sha256', 'whsec_a').update('1700000000.{"a":1}').digest('hex'));
+  assert.notStrictEqual(signPayload('whsec_a', 1700000001, '{"a":1}'), signature);
+  assert.notStrictEqual(signPayload('whsec_a', 1700000000, '{"a":2}'), signature);
+  assert.notStrictEqual(signPayload('whsec_b', 1700000000, '{"a":1}'), signature);
+});
+
+test('deliveries are signed, retried after a failure and logged', async () => {
+  const receiver = await startReceiver([500, 204]);
+  const webhook = new Webhook({ url: receiver.url, events: ['photo.approved'], secret: 'whsec_test' });
+  const delivery = approvedDelivery(webhook);
+  mockFindWebhook(webhook);
+  mockQueue(WebhookDelivery, [delivery]);
+
+  try {
+    assert.deepStrictEqual(await processDeliveries(), { delivered: 0, retrying: 1, failed: 0 });
+    assert.strictEqual(delivery.status, 'pending');
+
+    delivery.nextAttemptAt = new Date();
+    assert.deepStrictEqual(await processDeliveries(), { delivered: 1, retrying: 0, failed: 0 });
+    assert.strictEqual(delivery.status, 'delivered');
+
+    assert.deepStrictEqual(delivery.attemptLog.map(attempt => attempt.responseStatus), [500, 204]);
+    assert.strictEqual(delivery.attemptLog[0].error, 'HTTP 500');
+
+    receiver.requests.forEach(request => {
+      assert.ok(verify(request, 'whsec_test'));
+      assert.strictEqual(request.headers['x-webhook-event'], 'photo.approved');
+      assert.strictEqual(request.headers['x-webhook-delivery'], 'evt_test');
+      assert.deepStrictEqual(JSON.parse(request.body), delivery.payload);
+    });
+  } finally {
+    await receiver.close();
+  }
+});
+
+test('deliveries to a disabled webhook fail without being sent', async () => {
+  const receiver = await startReceiver([200]);
+  const webhook = new Webhook({ url: receiver.url, events: ['photo.approved'], secret: 'whsec_test', active: false });
+  const delivery = approvedDelivery(webhook);
+  mockFindWebhook(webhook);
+  mockQueue(WebhookDelivery, [delivery]);
+
+  try {
+    assert.deepStrictEqual(await processDeliveries(), { delivered: 0, retrying: 0, failed: 1 });
+    assert.strictEqual(delivery.attemptLog[0].error, 'Webhook is disabled');
+    assert.strictEqual(receiver.requests.length, 0);
+  } finally {
+    await receiver.close();
+  }
+});
+
+test('redelivery sends a copy with the same event id', async () => {
+  const receiver = await startReceiver([200]);
+  const webhook = new Webhook({ url: receiver.url, events: ['photo.approved'], secret: 'whsec_test' });
+  const original = approvedDelivery(webhook);
+  const queue = [original];
+  mockFindWebhook(webhook);
+  mockQueue(WebhookDelivery, queue);
+  mock.method(WebhookDelivery, 'create', async fields => {
+    const copy = new WebhookDelivery(fields);
+    queue.push(copy);
+    return copy;
+  });
+
+  try {
+    await assert.rejects(redeliver(original), { code: 'DELIVERY_IN_PROGRESS' });
+
+    await processDeliveries();
+    const copy = await redeliver(original);
+    assert.strictEqual(copy.eventId, original.eventId);
+    assert.ok(copy.redeliveryOf.equals(original._id));
+
+    // redeliver() starts sending in the background
+    while (copy.status !== 'delivered') await new Promise(resolve => setTimeout(resolve, 10));
+    assert.strictEqual(receiver.requests.length, 2);
+    assert.strictEqual(receiver.requests[1].headers['x-webhook-delivery'], 'evt_test');
+  } finally {
+    await receiver.close();
+  }
+});
+
+test('webhooks need an http(s) URL and at least one event', async () => {
+  const admin = { _id: 'a1' };
+
+  await assert.rejects(createWebhook({ url: 'ftp://example.org', events: ['photo.approved'] }, admin), { code: 'INVALID_WEBHOOK_URL' });
+  await assert.rejects(createWebhook({ url: 'not a url', events: ['photo.approved'] }, admin), { code: 'INVALID_WEBHOOK_URL' });
+  await assert.rejects(createWebhook({ url: 'https://example.org', events: [] }, admin), { code: 'INVALID_WEBHOOK_EVENTS' });
+});
+
+test('only the first 1000 bytes of a response body are logged', async () => {
+  const receiver = await startReceiver([200], 'x'.repeat(100000));
+  const webhook = new Webhook({ url: receiver.url, events: ['photo.approved'], secret: 'whsec_test' });
+  const delivery = approvedDelivery(webhook);
+  mockFindWebhook(webhook);
+  mockQueue(WebhookDelivery, [delivery]);
+
+  try {
+    assert.deepStrictEqual(await processDeliveries(), { delivered: 1, retrying: 0, failed: 0 });
+    assert.strictEqual(delivery.attemptLog[0].responseStatus, 200);
+    assert.strictEqual(delivery.attemptLog[0].responseBody, 'x'.repeat(1000));
+  } finally {
+    await receiver.close();
+  }
+});
+
+test('a rejection is sent only for a photo that was approved', async () => {
+  const webhook = new Webhook({ url: 'https://example.org/hook', events: ['photo.rejected'], secret: 'whsec_test' });
+  mock.method(Webhook, 'find', () => ({ select: async () => [webhook] }));
+  mock.method(WebhookDelivery, 'insertMany', async entries => entries);
+  mockQueue(WebhookDelivery, []);
+  startWebhooks();
+
+  const pending = new mongoose.Types.ObjectId();
+  const approved = new mongoose.Types.ObjectId();
+  publish('photo.rejected', { photo: pending, previousStatus: 'pending' });
+  publish('photo.rejected', { photo: approved, previousStatus: 'approved' });
+
+  // Queueing starts the worker in the background; wait until it has looked at the queue
+  while (WebhookDelivery.findOneAndUpdate.mock.callCount() === 0) await new Promise(resolve => setTimeout(resolve, 10));
+  assert.strictEqual(Webhook.find.mock.callCount(), 1);
+  const [entry] = WebhookDelivery.insertMany.mock.calls[0].arguments[0];
+  assert.strictEqual(entry.event, 'photo.rejected');
+  assert.deepStrictEqual(entry.payload.data, { photo: { _id: String(approved) } });
+});
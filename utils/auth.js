@@ -0,0 +1,167 @@
+const crypto = require('crypto');
+
+// Secret used to sign session tokens
+const AUTH_TOKEN_SECRET = process.env.AUTH_TOKEN_SECRET;
+
+// How long a session token stays valid (default: 12 hours)
+const AUTH_TOKEN_TTL = parseInt(process.env.AUTH_TOKEN_TTL_SECONDS, 10) || 12 * 60 * 60;
+
+// Roles in increasing order of privilege
+const ROLES = ['moderator', 'admin'];
+
+// scrypt parameters for password hashing
+const SCRYPT_KEYLEN = 64;
+const SALT_BYTES = 16;
+
+/**
+ * Hash a password with scrypt and a random salt
+ * @param {string} password - Plain text password
+ * @returns {Promise<string>} - "salt:hash" string, both hex encoded
+ */
+function hashPassword(password) {
+  return new Promise((resolve, reject) => {
+    const salt = crypto.randomBytes(SALT_BYTES).toString('hex');
+    crypto.scrypt(password, salt, SCRYPT_KEYLEN, (err, derivedKey) => {
+      if (err) return reject(err);
+      resolve(`${salt}:${derivedKey.toString('hex')}`);
+    });
+  });
+}
+
+/**
+ * Check a password against a stored scrypt hash
+ * @param {string} password - Plain text password
+ * @param {string} storedHash - "salt:hash" string produced by hashPassword
+ * @returns {Promise<boolean>} - Whether the password matches
+ */
+function verifyPassword(password, storedHash) {
+  return new Promise((resolve, reject) => {
+    const [salt, hash] = (storedHash || '').split(':');
+    if (!salt || !hash) return resolve(false);
+
+    crypto.scrypt(password, salt, SCRYPT_KEYLEN, (err, derivedKey) => {
+      if (err) return reject(err);
+      const expected = Buffer.from(hash, 'hex');
+      resolve(expected.length === derivedKey.length && crypto.timingSafeEqual(expected, derivedKey));
+    });
+  });
+}
+
+/**
+ * Make sure a signing secret is configured
+ * @returns {string} - The signing secret
+ */
+function getSecret() {
+  if (!AUTH_TOKEN_SECRET) {
+    throw new Error('AUTH_TOKEN_SECRET is not configured');
+  }
+  return AUTH_TOKEN_SECRET;
+}
+
+/**
+ * Derive a key for another purpose from AUTH_TOKEN_SECRET with HKDF, so one
+ * secret never signs two kinds of data. Without AUTH_TOKEN_SECRET the key is
+ * random, which only lasts as long as the process.
+ * @param {string} purpose - Distinct label per use, e.g. 'image-url-signing'
+ * @returns {string} - Hex key
+ */
+function deriveKey(purpose) {
+  if (!AUTH_TOKEN_SECRET) {
+    return crypto.randomBytes(32).toString('hex');
+  }
+  return Buffer.from(crypto.hkdfSync('sha256', AUTH_TOKEN_SECRET, '', purpose, 32)).toString('hex');
+}
+
+function sign(data) {
+  return crypto.createHmac('sha256', getSecret()).update(data).digest('base64url');
+}
+
+/**
+ * Issue a signed session token for a user (or, with type 'contributor', a contributor)
+ * @param {object} user - User or Contributor document
+ * @param {object} options - { type: 'user' or 'contributor', ttl: lifetime in seconds }
+ * @returns {{ token: string, expiresAt: Date }} - Token and its expiry
+ */
+function createSessionToken(user, { type = 'user', ttl = AUTH_TOKEN_TTL } = {}) {
+  const expiresAt = new Date(Date.now() + ttl * 1000);
+  const payload = Buffer.from(JSON.stringify({
+    sub: user._id.toString(),
+    typ: type,
+    role: user.role,
+    ver: user.tokenVersion || 0,
+    exp: Math.floor(expiresAt.getTime() / 1000)
+  })).toString('base64url');
+
+  return {
+    token: `${payload}.${sign(payload)}`,
+    expiresAt
+  };
+}
+
+/**
+ * Verify a session token's signature and expiry
+ * @param {string} token - Token from the Authorization header
+ * @returns {object|null} - Decoded payload, or null if invalid or expired
+ */
+function verifySessionToken(token) {
+  if (typeof token !== 'string') return null;
+
+  const [payload, signature] = token.split('.');
+  if (!payload || !signature) return null;
+
+  const expected = Buffer.from(sign(payload));
+  const received = Buffer.from(signature);
+  if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+    return null;
+  }
+
+  try {
+    const decoded = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    if (!decoded.exp || decoded.exp * 1000 < Date.now()) return null;
+    return decoded;
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * Generate a random single-use token (sign-in links, claim tokens) and the
+ * hash stored in its place
+ * @returns {{ token: string, hash: string }}
+ */
+function createOpaqueToken() {
+  const token = crypto.randomBytes(32).toString('base64url');
+  return { token, hash: hashOpaqueToken(token) };
+}
+
+/**
+ * Hash a token from createOpaqueToken for lookup
+ * @param {string} token
+ * @returns {string} - Hex SHA-256
+ */
+function hashOpaqueToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+/**
+ * Check whether a role grants at least the privileges of another role
+ * @param {string} role - Role held by the user
+ * @param {string} requiredRole - Minimum role needed
+ * @returns {boolean}
+ */
+function hasRole(role, requiredRole) {
+  const held = ROLES.indexOf(role);
+  return held !== -1 && held >= ROLES.indexOf(requiredRole);
+}
+
+module.exports = {
+  ROLES,
+  hashPassword,
+  verifyPassword,
+  createSessionToken,
+  verifySessionToken,
+  deriveKey,
+  createOpaqueToken,
+  hashOpaqueToken,
+  hasRole
+};
@@ -0,0 +1,122 @@
+// Proof-of-work challenges for anonymous uploads. The server hands out a
+// signed challenge; the client must find a solution whose
+// sha256(`${challenge}:${solution}`) starts with `difficulty` zero bits.
+// Costs a browser a second or so, and a bulk uploader that much per file.
+const crypto = require('crypto');
+const { UPLOAD_CHALLENGE_DIFFICULTY, UPLOAD_CHALLENGE_TTL } = require('../config/rateLimits');
+
+// Challenges only need to survive as long as their TTL, so a per-process
+// secret is enough when none is configured
+const CHALLENGE_SECRET = process.env.UPLOAD_CHALLENGE_SECRET ||
+  process.env.AUTH_TOKEN_SECRET ||
+  crypto.randomBytes(32).toString('hex');
+
+// Solved challenges, kept until they expire so each one is used once
+const usedChallenges = new Map();
+
+function sign(data) {
+  return crypto.createHmac('sha256', CHALLENGE_SECRET).update(`challenge:${data}`).digest('base64url');
+}
+
+/**
+ * Count the leading zero bits of a buffer
+ */
+function leadingZeroBits(buffer) {
+  let bits = 0;
+  for (const byte of buffer) {
+    if (byte === 0) {
+      bits += 8;
+      continue;
+    }
+    bits += Math.clz32(byte) - 24;
+    break;
+  }
+  return bits;
+}
+
+/**
+ * Issue a new challenge
+ * @returns {{ challenge: string, difficulty: number, algorithm: string, expiresAt: Date }}
+ */
+function createChallenge() {
+  const expiresAt = new Date(Date.now() + UPLOAD_CHALLENGE_TTL);
+  const payload = Buffer.from(JSON.stringify({
+    n: crypto.randomBytes(12).toString('base64url'),
+    d: UPLOAD_CHALLENGE_DIFFICULTY,
+    exp: Math.floor(expiresAt.getTime() / 1000)
+  })).toString('base64url');
+
+  return {
+    challenge: `${payload}.${sign(payload)}`,
+    difficulty: UPLOAD_CHALLENGE_DIFFICULTY,
+    algorithm: 'sha256',
+    expiresAt
+  };
+}
+
+/**
+ * Check a solved challenge and mark it used
+ * @param {string} challenge - Challenge from createChallenge
+ * @param {string} solution - Client's solution
+ * @returns {string|null} - Why the challenge was refused, or null if it passed
+ */
+function redeemChallenge(challenge, solution) {
+  if (typeof challenge !== 'string' || typeof solution !== 'string' || solution.length > 64) {
+    return 'Challenge and solution are required';
+  }
+
+  const [payload, signature] = challenge.split('.');
+  const expected = Buffer.from(payload ? sign(payload) : '');
+  const given = Buffer.from(signature || '');
+  // Compare byte lengths: non-ASCII input is longer in bytes than characters
+  if (!signature || given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+    return 'Challenge is not valid';
+  }
+
+  let data;
+  try {
+    data = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+  } catch (err) {
+    return 'Challenge is not valid';
+  }
+
+  const now = Date.now();
+  if (data.exp * 1000 < now) {
+    return 'Challenge has expired';
+  }
+
+  const hash = crypto.createHash('sha256').update(`${challenge}:${solution}`).digest();
+  if (leadingZeroBits(hash) < data.d) {
+    return 'Solution does not meet the challenge difficulty';
+  }
+
+  for (const [nonce, exp] of usedChallenges) {
+    if (exp * 1000 < now) usedChallenges.delete(nonce);
+  }
+  if (usedChallenges.has(data.n)) {
+    return 'Challenge has already been used';
+  }
+  usedChallenges.set(data.n, data.exp);
+
+  return null;
+}
+
+/**
+ * Find a solution to a challenge (what a client does; used by scripts and tests)
+ * @param {string} challenge
+ * @param {number} difficulty
+ * @returns {string}
+ */
+function solveChallenge(challenge, difficulty) {
+  for (let i = 0; ; i++) {
+    const solution = i.toString(36);
+    const hash = crypto.createHash('sha256').update(`${challenge}:${solution}`).digest();
+    if (leadingZeroBits(hash) >= difficulty) return solution;
+  }
+}
+
+module.exports = {
+  createChallenge,
+  redeemChallenge,
+  solveChallenge
+};
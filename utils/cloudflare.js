@@ -1,124 +1,267 @@
 const axios = require('axios');
 const FormData = require('form-data');
 const fs = require('fs');
-const path = require('path');
+const { AppError } = require('./errors');
+const { signPath } = require('./signedUrls');
+const {
+  CLOUDFLARE_ACCOUNT_ID,
+  CLOUDFLARE_API_KEY,
+  CLOUDFLARE_ACCOUNT_HASH,
+  CLOUDFLARE_IMAGE_TAG,
+  CLOUDFLARE_IMAGES_SIGNING_KEY,
+  CLOUDFLARE_API_URL,
+  CLOUDFLARE_TIMEOUT,
+  CLOUDFLARE_MAX_RETRIES,
+  CLOUDFLARE_RETRY_DELAY,
+  CLOUDFLARE_RETRY_MAX_DELAY
+} = require('../config/cloudflare');
 
-// Load Cloudflare credentials from environment variables
-const CLOUDFLARE_ACCOUNT_ID = process.env.CLOUDFLARE_ACCOUNT_ID;
-const CLOUDFLARE_API_KEY = process.env.CLOUDFLARE_IMAGES_API_KEY;
-const CLOUDFLARE_ACCOUNT_HASH = process.env.CLOUDFLARE_ACCOUNT_HASH;
+// Cloudflare Images API base URL (v1 for single images, v2 for listing)
+const IMAGES_API_URL = `${CLOUDFLARE_API_URL}/accounts/${CLOUDFLARE_ACCOUNT_ID}/images`;
 
-// Cloudflare API base URL
-const CLOUDFLARE_API_URL = `https://api.cloudflare.com/client/v4/accounts/${CLOUDFLARE_ACCOUNT_ID}/images/v1`;
+// Network failures worth another attempt
+const RETRYABLE_NETWORK_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ECONNABORTED', 'ETIMEDOUT', 'EAI_AGAIN', 'EPIPE', 'ERR_NETWORK'];
 
-// Supported image formats by Cloudflare Images
-const SUPPORTED_FORMATS = [
-  '.jpg', '.jpeg', '.png', '.gif', '.webp', '.ico', '.svg', '.avif'
-];
+/**
+ * A failed Cloudflare API call. `cloudflareErrors` holds the [{ code, message }]
+ * entries from Cloudflare's response, `httpStatus` the status it answered
+ * with (null for network errors), and `retryable` whether trying again
+ * might help.
+ */
+class CloudflareError extends AppError {
+  constructor(message, { code = 'CLOUDFLARE_REQUEST_FAILED', httpStatus = null, cloudflareErrors = [], retryable = false, attempts = 1 } = {}) {
+    super(message, { status: 502, code });
+    this.httpStatus = httpStatus;
+    this.cloudflareErrors = cloudflareErrors;
+    this.retryable = retryable;
+    this.attempts = attempts;
+  }
+
+  /**
+   * Cloudflare's numeric error codes, e.g. [5404]
+   * @returns {number[]}
+   */
+  get cloudflareCodes() {
+    return this.cloudflareErrors.map(error => error.code);
+  }
+}
 
 /**
- * Check if the file format is supported by Cloudflare Images
- * @param {string} filePath - Path to the image file
- * @returns {boolean} - Whether the format is supported
+ * Turn an axios error (or an unsuccessful API response) into a CloudflareError
+ * @param {Error} error - axios error
+ * @param {string} action - What was being done, for the message
+ * @returns {CloudflareError}
  */
-function isFormatSupported(filePath) {
-  const ext = path.extname(filePath).toLowerCase();
-  return SUPPORTED_FORMATS.includes(ext);
+function toCloudflareError(error, action) {
+  const response = error.response;
+
+  if (!response) {
+    return new CloudflareError(`Cloudflare ${action} failed: ${error.message}`, {
+      code: 'CLOUDFLARE_UNAVAILABLE',
+      retryable: RETRYABLE_NETWORK_CODES.includes(error.code)
+    });
+  }
+
+  const httpStatus = response.status;
+  const cloudflareErrors = (response.data && Array.isArray(response.data.errors)) ? response.data.errors : [];
+  const reason = cloudflareErrors.length
+    ? cloudflareErrors.map(entry => `${entry.message} (${entry.code})`).join('; ')
+    : `HTTP ${httpStatus}`;
+
+  let code = 'CLOUDFLARE_REQUEST_FAILED';
+  if (httpStatus === 404) code = 'CLOUDFLARE_NOT_FOUND';
+  else if (httpStatus === 401 || httpStatus === 403) code = 'CLOUDFLARE_AUTH_FAILED';
+  else if (httpStatus === 429) code = 'CLOUDFLARE_RATE_LIMITED';
+  else if (httpStatus >= 500) code = 'CLOUDFLARE_UNAVAILABLE';
+
+  return new CloudflareError(`Cloudflare ${action} failed: ${reason}`, {
+    code,
+    httpStatus,
+    cloudflareErrors,
+    retryable: httpStatus === 429 || httpStatus >= 500
+  });
 }
 
 /**
- * Upload an image to Cloudflare Images
+ * How long to wait before retry number `attempt` (1-based): Retry-After if
+ * Cloudflare sent one, otherwise exponential backoff with full jitter
+ * @param {number} attempt - Retry number
+ * @param {object} response - axios response of the failed attempt, if any
+ * @returns {number} - Delay in milliseconds
+ */
+function getRetryDelay(attempt, response) {
+  const retryAfter = response && Number(response.headers['retry-after']);
+  if (retryAfter > 0) {
+    return Math.min(retryAfter * 1000, CLOUDFLARE_RETRY_MAX_DELAY);
+  }
+
+  const ceiling = Math.min(CLOUDFLARE_RETRY_DELAY * 2 ** (attempt - 1), CLOUDFLARE_RETRY_MAX_DELAY);
+  return Math.round(ceiling / 2 + Math.random() * ceiling / 2);
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Call the Cloudflare Images API, retrying transient failures
+ * @param {string} action - What is being done, for messages
+ * @param {object} config - axios request config; `data` may be a function
+ *   building a fresh body per attempt (needed for file streams)
+ * @returns {Promise<object>} - Cloudflare's response body
+ */
+async function cloudflareRequest(action, config) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      const response = await axios({
+        ...config,
+        data: typeof config.data === 'function' ? config.data() : config.data,
+        headers: {
+          'Authorization': `Bearer ${CLOUDFLARE_API_KEY}`,
+          ...config.headers
+        },
+        maxBodyLength: Infinity,
+        timeout: CLOUDFLARE_TIMEOUT
+      });
+
+      if (response.data && response.data.success === false) {
+        throw toCloudflareError({ response }, action);
+      }
+
+      return response.data;
+    } catch (error) {
+      const cfError = error instanceof CloudflareError ? error : toCloudflareError(error, action);
+      cfError.attempts = attempt;
+
+      if (!cfError.retryable || attempt > CLOUDFLARE_MAX_RETRIES) {
+        throw cfError;
+      }
+
+      const delay = getRetryDelay(attempt, error.response);
+      console.log(`${cfError.message}; retrying in ${delay}ms (attempt ${attempt + 1} of ${CLOUDFLARE_MAX_RETRIES + 1})`);
+      await sleep(delay);
+    }
+  }
+}
+
+/**
+ * Upload an image to Cloudflare Images, tagged as this app's in its metadata
  * @param {string} filePath - Path to the image file
  * @param {string} metadata - Optional metadata as JSON string
+ * @param {object} options - { requireSignedURLs: only deliver the image through signed URLs }
  * @returns {Promise<object>} - Cloudflare API response
  */
-async function uploadImage(filePath, metadata = '') {
-  try {
-    // Basic validation
-    if (!fs.existsSync(filePath)) {
-      throw new Error(`File not found: ${filePath}`);
-    }
+async function uploadImage(filePath, metadata = '', { requireSignedURLs = false } = {}) {
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`File not found: ${filePath}`);
+  }
+
+  const tagged = JSON.stringify({ ...(metadata ? JSON.parse(metadata) : {}), app: CLOUDFLARE_IMAGE_TAG });
 
-    // Create form data
+  // Retried uploads need a fresh stream each time. An attempt that timed out
+  // may still have been stored; the reconciliation script finds such orphans.
+  const buildForm = () => {
     const formData = new FormData();
-    const fileStream = fs.createReadStream(filePath);
-    
-    // Add file with basic name
-    formData.append('file', fileStream);
-    
-    if (metadata) {
-      formData.append('metadata', metadata);
+    formData.append('file', fs.createReadStream(filePath));
+    formData.append('metadata', tagged);
+
+    if (requireSignedURLs) {
+      formData.append('requireSignedURLs', 'true');
     }
 
-    // Make API request with simple configuration
-    const response = await axios.post(CLOUDFLARE_API_URL, formData, {
-      headers: {
-        'Authorization': `Bearer ${CLOUDFLARE_API_KEY}`,
-      },
-      maxBodyLength: Infinity,
-      timeout: 30000, // 30 second timeout
-    });
-    
-    return response.data;
-  } catch (error) {
-    console.error('Cloudflare upload error:', error.message);
-    throw new Error('Error uploading to Cloudflare: ' + error.message);
-  }
+    return formData;
+  };
+
+  return cloudflareRequest('upload', {
+    method: 'post',
+    url: `${IMAGES_API_URL}/v1`,
+    data: buildForm
+  });
 }
 
 /**
- * Get the MIME type based on file extension
- * @param {string} filePath - Path to the file
- * @returns {string} - MIME type
+ * Delete an image from Cloudflare Images
+ * @param {string} imageId - Cloudflare image ID
+ * @returns {Promise<object>} - Cloudflare API response
  */
-function getMimeType(filePath) {
-  const ext = path.extname(filePath).toLowerCase();
-  const mimeTypes = {
-    '.jpg': 'image/jpeg',
-    '.jpeg': 'image/jpeg',
-    '.png': 'image/png',
-    '.gif': 'image/gif',
-    '.webp': 'image/webp',
-    '.ico': 'image/x-icon',
-    '.svg': 'image/svg+xml',
-    '.avif': 'image/avif'
-  };
-  
-  return mimeTypes[ext] || 'application/octet-stream';
+async function deleteImage(imageId) {
+  return cloudflareRequest(`delete of ${imageId}`, {
+    method: 'delete',
+    url: `${IMAGES_API_URL}/v1/${encodeURIComponent(imageId)}`
+  });
 }
 
 /**
- * Delete an image from Cloudflare Images
+ * Change whether an image can only be delivered through signed URLs
  * @param {string} imageId - Cloudflare image ID
+ * @param {object} changes - { requireSignedURLs }
  * @returns {Promise<object>} - Cloudflare API response
  */
-async function deleteImage(imageId) {
-  try {
-    const response = await axios.delete(`${CLOUDFLARE_API_URL}/${imageId}`, {
-      headers: {
-        'Authorization': `Bearer ${CLOUDFLARE_API_KEY}`,
-      },
-    });
-    return response.data;
-  } catch (error) {
-    console.error('Error deleting from Cloudflare Images:', error.message);
-    throw error;
-  }
+async function updateImage(imageId, { requireSignedURLs }) {
+  return cloudflareRequest(`update of ${imageId}`, {
+    method: 'patch',
+    url: `${IMAGES_API_URL}/v1/${encodeURIComponent(imageId)}`,
+    data: { requireSignedURLs }
+  });
+}
+
+/**
+ * List one page of stored images, oldest first
+ * @param {object} options - { continuationToken, perPage (10-10000, default 1000) }
+ * @returns {Promise<{ images: object[], continuationToken: string|null }>}
+ */
+async function listImages({ continuationToken, perPage = 1000 } = {}) {
+  const data = await cloudflareRequest('image listing', {
+    method: 'get',
+    url: `${IMAGES_API_URL}/v2`,
+    params: {
+      per_page: perPage,
+      sort_order: 'asc',
+      ...(continuationToken ? { continuation_token: continuationToken } : {})
+    }
+  });
+
+  return {
+    images: data.result.images || [],
+    continuationToken: data.result.continuation_token || null
+  };
+}
+
+/**
+ * Whether a listed image was uploaded by this app
+ * @param {object} image - Entry from listImages()
+ * @returns {boolean}
+ */
+function isOwnImage(image) {
+  return Boolean(image.meta && image.meta.app === CLOUDFLARE_IMAGE_TAG);
+}
+
+/**
+ * Whether images can be made private (a URL signing key is configured)
+ * @returns {boolean}
+ */
+function canSignUrls() {
+  return Boolean(CLOUDFLARE_IMAGES_SIGNING_KEY);
 }
 
 /**
  * Generate a delivery URL for a Cloudflare image
  * @param {string} imageId - Cloudflare image ID
  * @param {string} variant - Delivery variant (default: 'public')
+ * @param {object} options - { expiresAt: sign the URL, valid until this Date }
  * @returns {string} - Image delivery URL
  */
-function getImageUrl(imageId, variant = 'public') {
-  return `https://imagedelivery.net/${CLOUDFLARE_ACCOUNT_HASH}/${imageId}/${variant}`;
+function getImageUrl(imageId, variant = 'public', { expiresAt } = {}) {
+  const pathname = `/${CLOUDFLARE_ACCOUNT_HASH}/${imageId}/${variant}`;
+  const query = expiresAt && canSignUrls() ? signPath(pathname, expiresAt, CLOUDFLARE_IMAGES_SIGNING_KEY) : '';
+  return `https://imagedelivery.net${pathname}${query}`;
 }
 
 module.exports = {
+  CloudflareError,
   uploadImage,
   deleteImage,
-  getImageUrl,
-  SUPPORTED_FORMATS // Export supported formats for use in frontend validation
-}; 
\ No newline at end of file
+  updateImage,
+  listImages,
+  isOwnImage,
+  canSignUrls,
+  getImageUrl
+};
@@ -0,0 +1,164 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const sharp = require('sharp');
+const Photo = require('../models/Photo');
+
+// Maximum Hamming distance (out of 64 bits) for two images to count as near-duplicates
+const NEAR_DUPLICATE_THRESHOLD = parseInt(process.env.NEAR_DUPLICATE_THRESHOLD, 10) || 10;
+
+// Perceptual hashes are split into this many bands, stored on the photo and
+// indexed, and only photos sharing at least one band are compared. Hashes
+// fewer bits apart than there are bands always share one.
+const PERCEPTUAL_HASH_BANDS = 8;
+
+// Most candidates compared per upload, newest first
+const NEAR_DUPLICATE_SCAN_LIMIT = parseInt(process.env.NEAR_DUPLICATE_SCAN_LIMIT, 10) || 2000;
+
+// Photos that count as duplicates; rejected ones don't, so a contributor can resubmit
+const LIVE_STATUSES = ['pending', 'approved'];
+
+/**
+ * Compute the SHA-256 of a file's content
+ * @param {string} filePath - Path to the file
+ * @returns {Promise<string>} - Hex digest
+ */
+function computeContentHash(filePath) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    fs.createReadStream(filePath)
+      .on('error', reject)
+      .on('data', chunk => hash.update(chunk))
+      .on('end', () => resolve(hash.digest('hex')));
+  });
+}
+
+/**
+ * Compute a 64-bit difference hash (dHash) of an image. Re-compressed,
+ * resized or lightly re-cropped copies of a picture end up a few bits apart.
+ * @param {string} filePath - Path to the image file
+ * @returns {Promise<string|null>} - 16 hex characters, or null if the image can't be decoded
+ */
+async function computePerceptualHash(filePath) {
+  try {
+    const pixels = await sharp(filePath)
+      .rotate()
+      .greyscale()
+      .resize(9, 8, { fit: 'fill' })
+      .raw()
+      .toBuffer();
+
+    let hash = 0n;
+    for (let row = 0; row < 8; row++) {
+      for (let col = 0; col < 8; col++) {
+        const left = pixels[row * 9 + col];
+        const right = pixels[row * 9 + col + 1];
+        hash = (hash << 1n) | (left > right ? 1n : 0n);
+      }
+    }
+
+    return hash.toString(16).padStart(16, '0');
+  } catch (error) {
+    console.error('Perceptual hash failed:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Count the differing bits between two perceptual hashes
+ * @param {string} a - Hex hash
+ * @param {string} b - Hex hash
+ * @returns {number}
+ */
+function hammingDistance(a, b) {
+  let diff = BigInt(`0x${a}`) ^ BigInt(`0x${b}`);
+  let count = 0;
+  while (diff) {
+    count += Number(diff & 1n);
+    diff >>= 1n;
+  }
+  return count;
+}
+
+/**
+ * Split a perceptual hash into its bands, tagged with their position
+ * @param {string|null} perceptualHash - 16 hex characters
+ * @returns {string[]} - e.g. ['0:a3', '1:07', ...]
+ */
+function getHashBands(perceptualHash) {
+  if (!perceptualHash) return [];
+
+  const width = perceptualHash.length / PERCEPTUAL_HASH_BANDS;
+  return Array.from({ length: PERCEPTUAL_HASH_BANDS }, (_, index) =>
+    `${index}:${perceptualHash.slice(index * width, (index + 1) * width)}`);
+}
+
+/**
+ * Find the live photo with the same file content, if any
+ * @param {string} contentHash
+ * @returns {Promise<object|null>}
+ */
+function findExactDuplicate(contentHash) {
+  return Photo.findOne({ contentHash, status: { $in: LIVE_STATUSES } });
+}
+
+/**
+ * Check whether a save failed because another live photo has the same
+ * content, e.g. when the same file was uploaded twice at once
+ * @param {Error} err - Error from save()
+ * @returns {boolean}
+ */
+function isDuplicateContentError(err) {
+  return Boolean(err && err.code === 11000 && err.keyPattern && err.keyPattern.contentHash);
+}
+
+/**
+ * Hash an uploaded file and look for photos it duplicates.
+ * Exact duplicates are found through the contentHash index; near-duplicates
+ * among the photos sharing a hash band, at most NEAR_DUPLICATE_SCAN_LIMIT.
+ * @param {string} filePath - Path to the uploaded file
+ * @returns {Promise<{ contentHash: string, perceptualHash: string|null, perceptualHashBands: string[], exactDuplicate: object|null, nearDuplicates: object[] }>}
+ */
+async function checkForDuplicates(filePath) {
+  const [contentHash, perceptualHash] = await Promise.all([
+    computeContentHash(filePath),
+    computePerceptualHash(filePath)
+  ]);
+  const perceptualHashBands = getHashBands(perceptualHash);
+
+  const exactDuplicate = await findExactDuplicate(contentHash);
+
+  const nearDuplicates = [];
+  if (perceptualHash && !exactDuplicate) {
+    const candidates = await Photo.find(
+      { perceptualHashBands: { $in: perceptualHashBands }, status: { $in: LIVE_STATUSES } },
+      { _id: 1, perceptualHash: 1 }
+    )
+      .sort({ submittedAt: -1 })
+      .limit(NEAR_DUPLICATE_SCAN_LIMIT)
+      .lean();
+
+    candidates.forEach(candidate => {
+      const distance = hammingDistance(perceptualHash, candidate.perceptualHash);
+      if (distance <= NEAR_DUPLICATE_THRESHOLD) {
+        nearDuplicates.push({ photo: candidate._id, distance });
+      }
+    });
+
+    nearDuplicates.sort((a, b) => a.distance - b.distance);
+  }
+
+  return { contentHash, perceptualHash, perceptualHashBands, exactDuplicate, nearDuplicates };
+}
+
+module.exports = {
+  NEAR_DUPLICATE_THRESHOLD,
+  NEAR_DUPLICATE_SCAN_LIMIT,
+  PERCEPTUAL_HASH_BANDS,
+  computeContentHash,
+  computePerceptualHash,
+  hammingDistance,
+  getHashBands,
+  findExactDuplicate,
+  isDuplicateContentError,
+  checkForDuplicates
+};
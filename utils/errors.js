@@ -0,0 +1,133 @@
+// Error classes shared by routes, middleware and services. Anything that
+// should reach the client as a 4xx is an AppError carrying an HTTP status
+// and a stable machine-readable code; the error handler in
+// middleware/errorHandler.js turns them into responses.
+
+/**
+ * Base class for errors with a status and code
+ */
+class AppError extends Error {
+  constructor(message, { status = 500, code = 'INTERNAL_ERROR', details } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+
+  /**
+   * JSON body sent to the client
+   * @returns {{ error: string, code: string, details?: * }}
+   */
+  toResponseBody() {
+    const body = { error: this.message, code: this.code };
+    if (this.details !== undefined) body.details = this.details;
+    return body;
+  }
+}
+
+/**
+ * A request that failed validation. details lists each problem as
+ * { location, field, message } with location one of params, query or body.
+ */
+class ValidationError extends AppError {
+  constructor(message, details = [], { code = 'VALIDATION_FAILED' } = {}) {
+    super(message, { status: 400, code, details });
+  }
+
+  /**
+   * A validation error about a single field
+   * @param {string} location - params, query or body
+   * @param {string} field - Field name
+   * @param {string} message - What is wrong with it
+   * @param {string} code - Error code (default VALIDATION_FAILED)
+   */
+  static forField(location, field, message, code) {
+    return new ValidationError(message, [{ location, field, message }], { code });
+  }
+}
+
+class NotFoundError extends AppError {
+  constructor(message = 'Not found', { code = 'NOT_FOUND' } = {}) {
+    super(message, { status: 404, code });
+  }
+}
+
+class AuthenticationError extends AppError {
+  constructor(message = 'Authentication required', { code = 'AUTH_REQUIRED' } = {}) {
+    super(message, { status: 401, code });
+  }
+}
+
+class PermissionError extends AppError {
+  constructor(message = 'Insufficient permissions', { code = 'FORBIDDEN' } = {}) {
+    super(message, { status: 403, code });
+  }
+}
+
+class ConflictError extends AppError {
+  constructor(message, { code = 'CONFLICT', details } = {}) {
+    super(message, { status: 409, code, details });
+  }
+}
+
+/**
+ * Too many requests; the client should wait retryAfter seconds
+ */
+class RateLimitError extends AppError {
+  constructor(message, { code = 'RATE_LIMITED', retryAfter } = {}) {
+    super(message, { status: 429, code });
+    this.retryAfter = retryAfter;
+  }
+
+  toResponseBody() {
+    return { ...super.toResponseBody(), retryAfter: this.retryAfter };
+  }
+}
+
+/**
+ * Map any error to the status and JSON body sent to the client
+ * @param {Error} err
+ * @returns {{ status: number, body: object }}
+ */
+function toErrorResponse(err) {
+  if (err instanceof AppError) {
+    return { status: err.status, body: err.toResponseBody() };
+  }
+
+  // Errors raised by express.json()/express.raw() while reading the body
+  if (err.type === 'entity.parse.failed') {
+    return { status: 400, body: { error: 'Request body is not valid JSON', code: 'INVALID_JSON' } };
+  }
+  if (err.type === 'entity.too.large') {
+    return { status: 413, body: { error: 'Request body is too large', code: 'PAYLOAD_TOO_LARGE' } };
+  }
+
+  // Mongoose errors that slipped past request validation
+  if (err.name === 'CastError') {
+    return {
+      status: 400,
+      body: { error: `Invalid value for ${err.path}`, code: 'VALIDATION_FAILED', details: [{ field: err.path, message: `Invalid value for ${err.path}` }] }
+    };
+  }
+  if (err.name === 'ValidationError' && err.errors) {
+    const details = Object.values(err.errors).map(error => ({ field: error.path, message: error.message }));
+    return { status: 400, body: { error: 'Invalid data', code: 'VALIDATION_FAILED', details } };
+  }
+  if (err.code === 11000) {
+    return { status: 409, body: { error: 'A record with that value already exists', code: 'DUPLICATE_KEY', details: err.keyValue } };
+  }
+
+  return { status: 500, body: { error: 'Internal server error', code: 'INTERNAL_ERROR' } };
+}
+
+module.exports = {
+  AppError,
+  ValidationError,
+  NotFoundError,
+  AuthenticationError,
+  PermissionError,
+  ConflictError,
+  RateLimitError,
+  toErrorResponse
+};
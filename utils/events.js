@@ -0,0 +1,33 @@
+// In-process bus for domain events ('photo.submitted', 'photo.approved', ...).
+// Routes publish once the change is saved; subscribers such as the
+// notification service react without being able to fail the request.
+const { EventEmitter } = require('events');
+
+const bus = new EventEmitter();
+
+/**
+ * Publish an event. Subscribers run after the current request has moved on.
+ * @param {string} event - Event name
+ * @param {object} payload - Event data
+ */
+function publish(event, payload) {
+  setImmediate(() => bus.emit(event, payload));
+}
+
+/**
+ * Run a handler for every occurrence of an event; errors are logged, never thrown
+ * @param {string} event - Event name
+ * @param {Function} handler - async (payload) => void
+ */
+function subscribe(event, handler) {
+  bus.on(event, payload => {
+    Promise.resolve()
+      .then(() => handler(payload))
+      .catch(err => console.error(`Handler for ${event} failed:`, err));
+  });
+}
+
+module.exports = {
+  publish,
+  subscribe
+};
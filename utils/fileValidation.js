@@ -0,0 +1,128 @@
+const fs = require('fs');
+const path = require('path');
+const { KNOWN_FORMATS, ALLOWED_FORMATS, MAX_FILE_SIZE } = require('../config/uploads');
+
+// Bytes read from the start of a file to identify it
+const SNIFF_BYTES = 1024;
+
+/**
+ * Identify an image format from the first bytes of a file
+ * @param {Buffer} header - Leading bytes of the file
+ * @returns {string|null} - Key of KNOWN_FORMATS, or null if unrecognised
+ */
+function detectFormat(header) {
+  const ascii = (start, end) => header.toString('latin1', start, end);
+
+  if (header[0] === 0xff && header[1] === 0xd8 && header[2] === 0xff) return 'jpeg';
+  if (header.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) return 'png';
+  if (ascii(0, 6) === 'GIF87a' || ascii(0, 6) === 'GIF89a') return 'gif';
+  if (ascii(0, 4) === 'RIFF' && ascii(8, 12) === 'WEBP') return 'webp';
+
+  // ISO base media (AVIF/HEIC): "ftyp" box followed by the major brand
+  if (ascii(4, 8) === 'ftyp') {
+    const brand = ascii(8, 12);
+    if (brand === 'avif' || brand === 'avis') return 'avif';
+    if (['heic', 'heix', 'hevc', 'hevx', 'mif1', 'msf1'].includes(brand)) return 'heic';
+  }
+
+  if (ascii(0, 4) === 'II*\0' || ascii(0, 4) === 'MM\0*') return 'tiff';
+  if (ascii(0, 2) === 'BM') return 'bmp';
+  if (header[0] === 0 && header[1] === 0 && header[2] === 1 && header[3] === 0) return 'ico';
+
+  // SVG is text: look for an <svg> element near the start, after any prolog
+  const text = header.toString('utf8').replace(/^\uFEFF/, '').trimStart();
+  if ((text.startsWith('<?xml') || text.startsWith('<!--') || text.startsWith('<!DOCTYPE') || text.startsWith('<svg')) && /<svg[\s>]/i.test(text)) {
+    return 'svg';
+  }
+
+  return null;
+}
+
+/**
+ * Check an uploaded file's real content against the allow-list. On success
+ * the file is renamed to the canonical extension for its format, and
+ * file.path / file.filename / file.detectedFormat are updated.
+ * @param {object} file - Multer file object
+ * @param {number} maxFileSize - Size limit (default: MAX_FILE_SIZE)
+ * @returns {Promise<{ format: string|undefined, error: string|undefined, code: string|undefined }>}
+ */
+async function validateUploadedFile(file, maxFileSize = MAX_FILE_SIZE) {
+  if (file.size > maxFileSize) {
+    return { error: `File is larger than ${formatBytes(maxFileSize)}`, code: 'FILE_TOO_LARGE' };
+  }
+
+  if (file.size === 0) {
+    return { error: 'File is empty', code: 'EMPTY_FILE' };
+  }
+
+  const handle = await fs.promises.open(file.path, 'r');
+  let header;
+  try {
+    const buffer = Buffer.alloc(SNIFF_BYTES);
+    const { bytesRead } = await handle.read(buffer, 0, SNIFF_BYTES, 0);
+    header = buffer.subarray(0, bytesRead);
+  } finally {
+    await handle.close();
+  }
+
+  const format = detectFormat(header);
+
+  if (!format) {
+    return { error: 'File content is not a recognised image format', code: 'UNRECOGNIZED_FILE' };
+  }
+
+  if (format === 'svg') {
+    return { error: 'SVG images are not accepted because they can contain scripts', code: 'SVG_NOT_ALLOWED' };
+  }
+
+  if (!ALLOWED_FORMATS.includes(format)) {
+    return { error: `${format.toUpperCase()} images are not accepted`, code: 'UNSUPPORTED_FORMAT' };
+  }
+
+  // Name the temp file after what it really is, not what the client claimed
+  const extension = KNOWN_FORMATS[format].extensions[0];
+  if (path.extname(file.path).toLowerCase() !== extension) {
+    const parsed = path.parse(file.path);
+    const newPath = path.join(parsed.dir, `${parsed.name}${extension}`);
+    await fs.promises.rename(file.path, newPath);
+    file.path = newPath;
+    file.filename = path.basename(newPath);
+  }
+
+  file.detectedFormat = format;
+  file.mimetype = KNOWN_FORMATS[format].mimeType;
+
+  return { format };
+}
+
+/**
+ * Format a byte count as a human-readable size
+ * @param {number} bytes
+ * @returns {string} - e.g. "25MB"
+ */
+function formatBytes(bytes) {
+  if (bytes >= 1024 * 1024) return `${Math.round(bytes / (1024 * 1024))}MB`;
+  if (bytes >= 1024) return `${Math.round(bytes / 1024)}KB`;
+  return `${bytes}B`;
+}
+
+/**
+ * Describe the enforced upload limits
+ * @returns {object}
+ */
+function getUploadLimits() {
+  return {
+    formats: ALLOWED_FORMATS,
+    extensions: ALLOWED_FORMATS.flatMap(format => KNOWN_FORMATS[format].extensions),
+    mimeTypes: ALLOWED_FORMATS.map(format => KNOWN_FORMATS[format].mimeType),
+    maxFileSize: MAX_FILE_SIZE,
+    maxFileSizeText: formatBytes(MAX_FILE_SIZE)
+  };
+}
+
+module.exports = {
+  detectFormat,
+  validateUploadedFile,
+  formatBytes,
+  getUploadLimits
+};
@@ -0,0 +1,105 @@
+const fs = require('fs');
+const sharp = require('sharp');
+const exifReader = require('exif-reader');
+
+// Formats that are re-encoded (auto-oriented and stripped of metadata) before
+// storage. Anything else is refused, since it would keep its EXIF and GPS data.
+// Keep in step with STORABLE_FORMATS in config/uploads.js.
+const OUTPUT_OPTIONS = {
+  jpeg: { quality: 95, mozjpeg: true },
+  png: {},
+  webp: { quality: 95 },
+  avif: { quality: 80 },
+  tiff: { compression: 'lzw' },
+  gif: {}
+};
+
+/**
+ * Read the useful, non-sensitive fields out of an EXIF block.
+ * GPS position, serial numbers and owner names are deliberately left out.
+ * @param {Buffer} buffer - Raw EXIF data from sharp
+ * @returns {object} - { capturedAt, cameraMake, cameraModel, lensModel, software }
+ */
+function readExif(buffer) {
+  if (!buffer) return {};
+
+  try {
+    const exif = exifReader(buffer);
+    const image = exif.Image || {};
+    const photo = exif.Photo || {};
+    const capturedAt = photo.DateTimeOriginal || photo.DateTimeDigitized || image.DateTime;
+
+    return {
+      capturedAt: capturedAt instanceof Date && !isNaN(capturedAt.getTime()) ? capturedAt : undefined,
+      cameraMake: image.Make ? String(image.Make).trim() : undefined,
+      cameraModel: image.Model ? String(image.Model).trim() : undefined,
+      lensModel: photo.LensModel ? String(photo.LensModel).trim() : undefined,
+      software: image.Software ? String(image.Software).trim() : undefined
+    };
+  } catch (error) {
+    console.error('Error reading EXIF data:', error.message);
+    return {};
+  }
+}
+
+/**
+ * Name an image's format the way OUTPUT_OPTIONS and sharp's encoders do.
+ * sharp reports both AVIF and HEIC as 'heif'; AVIF is the AV1-compressed one.
+ * @param {object} metadata - From sharp().metadata()
+ * @returns {string}
+ */
+function getImageFormat(metadata) {
+  if (metadata.format === 'heif') {
+    return metadata.compression === 'av1' ? 'avif' : 'heic';
+  }
+  return metadata.format;
+}
+
+/**
+ * Prepare an uploaded image for storage, in place: extract EXIF, rotate it
+ * upright according to its orientation tag, and re-encode it without
+ * metadata (GPS, device serials, embedded thumbnails). The ICC profile is
+ * kept so colours don't shift.
+ * @param {string} filePath - Path to the image file; overwritten with the processed image
+ * @returns {Promise<{ width: number, height: number, fileSize: number, format: string, exif: object }>}
+ */
+async function processImage(filePath) {
+  const metadata = await sharp(filePath).metadata();
+  const exif = readExif(metadata.exif);
+  const format = getImageFormat(metadata);
+  const outputOptions = OUTPUT_OPTIONS[format];
+
+  if (!outputOptions) {
+    throw new Error(`${format} images can't be stripped of metadata`);
+  }
+
+  const processedPath = `${filePath}.processed`;
+
+  try {
+    const info = await sharp(filePath, { animated: format === 'gif' })
+      .rotate()
+      .keepIccProfile()
+      .toFormat(format, outputOptions)
+      .toFile(processedPath);
+
+    await fs.promises.rename(processedPath, filePath);
+
+    return {
+      width: info.width,
+      height: format === 'gif' ? metadata.pageHeight || info.height : info.height,
+      fileSize: info.size,
+      format,
+      exif
+    };
+  } catch (error) {
+    await fs.promises.rm(processedPath, { force: true });
+    throw error;
+  }
+}
+
+module.exports = {
+  OUTPUT_OPTIONS,
+  readExif,
+  getImageFormat,
+  processImage
+};
@@ -0,0 +1,124 @@
+const Location = require('../models/Location');
+const Photo = require('../models/Photo');
+
+/**
+ * Look up the registered floor (and room) a photo refers to
+ * @param {string} floorId - Floor key
+ * @param {string} roomId - Optional room key within the floor
+ * @returns {Promise<{ floor: object, room: object|null, error: string|undefined }>}
+ */
+async function resolveLocation(floorId, roomId) {
+  if (!floorId) {
+    return { error: 'floorId is required' };
+  }
+
+  const floor = await Location.findOne({ type: 'floor', key: floorId });
+  if (!floor) {
+    return { error: `Unknown floor: ${floorId}` };
+  }
+
+  if (!roomId) {
+    return { floor, room: null };
+  }
+
+  const room = await Location.findOne({ type: 'room', key: roomId, parent: floor._id });
+  if (!room) {
+    return { error: `Unknown room ${roomId} on floor ${floorId}` };
+  }
+
+  return { floor, room };
+}
+
+/**
+ * Build the building → floor → room tree with approved-photo counts per node
+ * @returns {Promise<object[]>} - Buildings, each with nested floors and rooms
+ */
+async function getLocationTree() {
+  const [locations, counts] = await Promise.all([
+    Location.find().sort({ order: 1, name: 1 }).lean(),
+    Photo.aggregate([
+      { $match: { status: 'approved' } },
+      { $group: { _id: { floorId: '$floorId', roomId: '$roomId' }, count: { $sum: 1 } } }
+    ])
+  ]);
+
+  const floorCounts = {};
+  const roomCounts = {};
+  counts.forEach(({ _id, count }) => {
+    floorCounts[_id.floorId] = (floorCounts[_id.floorId] || 0) + count;
+    if (_id.roomId) {
+      roomCounts[`${_id.floorId}/${_id.roomId}`] = count;
+    }
+  });
+
+  const nodes = new Map(locations.map(location => [location._id.toString(), {
+    id: location._id,
+    type: location.type,
+    key: location.key,
+    name: location.name,
+    order: location.order,
+    coordinates: location.coordinates,
+    approvedCount: 0,
+    children: []
+  }]));
+
+  const roots = [];
+  locations.forEach(location => {
+    const node = nodes.get(location._id.toString());
+    const parent = location.parent && nodes.get(location.parent.toString());
+
+    if (location.type === 'floor') {
+      node.approvedCount = floorCounts[location.key] || 0;
+    }
+    if (location.type === 'room' && parent) {
+      node.approvedCount = roomCounts[`${parent.key}/${location.key}`] || 0;
+    }
+
+    if (parent) {
+      parent.children.push(node);
+    } else {
+      roots.push(node);
+    }
+  });
+
+  // Buildings total the photos on their floors
+  roots.forEach(root => {
+    if (root.type === 'building') {
+      root.approvedCount = root.children.reduce((sum, floor) => sum + floor.approvedCount, 0);
+    }
+  });
+
+  return roots;
+}
+
+/**
+ * Find floor/room values on photos that don't match the registry
+ * @returns {Promise<object[]>} - [{ floorId, roomId, count }]
+ */
+async function findUnmatchedPhotoLocations() {
+  const [floors, rooms, used] = await Promise.all([
+    Location.find({ type: 'floor' }).lean(),
+    Location.find({ type: 'room' }).lean(),
+    Photo.aggregate([
+      { $group: { _id: { floorId: '$floorId', roomId: '$roomId' }, count: { $sum: 1 } } }
+    ])
+  ]);
+
+  const floorIds = new Map(floors.map(floor => [floor.key, floor._id.toString()]));
+  const roomKeys = new Set(rooms.map(room => `${room.parent}/${room.key}`));
+
+  return used
+    .filter(({ _id }) => {
+      const floor = floorIds.get(_id.floorId);
+      if (!floor) return true;
+      return Boolean(_id.roomId) && !roomKeys.has(`${floor}/${_id.roomId}`);
+    })
+    .map(({ _id, count }) => ({ floorId: _id.floorId, roomId: _id.roomId || null, count }))
+    .sort((a, b) => b.count - a.count);
+}
+
+module.exports = {
+  resolveLocation,
+  getLocationTree,
+  findUnmatchedPhotoLocations
+};
@@ -0,0 +1,47 @@
+// Outgoing email over SMTP
+const nodemailer = require('nodemailer');
+const { SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASS, MAIL_FROM } = require('../config/notifications');
+
+let transport = null;
+
+/**
+ * Whether an SMTP server is configured
+ * @returns {boolean}
+ */
+function isMailConfigured() {
+  return Boolean(SMTP_HOST);
+}
+
+/**
+ * The shared SMTP transport, created on first use
+ * @returns {object} - nodemailer transport
+ */
+function getTransport() {
+  if (!transport) {
+    transport = nodemailer.createTransport({
+      host: SMTP_HOST,
+      port: SMTP_PORT,
+      secure: SMTP_SECURE,
+      auth: SMTP_USER ? { user: SMTP_USER, pass: SMTP_PASS } : undefined
+    });
+  }
+  return transport;
+}
+
+/**
+ * Send a plain-text email
+ * @param {object} message - { to, subject, text }
+ * @returns {Promise<object>} - nodemailer's send info
+ */
+async function sendMail({ to, subject, text }) {
+  if (!isMailConfigured()) {
+    throw new Error('SMTP is not configured (set SMTP_HOST)');
+  }
+
+  return getTransport().sendMail({ from: MAIL_FROM, to, subject, text });
+}
+
+module.exports = {
+  isMailConfigured,
+  sendMail
+};
@@ -0,0 +1,116 @@
+// Background delivery queues shared by notifications and webhooks. Queued
+// documents carry status, attempts, nextAttemptAt and lockedAt; a worker
+// claims each due one before sending it, so several server instances can
+// drain the same queue, and reschedules failures with exponential backoff.
+const Photo = require('../models/Photo');
+
+/**
+ * Accept a Photo document or an id, as events from bulk actions carry ids
+ * @param {object|string} photo
+ * @returns {Promise<object|null>}
+ */
+async function loadEventPhoto(photo) {
+  return photo && photo._id ? photo : Photo.findById(photo);
+}
+
+/**
+ * Create a worker for a queue collection
+ * @param {object} Model - Mongoose model of the queued documents
+ * @param {object} options
+ * @param {string} options.label - Name used in log messages, e.g. 'Notification outbox'
+ * @param {string} options.doneStatus - Status of a document once sent, e.g. 'sent'
+ * @param {number} options.batchSize - Documents sent per run
+ * @param {number} options.maxAttempts - Attempts before a document is marked failed
+ * @param {number} options.retryDelay - Wait after the first failure; doubles after each one
+ * @param {number} options.retryMaxDelay - Longest wait between attempts
+ * @param {number} options.sendingTimeout - Age of a claim after which its worker is presumed dead
+ * @param {Function} options.send - async (doc) => { ok, error, final }; records its own
+ *   details on the document, which the worker saves. `final` fails it without retrying.
+ * @returns {{ run: Function, schedule: Function, start: Function }}
+ */
+function createQueueWorker(Model, { label, doneStatus, batchSize, maxAttempts, retryDelay, retryMaxDelay, sendingTimeout, send }) {
+  let running = false;
+
+  const getRetryDelay = attempts => Math.min(retryDelay * 2 ** (attempts - 1), retryMaxDelay);
+
+  /**
+   * Send the due documents once
+   * @returns {Promise<object>} - Counts by outcome: { [doneStatus], retrying, failed }
+   */
+  async function run() {
+    const result = { [doneStatus]: 0, retrying: 0, failed: 0 };
+    if (running) return result;
+    running = true;
+
+    try {
+      // Release documents whose worker died mid-send
+      await Model.updateMany(
+        { status: 'sending', lockedAt: { $lt: new Date(Date.now() - sendingTimeout) } },
+        { $set: { status: 'pending', lockedAt: null } }
+      );
+
+      for (let count = 0; count < batchSize; count++) {
+        const doc = await Model.findOneAndUpdate(
+          { status: 'pending', nextAttemptAt: { $lte: new Date() } },
+          { $set: { status: 'sending', lockedAt: new Date() }, $inc: { attempts: 1 } },
+          { sort: { nextAttemptAt: 1 }, new: true }
+        );
+        if (!doc) break;
+
+        const { ok, error, final } = await send(doc);
+        doc.lockedAt = null;
+
+        if (ok) {
+          doc.status = doneStatus;
+          result[doneStatus]++;
+        } else if (final || doc.attempts >= maxAttempts) {
+          doc.status = 'failed';
+          result.failed++;
+          console.error(`${label} ${doc._id} (${doc.event}) failed for good: ${error}`);
+        } else {
+          doc.status = 'pending';
+          doc.nextAttemptAt = new Date(Date.now() + getRetryDelay(doc.attempts));
+          result.retrying++;
+        }
+
+        await doc.save();
+      }
+    } finally {
+      running = false;
+    }
+
+    return result;
+  }
+
+  /**
+   * Start sending without waiting for the next interval
+   */
+  function schedule() {
+    setImmediate(() => {
+      run().catch(err => console.error(`${label} failed:`, err));
+    });
+  }
+
+  /**
+   * Run every `interval` milliseconds, logging what each run did
+   * @param {number} interval
+   */
+  function start(interval) {
+    setInterval(() => {
+      run()
+        .then(({ [doneStatus]: done, retrying, failed }) => {
+          if (done || retrying || failed) {
+            console.log(`${label}: ${done} ${doneStatus}, ${retrying} to retry, ${failed} failed`);
+          }
+        })
+        .catch(err => console.error(`${label} failed:`, err));
+    }, interval).unref();
+  }
+
+  return { run, schedule, start };
+}
+
+module.exports = {
+  loadEventPhoto,
+  createQueueWorker
+};
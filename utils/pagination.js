@@ -0,0 +1,207 @@
+// Cursor-based pagination shared by the listing endpoints.
+// Cursors encode the sort value and _id of the last item on a page, so pages
+// stay stable while new photos are being added.
+const mongoose = require('mongoose');
+const { ValidationError } = require('./errors');
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+// What a cursor's sort value must be, by the schema type of the sort field
+const CURSOR_VALUE_CHECKS = {
+  Date: value => value instanceof Date,
+  Number: value => typeof value === 'number' && Number.isFinite(value),
+  String: value => typeof value === 'string'
+};
+
+/**
+ * Encode the position after a document as an opaque cursor
+ * @param {object} doc - Last document on the page
+ * @param {string} sortField - Field the listing is sorted on
+ * @returns {string}
+ */
+function encodeCursor(doc, sortField) {
+  const value = doc.get ? doc.get(sortField) : sortField.split('.').reduce((v, k) => (v == null ? v : v[k]), doc);
+  const payload = {
+    v: value instanceof Date ? value.toISOString() : (value === undefined ? null : value),
+    d: value instanceof Date,
+    id: doc._id.toString()
+  };
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+}
+
+/**
+ * Decode a cursor produced by encodeCursor
+ * @param {string} cursor
+ * @returns {{ value: *, id: string }|null} - null if the cursor is malformed
+ */
+function decodeCursor(cursor) {
+  try {
+    const payload = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (!payload || typeof payload.id !== 'string' || !/^[0-9a-f]{24}$/.test(payload.id)) return null;
+
+    // Only plain values; an object here would reach the filter as an operator
+    if (payload.v !== null && !['string', 'number'].includes(typeof payload.v)) return null;
+
+    const value = payload.d ? new Date(payload.v) : payload.v;
+    if (payload.d && isNaN(value.getTime())) return null;
+
+    return { value, id: payload.id };
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * Check that a cursor's sort value has the sort field's type, so a cursor
+ * made for one listing (or by hand) can't be used on another
+ * @param {object} Model - Mongoose model
+ * @param {string} sortField
+ * @param {*} value - Decoded cursor value
+ * @returns {boolean}
+ */
+function isValidCursorValue(Model, sortField, value) {
+  if (sortField === '_id' || value === null) return true;
+
+  const path = Model.schema.path(sortField);
+  const check = path && CURSOR_VALUE_CHECKS[path.instance];
+  return Boolean(check && check(value));
+}
+
+/**
+ * Build the filter selecting documents after a cursor position.
+ * Mongo sorts null/missing values first, which is handled explicitly.
+ * @param {{ value: *, id: string }} cursor - Decoded cursor
+ * @param {string} sortField - Field the listing is sorted on
+ * @param {number} direction - 1 for ascending, -1 for descending
+ * @returns {object} - Mongo filter
+ */
+function buildCursorFilter({ value, id }, sortField, direction) {
+  const _id = new mongoose.Types.ObjectId(id);
+  const after = direction === 1 ? '$gt' : '$lt';
+
+  if (sortField === '_id') {
+    return { _id: { [after]: _id } };
+  }
+
+  if (value === null) {
+    return direction === 1
+      ? { $or: [{ [sortField]: null, _id: { $gt: _id } }, { [sortField]: { $ne: null } }] }
+      : { [sortField]: null, _id: { $lt: _id } };
+  }
+
+  const clauses = [
+    { [sortField]: { [after]: value } },
+    { [sortField]: value, _id: { [after]: _id } }
+  ];
+
+  // Descending listings end with the documents that have no value
+  if (direction === -1) {
+    clauses.push({ [sortField]: null });
+  }
+
+  return { $or: clauses };
+}
+
+/**
+ * List the top-level fields of a model that can be requested with fields=
+ * @param {object} Model - Mongoose model
+ * @returns {string[]}
+ */
+function getProjectableFields(Model) {
+  const fields = Object.keys(Model.schema.paths).map(field => field.split('.')[0]);
+  return [...new Set(fields)].filter(field => field !== '__v');
+}
+
+/**
+ * Read limit, cursor and fields from a listing query
+ * @param {object} query - Request query
+ * @param {string[]} allowedFields - Fields that may be requested with fields=
+ * @returns {{ limit: number, cursor: object|null, projection: object|null }}
+ * @throws {ValidationError} - Naming the query parameter that can't be used
+ */
+function parsePagination(query, allowedFields) {
+  let limit = DEFAULT_PAGE_SIZE;
+  if (query.limit !== undefined) {
+    limit = parseInt(query.limit, 10);
+    if (!Number.isInteger(limit) || limit < 1) {
+      throw ValidationError.forField('query', 'limit', 'limit must be a positive integer');
+    }
+    limit = Math.min(limit, MAX_PAGE_SIZE);
+  }
+
+  let cursor = null;
+  if (query.cursor) {
+    cursor = decodeCursor(query.cursor);
+    if (!cursor) {
+      throw ValidationError.forField('query', 'cursor', 'cursor is not valid; use the nextCursor of a previous page');
+    }
+  }
+
+  let projection = null;
+  if (query.fields) {
+    const fields = String(query.fields).split(',').map(f => f.trim()).filter(Boolean);
+    const unknown = fields.filter(field => !allowedFields.includes(field));
+    if (unknown.length > 0) {
+      throw ValidationError.forField('query', 'fields', `Unknown field(s): ${unknown.join(', ')}`);
+    }
+    projection = Object.fromEntries(fields.map(field => [field, 1]));
+  }
+
+  return { limit, cursor, projection };
+}
+
+/**
+ * Run a paginated query
+ * @param {object} Model - Mongoose model
+ * @param {object} filter - Mongo filter
+ * @param {object} options - { sortField, direction, limit, cursor, projection, populate }
+ * @returns {Promise<{ items: object[], nextCursor: string|null, total: number, limit: number }>}
+ * @throws {ValidationError} - When the cursor doesn't fit the sort field
+ */
+async function paginate(Model, filter, { sortField = 'submittedAt', direction = -1, limit = DEFAULT_PAGE_SIZE, cursor = null, projection = null, populate = null }) {
+  if (cursor && !isValidCursorValue(Model, sortField, cursor.value)) {
+    throw ValidationError.forField('query', 'cursor', 'cursor is not valid; use the nextCursor of a previous page');
+  }
+
+  const pageFilter = cursor
+    ? { $and: [filter, buildCursorFilter(cursor, sortField, direction)] }
+    : filter;
+
+  // The sort field is needed to build the next cursor, even if not requested
+  const select = projection ? { ...projection, [sortField]: 1 } : null;
+
+  const sort = sortField === '_id'
+    ? { _id: direction }
+    : { [sortField]: direction, _id: direction };
+
+  let query = Model.find(pageFilter, select).sort(sort).limit(limit + 1);
+  if (populate) {
+    query = query.populate(populate);
+  }
+
+  const [docs, total] = await Promise.all([
+    query,
+    Model.countDocuments(filter)
+  ]);
+
+  const hasMore = docs.length > limit;
+  const items = hasMore ? docs.slice(0, limit) : docs;
+
+  return {
+    items,
+    nextCursor: hasMore ? encodeCursor(items[items.length - 1], sortField) : null,
+    total,
+    limit
+  };
+}
+
+module.exports = {
+  DEFAULT_PAGE_SIZE,
+  MAX_PAGE_SIZE,
+  encodeCursor,
+  decodeCursor,
+  getProjectableFields,
+  parsePagination,
+  paginate
+};
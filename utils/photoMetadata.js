@@ -0,0 +1,210 @@
+// Parsing and validation of the descriptive (archival) metadata on a Photo
+
+const CAPTURE_DATE_PRECISIONS = ['day', 'month', 'year', 'decade', 'range', 'unknown'];
+
+// Maximum lengths for free-text fields
+const TEXT_LIMITS = {
+  title: 200,
+  description: 5000,
+  source: 500,
+  rights: 500,
+  locationNote: 1000
+};
+
+const MAX_LIST_ITEMS = 50;
+const MAX_LIST_ITEM_LENGTH = 100;
+
+const APPROXIMATE_PREFIX = /^(circa|ca\.?|c\.|approx\.?|about|~)\s*/i;
+
+function utcDate(year, month = 0, day = 1) {
+  return new Date(Date.UTC(year, month, day));
+}
+
+function endOfDay(date) {
+  return new Date(date.getTime() + 24 * 60 * 60 * 1000 - 1);
+}
+
+/**
+ * Build the human-readable label for a capture date
+ * @param {object} captureDate - { start, end, precision, approximate }
+ * @returns {string}
+ */
+function formatCaptureDate({ start, end, precision, approximate }) {
+  if (!start || precision === 'unknown') return 'Unknown date';
+
+  const prefix = approximate ? 'circa ' : '';
+  const year = start.getUTCFullYear();
+
+  switch (precision) {
+    case 'day':
+      return prefix + start.toLocaleDateString('en-US', { day: 'numeric', month: 'short', year: 'numeric', timeZone: 'UTC' });
+    case 'month':
+      return prefix + start.toLocaleDateString('en-US', { month: 'short', year: 'numeric', timeZone: 'UTC' });
+    case 'decade':
+      return `${prefix}${year}s`;
+    case 'range':
+      return `${prefix}${year}–${end.getUTCFullYear()}`;
+    default:
+      return `${prefix}${year}`;
+  }
+}
+
+/**
+ * Parse a capture date written the way archivists write them:
+ * "1954-06-12", "1954-06", "1954", "1920s", "1950-1955",
+ * optionally prefixed with "circa", "c." or "ca."
+ * @param {string} input - Date text
+ * @returns {object|null} - { start, end, precision, approximate, display } or null if unparseable
+ */
+function parseCaptureDate(input) {
+  if (input === undefined || input === null) return null;
+
+  let text = String(input).trim();
+  if (!text) return null;
+
+  if (/^unknown$/i.test(text)) {
+    return { start: null, end: null, precision: 'unknown', approximate: false, display: 'Unknown date' };
+  }
+
+  const approximate = APPROXIMATE_PREFIX.test(text);
+  text = text.replace(APPROXIMATE_PREFIX, '');
+
+  let start;
+  let end;
+  let precision;
+  let match;
+
+  if ((match = text.match(/^(\d{4})-(\d{2})-(\d{2})$/))) {
+    start = utcDate(+match[1], +match[2] - 1, +match[3]);
+    if (start.getUTCMonth() !== +match[2] - 1) return null;
+    end = endOfDay(start);
+    precision = 'day';
+  } else if ((match = text.match(/^(\d{4})-(\d{2})$/))) {
+    if (+match[2] < 1 || +match[2] > 12) return null;
+    start = utcDate(+match[1], +match[2] - 1);
+    end = new Date(utcDate(+match[1], +match[2]).getTime() - 1);
+    precision = 'month';
+  } else if ((match = text.match(/^(\d{3})0'?s$/))) {
+    start = utcDate(+match[1] * 10);
+    end = new Date(utcDate(+match[1] * 10 + 10).getTime() - 1);
+    precision = 'decade';
+  } else if ((match = text.match(/^(\d{4})\s*[-–]\s*(\d{4})$/))) {
+    if (+match[2] < +match[1]) return null;
+    start = utcDate(+match[1]);
+    end = new Date(utcDate(+match[2] + 1).getTime() - 1);
+    precision = 'range';
+  } else if ((match = text.match(/^(\d{4})$/))) {
+    start = utcDate(+match[1]);
+    end = new Date(utcDate(+match[1] + 1).getTime() - 1);
+    precision = 'year';
+  } else {
+    return null;
+  }
+
+  const captureDate = { start, end, precision, approximate };
+  captureDate.display = formatCaptureDate(captureDate);
+  return captureDate;
+}
+
+/**
+ * Normalise a list field sent as an array, a JSON array or a comma-separated string
+ * @param {string|string[]} value
+ * @returns {string[]}
+ */
+function parseList(value) {
+  if (value === undefined || value === null || value === '') return [];
+
+  let items = value;
+  if (typeof value === 'string') {
+    const trimmed = value.trim();
+    if (trimmed.startsWith('[')) {
+      try {
+        items = JSON.parse(trimmed);
+      } catch (err) {
+        items = [trimmed];
+      }
+    } else {
+      items = trimmed.split(',');
+    }
+  }
+
+  if (!Array.isArray(items)) items = [items];
+
+  return items
+    .map(item => String(item).trim())
+    .filter(Boolean);
+}
+
+/**
+ * Validate the descriptive metadata sent with an upload
+ * @param {object} body - Request body
+ * @returns {{ metadata: object, errors: string[] }} - Cleaned values (only fields that were sent) and any validation errors
+ */
+function parsePhotoMetadata(body = {}) {
+  const metadata = {};
+  const errors = [];
+
+  for (const [field, limit] of Object.entries(TEXT_LIMITS)) {
+    if (body[field] === undefined) continue;
+
+    const value = String(body[field]).trim();
+    if (value.length > limit) {
+      errors.push(`${field} must be at most ${limit} characters`);
+    } else if (value) {
+      metadata[field] = value;
+    }
+  }
+
+  for (const field of ['people', 'tags']) {
+    if (body[field] === undefined) continue;
+
+    let items = parseList(body[field]);
+    if (field === 'tags') {
+      items = [...new Set(items.map(tag => tag.toLowerCase()))];
+    }
+
+    if (items.length > MAX_LIST_ITEMS) {
+      errors.push(`${field} may contain at most ${MAX_LIST_ITEMS} entries`);
+    } else if (items.some(item => item.length > MAX_LIST_ITEM_LENGTH)) {
+      errors.push(`Each entry in ${field} must be at most ${MAX_LIST_ITEM_LENGTH} characters`);
+    } else {
+      metadata[field] = items;
+    }
+  }
+
+  if (body.captureDate !== undefined && String(body.captureDate).trim() !== '') {
+    const captureDate = parseCaptureDate(body.captureDate);
+    if (captureDate) {
+      metadata.captureDate = captureDate;
+    } else {
+      errors.push('captureDate must look like "1954-06-12", "1954-06", "1954", "1920s", "1950-1955" or "circa 1935"');
+    }
+  }
+
+  return { metadata, errors };
+}
+
+/**
+ * Parse a decade filter such as "1950" or "1950s"
+ * @param {string} value
+ * @returns {{ start: Date, end: Date }|null}
+ */
+function parseDecade(value) {
+  const match = String(value).trim().match(/^(\d{3})0s?$/);
+  if (!match) return null;
+
+  const year = +match[1] * 10;
+  return {
+    start: utcDate(year),
+    end: new Date(utcDate(year + 10).getTime() - 1)
+  };
+}
+
+module.exports = {
+  CAPTURE_DATE_PRECISIONS,
+  parseCaptureDate,
+  formatCaptureDate,
+  parseList,
+  parsePhotoMetadata,
+  parseDecade
+};
@@ -0,0 +1,133 @@
+// Image URLs for API responses. Nothing about delivery is stored on the
+// photo: each response gets a `variants` map ({ thumb, medium, full } by
+// default, see config/images.js) plus `imageUrl` for the default variant.
+// Approved photos get plain URLs. Other photos' images are private, so only
+// moderators get URLs for them, signed and valid for SIGNED_URL_TTL.
+// Everyone else only sees the descriptive fields in PUBLIC_PHOTO_FIELDS.
+const { IMAGE_VARIANTS, DEFAULT_IMAGE_VARIANT, SIGNED_URL_TTL } = require('../config/images');
+const { getImageUrl } = require('./storage');
+const { hasRole } = require('./auth');
+
+// Photo fields the URLs are built from
+const IMAGE_SOURCE_FIELDS = ['storageProvider', 'storageKey', 'status', 'purgedAt'];
+
+// Fields shown to visitors and contributors. Storage details, hashes, EXIF,
+// duplicate candidates and who moderated a photo are for moderators only.
+const PUBLIC_PHOTO_FIELDS = [
+  '_id', 'contributor', 'date', 'title', 'description', 'captureDate', 'people', 'tags',
+  'source', 'rights', 'locationNote', 'floorId', 'roomId', 'width', 'height',
+  'status', 'submittedAt', 'approvedAt'
+];
+
+// Response-only fields that may be asked for with fields=
+const IMAGE_URL_FIELDS = ['imageUrl', 'variants'];
+
+/**
+ * Build the variant URLs of a photo's image
+ * @param {object} photo - Photo document or plain object
+ * @param {object} options - { expiresAt: sign the URLs, valid until this Date }
+ * @returns {object} - Variant name → URL
+ */
+function getImageVariants(photo, { expiresAt } = {}) {
+  return Object.fromEntries(Object.entries(IMAGE_VARIANTS).map(([name, variant]) => [
+    name,
+    getImageUrl(photo.storageProvider, photo.storageKey, variant, { expiresAt })
+  ]));
+}
+
+/**
+ * Serialize a photo for a response, with image URLs suited to the viewer
+ * @param {object} photo - Photo document (or plain object, or null)
+ * @param {object} user - Requesting user, if signed in
+ * @returns {object} - Plain object with variants, imageUrl and, when signed, imageUrlsExpireAt
+ */
+function presentPhoto(photo, user) {
+  if (!photo || typeof photo !== 'object') return photo;
+
+  const isModerator = Boolean(user && hasRole(user.role, 'moderator'));
+  const all = typeof photo.toJSON === 'function' ? photo.toJSON() : { ...photo };
+  const json = isModerator
+    ? all
+    : Object.fromEntries(Object.entries(all).filter(([field]) => PUBLIC_PHOTO_FIELDS.includes(field)));
+
+  // Without a fields= request for URLs, there is no key to build them from
+  if (!photo.storageKey) return json;
+
+  let variants = null;
+  if (photo.purgedAt) {
+    variants = null;
+  } else if (photo.status === 'approved') {
+    variants = getImageVariants(photo);
+  } else if (isModerator) {
+    const expiresAt = new Date(Date.now() + SIGNED_URL_TTL);
+    variants = getImageVariants(photo, { expiresAt });
+    json.imageUrlsExpireAt = expiresAt;
+  }
+
+  json.variants = variants;
+  json.imageUrl = variants ? variants[DEFAULT_IMAGE_VARIANT] : null;
+
+  // Duplicate candidates listed on pending photos
+  if (Array.isArray(json.possibleDuplicates)) {
+    json.possibleDuplicates = json.possibleDuplicates.map((entry, index) => {
+      const candidate = photo.possibleDuplicates[index] && photo.possibleDuplicates[index].photo;
+      return candidate && candidate.storageKey ? { ...entry, photo: presentPhoto(candidate, user) } : entry;
+    });
+  }
+
+  return json;
+}
+
+/**
+ * Serialize a list of photos for a response
+ * @param {object[]} photos - Photo documents
+ * @param {object} user - Requesting user, if signed in
+ * @returns {object[]}
+ */
+function presentPhotos(photos, user) {
+  return photos.map(photo => presentPhoto(photo, user));
+}
+
+/**
+ * Serialize a document whose `photo` is populated (a suggestion, an audit event)
+ * @param {object} doc - Mongoose document
+ * @param {object} user - Requesting user, if signed in
+ * @returns {object}
+ */
+function presentWithPhoto(doc, user) {
+  const json = doc.toJSON();
+  if (doc.populated('photo') && doc.photo) {
+    json.photo = presentPhoto(doc.photo, user);
+  }
+  return json;
+}
+
+/**
+ * Widen a fields= projection so URLs can be built when they were asked for
+ * @param {object|null} projection - From parsePagination
+ * @returns {object|null}
+ */
+function withImageSourceFields(projection) {
+  if (!projection) return projection;
+
+  const wantsUrls = IMAGE_URL_FIELDS.some(field => projection[field]);
+  const widened = { ...projection };
+  IMAGE_URL_FIELDS.forEach(field => delete widened[field]);
+
+  if (wantsUrls) {
+    IMAGE_SOURCE_FIELDS.forEach(field => { widened[field] = 1; });
+  }
+
+  return widened;
+}
+
+module.exports = {
+  PUBLIC_PHOTO_FIELDS,
+  IMAGE_SOURCE_FIELDS,
+  IMAGE_URL_FIELDS,
+  getImageVariants,
+  presentPhoto,
+  presentPhotos,
+  presentWithPhoto,
+  withImageSourceFields
+};
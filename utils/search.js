@@ -0,0 +1,87 @@
+// Full-text search over photo metadata
+
+// Fields in the Photo text index and their relative weights
+const SEARCH_FIELD_WEIGHTS = {
+  title: 10,
+  tags: 8,
+  people: 6,
+  description: 4,
+  'captureDate.display': 4,
+  locationNote: 3,
+  source: 2,
+  contributor: 2,
+  originalFileName: 1
+};
+
+// Suffixes trimmed so that highlighting roughly follows Mongo's stemming
+const SUFFIXES = ['ies', 'ing', 'es', 'ed', 's'];
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function stem(term) {
+  for (const suffix of SUFFIXES) {
+    if (term.length > suffix.length + 2 && term.endsWith(suffix)) {
+      return term.slice(0, -suffix.length);
+    }
+  }
+  return term;
+}
+
+/**
+ * Split a search query into the terms used for highlighting.
+ * Quoted phrases are kept whole and negated terms ("-fire") are dropped.
+ * @param {string} query - Raw search text
+ * @returns {string[]} - Lowercased terms
+ */
+function getSearchTerms(query) {
+  const terms = [];
+  const pattern = /"([^"]+)"|(\S+)/g;
+  let match;
+
+  while ((match = pattern.exec(query)) !== null) {
+    const term = (match[1] || match[2]).toLowerCase().trim();
+    if (term && !term.startsWith('-')) terms.push(term);
+  }
+
+  return [...new Set(terms)];
+}
+
+function getField(doc, field) {
+  return field.split('.').reduce((value, key) => (value == null ? undefined : value[key]), doc);
+}
+
+/**
+ * Work out which searchable fields of a photo matched which terms
+ * @param {object} photo - Photo document or plain object
+ * @param {string[]} terms - Terms from getSearchTerms
+ * @returns {object} - Map of field name to the terms it matched, e.g. { title: ['fire'] }
+ */
+function findMatchedFields(photo, terms) {
+  const matches = {};
+  const patterns = terms.map(term => ({
+    term,
+    regex: new RegExp(`(^|\\W)${escapeRegExp(stem(term))}`, 'i')
+  }));
+
+  for (const field of Object.keys(SEARCH_FIELD_WEIGHTS)) {
+    const value = getField(photo, field);
+    if (value == null) continue;
+
+    const text = Array.isArray(value) ? value.join(' ') : String(value);
+    const matched = patterns.filter(({ regex }) => regex.test(text)).map(({ term }) => term);
+
+    if (matched.length > 0) {
+      matches[field] = matched;
+    }
+  }
+
+  return matches;
+}
+
+module.exports = {
+  SEARCH_FIELD_WEIGHTS,
+  getSearchTerms,
+  findMatchedFields
+};
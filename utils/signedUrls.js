@@ -0,0 +1,39 @@
+// Time-limited URL signatures, in the format Cloudflare Images uses for
+// private images: sig is the hex HMAC-SHA256 of "<path>?exp=<unix seconds>".
+const crypto = require('crypto');
+
+/**
+ * Sign a URL path
+ * @param {string} pathname - URL path, e.g. /<account hash>/<id>/<variant>
+ * @param {Date} expiresAt - When the URL stops working
+ * @param {string} key - Signing key
+ * @returns {string} - Query string to append, starting with ?
+ */
+function signPath(pathname, expiresAt, key) {
+  const exp = Math.floor(expiresAt.getTime() / 1000);
+  const sig = crypto.createHmac('sha256', key).update(`${pathname}?exp=${exp}`).digest('hex');
+  return `?exp=${exp}&sig=${sig}`;
+}
+
+/**
+ * Check the exp and sig query parameters of a signed path
+ * @param {string} pathname - URL path
+ * @param {object} query - Parsed query string
+ * @param {string} key - Signing key
+ * @returns {boolean}
+ */
+function verifySignedPath(pathname, query, key) {
+  const exp = Number(query.exp);
+  if (!Number.isInteger(exp) || exp * 1000 < Date.now() || typeof query.sig !== 'string') {
+    return false;
+  }
+
+  const expected = crypto.createHmac('sha256', key).update(`${pathname}?exp=${exp}`).digest();
+  const given = Buffer.from(query.sig, 'hex');
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+module.exports = {
+  signPath,
+  verifySignedPath
+};
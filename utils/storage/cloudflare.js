@@ -0,0 +1,58 @@
+const { uploadImage, deleteImage, updateImage, canSignUrls, getImageUrl } = require('../cloudflare');
+
+/**
+ * Upload an image to Cloudflare Images
+ * @param {string} filePath - Path to the image file
+ * @param {string} metadata - Optional metadata as JSON string
+ * @param {object} options - { private: only deliver the image through signed URLs }
+ * @returns {Promise<{ key: string }>} - Cloudflare image ID
+ */
+async function upload(filePath, metadata = '', { private: isPrivate = false } = {}) {
+  const response = await uploadImage(filePath, metadata, { requireSignedURLs: isPrivate && canSignUrls() });
+  return { key: response.result.id };
+}
+
+/**
+ * Delete an image from Cloudflare Images. An image Cloudflare no longer has
+ * counts as deleted.
+ * @param {string} key - Cloudflare image ID
+ */
+async function remove(key) {
+  try {
+    await deleteImage(key);
+  } catch (error) {
+    if (error.code !== 'CLOUDFLARE_NOT_FOUND') {
+      throw error;
+    }
+  }
+}
+
+/**
+ * Make an image private (signed URLs only) or public. A no-op without a
+ * URL signing key, as images are then always public.
+ * @param {string} key - Cloudflare image ID
+ * @param {boolean} isPrivate
+ */
+async function setPrivate(key, isPrivate) {
+  if (!canSignUrls()) return;
+  await updateImage(key, { requireSignedURLs: isPrivate });
+}
+
+/**
+ * Generate a delivery URL for a Cloudflare image
+ * @param {string} key - Cloudflare image ID
+ * @param {string} variant - Delivery variant (default: 'public')
+ * @param {object} options - { expiresAt: sign the URL, valid until this Date }
+ * @returns {string} - Image delivery URL
+ */
+function getUrl(key, variant = 'public', options = {}) {
+  return getImageUrl(key, variant, options);
+}
+
+module.exports = {
+  name: 'cloudflare',
+  upload,
+  remove,
+  setPrivate,
+  getUrl
+};
@@ -0,0 +1,83 @@
+const cloudflare = require('./cloudflare');
+const local = require('./local');
+
+// Storage drivers by name. Each implements upload(filePath, metadata, { private }),
+// remove(key), setPrivate(key, isPrivate) and getUrl(key, variant, { expiresAt }).
+// Private images are only delivered through signed URLs (getUrl with expiresAt).
+const providers = {
+  [cloudflare.name]: cloudflare,
+  [local.name]: local
+};
+
+// Provider used for new uploads
+const STORAGE_PROVIDER = process.env.STORAGE_PROVIDER || 'cloudflare';
+
+/**
+ * Look up a storage driver by name
+ * @param {string} name - Provider name (default: the configured provider)
+ * @returns {object} - Storage driver
+ */
+function getProvider(name = STORAGE_PROVIDER) {
+  const provider = providers[name];
+  if (!provider) {
+    throw new Error(`Unknown storage provider: ${name}`);
+  }
+  return provider;
+}
+
+/**
+ * Store an image with the configured provider
+ * @param {string} filePath - Path to the image file
+ * @param {string} metadata - Optional metadata as JSON string
+ * @param {object} options - { private: only deliver through signed URLs }
+ * @returns {Promise<{ provider: string, key: string }>}
+ */
+async function storeImage(filePath, metadata = '', options = {}) {
+  const provider = getProvider();
+  const { key } = await provider.upload(filePath, metadata, options);
+
+  return {
+    provider: provider.name,
+    key
+  };
+}
+
+/**
+ * Delete an image from the provider it was stored with
+ * @param {string} providerName - Provider the image was stored with
+ * @param {string} key - Storage key
+ */
+async function removeImage(providerName, key) {
+  await getProvider(providerName).remove(key);
+}
+
+/**
+ * Make a stored image private (signed URLs only) or public
+ * @param {string} providerName - Provider the image was stored with
+ * @param {string} key - Storage key
+ * @param {boolean} isPrivate
+ */
+async function setImagePrivate(providerName, key, isPrivate) {
+  await getProvider(providerName).setPrivate(key, isPrivate);
+}
+
+/**
+ * Generate a delivery URL for a stored image
+ * @param {string} providerName - Provider the image was stored with
+ * @param {string} key - Storage key
+ * @param {string} variant - Variant name (default: 'public')
+ * @param {object} options - { expiresAt: sign the URL, valid until this Date }
+ * @returns {string} - Image URL
+ */
+function getImageUrl(providerName, key, variant = 'public', options = {}) {
+  return getProvider(providerName).getUrl(key, variant, options);
+}
+
+module.exports = {
+  STORAGE_PROVIDERS: Object.keys(providers),
+  getProvider,
+  storeImage,
+  removeImage,
+  setImagePrivate,
+  getImageUrl
+};
@@ -0,0 +1,158 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+const { signPath, verifySignedPath } = require('../signedUrls');
+const { IMAGE_URL_SIGNING_KEY } = require('../../config/images');
+
+// Where stored images live on disk, and the URL prefix they are served under
+const LOCAL_STORAGE_DIR = process.env.LOCAL_STORAGE_DIR || path.join(__dirname, '../../uploads/images');
+const LOCAL_STORAGE_BASE_URL = (process.env.LOCAL_STORAGE_BASE_URL || '/uploads/images').replace(/\/$/, '');
+
+// Path the server mounts the images on (the path part of the base URL)
+const LOCAL_STORAGE_PATH = new URL(LOCAL_STORAGE_BASE_URL, 'http://localhost').pathname;
+
+// File in an image's directory marking it private (signed URLs only)
+const PRIVATE_MARKER = '.private';
+
+// Resized variants generated on upload (max width in pixels).
+// 'public' is always the original file, matching Cloudflare's default variant.
+const VARIANTS = {
+  thumbnail: 320,
+  medium: 1024
+};
+
+// Formats sharp can write back out; anything else gets the original for every variant
+const RESIZABLE_FORMATS = ['.jpg', '.jpeg', '.png', '.webp', '.gif', '.avif', '.tif', '.tiff'];
+
+/**
+ * Resolve the directory and extension for a storage key ("<uuid><ext>")
+ * @param {string} key - Storage key
+ * @returns {{ dir: string, ext: string, id: string }}
+ */
+function resolveKey(key) {
+  const { name: id, ext } = path.parse(key);
+
+  // Keys are generated by upload(); refuse anything that could escape the storage dir
+  if (!/^[0-9a-f-]{36}$/.test(id)) {
+    throw new Error(`Invalid local storage key: ${key}`);
+  }
+
+  return { dir: path.join(LOCAL_STORAGE_DIR, id), ext, id };
+}
+
+/**
+ * Copy an image into local storage and generate its resized variants
+ * @param {string} filePath - Path to the image file
+ * @param {string} metadata - Optional metadata as JSON string
+ * @param {object} options - { private: only serve the image through signed URLs }
+ * @returns {Promise<{ key: string }>} - Storage key
+ */
+async function upload(filePath, metadata = '', { private: isPrivate = false } = {}) {
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`File not found: ${filePath}`);
+  }
+
+  const ext = path.extname(filePath).toLowerCase();
+  const key = `${crypto.randomUUID()}${ext}`;
+  const { dir } = resolveKey(key);
+
+  await fs.promises.mkdir(dir, { recursive: true });
+
+  try {
+    await fs.promises.copyFile(filePath, path.join(dir, `public${ext}`));
+
+    for (const [variant, width] of Object.entries(VARIANTS)) {
+      const target = path.join(dir, `${variant}${ext}`);
+      if (RESIZABLE_FORMATS.includes(ext)) {
+        await sharp(filePath).rotate().resize({ width, withoutEnlargement: true }).toFile(target);
+      } else {
+        await fs.promises.copyFile(filePath, target);
+      }
+    }
+
+    if (metadata) {
+      await fs.promises.writeFile(path.join(dir, 'metadata.json'), metadata);
+    }
+
+    if (isPrivate) {
+      await fs.promises.writeFile(path.join(dir, PRIVATE_MARKER), '');
+    }
+  } catch (error) {
+    await fs.promises.rm(dir, { recursive: true, force: true });
+    throw new Error('Error storing image locally: ' + error.message);
+  }
+
+  return { key };
+}
+
+/**
+ * Delete an image and all of its variants from local storage
+ * @param {string} key - Storage key
+ */
+async function remove(key) {
+  const { dir } = resolveKey(key);
+  await fs.promises.rm(dir, { recursive: true, force: true });
+}
+
+/**
+ * Make an image private (signed URLs only) or public
+ * @param {string} key - Storage key
+ * @param {boolean} isPrivate
+ */
+async function setPrivate(key, isPrivate) {
+  const { dir } = resolveKey(key);
+  const marker = path.join(dir, PRIVATE_MARKER);
+
+  if (isPrivate) {
+    await fs.promises.writeFile(marker, '');
+  } else {
+    await fs.promises.rm(marker, { force: true });
+  }
+}
+
+/**
+ * Whether the image stored under an ID is private
+ * @param {string} id - Image directory name (the key without its extension)
+ * @returns {boolean}
+ */
+function isPrivateImage(id) {
+  return /^[0-9a-f-]{36}$/.test(id) && fs.existsSync(path.join(LOCAL_STORAGE_DIR, id, PRIVATE_MARKER));
+}
+
+/**
+ * Check the signature of a request for an image file
+ * @param {string} pathname - Path below LOCAL_STORAGE_PATH, e.g. /<id>/medium.jpg
+ * @param {object} query - Parsed query string
+ * @returns {boolean}
+ */
+function verifyUrl(pathname, query) {
+  return verifySignedPath(pathname, query, IMAGE_URL_SIGNING_KEY);
+}
+
+/**
+ * Generate a URL for a locally stored image
+ * @param {string} key - Storage key
+ * @param {string} variant - Variant name (default: 'public')
+ * @param {object} options - { expiresAt: sign the URL, valid until this Date }
+ * @returns {string} - Image URL
+ */
+function getUrl(key, variant = 'public', { expiresAt } = {}) {
+  const { ext, id } = resolveKey(key);
+  const name = variant === 'public' || VARIANTS[variant] ? variant : 'public';
+  const pathname = `/${id}/${name}${ext}`;
+  const query = expiresAt ? signPath(pathname, expiresAt, IMAGE_URL_SIGNING_KEY) : '';
+  return `${LOCAL_STORAGE_BASE_URL}${pathname}${query}`;
+}
+
+module.exports = {
+  name: 'local',
+  LOCAL_STORAGE_DIR,
+  LOCAL_STORAGE_PATH,
+  upload,
+  remove,
+  setPrivate,
+  isPrivateImage,
+  verifyUrl,
+  getUrl
+};